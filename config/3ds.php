@@ -21,6 +21,7 @@ return [
     ],
     'transaction' => [
         'currency' => $_ENV['DEFAULT_CURRENCY'] ?? '840', // USD: 840
+        'exponent' => $_ENV['DEFAULT_CURRENCY_EXPONENT'] ?? '2', // Minor-unit digits of the default currency
     ],
     'ssl' => [
         'cert_file' => $_ENV['CERT_FILE'] ?? __DIR__ . '/../certs/cert.pem',
@@ -36,6 +37,18 @@ return [
         'enabled' => ($_ENV['DEBUG_MODE'] ?? '') === 'true',
         'file' => $_ENV['LOG_FILE'] ?? __DIR__ . '/../logs/3ds.log',
     ],
+    'postback' => [
+        // Shared with the merchant backend, which verifies the signed authentication data with it
+        'secret' => $_ENV['POSTBACK_SECRET'] ?? '',
+        // Merchant page the signed data is posted to once the cardholder is authenticated
+        'return_url' => $_ENV['MERCHANT_RETURN_URL'] ?? '',
+    ],
+    'hosted_fields' => [
+        // Serve the card inputs in frames, so the payment page never handles the card number
+        'enabled' => ($_ENV['HOSTED_FIELDS'] ?? 'true') !== 'false',
+        // Page serving each field; on another origin than APP_URL the payment page cannot reach into the frames
+        'url' => ($_ENV['HOSTED_FIELDS_URL'] ?? '') ?: ($_ENV['APP_URL'] ?? '') . '/card-field',
+    ],
     'notification_url' => $_ENV['NOTIFICATION_URL'] ?? ($_ENV['APP_URL'] ?? '') . '/notify',
     'base_url' => $_ENV['APP_URL'] ?? $_ENV['BASE_URL'] ?? '',
 ]; 
\ No newline at end of file
@@ -24,9 +24,14 @@ return [
         'error_reporting' => E_ALL,
     ],
     
+    'cache' => [
+        // Encrypts card references kept between init and auth; a per-session key is used when unset
+        'encryption_key' => $_ENV['CACHE_ENCRYPTION_KEY'] ?? null,
+    ],
+    
     'cors' => [
         'allowed_origins' => explode(',', $_ENV['CORS_ALLOWED_ORIGINS'] ?? '*'),
         'allowed_methods' => explode(',', $_ENV['CORS_ALLOWED_METHODS'] ?? 'GET,POST,OPTIONS'),
-        'allowed_headers' => explode(',', $_ENV['CORS_ALLOWED_HEADERS'] ?? 'Content-Type,Authorization'),
+        'allowed_headers' => explode(',', $_ENV['CORS_ALLOWED_HEADERS'] ?? 'Content-Type,Authorization,Idempotency-Key,X-CSRF-Token'),
     ],
 ]; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 <?php
 
 use App\Controllers\ApiController;
+use App\Controllers\HostedFieldController;
 use App\Controllers\NotificationController;
 
 /**
@@ -26,6 +27,12 @@ return [
         'action' => 'handleNotification'
     ],
     
+    // Hosted card field, loaded by the payment page in an iframe
+    'card-field' => [
+        'controller' => HostedFieldController::class,
+        'action' => 'handleRequest'
+    ],
+    
     // Documentation page
     'docs' => [
         'template' => 'pages/documentation.php',
@@ -10,66 +10,669 @@
  * @property {string|null} resultMonUrl - Result monitoring URL
  * @property {string|null} authUrl - Authentication URL
  * @property {string|null} browserInfo - Browser information data
- * @property {boolean} eventReceived - Whether an event has been received
- * @property {boolean} challengeCompleted - Whether challenge completion was already processed
+ * @property {string|null} browserInfoSource - Where browserInfo came from, one of the BrowserInfoSource values
+ * @property {string|null} challengeWindowSize - EMV challenge window size (01-05) sent with the auth action
+ * @property {string|null} cardReference - Server-side reference to the card number, sent with auth instead of the number
+ *
+ * @typedef {Object} PaymentRequest
+ * @property {{number: string, expiry: string, brand?: string}} [card] - Card number, expiry date (MM/YY) and optional brand, detected from the number
+ *   when omitted; left out when the card is entered in the hosted fields
+ * @property {string|number} amount - Purchase amount in major units (e.g. "10.00")
+ * @property {string} [currency] - ISO 4217 alphabetic currency code, defaults to the currency element or option
+ * @property {import('./cardholder-info.js').CardholderInfo} [cardholder] - Optional cardholder and address data for risk-based authentication
+ * @property {import('./mandate.js').MandateTerms|null} [mandate] - Terms of a recurring or instalment payment, a one-off purchase when omitted
+ * @property {PaymentMode} [mode] - payment or verification, defaults to the mode option
+ *
+ * @typedef {'payment'|'verification'} PaymentMode
+ *
+ * @typedef {Object} AuthResult
+ * @property {string} status - Outcome status (success, failed, rejected, error, partial, challenge, decoupled, completed)
+ * @property {string} message - Human-readable outcome message in the current locale
+ * @property {string} transStatus - EMV transaction status letter
+ * @property {Object} details - Raw response from the server
+ * @property {{reason: string, message: string}} [challenge] - Why the challenge ended, when there was one
+ * @property {import('./auth-outcome.js').AuthOutcome} [outcome] - Decoded reason, ECI, authentication value, IDs and liability shift
+ * @property {MandateResult} [mandate] - Recurring or instalment mandate the cardholder was asked to authenticate
+ *
+ * @typedef {Object} MandateResult
+ * @property {'recurring'|'instalment'} type - Payment type
+ * @property {string} recurringFrequency - Minimum number of days between authorisations
+ * @property {string} recurringExpiry - Date of the last authorisation, YYYYMMDD
+ * @property {string} [purchaseInstalData] - Maximum number of authorisations of an instalment payment
+ * @property {boolean} authenticated - Whether the mandate was authenticated (Y) or authentication attempted (A)
+ *
+ * @typedef {Object} SignedAuthData
+ * @property {string} payload - Base64url JSON of the authentication data, as returned by the 3DS Server
+ * @property {string} signature - Hex HMAC-SHA256 of the payload, verified by the merchant backend
+ * @property {string} algorithm - Signature algorithm, HMAC-SHA256
+ *
+ * @typedef {Object} ThreeDSPaymentElements
+ * @property {Element|string} [paymentCard] - Card wrapping the payment form
+ * @property {Element|string} [paymentForm] - Payment form, bound to pay() on submit when present
+ * @property {Element|string} [cardNumber] - Card number input, or the container of its hosted field
+ * @property {Element|string} [cardBrand] - Badge showing the brand detected by the hosted card number field
+ * @property {Element|string} [expiryDate] - Expiry date input, or the container of its hosted field
+ * @property {Element|string} [cvv] - CVV input or hosted field container, cleared with the card number once init succeeds
+ * @property {Element|string} [amount] - Amount input
+ * @property {Element|string} [currency] - Currency selector holding ISO 4217 alphabetic codes
+ * @property {Element|string} [currencySymbol] - Element showing the selected currency's symbol
+ * @property {Element|string} [verificationMode] - Checkbox switching to card verification, with no payment
+ * @property {Element|string} [purchaseDetails] - Container of the amount, currency and payment type, hidden for card verification
+ * @property {Element|string} [paymentType] - Payment type selector: oneOff, recurring or instalment
+ * @property {Element|string} [recurringTerms] - Container of the recurring fields, shown for recurring and instalment payments
+ * @property {Element|string} [recurringFrequency] - Input of the minimum number of days between payments
+ * @property {Element|string} [recurringExpiry] - Date input of the last payment
+ * @property {Element|string} [instalmentTerms] - Container of the number of instalments, shown for instalment payments
+ * @property {Element|string} [purchaseInstalData] - Input of the maximum number of instalments
+ * @property {Element|string} [processingSpinner] - Spinner shown while processing
+ * @property {Element|string} [resultContainer] - Container shown with the result
+ * @property {Element|string} [resultContent] - Element the result is rendered into
+ * @property {Element|string} [challengeContainer] - Container shown during a challenge
+ * @property {Element|string} [challengeFrameContainer] - Element the challenge iframe is placed in
+ * @property {Element|string} [iframeContainer] - Element holding the hidden monitoring iframes
+ * @property {Element|string} [decoupledContainer] - Container shown while waiting for decoupled authentication
+ * @property {Element|string} [decoupledCountdown] - Element the remaining decoupled time is written to
+ * @property {Element|string} [statusRegion] - Live region announcing each stage, created when missing
+ * @property {Element|string} [localeSelect] - Selector letting the cardholder switch language, filled with the available locales
+ *
+ * @typedef {Object} ThreeDSPaymentOptions
+ * @property {string} [endpoint] - URL of the 3DS API endpoint
+ * @property {Document|Element} [root] - Root node element selectors are resolved against
+ * @property {ThreeDSPaymentElements} [elements] - Elements or selectors for the UI containers
+ * @property {string} [currency] - Default ISO 4217 alphabetic currency code
+ * @property {PaymentMode} [mode] - payment authenticates a purchase; verification authenticates a card saved
+ *   without one, as a non-payment authentication (messageCategory npa) with the add card indicator
+ * @property {string} [acceptHeader] - Accept header of the page request, used when browser data has to be collected locally
+ * @property {string|null} [csrfToken] - CSRF token issued with the page, sent with the first /api call
+ * @property {boolean} [render] - Whether to use the built-in renderer for progress, challenge and result
+ * @property {number} [methodTimeout] - Milliseconds to wait for a 3DS Method event before authenticating
+ * @property {string|null} [messageOrigin] - Origin of the notification page, defaults to the page origin
+ * @property {{url: string}|null} [hostedFields] - Serve the card inputs from the card field page at this URL, each in its
+ *   own iframe, so the page never handles the card; the cardNumber, expiryDate and cvv elements are then their containers
+ * @property {number} [decoupledMaxTime] - Minutes the ACS may take for decoupled authentication (threeDSRequestorDecMaxTime)
+ * @property {number[]} [decoupledPollSchedule] - Delays in milliseconds between result polls, the last one repeats
+ * @property {import('./api-client.js').ApiClientOptions} [api] - Timeout and retry overrides for the API client
+ * @property {string} [challengeWindowSize] - 'auto' to pick from the viewport, or an EMV size 01-05
+ * @property {import('./challenge-presenter.js').PresentationMode} [challengeMode] - How the built-in renderer shows the challenge
+ * @property {number} [challengeTimeout] - Milliseconds the cardholder has to complete the challenge
+ * @property {number} [challengeLoadTimeout] - Milliseconds the challenge page has to load
+ * @property {boolean} [history] - Whether to record completed transactions in the local history
+ * @property {boolean|string|import('./sandbox.js').SandboxOptions|null} [sandbox] - Answer from the client-side simulator
+ *   instead of the server: true, a scenario key or sandbox options; null follows the page's ?sandbox flag
+ * @property {import('./logger.js').LogLevel} [logLevel] - Minimum level written to the browser console
+ * @property {boolean|{level?: string, batchSize?: number, flushInterval?: number}} [remoteLogging] - Send warnings
+ *   and errors to the clientLog action, with optional level and batching overrides
+ * @property {string|null} [locale] - Locale of the UI and result messages, detected from the browser when null
+ * @property {Object<string, Object<string, string>>} [messages] - Extra or replacement messages by locale
+ * @property {string|null} [returnUrl] - Merchant page the signed authentication data is posted to once authenticated (Y or A)
+ * @property {function(SignedAuthData, AuthResult): (void|Promise<void>)|null} [onAuthenticated] - Called with the signed
+ *   authentication data instead of posting it to returnUrl
+ */
+
+import {States, TransactionStateMachine} from './transaction-state.js';
+import {FrameMessageChannel} from './message-channel.js';
+import {ApiClient} from './api-client.js';
+import {ChallengePresenter, resolveChallengeWindowSize} from './challenge-presenter.js';
+import {getCurrency, getCurrencySymbol, toMinorUnits} from './currency.js';
+import {BrowserInfoSource, collectBrowserInfo, encodeBrowserInfo, validateBrowserInfo} from './browser-info.js';
+import {buildCardholderInfo, readCardholderForm, validateCardholderField, validateCardholderInfo} from './cardholder-info.js';
+import {TransactionHistory, createHistoryEntry, maskPan} from './transaction-history.js';
+import {HistoryPanel} from './history-panel.js';
+import {SandboxSimulator, resolveSandboxScenario} from './sandbox.js';
+import {Logger} from './logger.js';
+import {I18n} from './i18n.js';
+import {decodeAuthOutcome} from './auth-outcome.js';
+import {ADD_CARD_INDICATOR, buildMandateData, readMandateTerms, validateMandateTerms} from './mandate.js';
+import {HostedFields} from './hosted-fields.js';
+
+/**
+ * Default SDK options, matching the markup of templates/pages/payment.php
+ * @type {ThreeDSPaymentOptions}
+ */
+const DEFAULT_OPTIONS = {
+    endpoint: 'api',
+    root: null,
+    elements: {
+        paymentCard: '#paymentCard',
+        paymentForm: '#paymentForm',
+        cardNumber: '#cardNumber',
+        cardBrand: '#cardBrand',
+        expiryDate: '#expiryDate',
+        cvv: '#cvv',
+        amount: '#amount',
+        currency: '#currency',
+        currencySymbol: '#currencySymbol',
+        verificationMode: '#verifyCardOnly',
+        purchaseDetails: '#purchaseDetails',
+        paymentType: '#paymentType',
+        recurringTerms: '#recurringTerms',
+        recurringFrequency: '#recurringFrequency',
+        recurringExpiry: '#recurringExpiry',
+        instalmentTerms: '#instalmentTerms',
+        purchaseInstalData: '#purchaseInstalData',
+        processingSpinner: '#processingSpinner',
+        resultContainer: '#resultContainer',
+        resultContent: '#resultContent',
+        challengeContainer: '#challengeContainer',
+        challengeFrameContainer: '#challengeFrameContainer',
+        iframeContainer: '#iframeContainer',
+        decoupledContainer: '#decoupledContainer',
+        decoupledCountdown: '#decoupledCountdown',
+        statusRegion: '#paymentStatus',
+        localeSelect: '#localeSelect'
+    },
+    render: true,
+    currency: 'USD',
+    mode: 'payment',
+    acceptHeader: null,
+    csrfToken: null,
+    methodTimeout: 6000,
+    messageOrigin: null,
+    hostedFields: null,
+    decoupledMaxTime: 10,
+    decoupledPollSchedule: [5000, 5000, 10000, 10000, 15000, 30000],
+    api: {},
+    challengeWindowSize: 'auto',
+    challengeMode: 'inline',
+    challengeTimeout: 600000,
+    challengeLoadTimeout: 30000,
+    history: true,
+    sandbox: null,
+    logLevel: 'info',
+    remoteLogging: false,
+    locale: null,
+    messages: {},
+    returnUrl: null,
+    onAuthenticated: null
+};
+
+/**
+ * Elements the built-in renderer cannot work without
+ * @type {string[]}
+ */
+const RENDER_ELEMENTS = [
+    'paymentCard', 'processingSpinner', 'resultContainer', 'resultContent',
+    'challengeContainer', 'challengeFrameContainer'
+];
+
+/**
+ * Ways a challenge can end, with the challenge status code reported through updateChallengeStatus.
+ * A completed challenge has already been reported to the 3DS server by the ACS, so nothing is sent.
+ * A decoupled authentication the cardholder never answered is reported the same way.
+ * Each reason is described by the challenge.<reason> message.
+ * @type {Object<string, {status: string|null}>}
+ */
+const CHALLENGE_END_REASONS = {
+    completed: {status: null},
+    cancelled: {status: '01'},
+    decoupledTimedOut: {status: '03'},
+    timedOut: {status: '04'},
+    loadFailed: {status: '05'}
+};
+
+/**
+ * Stages announced in the status region with their stage.<state> message
+ * @type {string[]}
+ */
+const ANNOUNCED_STAGES = [
+    States.INITIALIZING, States.METHOD_RUNNING, States.AUTHENTICATING,
+    States.CHALLENGE, States.DECOUPLED, States.RESULT_PENDING
+];
+
+/**
+ * Outcome status of each EMV transaction status, as returned by the getAuthResult action.
+ * Each status is described by the status.<status> message.
+ * @type {Object<string, string>}
  */
+const AUTH_STATUSES = {
+    Y: 'success',
+    N: 'failed',
+    U: 'error',
+    A: 'partial',
+    C: 'challenge',
+    D: 'decoupled',
+    R: 'rejected'
+};
+
+/**
+ * Payment form elements validated by pay(), in form order
+ * @type {string[]}
+ */
+const FORM_FIELDS = [
+    'cardNumber', 'expiryDate', 'amount', 'currency',
+    'paymentType', 'recurringFrequency', 'recurringExpiry', 'purchaseInstalData'
+];
+
+/**
+ * messageCategory sent with auth in each mode: payment or non-payment authentication
+ * @type {Object<PaymentMode, string>}
+ */
+const MESSAGE_CATEGORIES = {
+    payment: 'pa',
+    verification: 'npa'
+};
+
+/**
+ * Transaction statuses that authenticate a recurring or instalment mandate
+ * @type {string[]}
+ */
+const MANDATE_STATUSES = ['Y', 'A'];
+
+/**
+ * Events that can be subscribed to with on()
+ * @type {string[]}
+ */
+const EVENTS = ['stateChange', 'challenge', 'decoupled', 'result', 'handOff', 'error'];
+
+/**
+ * Transaction statuses whose authentication data is handed off to merchant authorization
+ * @type {string[]}
+ */
+const HAND_OFF_STATUSES = ['Y', 'A'];
+
+/**
+ * Create the empty data store each payment attempt starts with
+ * @returns {TransactionData} Transaction data with every field unset
+ */
+function createTransactionData() {
+    return {
+        threeDSServerTransID: null,
+        threeDSRequestorTransID: null,
+        threeDSServerCallbackUrl: null,
+        monUrl: null,
+        resultMonUrl: null,
+        authUrl: null,
+        browserInfo: null,
+        browserInfoSource: null,
+        challengeWindowSize: null,
+        cardReference: null
+    };
+}
 
 class ThreeDSPayment {
     /**
      * Constructor
+     * @param {ThreeDSPaymentOptions} [options] - SDK options
      */
-    constructor() {
-        /** @type {TransactionData} Transaction data store */
-        this.transactionData = {
-            threeDSServerTransID: null,
-            threeDSRequestorTransID: null,
-            threeDSServerCallbackUrl: null,
-            monUrl: null,
-            resultMonUrl: null,
-            authUrl: null,
-            browserInfo: null,
-            eventReceived: false,
-            challengeCompleted: false
+    constructor(options = {}) {
+        /** @type {ThreeDSPaymentOptions} Resolved options */
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            elements: {...DEFAULT_OPTIONS.elements, ...(options.elements || {})}
         };
+        this.root = this.options.root || document;
+
+        /** @type {I18n} Messages and formatting for the cardholder's locale */
+        this.i18n = new I18n({locale: this.options.locale, messages: this.options.messages});
+
+        const remoteLogging = this.options.remoteLogging;
+
+        /** @type {Logger} Redacting logger used instead of the console */
+        this.logger = new Logger({
+            level: this.options.logLevel,
+            remote: remoteLogging
+                ? {
+                    ...(typeof remoteLogging === 'object' ? remoteLogging : {}),
+                    send: (entries) => this.api.request('clientLog', {entries})
+                }
+                : null
+        });
+
+        /** @type {TransactionData} Transaction data store */
+        this.transactionData = createTransactionData();
+
+        /** @type {{mode: PaymentMode, maskedPan: string|null, expiryDate: string|null, amount: string|null, currency: import('./currency.js').Currency|null, purchaseAmount: string|null, cardBrand: string|null, cardholderInfo: Object, mandate: import('./mandate.js').MandateTerms|null, flow: import('./transaction-history.js').FlowType, startedAt: string}|null} Payment in progress, without amount or currency for card verification, and without expiry date for a card in the hosted fields, whose masked number is known once tokenised */
+        this.payment = null;
+
+        /** @type {{resolve: Function, reject: Function}|null} Settles the promise returned by pay() */
+        this.pending = null;
+
+        /** @type {AbortController|null} Cancels the API requests of the payment in progress */
+        this.abortController = null;
+
+        /** @type {Object<string, Function[]>} Event listeners by event name */
+        this.listeners = Object.fromEntries(EVENTS.map((name) => [name, []]));
+
+        /** @type {TransactionStateMachine} Transaction lifecycle */
+        this.stateMachine = new TransactionStateMachine((change) => {
+            if (ANNOUNCED_STAGES.includes(change.state)) {
+                this.announce(this.t(`stage.${change.state}`));
+            }
+            this.emit('stateChange', change);
+        });
+
+        /** @type {number|null} Pending 3DS Method timeout */
+        this.methodTimer = null;
+
+        /** @type {{load: number|null, expiry: number|null}} Pending challenge load and completion timeouts */
+        this.challengeTimers = {load: null, expiry: null};
+
+        /** @type {string|null} Why the current challenge ended, a key of CHALLENGE_END_REASONS */
+        this.challengeEndReason = null;
+
+        /** @type {{deadline: number, attempt: number, pollTimer: number|null, countdownTimer: number|null}|null} Decoupled wait in progress */
+        this.decoupled = null;
+
+        const sandboxScenario = resolveSandboxScenario(this.options.sandbox);
+
+        /** @type {SandboxSimulator|null} Stands in for the server in sandbox mode */
+        this.sandbox = sandboxScenario
+            ? new SandboxSimulator(sandboxScenario, {
+                ...(this.options.sandbox && typeof this.options.sandbox === 'object' ? this.options.sandbox : {}),
+                acceptHeader: this.options.acceptHeader
+            })
+            : null;
+
+        /** @type {ApiClient} Client for the /api actions */
+        this.api = new ApiClient({
+            ...this.options.api,
+            endpoint: this.options.endpoint,
+            csrfToken: this.options.csrfToken,
+            logger: this.logger,
+            ...(this.sandbox ? {fetch: this.sandbox.fetch} : {})
+        });
+
+        // Sandbox pages are served from the page itself
+        const messageOrigin = this.sandbox ? window.location.origin : this.options.messageOrigin;
+
+        /** @type {FrameMessageChannel} Validates messages from the notification page */
+        this.channel = new FrameMessageChannel(messageOrigin || window.location.origin, this.logger);
+
+        /** @type {TransactionHistory|null} Local record of completed transactions */
+        this.history = this.options.history ? new TransactionHistory() : null;
 
         // DOM Elements
-        this.paymentCard = document.getElementById('paymentCard');
-        this.paymentForm = document.getElementById('paymentForm');
-        this.processingSpinner = document.getElementById('processingSpinner');
-        this.resultContainer = document.getElementById('resultContainer');
-        this.resultContent = document.getElementById('resultContent');
-        this.challengeContainer = document.getElementById('challengeContainer');
-        this.challengeFrameContainer = document.getElementById('challengeFrameContainer');
-        this.iframeContainer = document.getElementById('iframeContainer');
-
-        // Validate required elements
-        if (!this.paymentCard || !this.paymentForm || !this.processingSpinner || !this.resultContainer ||
-            !this.resultContent || !this.challengeContainer || !this.challengeFrameContainer ||
-            !this.iframeContainer) {
-            console.error('Required DOM elements not found');
-            this.showError('Required page elements not found. Please reload the page.');
-            return;
+        for (const [name, ref] of Object.entries(this.options.elements)) {
+            this[name] = this.resolveElement(ref);
+        }
+
+        /** @type {ChallengePresenter} Shows the challenge for the built-in renderer */
+        this.challengePresenter = new ChallengePresenter({
+            mode: this.options.challengeMode,
+            container: this.challengeFrameContainer,
+            title: this.t('challenge.title'),
+            cancelLabel: this.t('challenge.cancel')
+        });
+
+        /** @type {HostedFields|null} Card inputs served from frames, the page only ever holds a token of the card */
+        this.hostedFields = this.options.hostedFields
+            ? new HostedFields({
+                url: this.options.hostedFields.url,
+                containers: {cardNumber: this.cardNumber, expiryDate: this.expiryDate, cvv: this.cvv},
+                labels: this.getHostedFieldLabels(),
+                brandIndicator: this.cardBrand,
+                logger: this.logger,
+                onChange: (field) => {
+                    // An inline error is cleared as soon as the field is edited
+                    if (this[field].getAttribute('aria-invalid') === 'true') {
+                        this.setFieldError(this[field], null);
+                    }
+                }
+            })
+            : null;
+
+        // Monitoring iframes need a home even when the host renders its own UI
+        if (!this.iframeContainer) {
+            this.iframeContainer = document.createElement('div');
+            this.iframeContainer.className = 'iframe-container';
+            (this.root.body || this.root).appendChild(this.iframeContainer);
+        }
+
+        // Validate required elements; without them the payment still runs, only unrendered
+        if (this.options.render && RENDER_ELEMENTS.some((name) => !this[name])) {
+            this.logger.error('Required DOM elements not found');
+            this.options.render = false;
+            if (this.resultContent) {
+                this.resultContent.textContent = this.t('page.elementsMissing');
+            }
+        } else if (this.sandbox) {
+            this.sandbox.renderScenarioPicker(this.paymentCard);
+        }
+
+        // Screen readers hear each stage through a polite live region
+        if (!this.statusRegion) {
+            this.statusRegion = document.createElement('div');
+            this.statusRegion.id = 'paymentStatus';
+            this.statusRegion.className = 'visually-hidden';
+            (this.root.body || this.root).appendChild(this.statusRegion);
         }
+        this.statusRegion.setAttribute('role', 'status');
+        this.statusRegion.setAttribute('aria-live', 'polite');
+        this.statusRegion.setAttribute('aria-atomic', 'true');
+
+        // Translate the page and follow later language switches
+        this.applyLocale();
+        this.i18n.addEventListener('change', () => this.applyLocale());
 
         // Initialize event listeners
         this.initEventListeners();
     }
 
+    /**
+     * Resolve an element option to a DOM element
+     * @param {Element|string|null} ref - Element or selector relative to the root
+     * @returns {Element|null} Resolved element
+     */
+    resolveElement(ref) {
+        if (!ref) return null;
+        if (typeof ref !== 'string') return ref;
+
+        return this.root.querySelector(ref);
+    }
+
+    /**
+     * Subscribe to an SDK event
+     * @param {string} eventName - One of stateChange, challenge, decoupled, result, handOff, error
+     * @param {Function} handler - Called with the event payload
+     * @returns {ThreeDSPayment} This instance, for chaining
+     */
+    on(eventName, handler) {
+        if (!this.listeners[eventName]) {
+            throw new Error(`Unknown event: ${eventName}`);
+        }
+
+        this.listeners[eventName].push(handler);
+        return this;
+    }
+
+    /**
+     * Unsubscribe from an SDK event
+     * @param {string} eventName - Event name passed to on()
+     * @param {Function} handler - Handler passed to on()
+     * @returns {ThreeDSPayment} This instance, for chaining
+     */
+    off(eventName, handler) {
+        if (this.listeners[eventName]) {
+            this.listeners[eventName] = this.listeners[eventName].filter((listener) => listener !== handler);
+        }
+
+        return this;
+    }
+
+    /**
+     * Notify the listeners of an event
+     * @param {string} eventName - Event name
+     * @param {*} payload - Event payload
+     */
+    emit(eventName, payload) {
+        for (const listener of this.listeners[eventName]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                // A faulty host handler must not break the payment flow
+                this.logger.error(`Error in ${eventName} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Translate a message into the current locale
+     * @param {string} key - Message key
+     * @param {Object<string, *>} [params] - Placeholder values
+     * @returns {string} Translated message
+     */
+    t(key, params = {}) {
+        return this.i18n.t(key, params);
+    }
+
+    /**
+     * Switch the UI and result messages to another locale, remembered on this device
+     * @param {string} locale - BCP 47 locale, e.g. fr or ar
+     * @returns {string} The locale switched to, unchanged when there is no catalogue for it
+     */
+    setLocale(locale) {
+        return this.i18n.setLocale(locale, true);
+    }
+
+    /**
+     * Switch between authenticating payments and verifying cards without a payment
+     * @param {PaymentMode} mode - payment or verification
+     */
+    setMode(mode) {
+        if (!MESSAGE_CATEGORIES[mode]) {
+            throw new Error(`Unknown mode: ${mode}`);
+        }
+
+        this.options.mode = mode;
+        if (this.verificationMode) {
+            this.verificationMode.checked = mode === 'verification';
+        }
+        this.updateModeFields();
+    }
+
+    /**
+     * Check whether payments in the given mode verify a card rather than authenticate a purchase
+     * @param {PaymentMode} [mode] - Mode, the current one by default
+     * @returns {boolean} True for card verification
+     */
+    isVerification(mode = this.payment ? this.payment.mode : this.options.mode) {
+        return mode === 'verification';
+    }
+
+    /**
+     * Translate the page's static text and set its language and direction.
+     * Host pages rendering their own UI are left as they are.
+     */
+    applyLocale() {
+        if (this.options.render) {
+            this.i18n.translatePage(this.root);
+            this.i18n.applyDirection(this.root === document ? document : this.root);
+        }
+
+        this.challengePresenter.title = this.t('challenge.title');
+        this.challengePresenter.cancelLabel = this.t('challenge.cancel');
+
+        if (this.hostedFields) {
+            this.hostedFields.setLocale(this.getHostedFieldLabels(), {lang: this.i18n.locale, dir: this.i18n.getDirection()});
+        }
+
+        if (this.localeSelect) {
+            if (this.localeSelect.options.length === 0) {
+                for (const locale of this.i18n.getLocales()) {
+                    const option = document.createElement('option');
+                    option.value = locale;
+                    option.lang = locale;
+                    option.textContent = this.i18n.getLanguageName(locale);
+                    this.localeSelect.appendChild(option);
+                }
+            }
+            this.localeSelect.value = this.i18n.locale;
+        }
+    }
+
+    /**
+     * Get the accessible names of the hosted card fields in the current locale
+     * @returns {Object<string, string>} Label by field name
+     */
+    getHostedFieldLabels() {
+        return {
+            cardNumber: this.t('form.cardNumber'),
+            expiryDate: this.t('form.expiryDate'),
+            cvv: this.t('form.cvv')
+        };
+    }
+
+    /**
+     * Get the current transaction state, for debugging and host UIs
+     * @returns {string} One of the States values
+     */
+    getState() {
+        return this.stateMachine.state;
+    }
+
     /**
      * Initialize event listeners
      */
     initEventListeners() {
         // Handle form submission
-        this.paymentForm.addEventListener('submit', this.handleFormSubmit.bind(this));
+        if (this.paymentForm) {
+            this.paymentForm.addEventListener('submit', this.handleFormSubmit.bind(this));
+        }
+
+        // Keep the amount field in step with the selected currency
+        if (this.currency) {
+            this.currency.addEventListener('change', () => this.updateCurrencyDisplay());
+            this.updateCurrencyDisplay();
+        }
+
+        // Only ask for the recurring terms when the payment is not a one-off
+        if (this.paymentType) {
+            this.paymentType.addEventListener('change', () => this.updatePaymentTypeFields());
+            this.updatePaymentTypeFields();
+        }
+
+        // Card verification has no amount, currency or payment type
+        if (this.verificationMode) {
+            this.verificationMode.addEventListener('change', () => this.setMode(this.verificationMode.checked ? 'verification' : 'payment'));
+            this.verificationMode.checked = this.isVerification(this.options.mode);
+        }
+        this.updateModeFields();
+
+        // Switch language from the page
+        if (this.localeSelect) {
+            this.localeSelect.addEventListener('change', () => this.setLocale(this.localeSelect.value));
+        }
+
+        // Validate optional cardholder fields as they are filled in
+        if (this.paymentForm) {
+            const t = (key, params) => this.t(key, params);
+            for (const input of this.paymentForm.querySelectorAll('[data-cardholder]')) {
+                input.addEventListener('change', () => this.markCardholderField(input, validateCardholderField(input.dataset.cardholder, input.value.trim(), t)));
+            }
+
+            // An inline error is cleared as soon as the field is edited
+            for (const input of FORM_FIELDS.map((name) => this[name]).filter(Boolean)) {
+                input.addEventListener('input', () => {
+                    if (input.getAttribute('aria-invalid') === 'true') {
+                        this.setFieldError(input, null);
+                    }
+                });
+            }
+
+            // Only ask for a shipping address when it differs from the billing address
+            const sameAddress = this.paymentForm.querySelector('[data-cardholder-same-address]');
+            const shippingAddress = sameAddress && document.getElementById(sameAddress.getAttribute('aria-controls'));
+            if (shippingAddress) {
+                sameAddress.addEventListener('change', () => {
+                    shippingAddress.disabled = sameAddress.checked;
+                    shippingAddress.classList.toggle('hidden', sameAddress.checked);
+                });
+            }
+        }
 
         // Set up event listener for iframe messages
         window.addEventListener('message', this.handleFrameEvent.bind(this), false);
 
-        // Reset button
+        // Press Escape to abandon the payment in progress or to leave the result view.
+        // The challenge dialog handles its own Escape key and prevents the default.
         document.addEventListener('keydown', (event) => {
-            // Press Escape to reset form
-            if (event.key === 'Escape') {
-                this.showPaymentForm();
+            if (event.key !== 'Escape' || event.defaultPrevented) return;
+
+            if (this.pending) {
+                this.abort(this.t('error.cancelledByCardholder'));
+            } else if (this.stateMachine.isSettled() && this.options.render && this.resultContainer && !this.resultContainer.classList.contains('hidden')) {
+                this.reset();
             }
         });
     }
@@ -81,30 +684,390 @@ class ThreeDSPayment {
     async handleFormSubmit(event) {
         event.preventDefault();
 
-        const cardNumber = document.getElementById('cardNumber').value.replace(/\s/g, '');
-        const expiryDate = document.getElementById('expiryDate').value;
-        const amount = document.getElementById('amount').value;
+        const {values, sameAddress} = readCardholderForm(this.paymentForm);
+
+        try {
+            await this.pay({
+                // Hosted fields keep the card in their frames
+                card: this.hostedFields ? {} : {
+                    number: this.cardNumber ? this.cardNumber.value : '',
+                    expiry: this.expiryDate ? this.expiryDate.value : ''
+                },
+                amount: this.amount ? this.amount.value : '',
+                currency: this.currency ? this.currency.value : undefined,
+                cardholder: buildCardholderInfo(values, sameAddress),
+                mandate: readMandateTerms({
+                    paymentType: this.paymentType ? this.paymentType.value : '',
+                    recurringFrequency: this.recurringFrequency ? this.recurringFrequency.value : '',
+                    recurringExpiry: this.recurringExpiry ? this.recurringExpiry.value : '',
+                    purchaseInstalData: this.purchaseInstalData ? this.purchaseInstalData.value : ''
+                })
+            });
+        } catch (error) {
+            // Already reported through the error event and the renderer
+        }
+    }
+
+    /**
+     * Start a 3DS payment
+     * @param {PaymentRequest} request - Card and amount to authenticate
+     * @returns {Promise<AuthResult>} Resolves with the final authentication result
+     */
+    pay({card = {}, amount, currency, cardholder = {}, mandate = null, mode = this.options.mode} = {}) {
+        if (this.pending) {
+            return Promise.reject(new Error(this.t('error.inProgress')));
+        }
+        if (!MESSAGE_CATEGORIES[mode]) {
+            return Promise.reject(new Error(`Unknown mode: ${mode}`));
+        }
+
+        // Start over after a previous payment finished, nothing of it carries over
+        if (this.stateMachine.isSettled()) {
+            this.stateMachine.transition(States.IDLE, 'pay');
+        }
+        this.transactionData = createTransactionData();
+        this.challengeEndReason = null;
+        this.abortController = new AbortController();
+
+        // Card verification authenticates the card alone, with no purchase
+        const verification = this.isVerification(mode);
+        // The hosted fields hand over a token of the card once the payment starts
+        const hosted = this.hostedFields !== null && !card.number;
+        const cardNumber = String(card.number || '').replace(/\s/g, '');
+        const expiryDate = String(card.expiry || '').trim();
+        amount = verification ? null : String(amount ?? '').trim();
+        currency = verification ? null : getCurrency(currency || this.options.currency);
+        mandate = verification ? null : mandate;
+        const cardholderErrors = validateCardholderInfo(cardholder, (key, params) => this.t(key, params));
+
+        const promise = new Promise((resolve, reject) => {
+            this.pending = {resolve, reject};
+        });
+
+        /** @type {Object<string, string>} Error messages by form element name */
+        const fieldErrors = {};
+
+        if (hosted) {
+            // The frames validated what the cardholder typed
+            Object.assign(fieldErrors, this.hostedFields.validate((key) => this.t(key)));
+        } else {
+            // Check if card number passes Luhn algorithm
+            if (!window.validateCardNumber || !window.validateCardNumber(cardNumber)) {
+                fieldErrors.cardNumber = this.t('validation.cardNumber');
+            }
+            // Check if expiry date is valid and not expired
+            if (!window.validateExpiryDate || !window.validateExpiryDate(expiryDate)) {
+                fieldErrors.expiryDate = this.t('validation.expiryDate');
+            }
+        }
+        // Validate currency, then the amount against its exponent
+        if (verification) {
+            // Nothing to pay
+        } else if (!currency) {
+            fieldErrors.currency = this.t('validation.currency');
+        } else if (!this.isValidAmount(amount, currency.code)) {
+            fieldErrors.amount = this.t('validation.amount', {decimals: this.i18n.formatNumber(currency.exponent), currency: currency.code});
+        }
+        // Validate the recurring or instalment terms
+        Object.assign(fieldErrors, validateMandateTerms(mandate, (key, params) => this.t(key, params)));
+
+        const messages = Object.values(fieldErrors);
+        // Validate optional cardholder details
+        if (Object.keys(cardholderErrors).length > 0) {
+            messages.push(this.t('validation.cardholder', {errors: Object.values(cardholderErrors).join(', ')}));
+        }
+
+        if (messages.length > 0) {
+            this.fail(messages[0], null, {...fieldErrors, ...cardholderErrors});
+        } else {
+            // The card number itself is only passed to init, the payment keeps it masked
+            this.payment = {
+                mode,
+                maskedPan: hosted ? null : maskPan(cardNumber),
+                expiryDate: hosted ? null : expiryDate,
+                amount,
+                currency,
+                purchaseAmount: verification ? null : this.formatAmount(amount, currency.code),
+                cardBrand: card.brand || (hosted ? this.hostedFields.getBrand() : this.detectCardBrand(cardNumber)),
+                cardholderInfo: cardholder,
+                mandate,
+                flow: 'frictionless',
+                startedAt: new Date().toISOString()
+            };
+
+            // Start 3DS process
+            this.initialize3DS(hosted ? null : cardNumber, amount);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Detect the card brand with the input validation module, when it is loaded
+     * @param {string} cardNumber - Card number without spaces
+     * @returns {string|null} Brand identifier (visa, mastercard, amex, discover, jcb, diners, unionpay) or null if unknown
+     */
+    detectCardBrand(cardNumber) {
+        const brand = window.detectCardBrand ? window.detectCardBrand(cardNumber) : null;
+        return brand ? brand.id : null;
+    }
+
+    /**
+     * Finish the flow with a final authentication result
+     * @param {AuthResult} result - Authentication result
+     */
+    complete(result) {
+        this.stateMachine.transition(States.FINAL, result.transStatus);
+        this.recordHistory(result);
+        this.emit('result', result);
+
+        if (this.options.render) {
+            this.showResult(result);
+        } else {
+            this.cleanupIframes();
+        }
+
+        if (HAND_OFF_STATUSES.includes(result.transStatus) && (this.options.onAuthenticated || this.options.returnUrl)) {
+            this.handOff(result).catch((error) => this.logger.error('onAuthenticated callback failed:', error));
+        }
+
+        this.settle((pending) => pending.resolve(result));
+    }
+
+    /**
+     * Pass the signed authentication data on to merchant authorization, through the
+     * onAuthenticated callback or a form posted to returnUrl
+     * @param {AuthResult} result - Authenticated or attempted result
+     * @returns {Promise<boolean>} Whether the data was signed and handed off
+     */
+    async handOff(result) {
+        // The server signs what the 3DS Server reports, not what the page holds
+        const threeDSServerTransID = this.transactionData.threeDSServerTransID;
+
+        let authData;
+        try {
+            authData = await this.api.request('signAuthData', {threeDSServerTransID});
+        } catch (error) {
+            this.logger.error('Could not sign the authentication data:', error.message);
+            this.emit('handOff', {result, authData: null, error});
+
+            if (this.options.render) {
+                const notice = document.createElement('p');
+                notice.className = 'text-danger mt-3';
+                notice.textContent = this.t('handOff.failed');
+                this.resultContent.appendChild(notice);
+                this.announce(notice.textContent);
+            }
+            return false;
+        }
+
+        this.emit('handOff', {result, authData, error: null});
+
+        if (this.options.onAuthenticated) {
+            await this.options.onAuthenticated(authData, result);
+        } else {
+            this.announce(this.t('handOff.redirecting'));
+            this.postToReturnUrl(authData);
+        }
+
+        return true;
+    }
+
+    /**
+     * Post signed authentication data to the merchant return URL
+     * @param {SignedAuthData} authData - Signed authentication data
+     */
+    postToReturnUrl(authData) {
+        const form = document.createElement('form');
+        form.method = 'post';
+        form.action = this.options.returnUrl;
+        form.className = 'hidden';
+
+        for (const name of ['payload', 'signature', 'algorithm']) {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            input.value = authData[name];
+            form.appendChild(input);
+        }
+
+        (this.root.body || document.body).appendChild(form);
+        form.submit();
+    }
 
-        // Check if card number passes Luhn algorithm
-        if (!window.validateCardNumber || !window.validateCardNumber(cardNumber)) {
-            this.showResult('Please enter a valid card number', true);
+    /**
+     * Record a final result in the local history
+     * @param {AuthResult} result - Authentication result
+     */
+    recordHistory(result) {
+        if (!this.history || !this.payment || !this.transactionData.threeDSServerTransID) return;
+
+        const entry = createHistoryEntry({
+            maskedPan: this.payment.maskedPan,
+            cardBrand: this.payment.cardBrand,
+            amount: this.payment.amount,
+            currency: this.payment.currency ? this.payment.currency.code : null,
+            flow: this.payment.flow,
+            threeDSServerTransID: this.transactionData.threeDSServerTransID,
+            threeDSRequestorTransID: this.transactionData.threeDSRequestorTransID,
+            result,
+            startedAt: this.payment.startedAt
+        });
+
+        // History is a convenience, a storage failure must not affect the payment
+        this.history.add(entry).catch((error) => this.logger.warn('Could not record transaction history:', error.message));
+    }
+
+    /**
+     * Finish the flow with an error
+     * @param {string} message - Error message
+     * @param {Error|null} [cause] - Underlying error, if any
+     * @param {Object<string, string>|null} [fields] - Error messages by field, shown inline instead of the result view
+     */
+    fail(message, cause = null, fields = null) {
+        // Requests cancelled by abort() reject after the transaction was torn down
+        if (cause && cause.code === 'aborted') {
+            this.logger.debug('Ignoring aborted request:', message);
             return;
         }
-        
-        // Check if expiry date is valid and not expired
-        if (!window.validateExpiryDate || !window.validateExpiryDate(expiryDate)) {
-            this.showResult('Please enter a valid expiry date (MM/YY) that has not expired', true);
+
+        const sessionExpired = Boolean(cause && cause.code === 'csrf');
+        if (sessionExpired) {
+            message = this.t('error.sessionExpired');
+        }
+
+        const error = new Error(message);
+        error.cause = cause;
+        error.sessionExpired = sessionExpired;
+        error.fields = fields;
+
+        this.clearMethodTimer();
+
+        // An error arriving after the transaction settled must not overwrite the outcome
+        if (!this.pending || !this.stateMachine.can(States.ERROR)) {
+            this.logger.warn(`Ignoring error in state ${this.stateMachine.state}:`, message);
             return;
         }
 
-        // Validate amount
-        if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
-            this.showResult('Please enter a valid amount', true);
+        this.stateMachine.transition(States.ERROR, message);
+        this.emit('error', error);
+
+        if (this.options.render && fields && this.showFieldErrors(fields)) {
+            this.announce(message);
+        } else if (this.options.render && sessionExpired) {
+            this.showSessionExpired(message);
+        } else if (this.options.render) {
+            this.showError(message);
+        } else {
+            this.cleanupIframes();
+        }
+
+        this.settle((pending) => pending.reject(error));
+    }
+
+    /**
+     * Settle the promise returned by pay(), once
+     * @param {Function} callback - Receives the pending resolve/reject pair
+     */
+    settle(callback) {
+        const pending = this.pending;
+        this.pending = null;
+        this.payment = null;
+        this.clearMethodTimer();
+        if (this.abortController) {
+            // Late polls and other requests still in flight are of no use any more
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        this.channel.close();
+        this.stopDecoupled();
+        this.clearChallengeTimers();
+        this.challengePresenter.close();
+
+        if (pending) {
+            callback(pending);
+        }
+    }
+
+    /**
+     * Abandon the payment in progress. Its requests and timers are cancelled, its iframes
+     * removed, an open challenge is reported to the server as cancelled by the cardholder,
+     * and the promise returned by pay() rejects with an error whose aborted flag is set.
+     * The SDK is then reset for the next payment.
+     * @param {string|null} [reason] - Why the payment was abandoned, used as the error message
+     * @returns {Promise<boolean>} Whether a payment was in progress, resolved once the server has been told
+     */
+    async abort(reason = null) {
+        if (!this.pending) {
+            return false;
+        }
+
+        reason = reason || this.t('error.aborted');
+
+        const abandonedChallenge = this.stateMachine.state === States.CHALLENGE
+            ? this.transactionData.threeDSServerTransID
+            : null;
+
+        this.logger.info('Aborting payment:', reason);
+
+        const error = new Error(reason);
+        error.aborted = true;
+
+        this.stateMachine.transition(States.ERROR, 'aborted');
+        this.emit('error', error);
+        this.cleanupIframes();
+        this.settle((pending) => pending.reject(error));
+        this.reset();
+        this.announce(reason);
+
+        // The ACS keeps the challenge open until told otherwise
+        if (abandonedChallenge) {
+            try {
+                await this.api.request('updateChallengeStatus', {
+                    threeDSServerTransID: abandonedChallenge,
+                    status: CHALLENGE_END_REASONS.cancelled.status
+                });
+            } catch (statusError) {
+                this.logger.warn('Could not report the abandoned challenge:', statusError.message);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Clear the last transaction and show the payment form again.
+     * A payment still in progress is aborted first.
+     */
+    reset() {
+        if (this.pending) {
+            this.abort();
             return;
         }
 
-        // Start 3DS process
-        await this.initialize3DS(cardNumber.trim(), amount.trim());
+        if (this.stateMachine.isSettled()) {
+            this.stateMachine.transition(States.IDLE, 'reset');
+        }
+
+        this.transactionData = createTransactionData();
+        this.challengeEndReason = null;
+        this.logger.setTransaction(null);
+        this.cleanupIframes();
+
+        if (this.options.render) {
+            this.resultContent.innerHTML = '';
+            this.showPaymentForm();
+        }
+    }
+
+    /**
+     * Call an API action for the payment in progress, cancelled when it is aborted
+     * @param {string} action - Action name
+     * @param {Object} payload - Request data
+     * @returns {Promise<Object>} Parsed response data
+     */
+    request(action, payload) {
+        return this.api.request(action, payload, {signal: this.abortController ? this.abortController.signal : undefined});
     }
 
     /**
@@ -120,26 +1083,193 @@ class ThreeDSPayment {
     }
 
     /**
-     * Format amount for API (convert dollars to cents)
-     * @param {string} amount - Amount in dollars
-     * @returns {string} Amount in cents
+     * Format amount for API (convert major units to minor units for the currency's exponent)
+     * @param {string} amount - Amount in major units
+     * @param {string} [currency] - ISO 4217 alphabetic code, defaults to the currency option
+     * @returns {string} Amount in minor units
      */
-    formatAmount(amount) {
-        return Math.round(parseFloat(amount) * 100).toString();
+    formatAmount(amount, currency = this.options.currency) {
+        return toMinorUnits(amount, currency);
     }
 
     /**
-     * Format date for API (YYYYMMDDHHmmss)
+     * Check that an amount is positive and fits the currency's exponent
+     * @param {string} amount - Amount in major units
+     * @param {string} currency - ISO 4217 alphabetic code
+     * @returns {boolean} Is amount valid
+     */
+    isValidAmount(amount, currency) {
+        try {
+            return /[1-9]/.test(toMinorUnits(amount, currency));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Show the selected currency's symbol and let the amount field accept its decimal places
+     */
+    updateCurrencyDisplay() {
+        const currency = getCurrency(this.currency.value);
+        if (!currency) return;
+
+        if (this.currencySymbol) {
+            this.currencySymbol.textContent = getCurrencySymbol(currency.code);
+        }
+
+        if (this.amount) {
+            this.amount.step = currency.exponent === 0 ? '1' : '0.' + '1'.padStart(currency.exponent, '0');
+        }
+    }
+
+    /**
+     * Hide the purchase fields for card verification and word the submit button for the mode
+     */
+    updateModeFields() {
+        const verification = this.isVerification(this.options.mode);
+
+        if (this.purchaseDetails) {
+            this.purchaseDetails.classList.toggle('hidden', verification);
+            for (const field of this.purchaseDetails.querySelectorAll('input, select')) {
+                field.disabled = verification;
+            }
+            // Leave the recurring fields disabled unless the payment type needs them
+            if (!verification && this.paymentType) {
+                this.updatePaymentTypeFields();
+            }
+        }
+
+        const submit = this.paymentForm && this.paymentForm.querySelector('[type="submit"]');
+        if (submit) {
+            submit.dataset.i18n = verification ? 'form.verify' : 'form.pay';
+            submit.textContent = this.t(submit.dataset.i18n);
+        }
+    }
+
+    /**
+     * Show the recurring fields for recurring and instalment payments, and the number of instalments for instalments only
+     */
+    updatePaymentTypeFields() {
+        const type = this.paymentType.value;
+        const sections = [
+            [this.recurringTerms, type === 'recurring' || type === 'instalment'],
+            [this.instalmentTerms, type === 'instalment']
+        ];
+
+        for (const [section, shown] of sections) {
+            if (!section) continue;
+
+            section.classList.toggle('hidden', !shown);
+            for (const input of section.querySelectorAll('input')) {
+                input.disabled = !shown;
+            }
+        }
+    }
+
+    /**
+     * Show or clear the inline error of a form field, linked to it with aria-describedby
+     * @param {HTMLInputElement|HTMLSelectElement} input - Form field
+     * @param {string|null} error - Error message, null when valid
+     */
+    setFieldError(input, error) {
+        const id = `${input.id || input.dataset.cardholder}Error`;
+        let feedback = document.getElementById(id);
+        if (!feedback) {
+            feedback = document.createElement('div');
+            feedback.id = id;
+            feedback.className = 'field-error hidden';
+            (input.closest('.input-group') || input).after(feedback);
+        }
+
+        feedback.textContent = error || '';
+        feedback.classList.toggle('hidden', !error);
+        input.classList.toggle('is-invalid', Boolean(error));
+
+        // Keep any other description, such as a hint below the field
+        const describedBy = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter((ref) => ref && ref !== id);
+        if (error) {
+            input.setAttribute('aria-invalid', 'true');
+            describedBy.push(id);
+        } else {
+            input.removeAttribute('aria-invalid');
+        }
+
+        if (describedBy.length > 0) {
+            input.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            input.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * Flag a cardholder field as valid or invalid
+     * @param {HTMLInputElement} input - Input with a data-cardholder attribute
+     * @param {string|null} error - Error message, null when valid
+     */
+    markCardholderField(input, error) {
+        this.setFieldError(input, error);
+        input.setCustomValidity(error || '');
+    }
+
+    /**
+     * Show validation errors next to their fields and focus the first invalid one
+     * @param {Object<string, string>} errors - Error messages by form element or cardholder field name
+     * @returns {boolean} Whether any field was found to show an error on
+     */
+    showFieldErrors(errors) {
+        const invalid = [];
+
+        for (const name of FORM_FIELDS) {
+            if (!this[name]) continue;
+
+            this.setFieldError(this[name], errors[name] || null);
+            if (errors[name]) invalid.push(this[name]);
+        }
+
+        if (this.paymentForm) {
+            for (const input of this.paymentForm.querySelectorAll('[data-cardholder]')) {
+                const error = errors[input.dataset.cardholder] || null;
+                this.markCardholderField(input, error);
+                if (error) invalid.push(input);
+            }
+        }
+
+        if (invalid.length === 0) return false;
+
+        this.showPaymentForm();
+
+        // Focus the first invalid field in form order, opening a collapsed section around it
+        const first = (this.paymentForm && this.paymentForm.querySelector('[aria-invalid="true"]')) || invalid[0];
+        const section = first.closest('details');
+        if (section) section.open = true;
+        this.focusField(first);
+
+        return true;
+    }
+
+    /**
+     * Announce a message to screen readers through the status region
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+        if (!this.options.render || !this.statusRegion) return;
+
+        this.statusRegion.textContent = message;
+    }
+
+    /**
+     * Format date for API (YYYYMMDDHHmmss, UTC)
+     * @param {Date} [date] - Date to format, defaults to now
      * @returns {string} Formatted date
      */
-    formatDate() {
-        const date = new Date();
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
+    formatDate(date = new Date()) {
+        // purchaseDate is always UTC
+        const year = date.getUTCFullYear();
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        const hours = String(date.getUTCHours()).padStart(2, '0');
+        const minutes = String(date.getUTCMinutes()).padStart(2, '0');
+        const seconds = String(date.getUTCSeconds()).padStart(2, '0');
 
         return `${year}${month}${day}${hours}${minutes}${seconds}`;
     }
@@ -163,11 +1293,48 @@ class ThreeDSPayment {
      * Show processing spinner
      */
     showProcessing() {
+        if (!this.options.render) return;
+
         this.paymentCard.classList.add('hidden');
-        this.paymentForm.classList.add('hidden');
         this.processingSpinner.classList.remove('hidden');
         this.resultContainer.classList.add('hidden');
         this.challengeContainer.classList.add('hidden');
+
+        // Focus would otherwise be left on the hidden form
+        this.focusView(this.processingSpinner);
+    }
+
+    /**
+     * Move keyboard focus to an element that is not focusable by itself
+     * @param {HTMLElement} element - Element to focus
+     */
+    focusView(element) {
+        if (!element.hasAttribute('tabindex')) {
+            element.tabIndex = -1;
+        }
+        element.focus();
+    }
+
+    /**
+     * Create a hidden monitoring iframe whose messages the channel trusts
+     * @param {string} id - Iframe ID
+     * @param {string} src - URL to load
+     * @returns {HTMLIFrameElement} The iframe
+     */
+    createMonitoringFrame(id, src) {
+        // Remove any existing iframe with the same role
+        const existingIframe = this.iframeContainer.querySelector('#' + id);
+        if (existingIframe) {
+            this.iframeContainer.removeChild(existingIframe);
+        }
+
+        const iframe = document.createElement('iframe');
+        iframe.id = id;
+        iframe.src = src;
+        this.iframeContainer.appendChild(iframe);
+        this.channel.addSource(iframe);
+
+        return iframe;
     }
 
     /**
@@ -182,8 +1349,11 @@ class ThreeDSPayment {
      * Show result
      * @param {Object|string} result - Result to display
      * @param {boolean} isError - Whether result is an error
+     * @param {string} [restartLabel] - Text of the button leading back to the payment form
      */
-    showResult(result, isError = false) {
+    showResult(result, isError = false, restartLabel = null) {
+        restartLabel = restartLabel || this.t(this.isVerification() ? 'result.newVerification' : 'result.newPayment');
+
         this.processingSpinner.classList.add('hidden');
         this.resultContainer.classList.remove('hidden');
         this.challengeContainer.classList.add('hidden');
@@ -197,7 +1367,13 @@ class ThreeDSPayment {
         // If it's an error message (string)
         if (typeof result === 'string') {
             this.resultContent.classList.add('text-danger');
-            this.resultContent.textContent = result;
+
+            const message = document.createElement('p');
+            message.className = 'mb-0';
+            message.textContent = result;
+            this.resultContent.appendChild(message);
+
+            this.finishResultView(message, result, restartLabel);
             return;
         }
         
@@ -212,33 +1388,73 @@ class ThreeDSPayment {
             const statusHeader = document.createElement('h3');
             
             // Set status class and text based on status
+            let icon;
+            let text;
             if (result.status === 'success') {
                 statusHeader.className = 'text-success';
-                statusHeader.textContent = '✓ ' + (result.message || 'Payment Authenticated');
+                icon = '✓';
+                text = result.message || this.t('status.success');
             } else if (result.status === 'failed' || result.status === 'rejected' || result.status === 'error') {
                 statusHeader.className = 'text-danger';
-                statusHeader.textContent = '✗ ' + (result.message || 'Authentication Failed');
+                icon = '✗';
+                text = result.message || this.t(`status.${result.status}`);
             } else if (result.status === 'challenge') {
                 statusHeader.className = 'text-warning';
-                statusHeader.textContent = '⚠ ' + (result.message || 'Challenge Required');
+                icon = '⚠';
+                text = result.message || this.t('status.challenge');
             } else if (result.status === 'decoupled') {
                 statusHeader.className = 'text-info';
-                statusHeader.textContent = '⟳ ' + (result.message || 'Decoupled Authentication Required');
+                icon = '⟳';
+                text = result.message || this.t('status.decoupled');
             } else if (result.status === 'partial') {
                 statusHeader.className = 'text-warning';
-                statusHeader.textContent = '△ ' + (result.message || 'Authentication Attempted');
+                icon = '△';
+                text = result.message || this.t('status.partial');
             } else {
                 statusHeader.className = 'text-info';
-                statusHeader.textContent = 'ⓘ ' + (result.message || 'Authentication Completed');
+                icon = 'ⓘ';
+                text = result.message || this.t('status.completed');
             }
             
+            // The symbol is decorative, the text carries the outcome
+            const iconEl = document.createElement('span');
+            iconEl.setAttribute('aria-hidden', 'true');
+            iconEl.textContent = icon + ' ';
+            statusHeader.append(iconEl, text);
+
             this.resultContent.appendChild(statusHeader);
+
+            // Add the amount paid, formatted for the cardholder's locale, or the card verified
+            if (this.payment && this.payment.currency) {
+                this.resultContent.appendChild(this.createResultLine(
+                    this.t('result.amount'),
+                    this.i18n.formatCurrency(this.payment.amount, this.payment.currency.code)
+                ));
+            } else if (this.payment) {
+                this.resultContent.appendChild(this.createResultLine(this.t('result.card'), this.payment.maskedPan));
+            }
             
+            // Add the recurring or instalment terms and whether they were authenticated
+            if (result.mandate) {
+                this.showMandate(result.mandate);
+            }
+
             // Add transaction status
             if (result.transStatus) {
-                const transStatusEl = document.createElement('p');
-                transStatusEl.innerHTML = '<strong>Transaction Status:</strong> ' + this.getTransStatusDescription(result.transStatus);
-                this.resultContent.appendChild(transStatusEl);
+                this.resultContent.appendChild(this.createResultLine(
+                    this.t('result.transStatus'),
+                    this.getTransStatusDescription(result.transStatus)
+                ));
+            }
+
+            // Decoded reason, ECI, authentication value, IDs and liability shift
+            if (result.outcome) {
+                this.showOutcome(result.outcome);
+            }
+
+            // Explain how the challenge ended
+            if (result.challenge) {
+                this.resultContent.appendChild(this.createResultLine(this.t('result.challenge'), result.challenge.message));
             }
             
             // Add raw details in collapsible section
@@ -247,17 +1463,16 @@ class ThreeDSPayment {
                 detailsContainer.className = 'details-container mt-3';
                 
                 const detailsToggle = document.createElement('button');
+                detailsToggle.type = 'button';
                 detailsToggle.className = 'btn btn-sm btn-outline-secondary';
-                detailsToggle.textContent = 'Show Technical Details';
-                detailsToggle.onclick = function() {
-                    const detailsContent = document.getElementById('details-content');
-                    if (detailsContent.style.display === 'none') {
-                        detailsContent.style.display = 'block';
-                        detailsToggle.textContent = 'Hide Technical Details';
-                    } else {
-                        detailsContent.style.display = 'none';
-                        detailsToggle.textContent = 'Show Technical Details';
-                    }
+                detailsToggle.textContent = this.t('result.showDetails');
+                detailsToggle.setAttribute('aria-expanded', 'false');
+                detailsToggle.setAttribute('aria-controls', 'details-content');
+                detailsToggle.onclick = () => {
+                    const expanded = detailsContent.style.display === 'none';
+                    detailsContent.style.display = expanded ? 'block' : 'none';
+                    detailsToggle.textContent = this.t(expanded ? 'result.hideDetails' : 'result.showDetails');
+                    detailsToggle.setAttribute('aria-expanded', String(expanded));
                 };
                 
                 const detailsContent = document.createElement('pre');
@@ -270,29 +1485,130 @@ class ThreeDSPayment {
                 detailsContainer.appendChild(detailsContent);
                 this.resultContent.appendChild(detailsContainer);
             }
+
+            this.finishResultView(statusHeader, text, restartLabel);
         } else {
             // Fallback for unexpected formats
             this.resultContent.textContent = JSON.stringify(result, null, 2);
         }
     }
     
+    /**
+     * Create a labelled line of the result view
+     * @param {string} label - Label, e.g. "Amount:"
+     * @param {string|Node} value - Value text or content
+     * @returns {HTMLParagraphElement} The line
+     */
+    createResultLine(label, value) {
+        const line = document.createElement('p');
+        const labelEl = document.createElement('strong');
+        labelEl.textContent = label;
+        line.append(labelEl, ' ', value);
+        return line;
+    }
+
+    /**
+     * Add the recurring or instalment mandate to the result view
+     * @param {MandateResult} mandate - Mandate of the result
+     */
+    showMandate(mandate) {
+        const terms = this.t(`mandate.${mandate.type}`, {
+            frequency: this.i18n.formatNumber(Number(mandate.recurringFrequency)),
+            expiry: this.i18n.formatDate(mandate.recurringExpiry),
+            instalments: this.i18n.formatNumber(Number(mandate.purchaseInstalData))
+        });
+
+        const badge = document.createElement('span');
+        badge.className = 'badge ' + (mandate.authenticated ? 'bg-success' : 'bg-secondary');
+        badge.dataset.mandateAuthenticated = String(mandate.authenticated);
+        badge.textContent = this.t(mandate.authenticated ? 'mandate.authenticated' : 'mandate.notAuthenticated');
+
+        const value = document.createDocumentFragment();
+        value.append(terms, ' ', badge);
+        this.resultContent.appendChild(this.createResultLine(this.t('result.mandate'), value));
+    }
+
+    /**
+     * Add the decoded authentication outcome to the result view
+     * @param {import('./auth-outcome.js').AuthOutcome} outcome - Decoded outcome
+     */
+    showOutcome(outcome) {
+        if (outcome.transStatusReason) {
+            const {code, description} = outcome.transStatusReason;
+            this.resultContent.appendChild(this.createResultLine(this.t('result.reason'), `${code} - ${description}`));
+        }
+
+        if (outcome.eci) {
+            const {value, description} = outcome.eci;
+            this.resultContent.appendChild(this.createResultLine(this.t('result.eci'), `${value} - ${description}`));
+        }
+
+        this.resultContent.appendChild(this.createResultLine(
+            this.t('result.authenticationValue'),
+            this.t(outcome.authenticationValuePresent ? 'result.present' : 'result.absent')
+        ));
+
+        if (outcome.dsTransID) {
+            this.resultContent.appendChild(this.createResultLine(this.t('result.dsTransId'), outcome.dsTransID));
+        }
+        if (outcome.acsTransID) {
+            this.resultContent.appendChild(this.createResultLine(this.t('result.acsTransId'), outcome.acsTransID));
+        }
+
+        const badge = document.createElement('span');
+        badge.className = 'badge ' + (outcome.liabilityShift ? 'bg-success' : 'bg-secondary');
+        badge.dataset.liabilityShift = String(outcome.liabilityShift);
+        badge.textContent = this.t(outcome.liabilityShift ? 'result.yes' : 'result.no');
+        this.resultContent.appendChild(this.createResultLine(this.t('result.liabilityShift'), badge));
+    }
+
     /**
      * Get human-readable description for transaction status code
      * @param {string} transStatus - Transaction status code
-     * @returns {string} Human-readable description
+     * @returns {DocumentFragment} Status badge followed by its description
      */
     getTransStatusDescription(transStatus) {
-        const statusDescriptions = {
-            'Y': '<span class="badge bg-success">Authenticated (Y)</span> - Authentication verification successful',
-            'N': '<span class="badge bg-danger">Not Authenticated (N)</span> - Not authenticated/account not verified',
-            'U': '<span class="badge bg-secondary">Unauthenticated (U)</span> - Authentication could not be performed due to technical issue',
-            'A': '<span class="badge bg-warning">Attempted (A)</span> - Attempt processing performed but not authenticated',
-            'C': '<span class="badge bg-warning">Challenge Required (C)</span> - Additional authentication required',
-            'D': '<span class="badge bg-info">Decoupled Authentication (D)</span> - Decoupled Authentication confirmed',
-            'R': '<span class="badge bg-danger">Rejected (R)</span> - Authentication rejected by issuer'
+        const badgeClasses = {
+            'Y': 'bg-success',
+            'N': 'bg-danger',
+            'U': 'bg-secondary',
+            'A': 'bg-warning',
+            'C': 'bg-warning',
+            'D': 'bg-info',
+            'R': 'bg-danger'
         };
-        
-        return statusDescriptions[transStatus] || `<span class="badge bg-secondary">Unknown (${transStatus})</span>`;
+        const known = Object.prototype.hasOwnProperty.call(badgeClasses, transStatus);
+
+        const badge = document.createElement('span');
+        badge.className = 'badge ' + (known ? badgeClasses[transStatus] : 'bg-secondary');
+        badge.textContent = `${this.t(known ? `transStatus.${transStatus}` : 'transStatus.unknown')} (${transStatus})`;
+
+        const fragment = document.createDocumentFragment();
+        fragment.append(badge);
+        if (known) {
+            fragment.append(' - ' + this.t(`transStatus.${transStatus}.detail`));
+        }
+        return fragment;
+    }
+
+    /**
+     * Add the way back to the payment form, announce the outcome and focus its heading
+     * @param {HTMLElement} heading - Element summing up the outcome
+     * @param {string} announcement - Outcome read out in the status region
+     * @param {string} restartLabel - Text of the button leading back to the payment form
+     */
+    finishResultView(heading, announcement, restartLabel) {
+        const restart = document.createElement('button');
+        restart.type = 'button';
+        restart.className = 'btn btn-primary mt-3 d-block';
+        restart.textContent = restartLabel;
+        // The next payment starts from a clean transaction
+        restart.addEventListener('click', () => this.reset());
+        this.resultContent.appendChild(restart);
+
+        heading.id = 'resultHeading';
+        this.announce(announcement);
+        this.focusView(heading);
     }
 
     /**
@@ -300,18 +1616,42 @@ class ThreeDSPayment {
      * @param {string} message - Error message
      */
     showError(message) {
-        this.showResult(message, true);
+        this.showResult(message, true, this.t('result.tryAgain'));
+    }
+
+    /**
+     * Show the session expired message with a way back to the payment form
+     * @param {string} message - Error message
+     */
+    showSessionExpired(message) {
+        this.showResult(message, true, this.t('result.retryPayment'));
     }
 
     /**
      * Show payment form
      */
     showPaymentForm() {
+        if (!this.options.render) return;
+
         this.paymentCard.classList.remove('hidden');
-        this.paymentForm.classList.remove('hidden');
         this.processingSpinner.classList.add('hidden');
         this.resultContainer.classList.add('hidden');
         this.challengeContainer.classList.add('hidden');
+
+        if (this.cardNumber) this.focusField(this.cardNumber);
+    }
+
+    /**
+     * Move the focus to a form field, into its frame for a hosted card field
+     * @param {Element} element - Form field or hosted field container
+     */
+    focusField(element) {
+        const field = this.hostedFields ? this.hostedFields.fieldOf(element) : null;
+        if (field) {
+            this.hostedFields.focus(field);
+        } else {
+            element.focus();
+        }
     }
 
     /**
@@ -319,20 +1659,93 @@ class ThreeDSPayment {
      * @param {string} challengeUrl - URL for challenge iframe
      */
     showChallenge(challengeUrl) {
+        this.challengeEndReason = null;
+        this.emit('challenge', {
+            challengeUrl,
+            challengeWindowSize: this.transactionData.challengeWindowSize,
+            threeDSServerTransID: this.transactionData.threeDSServerTransID
+        });
+
+        // Give up on the challenge when the cardholder does not complete it in time
+        this.challengeTimers.expiry = setTimeout(() => {
+            this.challengeTimers.expiry = null;
+            this.logger.warn('Challenge timed out');
+            this.endChallenge('timedOut');
+        }, this.options.challengeTimeout);
+
+        // The host application presents the challenge itself
+        if (!this.options.render) {
+            this.logger.info('Challenge required, monitoring for completion via resultMonUrl');
+            return;
+        }
+
         this.processingSpinner.classList.add('hidden');
-        this.challengeContainer.classList.remove('hidden');
 
-        // Create challenge iframe
-        const iframe = document.createElement('iframe');
-        iframe.classList.add('challenge-iframe');
-        iframe.src = challengeUrl;
+        // Modal and fullscreen challenges are shown above the page instead of in the container
+        const inline = this.challengePresenter.getEffectiveMode() === 'inline';
+        this.challengeContainer.classList.toggle('hidden', !inline);
+
+        const iframe = this.challengePresenter.open(challengeUrl, {
+            windowSize: this.transactionData.challengeWindowSize,
+            onCancel: () => this.cancelChallenge()
+        });
+        this.channel.addSource(iframe);
 
-        // Clear previous iframe if any
-        this.challengeFrameContainer.innerHTML = '';
-        this.challengeFrameContainer.appendChild(iframe);
+        // Cross-origin pages do not report load errors reliably, so a page that never loads counts as failed
+        this.challengeTimers.load = setTimeout(() => {
+            this.challengeTimers.load = null;
+            this.logger.warn('Challenge page did not load');
+            this.endChallenge('loadFailed');
+        }, this.options.challengeLoadTimeout);
+
+        iframe.addEventListener('load', () => {
+            clearTimeout(this.challengeTimers.load);
+            this.challengeTimers.load = null;
+        }, {once: true});
+        iframe.addEventListener('error', () => this.endChallenge('loadFailed'), {once: true});
 
         // Log challenge status
-        console.log('Challenge iframe loaded, monitoring for completion via resultMonUrl');
+        this.logger.info('Challenge iframe loaded, monitoring for completion via resultMonUrl');
+    }
+
+    /**
+     * Cancel the challenge on the cardholder's behalf and fetch the resulting outcome.
+     * Host applications rendering their own challenge call this from their cancel control.
+     * @returns {Promise<boolean>} Success status
+     */
+    cancelChallenge() {
+        return this.endChallenge('cancelled');
+    }
+
+    /**
+     * End the challenge, report why it ended and fetch the resulting outcome
+     * @param {string} reason - Key of CHALLENGE_END_REASONS
+     * @returns {Promise<boolean>} Success status
+     */
+    async endChallenge(reason) {
+        // Only the first way the challenge ends counts
+        if (this.stateMachine.state !== States.CHALLENGE) {
+            this.logger.warn(`Ignoring challenge end (${reason}) in state ${this.stateMachine.state}`);
+            return false;
+        }
+
+        this.logger.info('Challenge ended:', reason);
+        this.clearChallengeTimers();
+        this.challengePresenter.close();
+        this.challengeEndReason = reason;
+        this.stateMachine.transition(States.RESULT_PENDING, reason);
+        this.showProcessing();
+
+        return this.updateChallengeStatusAndGetResult(reason);
+    }
+
+    /**
+     * Stop the challenge load and completion timeouts
+     */
+    clearChallengeTimers() {
+        clearTimeout(this.challengeTimers.load);
+        clearTimeout(this.challengeTimers.expiry);
+        this.challengeTimers = {load: null, expiry: null};
     }
 
     /**
@@ -340,451 +1753,557 @@ class ThreeDSPayment {
      * @param {MessageEvent} event - Event from iframe
      */
     async handleFrameEvent(event) {
-        console.log('Received event from iframe:', event.data);
+        // The hosted card fields talk to their own handler
+        if (this.hostedFields && this.hostedFields.isFieldMessage(event)) {
+            return;
+        }
+
+        // Only accept messages from our notification page, bound to the current transaction
+        const message = this.channel.receive(event);
+        if (!message) {
+            return;
+        }
+
+        const eventType = message.event;
+        this.logger.debug('Received event from iframe:', eventType);
+
+        // Reject events that are not expected in the current state (duplicates, late or stray events)
+        if (!this.stateMachine.accepts(eventType)) {
+            this.logger.info(`Ignoring ${eventType} event in state ${this.stateMachine.state}`);
+            return;
+        }
 
         try {
-            // Check if event is an object with event property
-            if (typeof event.data === 'object' && event.data.event) {
-                const eventType = event.data.event;
-
-                // Store browser info if provided
-                if (event.data.param) {
-                    this.transactionData.browserInfo = event.data.param;
-                    console.log('Received browser info from 3DS Server');
-                }
+            // Store browser info if provided
+            if (message.param) {
+                this.transactionData.browserInfo = message.param;
+                this.transactionData.browserInfoSource = BrowserInfoSource.THREE_DS_SERVER;
+                this.logger.info('Received browser info from 3DS Server');
+            }
 
-                // Process events
-                if (eventType === '3DSMethodSkipped' || eventType === '3DSMethodFinished') {
-                    console.log('3DS Method completed, proceeding with authentication');
-                    this.transactionData.eventReceived = true;
-                    // Only proceed if we have browser info
-                    if (this.transactionData.browserInfo) {
-                        await this.processAuthentication();
-                    } else {
-                        console.error('Cannot proceed: No browser info received with 3DS Method event');
-                        this.showResult('Authentication failed: No browser info received from 3DS server', true);
-                    }
-                } else if (eventType === 'InitAuthTimedOut') {
-                    console.log('3DS Method timed out, proceeding with authentication');
-                    this.transactionData.eventReceived = true;
-                    // Try to proceed with authentication even without browser info
-                    // The 3DS server may still have some browser info gathered from the monitoring iframe
-                    await this.processAuthentication();
-                } else if (eventType === 'Challenge:Completed' || eventType === 'AuthResultReady') {
-                    console.log('Challenge or AuthResultReady event received, updating status and checking result');
-
-                    // Prevent duplicate processing of the same challenge completion event
-                    if (!this.transactionData.challengeCompleted) {
-                        this.transactionData.challengeCompleted = true;
-                        await this.updateChallengeStatusAndGetResult();
-                    } else {
-                        console.log('Challenge completion event already processed, ignoring duplicate');
-                    }
+            // Process events
+            if (eventType === 'Error') {
+                // The server could not process a notification, no further event will come
+                this.logger.error('Notification error:', message.message);
+                this.fail(this.t('error.frameEvent', {detail: message.message || 'Unknown error'}));
+            } else if (eventType === '3DSMethodSkipped' || eventType === '3DSMethodFinished') {
+                this.logger.info('3DS Method completed, proceeding with authentication');
+                // Only proceed if we have browser info
+                if (this.transactionData.browserInfo) {
+                    await this.processAuthentication(eventType);
                 } else {
-                    console.log('Received other event:', eventType);
-                }
-            }
-            // Handle string events (fallback)
-            else if (typeof event.data === 'string') {
-                if (event.data === '3DSMethodSkipped' || event.data === '3DSMethodFinished') {
-                    console.log('3DS Method completed (string event), proceeding with authentication');
-                    this.transactionData.eventReceived = true;
-                    // For string events, we need to get browser info from the session
-                    if (this.transactionData.browserInfo) {
-                        await this.processAuthentication();
-                    } else {
-                        console.error('Cannot proceed: No browser info available with string event');
-                        this.showResult('Authentication failed: No browser info available', true);
-                    }
-                } else if (event.data === 'Challenge:Completed' || event.data === 'AuthResultReady') {
-                    // Prevent duplicate processing for string events too
-                    if (!this.transactionData.challengeCompleted) {
-                        this.transactionData.challengeCompleted = true;
-                        console.log('Challenge completed (string event), getting result');
-                        await this.updateChallengeStatusAndGetResult();
-                    } else {
-                        console.log('Challenge completion event already processed, ignoring duplicate');
-                    }
+                    this.logger.error('Cannot proceed: No browser info received with 3DS Method event');
+                    this.fail(this.t('error.noBrowserInfo'));
                 }
+            } else if (eventType === 'InitAuthTimedOut') {
+                this.logger.info('3DS Method timed out, proceeding with authentication');
+                // Try to proceed with authentication even without browser info
+                // The 3DS server may still have some browser info gathered from the monitoring iframe
+                await this.processAuthentication(eventType);
+            } else if (this.stateMachine.state === States.DECOUPLED) {
+                this.logger.info('AuthResultReady event received for decoupled authentication, checking result');
+                this.stopDecoupled();
+                this.stateMachine.transition(States.RESULT_PENDING, eventType);
+                await this.getAuthenticationResult();
+            } else if (eventType === 'Challenge:Completed' || eventType === 'AuthResultReady') {
+                this.logger.info('Challenge or AuthResultReady event received, checking result');
+                await this.endChallenge('completed');
             }
         } catch (error) {
-            console.error('Error handling iframe event:', error);
-            this.showResult('Error processing 3DS response: ' + error.message, true);
+            this.logger.error('Error handling iframe event:', error);
+            this.fail(this.t('error.frameEvent', {detail: error.message}), error);
+        }
+    }
+
+    /**
+     * Stop waiting for the 3DS Method
+     */
+    clearMethodTimer() {
+        if (this.methodTimer !== null) {
+            clearTimeout(this.methodTimer);
+            this.methodTimer = null;
         }
     }
 
     /**
      * Initialize 3DS process
-     * @param {string} cardNumber - Card number
+     * @param {string|null} cardNumber - Card number, null to tokenise the card in the hosted fields
      * @param {string} amount - Amount
      * @returns {Promise<boolean>} Success status
      */
     async initialize3DS(cardNumber, amount) {
         try {
+            this.stateMachine.transition(States.INITIALIZING);
             this.showProcessing();
 
             // Generate transaction ID
             this.transactionData.threeDSRequestorTransID = this.generateUUID();
+            this.logger.setTransaction(null);
 
             // Prepare initialization data
             const initData = {
-                action: 'init',
-                authData: {
-                    acctNumber: cardNumber
-                }
+                threeDSRequestorTransID: this.transactionData.threeDSRequestorTransID,
+                cardBrand: this.payment.cardBrand
             };
 
-            console.log('Sending init request:', initData);
-
-            // Send initialization request
-            const response = await fetch('api', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(initData)
-            });
-
-            // Check HTTP status
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+            if (cardNumber === null) {
+                // The card number and expiry date go from the frames to the server, the page gets a token
+                const card = await this.hostedFields.tokenize(this.abortController.signal);
+                this.payment.maskedPan = card.maskedPan;
+                initData.cardToken = card.token;
+            } else {
+                initData.authData = {acctNumber: cardNumber};
             }
 
-            // Parse response
-            const data = await response.json();
-            console.log('Init response:', data);
+            this.logger.debug('Sending init request:', initData);
 
-            // Check for error
-            if (data.error) {
-                throw new Error(data.error);
-            }
+            // Send initialization request
+            const data = await this.request('init', initData);
+            this.logger.debug('Init response:', data);
 
             // Validate required fields
-            if (!data.threeDSServerTransID || !data.threeDSServerCallbackUrl) {
+            if (!data.threeDSServerTransID || !data.threeDSServerCallbackUrl || !data.channelNonce || !data.cardReference) {
                 throw new Error('Missing required response fields');
             }
 
             // Store important response data
             this.transactionData.threeDSServerTransID = data.threeDSServerTransID;
+            this.logger.setTransaction(data.threeDSServerTransID);
+            this.transactionData.threeDSRequestorTransID = data.threeDSRequestorTransID || this.transactionData.threeDSRequestorTransID;
             this.transactionData.threeDSServerCallbackUrl = data.threeDSServerCallbackUrl;
             this.transactionData.monUrl = data.monUrl;
             this.transactionData.authUrl = data.authUrl;
+            this.transactionData.browserInfo = null;
+            this.transactionData.browserInfoSource = null;
+            this.transactionData.cardReference = data.cardReference;
+
+            // The server holds the card from here on
+            this.clearCardFields();
+
+            // Only accept notifications for this transaction from now on
+            this.channel.open({
+                threeDSServerTransID: data.threeDSServerTransID,
+                threeDSRequestorTransID: this.transactionData.threeDSRequestorTransID,
+                nonce: data.channelNonce
+            });
 
             // Create monitoring iframe
-            const monIframe = document.createElement('iframe');
-            monIframe.id = 'monitoringIframe';
-            monIframe.src = this.transactionData.monUrl;
-            this.iframeContainer.appendChild(monIframe);
+            this.createMonitoringFrame('monitoringIframe', this.transactionData.monUrl);
 
             // Create callback iframe for browser info collection
-            const callbackIframe = document.createElement('iframe');
-            callbackIframe.id = 'callbackIframe';
-            callbackIframe.src = this.transactionData.threeDSServerCallbackUrl;
-            this.iframeContainer.appendChild(callbackIframe);
-
-            // If no events received within 6 seconds, only proceed if we have browser info
-            setTimeout(() => {
-                if (!this.transactionData.eventReceived) {
-                    console.log('No events received after timeout, proceeding with authentication anyway');
-                    this.processAuthentication();
+            this.createMonitoringFrame('callbackIframe', this.transactionData.threeDSServerCallbackUrl);
+
+            this.stateMachine.transition(States.METHOD_RUNNING);
+
+            // If no events received within the method timeout, proceed with authentication anyway
+            this.methodTimer = setTimeout(() => {
+                this.methodTimer = null;
+                if (this.stateMachine.accepts('MethodTimeout')) {
+                    this.logger.info('No events received after timeout, proceeding with authentication anyway');
+                    this.processAuthentication('MethodTimeout');
                 }
-            }, 6000);
+            }, this.options.methodTimeout);
 
             return true;
         } catch (error) {
-            console.error('Initialization error:', error);
-            this.showResult('Error initializing 3DS: ' + error.message, true);
+            this.logger.error('Initialization error:', error);
+            this.fail(this.t('error.init', {detail: error.message}), error);
             return false;
         }
     }
 
+    /**
+     * Clear the card number and CVV inputs, resetting their formatting and validation styles
+     */
+    clearCardFields() {
+        if (this.hostedFields) {
+            this.hostedFields.clear(['cardNumber', 'cvv']);
+            return;
+        }
+
+        for (const input of [this.cardNumber, this.cvv]) {
+            if (!input) continue;
+
+            input.value = '';
+            input.dispatchEvent(new Event('input', {bubbles: true}));
+        }
+    }
+
     /**
      * Process authentication after browserInfo is collected
+     * @param {string} reason - Event that ended the 3DS Method phase
      * @returns {Promise<boolean>} Success status
      */
-    async processAuthentication() {
+    async processAuthentication(reason) {
         try {
+            this.clearMethodTimer();
+            this.stateMachine.transition(States.AUTHENTICATING, reason);
+
             // For 3DS, we should use the browser info received from the 3DS server
             // but in case of timeout, we may need to proceed anyway
             if (!this.transactionData.browserInfo) {
-                console.warn('No browser info received from 3DS server - attempting authentication anyway');
-                // Create a minimal browser info object with just the essentials
-                // This is not ideal but better than failing outright on timeout
-                this.transactionData.browserInfo = btoa(JSON.stringify({
-                    browserUserAgent: navigator.userAgent,
-                    browserLanguage: navigator.language,
-                    browserScreenWidth: window.screen.width.toString(),
-                    browserScreenHeight: window.screen.height.toString(),
-                    browserColorDepth: window.screen.colorDepth.toString(),
-                    browserTZ: new Date().getTimezoneOffset().toString()
-                }));
-            }
+                this.logger.warn('No browser info received from 3DS server - collecting it in the browser');
+                const browserInfo = collectBrowserInfo({acceptHeader: this.options.acceptHeader});
+
+                // The server replaces invalid values with defaults, so authentication can still go ahead
+                const invalidFields = validateBrowserInfo(browserInfo);
+                if (invalidFields.length > 0) {
+                    this.logger.warn('Collected browser info has invalid fields:', invalidFields);
+                }
 
-            const cardNumberElement = document.getElementById('cardNumber');
-            const amountElement = document.getElementById('amount');
-            const expiryDateElement = document.getElementById('expiryDate');
+                this.transactionData.browserInfo = encodeBrowserInfo(browserInfo);
+                this.transactionData.browserInfoSource = BrowserInfoSource.FALLBACK;
+            }
 
-            if (!cardNumberElement || !amountElement || !expiryDateElement) {
-                throw new Error('Required form fields not found');
+            if (!this.payment) {
+                throw new Error('No payment in progress');
             }
 
-            const cardNumber = cardNumberElement.value;
-            const amount = amountElement.value;
-            const expiryDate = this.formatExpiryDate(expiryDateElement.value);
+            // Tell the ACS how large the challenge window will be
+            this.transactionData.challengeWindowSize = resolveChallengeWindowSize(this.options.challengeWindowSize);
 
             // Prepare authentication data
             const authData = {
-                action: 'auth',
-                acctNumber: cardNumber,
+                cardReference: this.transactionData.cardReference,
                 browserInfo: this.transactionData.browserInfo,
-                cardExpiryDate: expiryDate,
-                purchaseAmount: this.formatAmount(amount),
+                browserInfoSource: this.transactionData.browserInfoSource,
+                messageCategory: MESSAGE_CATEGORIES[this.payment.mode],
                 threeDSServerTransID: this.transactionData.threeDSServerTransID,
-                threeDSRequestorTransID: this.transactionData.threeDSRequestorTransID
+                threeDSRequestorTransID: this.transactionData.threeDSRequestorTransID,
+                threeDSRequestorDecMaxTime: String(this.options.decoupledMaxTime),
+                challengeWindowSize: this.transactionData.challengeWindowSize
             };
 
-            console.log('Sending auth request:', authData);
-
-            // Send authentication request
-            const response = await fetch('api', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(authData)
-            });
+            // The server keeps the expiry date of a card entered in the hosted fields
+            if (this.payment.expiryDate) {
+                authData.cardExpiryDate = this.formatExpiryDate(this.payment.expiryDate);
+            }
 
-            // Check HTTP status
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+            // Cardholder details are optional, send them only when given
+            if (Object.keys(this.payment.cardholderInfo).length > 0) {
+                authData.cardholderInfo = this.payment.cardholderInfo;
             }
 
-            // Parse response
-            const data = await response.json();
-            console.log('Auth response:', data);
+            if (this.isVerification()) {
+                // Non-payment authentication of a card being saved
+                authData.threeDSRequestorAuthenticationInd = ADD_CARD_INDICATOR;
+            } else {
+                const currency = this.payment.currency;
+                Object.assign(authData, {
+                    purchaseAmount: this.payment.purchaseAmount,
+                    purchaseCurrency: currency.numeric,
+                    purchaseExponent: currency.exponent,
+                    purchaseDate: this.formatDate()
+                });
 
-            // Check for error
-            if (data.error) {
-                throw new Error(data.error);
+                // One-off purchase, or the recurring or instalment terms
+                Object.assign(authData, buildMandateData(this.payment.mandate));
             }
-            
+
+            this.logger.debug('Sending auth request:', authData);
+
+            // Send authentication request, retries reuse the idempotency key
+            const data = await this.request('auth', authData);
+            this.logger.debug('Auth response:', data);
+
             // Store resultMonUrl if available
             if (data.resultMonUrl) {
-                console.log('Result monitoring URL received:', data.resultMonUrl);
+                this.logger.debug('Result monitoring URL received:', data.resultMonUrl);
                 this.transactionData.resultMonUrl = data.resultMonUrl;
                 
                 // Create result monitoring iframe
-                const resultMonIframe = document.createElement('iframe');
-                resultMonIframe.id = 'resultMonitoringIframe';
-                resultMonIframe.src = data.resultMonUrl;
-                
-                // Remove any existing result monitoring iframe
-                const existingIframe = document.getElementById('resultMonitoringIframe');
-                if (existingIframe) {
-                    this.iframeContainer.removeChild(existingIframe);
-                }
-                
-                // Add the new iframe
-                this.iframeContainer.appendChild(resultMonIframe);
+                this.createMonitoringFrame('resultMonitoringIframe', data.resultMonUrl);
             }
 
             // Check transaction status
             if (data.transStatus === 'C' && data.challengeUrl) {
                 // Challenge required
+                this.stateMachine.transition(States.CHALLENGE);
+                this.payment.flow = 'challenge';
                 this.showChallenge(data.challengeUrl);
             } else if (data.transStatus === 'D') {
-                // Decoupled Authentication required
-                this.showResult({
-                    status: 'decoupled',
-                    message: 'Decoupled Authentication Required - Please verify on your device',
-                    transStatus: data.transStatus,
-                    details: data
-                });
-            } else if (data.transStatus === 'Y') {
-                // Authentication successful
-                this.showResult({
-                    status: 'success',
-                    message: 'Payment Authenticated Successfully',
-                    transStatus: data.transStatus,
-                    details: data
-                });
-            } else if (data.transStatus === 'N') {
-                // Not authenticated
-                this.showResult({
-                    status: 'failed',
-                    message: 'Authentication Failed - Not Authenticated',
-                    transStatus: data.transStatus,
-                    details: data
-                });
-            } else if (data.transStatus === 'U') {
-                // Unauthenticated due to technical issue
-                this.showResult({
-                    status: 'error',
-                    message: 'Authentication Error - Technical Issue',
-                    transStatus: data.transStatus,
-                    details: data
-                });
-            } else if (data.transStatus === 'A') {
-                // Attempted but not verified
-                this.showResult({
-                    status: 'partial',
-                    message: 'Authentication Attempted but Not Verified',
-                    transStatus: data.transStatus,
-                    details: data
-                });
-            } else if (data.transStatus === 'R') {
-                // Rejected by issuer
-                this.showResult({
-                    status: 'rejected',
-                    message: 'Authentication Rejected by Issuer',
-                    transStatus: data.transStatus,
-                    details: data
-                });
+                // Decoupled Authentication required, wait for the cardholder to approve on their device
+                this.stateMachine.transition(States.DECOUPLED);
+                this.payment.flow = 'decoupled';
+                this.startDecoupled(data);
             } else {
-                // Other status
-                this.showResult({
-                    status: 'complete',
-                    message: 'Authentication Completed',
-                    transStatus: data.transStatus,
-                    details: data
-                });
+                // Frictionless outcome, the status message is in the cardholder's language
+                this.complete(this.buildResult(data.transStatus, data));
             }
 
             return true;
         } catch (error) {
-            console.error('Authentication error:', error);
-            this.showResult('Error during authentication: ' + error.message, true);
+            this.logger.error('Authentication error:', error);
+            this.fail(this.t('error.auth', {detail: error.message}), error);
             return false;
         }
     }
 
     /**
      * Update challenge status and get authentication result
+     * @param {string} reason - Why the challenge ended, a key of CHALLENGE_END_REASONS
      * @returns {Promise<boolean>} Success status
      */
-    async updateChallengeStatusAndGetResult() {
+    async updateChallengeStatusAndGetResult(reason) {
         try {
             if (!this.transactionData.threeDSServerTransID) {
                 throw new Error('Missing transaction ID');
             }
 
-            // 1. Update challenge status
-            const statusResponse = await fetch('api', {
-                method: 'POST',
-                headers: {'Content-Type': 'application/json'},
-                body: JSON.stringify({
-                    action: 'updateChallengeStatus',
-                    threeDSServerTransID: this.transactionData.threeDSServerTransID,
-                    status: '01' // or 'CReqNotSent', as per your use case
-                })
-            });
-
-            // Parse the status response
-            let statusData;
-            try {
-                statusData = await statusResponse.json();
-            } catch (e) {
-                console.warn('Could not parse status response as JSON, continuing anyway');
-            }
-
-            // If we got a successful response or the transaction was already completed,
-            // proceed to get the auth result
-            if (statusResponse.ok ||
-                (statusData && statusData.message === 'Transaction was already completed')) {
-                // 2. Now get the result
-                await this.getAuthenticationResult();
-                return true;
-            } else {
-                // If there's an error in the status update that's not "already completed", 
-                // try to get the result anyway
-                console.warn(`Status update issue (${statusResponse.status}), trying to get auth result anyway`);
-
+            // 1. Report a challenge that did not complete normally
+            const status = CHALLENGE_END_REASONS[reason].status;
+            if (status) {
                 try {
-                    await this.getAuthenticationResult();
-                    return true;
-                } catch (resultError) {
-                    throw new Error(`Status update failed and couldn't get result: ${resultError.message}`);
+                    await this.request('updateChallengeStatus', {
+                        threeDSServerTransID: this.transactionData.threeDSServerTransID,
+                        status
+                    });
+                } catch (statusError) {
+                    // The result may still be available, e.g. when the transaction already completed
+                    this.logger.warn(`Status update issue (${statusError.message}), trying to get auth result anyway`);
                 }
             }
+
+            // 2. Now get the result
+            return await this.getAuthenticationResult();
         } catch (error) {
-            console.error('Error updating challenge status or getting result:', error);
-            this.showResult('Error updating challenge status or getting result: ' + error.message, true);
+            this.logger.error('Error updating challenge status or getting result:', error);
+            this.fail(this.t('error.challengeResult', {detail: error.message}), error);
             return false;
         }
     }
 
+    /**
+     * Request the authentication result from the server
+     * @returns {Promise<Object>} Result data (status, message, transStatus, details)
+     */
+    async fetchAuthResult() {
+        if (!this.transactionData.threeDSServerTransID) {
+            throw new Error('Missing transaction ID');
+        }
+
+        // Prepare request data
+        const resultData = {
+            threeDSServerTransID: this.transactionData.threeDSServerTransID
+        };
+
+        this.logger.debug('Getting auth result:', resultData);
+
+        // Send request
+        const data = await this.request('getAuthResult', resultData);
+        this.logger.debug('Auth result response:', data);
+
+        return data;
+    }
+
     /**
      * Get authentication result after challenge
      * @returns {Promise<boolean>} Success status
      */
     async getAuthenticationResult() {
         try {
-            if (!this.transactionData.threeDSServerTransID) {
-                throw new Error('Missing transaction ID');
-            }
+            const data = await this.fetchAuthResult();
+            this.completeWithAuthResult(data);
+
+            return true;
+        } catch (error) {
+            this.logger.error('Get auth result error:', error);
+            this.fail(this.t('error.authResult', {detail: error.message}), error);
+            return false;
+        }
+    }
+
+    /**
+     * Build the result of an authentication outcome
+     * @param {string} transStatus - EMV transaction status
+     * @param {Object} details - Response the outcome came from
+     * @param {string} [status] - Outcome status sent by the server, derived from transStatus when missing
+     * @param {Object} [response] - ActiveServer response to decode, the details themselves by default
+     * @returns {AuthResult} Result with a message in the current locale
+     */
+    buildResult(transStatus, details, status, response = details) {
+        const outcome = status || AUTH_STATUSES[transStatus] || 'completed';
+        const brand = this.payment ? this.payment.cardBrand : null;
+
+        // A card verification is worded as such, with the payment wording for statuses it does not reword
+        const prefix = this.isVerification() && this.i18n.has(`verification.${outcome}`) ? 'verification' : 'status';
+
+        const result = {
+            status: outcome,
+            message: this.i18n.has(`${prefix}.${outcome}`) ? this.t(`${prefix}.${outcome}`) : this.t('status.completed'),
+            transStatus: transStatus,
+            details: details,
+            outcome: decodeAuthOutcome(response, brand, (key, params) => this.t(key, params))
+        };
+
+        if (this.payment && this.payment.mandate) {
+            // The result carries the terms only, the indicator follows from the type
+            const terms = buildMandateData(this.payment.mandate);
+            delete terms.threeDSRequestorAuthenticationInd;
+            result.mandate = {type: this.payment.mandate.type, ...terms, authenticated: MANDATE_STATUSES.includes(transStatus)};
+        }
 
-            // Prepare request data
-            const resultData = {
-                action: 'getAuthResult',
-                threeDSServerTransID: this.transactionData.threeDSServerTransID
+        return result;
+    }
+
+    /**
+     * Finish the flow with a getAuthResult response
+     * @param {Object} data - Result data returned by the getAuthResult action
+     */
+    completeWithAuthResult(data) {
+        // Clean up monitoring iframes - we don't need them anymore
+        this.cleanupIframes();
+
+        // The server returns a status code, the message is in the cardholder's language
+        const statusInfo = this.buildResult(data.transStatus || 'Unknown', data, data.status, data.details);
+
+        if (this.challengeEndReason) {
+            statusInfo.challenge = {
+                reason: this.challengeEndReason,
+                message: this.t(`challenge.${this.challengeEndReason}`)
             };
+        }
 
-            console.log('Getting auth result:', resultData);
+        // Display the formatted result
+        this.complete(statusInfo);
+    }
 
-            // Send request
-            const response = await fetch('api', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(resultData)
-            });
+    /**
+     * Keep the transaction open while the cardholder authenticates on another device
+     * @param {Object} data - Auth response with transStatus D
+     */
+    startDecoupled(data) {
+        // The ACS must respond within the decoupled max time we requested
+        const maxTime = parseInt(data.threeDSRequestorDecMaxTime, 10) || this.options.decoupledMaxTime;
+        const deadline = Date.now() + maxTime * 60000;
 
-            // Check HTTP status
-            if (!response.ok) {
-                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-            }
+        this.decoupled = {deadline, attempt: 0, pollTimer: null, countdownTimer: null};
+        this.emit('decoupled', {deadline, threeDSServerTransID: this.transactionData.threeDSServerTransID});
 
-            // Parse response
-            const data = await response.json();
-            console.log('Auth result response:', data);
+        if (this.options.render) {
+            this.showDecoupled();
+        }
 
-            // Check for error
-            if (data.error) {
-                throw new Error(data.error);
-            }
+        this.scheduleDecoupledPoll();
+    }
 
-            // Make sure to hide both processing spinner and challenge container
-            this.processingSpinner.classList.add('hidden');
-            this.challengeContainer.classList.add('hidden');
-            
-            // Clean up monitoring iframes - we don't need them anymore
-            this.cleanupIframes();
+    /**
+     * Schedule the next result poll following the backoff schedule
+     */
+    scheduleDecoupledPoll() {
+        const schedule = this.options.decoupledPollSchedule;
+        const delay = schedule[Math.min(this.decoupled.attempt, schedule.length - 1)];
+        const remaining = this.decoupled.deadline - Date.now();
 
-            // Get transaction status and map to appropriate messages
-            const transStatus = data.transStatus || 'Unknown';
-            
-            // Map status to appropriate title
-            let statusInfo = {
-                status: data.status || 'completed',
-                message: data.message || 'Authentication Completed',
-                transStatus: transStatus,
-                details: data
-            };
-            
-            // Display the formatted result
-            this.showResult(statusInfo);
+        this.decoupled.attempt++;
+        this.decoupled.pollTimer = setTimeout(() => this.pollDecoupledResult(), Math.max(0, Math.min(delay, remaining)));
+    }
 
-            return true;
+    /**
+     * Poll the authentication result until it is final or the decoupled time runs out
+     */
+    async pollDecoupledResult() {
+        if (!this.decoupled) return;
+        this.decoupled.pollTimer = null;
+
+        let data = null;
+        try {
+            data = await this.fetchAuthResult();
         } catch (error) {
-            console.error('Get auth result error:', error);
-            this.showResult('Error getting authentication result: ' + error.message, true);
-            return false;
+            // A failed poll is retried on the next tick of the schedule
+            this.logger.warn('Decoupled result poll failed:', error.message);
+        }
+
+        // AuthResultReady may have finished the transaction while the poll was in flight
+        if (!this.decoupled || this.stateMachine.state !== States.DECOUPLED) return;
+
+        if (data && data.transStatus && data.transStatus !== 'D') {
+            this.stopDecoupled();
+            this.stateMachine.transition(States.RESULT_PENDING, 'poll');
+            this.completeWithAuthResult(data);
+        } else if (Date.now() >= this.decoupled.deadline) {
+            this.logger.warn('Decoupled authentication timed out');
+            this.stopDecoupled();
+
+            // Tell the 3DS Server the cardholder never responded, as for a challenge that times out
+            try {
+                await this.request('updateChallengeStatus', {
+                    threeDSServerTransID: this.transactionData.threeDSServerTransID,
+                    status: CHALLENGE_END_REASONS.decoupledTimedOut.status
+                });
+            } catch (statusError) {
+                this.logger.warn(`Status update issue (${statusError.message})`);
+            }
+
+            // The payment may have been aborted while the status was being reported
+            if (this.stateMachine.state !== States.DECOUPLED) return;
+            this.fail(this.t('error.decoupledTimeout'));
+        } else {
+            this.scheduleDecoupledPoll();
+        }
+    }
+
+    /**
+     * Stop polling and counting down for decoupled authentication
+     */
+    stopDecoupled() {
+        if (!this.decoupled) return;
+
+        clearTimeout(this.decoupled.pollTimer);
+        clearInterval(this.decoupled.countdownTimer);
+        this.decoupled = null;
+
+        if (this.decoupledContainer) {
+            this.decoupledContainer.classList.add('hidden');
         }
     }
+
+    /**
+     * Show the decoupled authentication notice with a countdown
+     */
+    showDecoupled() {
+        this.processingSpinner.classList.add('hidden');
+        this.challengeContainer.classList.add('hidden');
+
+        if (!this.decoupledContainer) return;
+
+        this.decoupledContainer.classList.remove('hidden');
+        this.focusView(this.decoupledContainer);
+
+        const updateCountdown = () => {
+            if (!this.decoupled || !this.decoupledCountdown) return;
+
+            const seconds = Math.max(0, Math.ceil((this.decoupled.deadline - Date.now()) / 1000));
+            const twoDigits = {minimumIntegerDigits: 2, useGrouping: false};
+            const minutes = this.i18n.formatNumber(Math.floor(seconds / 60), twoDigits);
+            this.decoupledCountdown.textContent = `${minutes}:${this.i18n.formatNumber(seconds % 60, twoDigits)}`;
+        };
+
+        updateCountdown();
+        this.decoupled.countdownTimer = setInterval(updateCountdown, 1000);
+    }
 }
 
-// Initialize when the DOM is ready
+// Expose the SDK to host pages that do not import it as a module
+window.ThreeDSPayment = ThreeDSPayment;
+
+// Initialize the built-in payment page when the DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    new ThreeDSPayment();
-}); 
\ No newline at end of file
+    if (document.getElementById('paymentForm')) {
+        window.threeDSPayment = new ThreeDSPayment(window.threeDSConfig || {});
+
+        const historyPanel = document.getElementById('historyPanel');
+        if (historyPanel && window.threeDSPayment.history) {
+            new HistoryPanel(
+                window.threeDSPayment.history,
+                historyPanel,
+                document.getElementById('historyReceipt'),
+                window.threeDSPayment.logger,
+                window.threeDSPayment.i18n
+            );
+        }
+    }
+});
+
+export {ThreeDSPayment, DEFAULT_OPTIONS, States};
+export default ThreeDSPayment;
@@ -0,0 +1,292 @@
+/**
+ * API Client Module
+ * Shared client for the /api actions with timeouts, retries and idempotency keys
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+/**
+ * @typedef {Object} ActionPolicy
+ * @property {number} timeout - Milliseconds before the request is aborted
+ * @property {number} retries - Retries after the first attempt (only used for idempotent actions)
+ *
+ * @typedef {Object} ApiClientOptions
+ * @property {string} [endpoint] - URL of the 3DS API endpoint
+ * @property {Object<string, Partial<ActionPolicy>>} [actions] - Per-action policy overrides
+ * @property {number} [retryDelay] - Base delay in milliseconds for exponential backoff
+ * @property {number} [maxRetryDelay] - Upper bound for a single backoff delay
+ * @property {number} [inProgressTimeout] - Milliseconds to keep waiting while the server is still processing an
+ *   earlier attempt with the same idempotency key, as long as ApiController keeps its in-progress marker
+ * @property {Function} [fetch] - Function that sends the requests, defaults to the global fetch
+ * @property {import('./logger.js').Logger|Console} [logger] - Where retries are reported, defaults to the console
+ * @property {string|null} [csrfToken] - Initial CSRF token, replaced by the one each response carries
+ *
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Aborts the request and any pending retry
+ * @property {string} [idempotencyKey] - Key shared by all attempts, generated when omitted
+ */
+
+/**
+ * Default timeout and retry policy per action
+ * @type {Object<string, ActionPolicy>}
+ */
+const ACTION_POLICIES = {
+    init: {timeout: 15000, retries: 0},
+    auth: {timeout: 30000, retries: 2},
+    updateChallengeStatus: {timeout: 15000, retries: 2},
+    getAuthResult: {timeout: 15000, retries: 3},
+    signAuthData: {timeout: 15000, retries: 2},
+    tokenizeCard: {timeout: 15000, retries: 2},
+    clientLog: {timeout: 10000, retries: 0}
+};
+
+/**
+ * Actions that are safe to repeat. `auth` qualifies because the server replays
+ * the stored response for a repeated idempotency key instead of authenticating twice.
+ * @type {string[]}
+ */
+const IDEMPOTENT_ACTIONS = ['auth', 'updateChallengeStatus', 'getAuthResult', 'signAuthData', 'tokenizeCard'];
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limits and server errors. A duplicate of a request still
+ * in progress (409) is waited on instead, see ApiClient#request.
+ * @type {number[]}
+ */
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Header carrying the CSRF token, in requests and responses
+ * @type {string}
+ */
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * Error raised by the API client
+ */
+export class ApiError extends Error {
+    /**
+     * Constructor
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details
+     * @param {string} [details.action] - Action that failed
+     * @param {number|null} [details.status] - HTTP status, null for network errors
+     * @param {string} [details.code] - One of http, csrf, in_progress, network, timeout, aborted, invalid_response
+     * @param {Object|null} [details.data] - Parsed response body, if any
+     */
+    constructor(message, {action = null, status = null, code = 'http', data = null} = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.action = action;
+        this.status = status;
+        this.code = code;
+        this.data = data;
+    }
+
+    /**
+     * Whether repeating the request may succeed
+     * @returns {boolean} True for timeouts, network errors and transient HTTP statuses
+     */
+    isRetryable() {
+        if (this.code === 'timeout' || this.code === 'network') return true;
+        return this.code === 'http' && RETRYABLE_STATUSES.includes(this.status);
+    }
+}
+
+/**
+ * Generate a random idempotency key
+ * @returns {string} UUID v4
+ */
+function generateIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Wait before the next attempt
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|undefined} signal - Cancels the wait
+ * @param {string} action - Action being retried, reported when the wait is cancelled
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms, signal, action) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            reject(new ApiError('Request aborted', {action, code: 'aborted'}));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', abort, {once: true});
+        }
+    });
+}
+
+export class ApiClient {
+    /**
+     * Constructor
+     * @param {ApiClientOptions} [options] - Client options
+     */
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || 'api';
+        this.retryDelay = options.retryDelay ?? 500;
+        this.maxRetryDelay = options.maxRetryDelay ?? 8000;
+        this.inProgressTimeout = options.inProgressTimeout ?? 120000;
+        this.fetch = options.fetch || null;
+        this.logger = options.logger || console;
+
+        /** @type {string|null} Token sent with the next request */
+        this.csrfToken = options.csrfToken || null;
+
+        /** @type {Object<string, ActionPolicy>} Resolved policies */
+        this.policies = {};
+        for (const [action, policy] of Object.entries(ACTION_POLICIES)) {
+            this.policies[action] = {...policy, ...((options.actions || {})[action] || {})};
+        }
+    }
+
+    /**
+     * Call an API action
+     * @param {string} action - One of init, auth, updateChallengeStatus, getAuthResult, signAuthData, tokenizeCard
+     * @param {Object} [payload] - Request data, sent along with the action name
+     * @param {RequestOptions} [options] - Request options
+     * @returns {Promise<Object>} Parsed response data
+     * @throws {ApiError} When the request fails after all attempts
+     */
+    async request(action, payload = {}, options = {}) {
+        const policy = this.policies[action] || {timeout: 15000, retries: 0};
+        const retries = IDEMPOTENT_ACTIONS.includes(action) ? policy.retries : 0;
+        const idempotencyKey = options.idempotencyKey || generateIdempotencyKey();
+
+        let attempt = 0;
+        let polls = 0;
+        let waited = 0;
+        for (;;) {
+            try {
+                return await this.send(action, payload, policy.timeout, idempotencyKey, options.signal);
+            } catch (error) {
+                let backoff;
+                if (error.code === 'in_progress' && waited < this.inProgressTimeout) {
+                    // An earlier attempt outlived its timeout and is still running: wait for its response without using up a retry
+                    backoff = Math.min(this.retryDelay * 2 ** polls++, this.maxRetryDelay, this.inProgressTimeout - waited);
+                    waited += backoff;
+                    this.logger.info(`${action} is still being processed, checking again in ${backoff}ms`);
+                } else if (attempt < retries && error.isRetryable()) {
+                    backoff = Math.min(this.retryDelay * 2 ** attempt, this.maxRetryDelay);
+                    attempt++;
+                    this.logger.warn(`${action} attempt ${attempt} failed (${error.message}), retrying in ${backoff}ms`);
+                } else {
+                    throw error;
+                }
+
+                await delay(backoff, options.signal, action);
+            }
+        }
+    }
+
+    /**
+     * Perform a single attempt
+     * @param {string} action - Action name
+     * @param {Object} payload - Request data
+     * @param {number} timeout - Milliseconds before aborting
+     * @param {string} idempotencyKey - Key shared by all attempts
+     * @param {AbortSignal|undefined} signal - Caller's abort signal
+     * @returns {Promise<Object>} Parsed response data
+     * @throws {ApiError} When the attempt fails
+     */
+    async send(action, payload, timeout, idempotencyKey, signal) {
+        if (signal && signal.aborted) {
+            throw new ApiError('Request aborted', {action, code: 'aborted'});
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, {once: true});
+
+        let response;
+        try {
+            const headers = {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': idempotencyKey
+            };
+            if (this.csrfToken) {
+                headers[CSRF_HEADER] = this.csrfToken;
+            }
+
+            response = await (this.fetch || fetch)(this.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({...payload, action}),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (timedOut) {
+                throw new ApiError(`Request timed out after ${timeout}ms`, {action, code: 'timeout'});
+            }
+            if (signal && signal.aborted) {
+                throw new ApiError('Request aborted', {action, code: 'aborted'});
+            }
+            throw new ApiError(`Network error: ${error.message}`, {action, code: 'network'});
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        // The server rotates the token with every response, rejections included
+        const csrfToken = response.headers.get(CSRF_HEADER);
+        if (csrfToken) {
+            this.csrfToken = csrfToken;
+        }
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Leave data empty, handled below
+        }
+
+        // A response arriving after the caller gave up must not be acted upon
+        if (signal && signal.aborted) {
+            throw new ApiError('Request aborted', {action, code: 'aborted'});
+        }
+
+        // Check HTTP status
+        if (!response.ok) {
+            const message = data && data.error ? data.error : `HTTP error ${response.status}: ${response.statusText}`;
+            let code = 'http';
+            if (response.status === 403 && data && data.code === 'csrf_invalid') {
+                code = 'csrf';
+            } else if (response.status === 409 && data && data.code === 'idempotency_in_progress') {
+                code = 'in_progress';
+            }
+            throw new ApiError(message, {action, status: response.status, code, data});
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new ApiError('Invalid JSON response', {action, status: response.status, code: 'invalid_response'});
+        }
+
+        // Check for error
+        if (data.error) {
+            throw new ApiError(data.error, {action, status: response.status, data});
+        }
+
+        return data;
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Authentication Outcome Module
+ * Decodes transStatusReason, ECI and the authentication value of a 3DS result, and whether liability shifts
+ *
+ * ECI values depend on the card brand: Mastercard uses 02, 01 and 00, the other
+ * brands 05, 06 and 07. Liability shifts to the issuer when the cardholder was
+ * authenticated (Y) or authentication was attempted (A) and the ECI says so.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {translateDefault} from './i18n.js';
+
+/**
+ * @typedef {Object} DecodedReason
+ * @property {string} code - transStatusReason code, e.g. 01
+ * @property {string} description - What the code means
+ *
+ * @typedef {Object} DecodedEci
+ * @property {string} value - ECI value, e.g. 05
+ * @property {'authenticated'|'attempted'|'notAuthenticated'|null} meaning - What the value means for the brand, null when not recognised
+ * @property {string} description - Description of the meaning
+ *
+ * @typedef {Object} AuthOutcome
+ * @property {string|null} transStatus - EMV transaction status
+ * @property {DecodedReason|null} transStatusReason - Why the transaction was not authenticated, when given
+ * @property {DecodedEci|null} eci - Electronic Commerce Indicator, when given
+ * @property {boolean} authenticationValuePresent - Whether an authenticationValue (CAVV/AAV) was returned
+ * @property {string|null} dsTransID - Directory Server transaction ID
+ * @property {string|null} acsTransID - ACS transaction ID
+ * @property {boolean} liabilityShift - Whether liability for fraud shifts to the issuer
+ */
+
+/**
+ * EMV transStatusReason codes with a description, 80-99 are reserved for Directory Server use
+ * @type {string[]}
+ */
+const TRANS_STATUS_REASONS = [
+    '01', '02', '03', '04', '05', '06', '07', '08', '09', '10', '11', '12', '13', '14',
+    '15', '16', '17', '18', '19', '20', '21', '22', '23', '24', '25', '26', '27', '28'
+];
+
+/**
+ * Meaning of each ECI value: Mastercard's, and the one shared by Visa, Amex, Discover, JCB, Diners and UnionPay
+ * @type {Object<string, Object<string, string>>}
+ */
+const ECI_MEANINGS = {
+    mastercard: {'02': 'authenticated', '01': 'attempted', '00': 'notAuthenticated'},
+    other: {'05': 'authenticated', '06': 'attempted', '07': 'notAuthenticated'}
+};
+
+/**
+ * Transaction statuses that can shift liability
+ * @type {string[]}
+ */
+const LIABILITY_SHIFT_STATUSES = ['Y', 'A'];
+
+/**
+ * Decode a transStatusReason code
+ * @param {string|null} code - transStatusReason code
+ * @param {Function} [t] - Translates a message key with parameters, English by default
+ * @returns {DecodedReason|null} Code and description, null when no code was given
+ */
+export function decodeTransStatusReason(code, t = translateDefault) {
+    if (code === null || code === undefined || code === '') return null;
+
+    const value = String(code).padStart(2, '0');
+    let key = 'reason.unknown';
+    if (TRANS_STATUS_REASONS.includes(value)) {
+        key = `reason.${value}`;
+    } else if (Number(value) >= 80 && Number(value) <= 99) {
+        key = 'reason.reserved';
+    }
+
+    return {code: value, description: t(key, {code: value})};
+}
+
+/**
+ * Decode an ECI value for a card brand
+ * @param {string|null} eci - ECI value
+ * @param {string|null} [brand] - Card brand identifier, e.g. visa or mastercard; guessed from the value when unknown
+ * @param {Function} [t] - Translates a message key with parameters, English by default
+ * @returns {DecodedEci|null} Value and meaning, null when no ECI was given
+ */
+export function decodeEci(eci, brand = null, t = translateDefault) {
+    if (eci === null || eci === undefined || eci === '') return null;
+
+    const value = String(eci).padStart(2, '0');
+    const meanings = brand
+        ? ECI_MEANINGS[brand === 'mastercard' ? 'mastercard' : 'other']
+        : {...ECI_MEANINGS.mastercard, ...ECI_MEANINGS.other};
+    const meaning = meanings[value] || null;
+
+    return {value, meaning, description: t(`eci.${meaning || 'unknown'}`)};
+}
+
+/**
+ * Check whether liability for fraud shifts to the issuer
+ * @param {string|null} transStatus - EMV transaction status
+ * @param {DecodedEci|null} eci - Decoded ECI
+ * @returns {boolean} Whether the result is authenticated or attempted and the ECI confirms it
+ */
+export function hasLiabilityShift(transStatus, eci) {
+    return LIABILITY_SHIFT_STATUSES.includes(transStatus)
+        && eci !== null
+        && (eci.meaning === 'authenticated' || eci.meaning === 'attempted');
+}
+
+/**
+ * Decode the outcome of an authentication response
+ * @param {Object} response - ActiveServer auth or result response
+ * @param {string|null} [brand] - Card brand identifier, e.g. visa or mastercard
+ * @param {Function} [t] - Translates a message key with parameters, English by default
+ * @returns {AuthOutcome} Decoded outcome
+ */
+export function decodeAuthOutcome(response, brand = null, t = translateDefault) {
+    const data = response || {};
+    const eci = decodeEci(data.eci, brand, t);
+
+    return {
+        transStatus: data.transStatus || null,
+        transStatusReason: decodeTransStatusReason(data.transStatusReason, t),
+        eci,
+        authenticationValuePresent: Boolean(data.authenticationValue),
+        dsTransID: data.dsTransID || null,
+        acsTransID: data.acsTransID || null,
+        liabilityShift: hasLiabilityShift(data.transStatus, eci)
+    };
+}
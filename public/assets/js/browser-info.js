@@ -0,0 +1,154 @@
+/**
+ * Browser Info Module
+ * Collects EMV 3DS browser data when the 3DS server did not provide it through the 3DS Method
+ *
+ * The values follow the same rules as ThreeDSService::validateBrowserColorDepth,
+ * validateScreenDimension and validateTimezone, so the server accepts them unchanged.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+/**
+ * @typedef {Object} BrowserInfo
+ * @property {string} browserAcceptHeader - HTTP Accept header of the browser, up to 2048 characters
+ * @property {string} browserColorDepth - Screen colour depth, one of ALLOWED_COLOR_DEPTHS
+ * @property {boolean} browserJavaEnabled - Whether Java is enabled
+ * @property {boolean} browserJavascriptEnabled - Always true when collected by this module
+ * @property {string} browserLanguage - IETF BCP 47 language tag, 1-35 characters
+ * @property {string} browserScreenHeight - Screen height in pixels, 1-6 digits
+ * @property {string} browserScreenWidth - Screen width in pixels, 1-6 digits
+ * @property {string} browserTZ - UTC minus local time in minutes (e.g. "300" for UTC-5, "-60" for UTC+1)
+ * @property {string} browserUserAgent - User agent, up to 2048 characters
+ */
+
+/**
+ * Where the browser data came from
+ * @type {{THREE_DS_SERVER: string, FALLBACK: string}}
+ */
+export const BrowserInfoSource = {
+    THREE_DS_SERVER: 'threeDSServer',
+    FALLBACK: 'fallback'
+};
+
+/**
+ * Colour depths allowed by EMV 3DS, in bits per pixel
+ * @type {number[]}
+ */
+export const ALLOWED_COLOR_DEPTHS = [1, 4, 8, 15, 16, 24, 32, 48];
+
+/**
+ * Accept header browsers send for page navigations, which scripts cannot read
+ * @type {string}
+ */
+const DEFAULT_ACCEPT_HEADER = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+/**
+ * Map a colour depth to the closest allowed value that does not exceed it
+ * @param {number} depth - Colour depth reported by the browser (e.g. 30 on HDR displays)
+ * @returns {string} Allowed colour depth, 24 when unknown
+ */
+export function normalizeColorDepth(depth) {
+    const value = Number(depth);
+    if (!Number.isFinite(value) || value < ALLOWED_COLOR_DEPTHS[0]) {
+        return '24';
+    }
+
+    return String(ALLOWED_COLOR_DEPTHS.filter((allowed) => allowed <= value).pop());
+}
+
+/**
+ * Get the browser time zone offset in the EMV sign convention
+ * @param {Date} [date] - Date to take the offset at, defaults to now
+ * @returns {string} UTC minus local time in minutes, within -840 (UTC+14) and 720 (UTC-12)
+ */
+export function getTimezoneOffset(date = new Date()) {
+    // getTimezoneOffset() already returns UTC minus local time, as EMV requires
+    const offset = date.getTimezoneOffset();
+
+    return String(Math.min(720, Math.max(-840, offset)));
+}
+
+/**
+ * Collect the browser data from the current window
+ * @param {{acceptHeader?: string}} [options] - Accept header of the page request, when the server rendered it
+ * @returns {BrowserInfo} Browser data
+ */
+export function collectBrowserInfo(options = {}) {
+    const screen = window.screen || {};
+
+    let javaEnabled = false;
+    try {
+        javaEnabled = typeof navigator.javaEnabled === 'function' ? navigator.javaEnabled() : false;
+    } catch (error) {
+        // Some browsers throw instead of returning false
+    }
+
+    return {
+        browserAcceptHeader: (options.acceptHeader || DEFAULT_ACCEPT_HEADER).substring(0, 2048),
+        browserColorDepth: normalizeColorDepth(screen.colorDepth),
+        browserJavaEnabled: javaEnabled,
+        browserJavascriptEnabled: true,
+        browserLanguage: (navigator.language || 'en').substring(0, 35),
+        browserScreenHeight: String(Math.round(screen.height) || 0),
+        browserScreenWidth: String(Math.round(screen.width) || 0),
+        browserTZ: getTimezoneOffset(),
+        browserUserAgent: (navigator.userAgent || '').substring(0, 2048)
+    };
+}
+
+/**
+ * Validate browser data against the EMV formats
+ * @param {BrowserInfo} info - Browser data
+ * @returns {string[]} Names of invalid fields, empty when valid
+ */
+export function validateBrowserInfo(info) {
+    const invalid = [];
+    const dimension = /^[1-9]\d{0,5}$/;
+
+    if (typeof info.browserAcceptHeader !== 'string' || !info.browserAcceptHeader || info.browserAcceptHeader.length > 2048) {
+        invalid.push('browserAcceptHeader');
+    }
+    if (!ALLOWED_COLOR_DEPTHS.includes(Number(info.browserColorDepth))) {
+        invalid.push('browserColorDepth');
+    }
+    if (typeof info.browserJavaEnabled !== 'boolean') {
+        invalid.push('browserJavaEnabled');
+    }
+    if (info.browserJavascriptEnabled !== true) {
+        invalid.push('browserJavascriptEnabled');
+    }
+    if (!/^[A-Za-z]{1,8}(-[A-Za-z0-9]{1,8})*$/.test(info.browserLanguage || '') || info.browserLanguage.length > 35) {
+        invalid.push('browserLanguage');
+    }
+    if (!dimension.test(info.browserScreenHeight || '')) {
+        invalid.push('browserScreenHeight');
+    }
+    if (!dimension.test(info.browserScreenWidth || '')) {
+        invalid.push('browserScreenWidth');
+    }
+    if (!/^-?\d{1,4}$/.test(info.browserTZ || '') || Number(info.browserTZ) < -840 || Number(info.browserTZ) > 720) {
+        invalid.push('browserTZ');
+    }
+    if (typeof info.browserUserAgent !== 'string' || !info.browserUserAgent || info.browserUserAgent.length > 2048) {
+        invalid.push('browserUserAgent');
+    }
+
+    return invalid;
+}
+
+/**
+ * Encode browser data the way the 3DS server's param is encoded (base64 JSON)
+ * @param {BrowserInfo} info - Browser data
+ * @returns {string} Base64-encoded JSON, UTF-8 safe
+ */
+export function encodeBrowserInfo(info) {
+    const bytes = new TextEncoder().encode(JSON.stringify(info));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+
+    return btoa(binary);
+}
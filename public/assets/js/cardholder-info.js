@@ -0,0 +1,201 @@
+/**
+ * Cardholder Info Module
+ * Collects and validates optional cardholder and address data in EMV 3DS 2.2 field formats
+ *
+ * Inputs are mapped to cardholderInfo fields with a data-cardholder attribute, e.g.
+ * `<input data-cardholder="billAddrCity">` or `<input data-cardholder="mobilePhone.cc">`.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {translateDefault} from './i18n.js';
+
+/**
+ * @typedef {Object} Phone
+ * @property {string} cc - Country calling code, 1-3 digits
+ * @property {string} subscriber - Subscriber number, up to 15 digits
+ *
+ * @typedef {Object} CardholderInfo
+ * @property {string} [cardholderName] - Name on the card, 2-45 characters
+ * @property {string} [email] - Email address, up to 254 characters
+ * @property {Phone} [mobilePhone] - Mobile phone
+ * @property {Phone} [homePhone] - Home phone
+ * @property {Phone} [workPhone] - Work phone
+ * @property {string} [billAddrLine1] - Billing address line 1, up to 50 characters
+ * @property {string} [billAddrLine2] - Billing address line 2
+ * @property {string} [billAddrLine3] - Billing address line 3
+ * @property {string} [billAddrCity] - Billing city, up to 50 characters
+ * @property {string} [billAddrPostCode] - Billing postal code, up to 16 characters
+ * @property {string} [billAddrState] - Billing state, ISO 3166-2 subdivision code (1-3 characters)
+ * @property {string} [billAddrCountry] - Billing country, ISO 3166-1 numeric code
+ * @property {string} [shipAddrLine1] - Shipping address line 1
+ * @property {string} [shipAddrLine2] - Shipping address line 2
+ * @property {string} [shipAddrLine3] - Shipping address line 3
+ * @property {string} [shipAddrCity] - Shipping city
+ * @property {string} [shipAddrPostCode] - Shipping postal code
+ * @property {string} [shipAddrState] - Shipping state
+ * @property {string} [shipAddrCountry] - Shipping country
+ * @property {string} [addrMatch] - Y when the shipping address matches the billing address, N otherwise
+ */
+
+/**
+ * Format of each text field: pattern, or a maximum length with an optional minimum, and the message key of its label
+ * @type {Object<string, {max?: number, min?: number, pattern?: RegExp, label: string}>}
+ */
+const FIELD_RULES = {
+    cardholderName: {min: 2, max: 45, label: 'cardholder.label.cardholderName'},
+    email: {max: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, label: 'cardholder.label.email'},
+    'phone.cc': {pattern: /^\d{1,3}$/, label: 'cardholder.label.phoneCc'},
+    'phone.subscriber': {pattern: /^\d{1,15}$/, label: 'cardholder.label.phoneSubscriber'},
+    addrLine: {max: 50, label: 'cardholder.label.addrLine'},
+    addrCity: {max: 50, label: 'cardholder.label.addrCity'},
+    addrPostCode: {max: 16, label: 'cardholder.label.addrPostCode'},
+    addrState: {pattern: /^[A-Za-z0-9]{1,3}$/, label: 'cardholder.label.addrState'},
+    addrCountry: {pattern: /^\d{3}$/, label: 'cardholder.label.addrCountry'}
+};
+
+/**
+ * Address fields shared by the billing (bill) and shipping (ship) addresses
+ * @type {string[]}
+ */
+const ADDRESS_FIELDS = ['AddrLine1', 'AddrLine2', 'AddrLine3', 'AddrCity', 'AddrPostCode', 'AddrState', 'AddrCountry'];
+
+/**
+ * Phone fields
+ * @type {string[]}
+ */
+const PHONE_FIELDS = ['mobilePhone', 'homePhone', 'workPhone'];
+
+/**
+ * Find the rule for a field name
+ * @param {string} field - cardholderInfo field, e.g. billAddrCity or mobilePhone.cc
+ * @returns {{max?: number, min?: number, pattern?: RegExp, label: string}|null} Rule, or null for unknown fields
+ */
+function getRule(field) {
+    if (FIELD_RULES[field]) return FIELD_RULES[field];
+
+    const phone = /^(mobile|home|work)Phone\.(cc|subscriber)$/.exec(field);
+    if (phone) return FIELD_RULES['phone.' + phone[2]];
+
+    const address = /^(bill|ship)(Addr(Line[1-3]|City|PostCode|State|Country))$/.exec(field);
+    if (address) return FIELD_RULES[address[3].startsWith('Line') ? 'addrLine' : 'addr' + address[3]];
+
+    return null;
+}
+
+/**
+ * Validate a single field value
+ * @param {string} field - cardholderInfo field, e.g. billAddrCity or mobilePhone.cc
+ * @param {string} value - Trimmed value, empty values are valid because every field is optional
+ * @param {Function} [t] - Translates a message key with parameters, English by default
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCardholderField(field, value, t = translateDefault) {
+    const rule = getRule(field);
+    if (!rule) return `Unknown cardholder field: ${field}`;
+    if (value === '') return null;
+
+    const label = t(rule.label);
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return t('cardholder.invalid', {label});
+    }
+    if (rule.min && value.length < rule.min) {
+        return t('cardholder.tooShort', {label, min: rule.min});
+    }
+    if (rule.max && value.length > rule.max) {
+        return t('cardholder.tooLong', {label, max: rule.max});
+    }
+
+    return null;
+}
+
+/**
+ * Read cardholder fields from a form
+ * @param {Element} form - Element containing the data-cardholder inputs
+ * @returns {{values: Object<string, string>, sameAddress: boolean}} Trimmed values by field name, and whether shipping matches billing
+ */
+export function readCardholderForm(form) {
+    const values = {};
+
+    for (const input of form.querySelectorAll('[data-cardholder]')) {
+        values[input.dataset.cardholder] = input.value.trim();
+    }
+
+    const sameAddress = form.querySelector('[data-cardholder-same-address]');
+
+    return {values, sameAddress: sameAddress ? sameAddress.checked : false};
+}
+
+/**
+ * Build a cardholderInfo object from field values, leaving out empty fields
+ * @param {Object<string, string>} values - Values by field name (phones as mobilePhone.cc and mobilePhone.subscriber)
+ * @param {boolean} [sameAddress] - Copy the billing address to the shipping address
+ * @returns {CardholderInfo} Cardholder info
+ */
+export function buildCardholderInfo(values, sameAddress = false) {
+    const info = {};
+
+    for (const [field, rawValue] of Object.entries(values)) {
+        const value = String(rawValue ?? '').trim();
+        if (value === '' || field.includes('.')) continue;
+
+        info[field] = field.endsWith('AddrState') ? value.toUpperCase() : value;
+    }
+
+    // Country calling codes are often typed with a leading +, and phone numbers with separators
+    for (const phone of PHONE_FIELDS) {
+        const cc = String(values[phone + '.cc'] ?? '').replace(/^\+/, '').trim();
+        const subscriber = String(values[phone + '.subscriber'] ?? '').replace(/[\s\-().]/g, '');
+
+        if (cc || subscriber) {
+            info[phone] = {cc, subscriber};
+        }
+    }
+
+    if (sameAddress) {
+        for (const field of ADDRESS_FIELDS) {
+            delete info['ship' + field];
+            if (info['bill' + field]) {
+                info['ship' + field] = info['bill' + field];
+            }
+        }
+    }
+
+    const hasShipping = ADDRESS_FIELDS.some((field) => info['ship' + field]);
+    if (hasShipping) {
+        info.addrMatch = ADDRESS_FIELDS.every((field) => (info['bill' + field] || '') === (info['ship' + field] || '')) ? 'Y' : 'N';
+    }
+
+    return info;
+}
+
+/**
+ * Validate a cardholderInfo object
+ * @param {CardholderInfo} info - Cardholder info
+ * @param {Function} [t] - Translates a message key with parameters, English by default
+ * @returns {Object<string, string>} Error messages by field name (phones as mobilePhone.cc), empty when valid
+ */
+export function validateCardholderInfo(info, t = translateDefault) {
+    const errors = {};
+
+    for (const [field, value] of Object.entries(info)) {
+        if (field === 'addrMatch') continue;
+
+        if (PHONE_FIELDS.includes(field)) {
+            for (const part of ['cc', 'subscriber']) {
+                // A phone needs both parts
+                const error = validateCardholderField(`${field}.${part}`, value[part] || '', t) ||
+                    (value[part] ? null : t('cardholder.required', {label: t(getRule(`${field}.${part}`).label)}));
+                if (error) errors[`${field}.${part}`] = error;
+            }
+            continue;
+        }
+
+        const error = validateCardholderField(field, value, t);
+        if (error) errors[field] = error;
+    }
+
+    return errors;
+}
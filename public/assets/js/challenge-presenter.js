@@ -0,0 +1,335 @@
+/**
+ * Challenge Presenter Module
+ * Shows the ACS challenge inline, in a modal dialog or fullscreen, sized to an EMV challenge window size
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+/**
+ * @typedef {'01'|'02'|'03'|'04'|'05'} ChallengeWindowSize
+ *
+ * @typedef {'inline'|'modal'|'fullscreen'|'auto'} PresentationMode
+ *
+ * @typedef {Object} ChallengePresenterOptions
+ * @property {PresentationMode} [mode] - How to show the challenge, auto picks fullscreen on small screens and modal otherwise
+ * @property {Element|null} [container] - Element the challenge is placed in for inline mode
+ * @property {string} [title] - Title of the challenge iframe, and of the dialog in modal and fullscreen modes
+ * @property {string} [cancelLabel] - Text of the cancel control
+ *
+ * @typedef {Object} PresentOptions
+ * @property {ChallengeWindowSize} windowSize - Challenge window size sent with the auth action
+ * @property {Function} [onCancel] - Called when the cardholder cancels the challenge
+ */
+
+/**
+ * EMV challenge window sizes in CSS pixels, 05 fills the available space
+ * @type {Object<string, {width: number, height: number}|null>}
+ */
+export const CHALLENGE_WINDOW_SIZES = {
+    '01': {width: 250, height: 400},
+    '02': {width: 390, height: 400},
+    '03': {width: 500, height: 600},
+    '04': {width: 600, height: 400},
+    '05': null
+};
+
+/**
+ * Viewports narrower than this are treated as mobile: fullscreen window and presentation
+ * @type {number}
+ */
+const MOBILE_BREAKPOINT = 576;
+
+/**
+ * Space kept around the dialog for its header and margins
+ * @type {{width: number, height: number}}
+ */
+const DIALOG_CHROME = {width: 32, height: 96};
+
+/**
+ * Pick the largest challenge window that fits the viewport
+ * @param {number} [width] - Viewport width, defaults to the window's
+ * @param {number} [height] - Viewport height, defaults to the window's
+ * @returns {ChallengeWindowSize} Challenge window size
+ */
+export function selectChallengeWindowSize(width = window.innerWidth, height = window.innerHeight) {
+    if (width < MOBILE_BREAKPOINT) {
+        return '05';
+    }
+
+    // Largest area first
+    const candidates = ['03', '04', '02', '01'];
+    const fits = candidates.find((size) => {
+        const {width: w, height: h} = CHALLENGE_WINDOW_SIZES[size];
+        return w + DIALOG_CHROME.width <= width && h + DIALOG_CHROME.height <= height;
+    });
+
+    return fits || '05';
+}
+
+/**
+ * Resolve the challengeWindowSize option
+ * @param {string} option - 'auto' or one of 01-05
+ * @returns {ChallengeWindowSize} Challenge window size
+ */
+export function resolveChallengeWindowSize(option) {
+    if (option && option !== 'auto') {
+        if (!Object.prototype.hasOwnProperty.call(CHALLENGE_WINDOW_SIZES, option)) {
+            throw new Error(`Invalid challenge window size: ${option}`);
+        }
+        return option;
+    }
+
+    return selectChallengeWindowSize();
+}
+
+export class ChallengePresenter {
+    /**
+     * Constructor
+     * @param {ChallengePresenterOptions} [options] - Presenter options
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'inline';
+        this.container = options.container || null;
+        this.title = options.title || 'Verify your payment';
+        this.cancelLabel = options.cancelLabel || 'Cancel';
+
+        /** @type {ChallengeWindowSize|null} Size of the challenge being shown */
+        this.windowSize = null;
+
+        /** @type {HTMLIFrameElement|null} Challenge iframe */
+        this.iframe = null;
+
+        /** @type {HTMLElement|null} Modal overlay, null in inline mode */
+        this.overlay = null;
+
+        /** @type {HTMLElement|null} Wrapper placed in the inline container */
+        this.inlineWrapper = null;
+
+        /** @type {Element|null} Element focused before the dialog opened */
+        this.previousFocus = null;
+
+        this.handleResize = () => this.layout();
+        this.handleKeydown = (event) => this.onKeydown(event);
+        this.onCancel = null;
+    }
+
+    /**
+     * Whether a challenge is currently shown
+     * @returns {boolean} True while open
+     */
+    isOpen() {
+        return this.iframe !== null;
+    }
+
+    /**
+     * Resolve the presentation mode for the current viewport
+     * @returns {'inline'|'modal'|'fullscreen'} Effective mode
+     */
+    getEffectiveMode() {
+        if (this.mode === 'auto') {
+            return window.innerWidth < MOBILE_BREAKPOINT ? 'fullscreen' : 'modal';
+        }
+
+        return this.mode;
+    }
+
+    /**
+     * Show a challenge
+     * @param {string} challengeUrl - ACS challenge URL
+     * @param {PresentOptions} options - Window size and cancel handler
+     * @returns {HTMLIFrameElement} The challenge iframe
+     */
+    open(challengeUrl, {windowSize, onCancel = null}) {
+        this.close();
+
+        this.windowSize = windowSize;
+        this.onCancel = onCancel;
+
+        this.iframe = document.createElement('iframe');
+        this.iframe.classList.add('challenge-iframe');
+        this.iframe.title = this.title;
+        this.iframe.setAttribute('aria-label', this.title);
+        this.iframe.src = challengeUrl;
+
+        const cancelButton = this.createCancelButton();
+
+        if (this.getEffectiveMode() === 'inline') {
+            if (!this.container) {
+                throw new Error('Inline challenge requires a container');
+            }
+
+            this.inlineWrapper = document.createElement('div');
+            this.inlineWrapper.className = 'challenge-inline';
+            this.inlineWrapper.setAttribute('role', 'group');
+            this.inlineWrapper.setAttribute('aria-label', this.title);
+            this.inlineWrapper.append(this.iframe, cancelButton);
+
+            this.container.innerHTML = '';
+            this.container.appendChild(this.inlineWrapper);
+
+            // Take keyboard users straight into the challenge page
+            this.iframe.focus();
+        } else {
+            this.openDialog(cancelButton);
+        }
+
+        this.layout();
+        window.addEventListener('resize', this.handleResize);
+        window.addEventListener('orientationchange', this.handleResize);
+
+        return this.iframe;
+    }
+
+    /**
+     * Build the modal dialog around the iframe
+     * @param {HTMLButtonElement} cancelButton - Cancel control
+     */
+    openDialog(cancelButton) {
+        this.previousFocus = document.activeElement;
+
+        const titleId = 'challengeDialogTitle';
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'challenge-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'challenge-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', titleId);
+        dialog.tabIndex = -1;
+
+        const header = document.createElement('div');
+        header.className = 'challenge-dialog-header';
+
+        const heading = document.createElement('h5');
+        heading.id = titleId;
+        heading.className = 'mb-0';
+        heading.textContent = this.title;
+
+        header.append(heading, cancelButton);
+
+        const body = document.createElement('div');
+        body.className = 'challenge-dialog-body';
+        body.appendChild(this.iframe);
+
+        dialog.append(header, body);
+        this.overlay.appendChild(dialog);
+        document.body.appendChild(this.overlay);
+        document.body.classList.add('challenge-open');
+
+        this.overlay.addEventListener('keydown', this.handleKeydown);
+        dialog.focus();
+    }
+
+    /**
+     * Create the cancel control
+     * @returns {HTMLButtonElement} Cancel button
+     */
+    createCancelButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-outline-secondary btn-sm challenge-cancel';
+        button.textContent = this.cancelLabel;
+        button.addEventListener('click', () => this.cancel());
+
+        return button;
+    }
+
+    /**
+     * Cancel the challenge on the cardholder's behalf
+     */
+    cancel() {
+        const onCancel = this.onCancel;
+        this.close();
+
+        if (onCancel) {
+            onCancel();
+        }
+    }
+
+    /**
+     * Keep keyboard focus inside the dialog and close it on Escape
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    onKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.cancel();
+            return;
+        }
+
+        if (event.key !== 'Tab' || !this.overlay) return;
+
+        const focusable = [this.overlay.querySelector('.challenge-cancel'), this.iframe].filter(Boolean);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Size the iframe to the challenge window, shrinking it to fit smaller screens
+     */
+    layout() {
+        if (!this.iframe) return;
+
+        const mode = this.getEffectiveMode();
+        const size = CHALLENGE_WINDOW_SIZES[this.windowSize] || null;
+
+        if (this.overlay) {
+            // Switch between modal and fullscreen when an auto mode dialog is rotated
+            this.overlay.classList.toggle('challenge-overlay-fullscreen', mode === 'fullscreen' || !size);
+        }
+
+        const available = this.overlay
+            ? {width: window.innerWidth - DIALOG_CHROME.width, height: window.innerHeight - DIALOG_CHROME.height}
+            : {width: (this.container && this.container.clientWidth) || window.innerWidth, height: window.innerHeight};
+
+        if (!size || mode === 'fullscreen') {
+            this.iframe.style.width = '100%';
+            this.iframe.style.height = `${Math.max(available.height, 320)}px`;
+            return;
+        }
+
+        this.iframe.style.width = `${Math.min(size.width, available.width)}px`;
+        this.iframe.style.height = `${size.height}px`;
+    }
+
+    /**
+     * Remove the challenge and restore the page
+     */
+    close() {
+        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('orientationchange', this.handleResize);
+
+        if (this.overlay) {
+            this.overlay.removeEventListener('keydown', this.handleKeydown);
+            this.overlay.remove();
+            this.overlay = null;
+            document.body.classList.remove('challenge-open');
+
+            if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+                this.previousFocus.focus();
+            }
+            this.previousFocus = null;
+        }
+
+        if (this.inlineWrapper) {
+            this.inlineWrapper.remove();
+            this.inlineWrapper = null;
+        }
+
+        this.iframe = null;
+        this.windowSize = null;
+        this.onCancel = null;
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * History Panel Module
+ * Lists the stored transaction history with filters, printable receipts and export
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {toCSV, toJSON} from './transaction-history.js';
+import {I18n, DEFAULT_LOCALE} from './i18n.js';
+
+/**
+ * Receipt rows: entry field and label message key
+ * @type {Array<[string, string]>}
+ */
+const RECEIPT_FIELDS = [
+    ['completedAt', 'history.date'],
+    ['maskedPan', 'history.card'],
+    ['cardBrand', 'history.brand'],
+    ['amount', 'history.amount'],
+    ['currency', 'history.currency'],
+    ['flow', 'history.flow'],
+    ['transStatus', 'history.transStatus'],
+    ['eci', 'history.eci'],
+    ['message', 'history.outcome'],
+    ['threeDSServerTransID', 'history.serverTransId'],
+    ['threeDSRequestorTransID', 'history.requestorTransId']
+];
+
+export class HistoryPanel {
+    /**
+     * Constructor
+     * @param {import('./transaction-history.js').TransactionHistory} history - History store
+     * @param {Element} panel - Panel element (#historyPanel)
+     * @param {Element|null} [receipt] - Receipt element (#historyReceipt)
+     * @param {import('./logger.js').Logger|Console} [logger] - Where storage failures are reported
+     * @param {I18n} [i18n] - Messages and formatting, shared with the payment form to follow its language
+     */
+    constructor(history, panel, receipt = null, logger = console, i18n = new I18n({locale: DEFAULT_LOCALE})) {
+        this.history = history;
+        this.panel = panel;
+        this.receipt = receipt;
+        this.logger = logger;
+        this.i18n = i18n;
+
+        this.filters = panel.querySelector('#historyFilters');
+        this.rows = panel.querySelector('#historyRows');
+        this.empty = panel.querySelector('#historyEmpty');
+
+        /** @type {import('./transaction-history.js').HistoryEntry[]} Entries currently listed */
+        this.entries = [];
+
+        /** @type {import('./transaction-history.js').HistoryEntry|null} Entry whose receipt is open */
+        this.receiptEntry = null;
+
+        this.initEventListeners();
+        this.refresh();
+    }
+
+    /**
+     * Bind filters, export buttons and receipt controls
+     */
+    initEventListeners() {
+        this.history.addEventListener('change', () => this.refresh());
+
+        this.i18n.addEventListener('change', () => {
+            this.render();
+            if (this.receiptEntry && !this.receipt.classList.contains('hidden')) {
+                this.showReceipt(this.receiptEntry);
+            }
+        });
+
+        if (this.filters) {
+            this.filters.addEventListener('input', () => this.refresh());
+            this.filters.addEventListener('submit', (event) => event.preventDefault());
+        }
+
+        for (const button of this.panel.querySelectorAll('[data-history-export]')) {
+            button.addEventListener('click', () => this.export(button.dataset.historyExport));
+        }
+
+        const clearButton = this.panel.querySelector('[data-history-clear]');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                if (window.confirm(this.i18n.t('history.confirmClear'))) {
+                    this.history.clear().catch((error) => this.logger.error('Could not clear history:', error));
+                }
+            });
+        }
+
+        this.rows.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-receipt]');
+            if (button) {
+                this.showReceipt(this.entries.find((entry) => entry.id === button.dataset.receipt));
+            }
+        });
+
+        if (this.receipt) {
+            this.receipt.querySelector('[data-receipt-print]').addEventListener('click', () => this.printReceipt());
+            this.receipt.querySelector('[data-receipt-close]').addEventListener('click', () => this.receipt.classList.add('hidden'));
+        }
+    }
+
+    /**
+     * Read the filter form
+     * @returns {import('./transaction-history.js').HistoryFilter} Filter
+     */
+    getFilter() {
+        if (!this.filters) return {};
+
+        const filter = {};
+        for (const [name, value] of new FormData(this.filters)) {
+            if (value) filter[name] = value;
+        }
+
+        return filter;
+    }
+
+    /**
+     * Reload the listed entries
+     * @returns {Promise<void>} Resolves once rendered
+     */
+    async refresh() {
+        try {
+            this.entries = await this.history.list(this.getFilter());
+        } catch (error) {
+            this.logger.warn('Transaction history unavailable:', error.message);
+            this.entries = [];
+        }
+
+        this.render();
+    }
+
+    /**
+     * Render the table rows
+     */
+    render() {
+        this.rows.innerHTML = '';
+
+        for (const entry of this.entries) {
+            const row = document.createElement('tr');
+            const cells = [
+                this.i18n.formatDateTime(entry.completedAt),
+                entry.maskedPan,
+                entry.amount === null ? this.i18n.t('history.cardVerification') : this.i18n.formatCurrency(entry.amount, entry.currency),
+                this.formatFlow(entry.flow),
+                entry.transStatus
+            ];
+
+            for (const text of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+
+            const actions = document.createElement('td');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-sm btn-link p-0';
+            button.textContent = this.i18n.t('history.receipt');
+            button.dataset.receipt = entry.id;
+            actions.appendChild(button);
+            row.appendChild(actions);
+
+            this.rows.appendChild(row);
+        }
+
+        if (this.empty) {
+            this.empty.classList.toggle('hidden', this.entries.length > 0);
+        }
+    }
+
+    /**
+     * Name a flow in the current locale
+     * @param {string} flow - frictionless, challenge or decoupled
+     * @returns {string} Flow name, the flow itself when unknown
+     */
+    formatFlow(flow) {
+        return this.i18n.has(`flow.${flow}`) ? this.i18n.t(`flow.${flow}`) : flow;
+    }
+
+    /**
+     * Show the receipt for an entry
+     * @param {import('./transaction-history.js').HistoryEntry|undefined} entry - Entry
+     */
+    showReceipt(entry) {
+        if (!entry || !this.receipt) return;
+
+        this.receiptEntry = entry;
+
+        const list = this.receipt.querySelector('[data-receipt-fields]');
+        list.innerHTML = '';
+
+        const formatters = {
+            completedAt: (date) => this.i18n.formatDateTime(date),
+            amount: (amount) => this.i18n.formatNumber(Number(amount), {minimumFractionDigits: (String(amount).split('.')[1] || '').length}),
+            flow: (flow) => this.formatFlow(flow)
+        };
+
+        for (const [field, label] of RECEIPT_FIELDS) {
+            const term = document.createElement('dt');
+            term.className = 'col-5';
+            term.textContent = this.i18n.t(label);
+
+            const value = document.createElement('dd');
+            value.className = 'col-7';
+            value.textContent = entry[field] == null ? '-' : (formatters[field] ? formatters[field](entry[field]) : entry[field]);
+
+            list.append(term, value);
+        }
+
+        this.receipt.classList.remove('hidden');
+        this.receipt.focus();
+    }
+
+    /**
+     * Print only the open receipt
+     */
+    printReceipt() {
+        document.body.classList.add('printing-receipt');
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-receipt'), {once: true});
+        window.print();
+    }
+
+    /**
+     * Download the listed entries
+     * @param {string} format - csv or json
+     */
+    export(format) {
+        const content = format === 'csv' ? toCSV(this.entries) : toJSON(this.entries);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        const url = URL.createObjectURL(new Blob([content], {type}));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `3ds-transactions-${new Date().toISOString().substring(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
@@ -0,0 +1,531 @@
+/**
+ * Hosted Card Fields Module
+ * Serves the card inputs from frames of their own, so the payment page never handles the card
+ *
+ * Each input is a page of the application (card-field) loaded in an iframe. Inside the
+ * frame, HostedField masks and validates the input with input-validation.js and, when
+ * asked, sends the value to the tokenizeCard action. On the payment page, HostedFields
+ * creates the frames and talks to them through postMessage: it only ever learns whether
+ * each input is valid, the card brand, the masked card number and the token init is
+ * started with.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {ApiClient} from './api-client.js';
+import {maskPan} from './transaction-history.js';
+
+/**
+ * @typedef {'cardNumber'|'expiryDate'|'cvv'} HostedFieldName
+ *
+ * @typedef {Object} HostedFieldState
+ * @property {boolean} ready - Whether the frame has loaded
+ * @property {boolean} empty - Whether the input is empty
+ * @property {boolean} valid - Whether the input holds a valid value
+ *
+ * @typedef {Object} HostedCardBrand
+ * @property {string} id - Brand identifier, e.g. visa
+ * @property {string} name - Display name
+ *
+ * @typedef {Object} TokenizedCard
+ * @property {string} token - Token init is started with, in place of the card number and expiry date
+ * @property {string} maskedPan - Card number with all but the first six and last four digits masked
+ * @property {string|null} brand - Brand identifier, null if unknown
+ *
+ * @typedef {Object} HostedFieldsOptions
+ * @property {string} url - URL of the card field page, the field name is added as ?field=
+ * @property {Object<HostedFieldName, Element|null>} containers - Element each frame is added to
+ * @property {Object<HostedFieldName, string>} [labels] - Accessible name of each input
+ * @property {Element|null} [brandIndicator] - Element showing the detected brand
+ * @property {Function} [onChange] - Called with the field name and its state when an input changes
+ * @property {number} [timeout] - Milliseconds a frame has to answer a tokenisation request
+ * @property {import('./logger.js').Logger|Console} [logger] - Where rejected messages are reported
+ *
+ * @typedef {Object} HostedFieldOptions
+ * @property {HostedFieldName} field - Field the frame holds
+ * @property {string} parentOrigin - Origin of the payment page, the only window messages are exchanged with
+ * @property {Window} [parent] - Window of the payment page, the frame's parent by default
+ * @property {ApiClient} [api] - Client for the tokenizeCard action
+ */
+
+/**
+ * Fields served from frames, in form order
+ * @type {HostedFieldName[]}
+ */
+export const HOSTED_FIELDS = ['cardNumber', 'expiryDate', 'cvv'];
+
+/**
+ * Marks the messages of the hosted field protocol, in both directions
+ * @type {string}
+ */
+const MESSAGE_SOURCE = 'hosted-field';
+
+/**
+ * Fields whose value is sent to the tokenizeCard action. The CVV is not used by 3DS
+ * and never leaves its frame.
+ * @type {HostedFieldName[]}
+ */
+const TOKENIZED_FIELDS = ['cardNumber', 'expiryDate'];
+
+/**
+ * Format of a card token issued by the tokenizeCard action
+ * @type {RegExp}
+ */
+const CARD_TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Card inputs on the payment page, each served from its own frame
+ */
+export class HostedFields {
+    /**
+     * Constructor
+     * @param {HostedFieldsOptions} options - Options
+     */
+    constructor(options) {
+        this.url = new URL(options.url, window.location.href);
+        this.origin = this.url.origin;
+        this.labels = options.labels || {};
+        this.brandIndicator = options.brandIndicator || null;
+        this.onChange = options.onChange || (() => {});
+        this.timeout = options.timeout ?? 20000;
+        this.logger = options.logger || console;
+
+        /** @type {Object<HostedFieldName, Element>} Containers of the frames */
+        this.containers = {};
+
+        /** @type {Object<HostedFieldName, HTMLIFrameElement>} Frames by field */
+        this.frames = {};
+
+        /** @type {Object<HostedFieldName, HostedFieldState>} Last state each frame reported */
+        this.states = {};
+
+        /** @type {HostedCardBrand|null} Brand detected by the card number frame */
+        this.brand = null;
+
+        /** @type {{lang: string, dir: string}} Language and direction the frames follow */
+        this.locale = {lang: document.documentElement.lang || 'en', dir: document.documentElement.dir || 'ltr'};
+
+        /** @type {Map<number, {field: HostedFieldName, resolve: Function, reject: Function, timer: number}>} Requests awaiting a frame's answer */
+        this.requests = new Map();
+        this.nextRequestId = 1;
+
+        this.handleMessage = this.handleMessage.bind(this);
+        window.addEventListener('message', this.handleMessage, false);
+
+        for (const field of HOSTED_FIELDS) {
+            if (options.containers[field]) {
+                this.mount(field, options.containers[field]);
+            }
+        }
+    }
+
+    /**
+     * Add the frame of a field to its container
+     * @param {HostedFieldName} field - Field
+     * @param {Element} container - Container
+     */
+    mount(field, container) {
+        const src = new URL(this.url.href);
+        src.searchParams.set('field', field);
+
+        const iframe = document.createElement('iframe');
+        iframe.src = src.href;
+        iframe.title = this.labels[field] || field;
+        iframe.setAttribute('scrolling', 'no');
+
+        container.classList.add('hosted-field');
+        container.appendChild(iframe);
+
+        this.containers[field] = container;
+        this.frames[field] = iframe;
+        this.states[field] = {ready: false, empty: true, valid: false};
+    }
+
+    /**
+     * Find the field an element is the container of
+     * @param {Element} element - Element
+     * @returns {HostedFieldName|null} The field, or null if the element holds no frame
+     */
+    fieldOf(element) {
+        return HOSTED_FIELDS.find((field) => this.containers[field] === element) || null;
+    }
+
+    /**
+     * Check whether a message event comes from one of the frames
+     * @param {MessageEvent} event - Event received by the window
+     * @returns {boolean} True when a frame sent it
+     */
+    isFieldMessage(event) {
+        return Object.values(this.frames).some((iframe) => iframe.contentWindow === event.source);
+    }
+
+    /**
+     * Handle a message from a frame
+     * @param {MessageEvent} event - Event received by the window
+     */
+    handleMessage(event) {
+        const data = event.data;
+        if (!data || typeof data !== 'object' || data.source !== MESSAGE_SOURCE) return;
+
+        const iframe = this.frames[data.field];
+        if (event.origin !== this.origin || !iframe || iframe.contentWindow !== event.source) {
+            this.logger.warn('Rejected hosted field message:', {origin: event.origin, field: data.field});
+            return;
+        }
+
+        const field = data.field;
+        switch (data.type) {
+            case 'ready':
+                this.states[field].ready = true;
+                this.configure(field);
+                if (field === 'cvv' && this.brand) {
+                    this.post('cvv', {type: 'brand', brand: this.brand.id});
+                }
+                break;
+            case 'change':
+                this.states[field] = {ready: true, empty: Boolean(data.empty), valid: Boolean(data.valid)};
+                if (field === 'cardNumber') {
+                    this.setBrand(data.brand && typeof data.brand === 'object' ? data.brand : null);
+                }
+                this.onChange(field, {...this.states[field]});
+                break;
+            case 'tokenized':
+            case 'error':
+                this.settle(data);
+                break;
+        }
+    }
+
+    /**
+     * Show the brand the card number frame detected and pass it on to the CVV frame
+     * @param {HostedCardBrand|null} brand - Brand, null if unknown
+     */
+    setBrand(brand) {
+        if ((brand ? brand.id : null) === (this.brand ? this.brand.id : null)) return;
+
+        this.brand = brand ? {id: String(brand.id), name: String(brand.name)} : null;
+
+        if (this.brandIndicator) {
+            this.brandIndicator.textContent = this.brand ? this.brand.name : '';
+            this.brandIndicator.dataset.brand = this.brand ? this.brand.id : '';
+            this.brandIndicator.classList.toggle('hidden', !this.brand);
+        }
+
+        if (this.frames.cvv) {
+            this.post('cvv', {type: 'brand', brand: this.brand ? this.brand.id : null});
+        }
+    }
+
+    /**
+     * Get the brand detected by the card number frame
+     * @returns {string|null} Brand identifier, null if unknown
+     */
+    getBrand() {
+        return this.brand ? this.brand.id : null;
+    }
+
+    /**
+     * Send a message to a frame
+     * @param {HostedFieldName} field - Field
+     * @param {Object} message - Message
+     */
+    post(field, message) {
+        const iframe = this.frames[field];
+        if (iframe && iframe.contentWindow) {
+            iframe.contentWindow.postMessage({...message, source: MESSAGE_SOURCE}, this.origin);
+        }
+    }
+
+    /**
+     * Send a request to a frame and wait for its answer
+     * @param {HostedFieldName} field - Field
+     * @param {Object} message - Request
+     * @param {AbortSignal} [signal] - Stops waiting
+     * @returns {Promise<Object>} The frame's answer
+     */
+    request(field, message, signal) {
+        return new Promise((resolve, reject) => {
+            // Rejected like an aborted API request, which the SDK ignores
+            const aborted = () => Object.assign(new Error('Request aborted'), {code: 'aborted'});
+            if (signal && signal.aborted) {
+                reject(aborted());
+                return;
+            }
+
+            const requestId = this.nextRequestId++;
+            const timer = setTimeout(() => {
+                this.requests.delete(requestId);
+                reject(new Error(`The ${field} field did not answer`));
+            }, this.timeout);
+
+            this.requests.set(requestId, {field, resolve, reject, timer});
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (this.requests.delete(requestId)) {
+                        clearTimeout(timer);
+                        reject(aborted());
+                    }
+                }, {once: true});
+            }
+
+            this.post(field, {...message, requestId});
+        });
+    }
+
+    /**
+     * Settle a request with a frame's answer
+     * @param {Object} data - tokenized or error message
+     */
+    settle(data) {
+        const request = this.requests.get(data.requestId);
+        if (!request || (data.field !== undefined && data.field !== request.field)) return;
+
+        this.requests.delete(data.requestId);
+        clearTimeout(request.timer);
+
+        if (data.type === 'tokenized') {
+            request.resolve(data);
+        } else {
+            request.reject(new Error(String(data.message || 'Card details could not be saved')));
+        }
+    }
+
+    /**
+     * Report the fields that do not hold a valid value
+     * @param {Function} t - Translates a message key
+     * @returns {Object<string, string>} Error messages by field, empty when the card can be tokenised
+     */
+    validate(t) {
+        const errors = {};
+        for (const field of TOKENIZED_FIELDS) {
+            if (!this.states[field] || !this.states[field].valid) {
+                errors[field] = t(`validation.${field}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Tokenise the card: the card number frame gets a token, the expiry date frame adds to it
+     * @param {AbortSignal} [signal] - Stops waiting for the frames
+     * @returns {Promise<TokenizedCard>} Token, masked card number and brand
+     */
+    async tokenize(signal) {
+        const card = await this.request('cardNumber', {type: 'tokenize'}, signal);
+        if (!CARD_TOKEN_PATTERN.test(String(card.cardToken)) || typeof card.maskedPan !== 'string') {
+            throw new Error('Invalid answer from the card number field');
+        }
+
+        await this.request('expiryDate', {type: 'tokenize', cardToken: card.cardToken}, signal);
+
+        return {token: card.cardToken, maskedPan: card.maskedPan, brand: this.getBrand()};
+    }
+
+    /**
+     * Empty the inputs of some fields
+     * @param {HostedFieldName[]} [fields] - Fields, all by default
+     */
+    clear(fields = HOSTED_FIELDS) {
+        for (const field of fields) {
+            this.post(field, {type: 'clear'});
+        }
+    }
+
+    /**
+     * Move the focus to a field's input
+     * @param {HostedFieldName} field - Field
+     */
+    focus(field) {
+        if (!this.frames[field]) return;
+
+        this.frames[field].focus();
+        this.post(field, {type: 'focus'});
+    }
+
+    /**
+     * Name the inputs and set the language and direction of the frames, after a locale change
+     * @param {Object<HostedFieldName, string>} labels - Accessible name of each input
+     * @param {{lang: string, dir: string}} locale - Language and direction
+     */
+    setLocale(labels, locale) {
+        this.labels = labels;
+        this.locale = locale;
+
+        for (const field of Object.keys(this.frames)) {
+            this.frames[field].title = labels[field] || field;
+            if (this.states[field].ready) {
+                this.configure(field);
+            }
+        }
+    }
+
+    /**
+     * Send a frame its label, language and direction
+     * @param {HostedFieldName} field - Field
+     */
+    configure(field) {
+        this.post(field, {type: 'configure', label: this.labels[field] || field, ...this.locale});
+    }
+
+    /**
+     * Remove the frames and stop listening for their messages
+     */
+    destroy() {
+        window.removeEventListener('message', this.handleMessage, false);
+
+        for (const requestId of [...this.requests.keys()]) {
+            this.settle({requestId, type: 'error', message: 'Hosted fields removed'});
+        }
+        for (const iframe of Object.values(this.frames)) {
+            iframe.remove();
+        }
+        this.frames = {};
+    }
+}
+
+/**
+ * A card input inside its hosted field frame
+ */
+export class HostedField {
+    /**
+     * Constructor
+     * @param {HTMLInputElement} input - The input, masked by input-validation.js
+     * @param {HostedFieldOptions} options - Options
+     */
+    constructor(input, options) {
+        this.input = input;
+        this.field = options.field;
+        this.parentOrigin = options.parentOrigin;
+
+        /** @type {Window} Window of the frame, input-validation.js is loaded into it */
+        this.window = input.ownerDocument.defaultView;
+        this.parent = options.parent || this.window.parent;
+        this.api = options.api || new ApiClient();
+
+        this.input.addEventListener('input', () => this.report());
+        this.window.addEventListener('message', (event) => this.handleMessage(event), false);
+
+        this.post({type: 'ready'});
+        this.report();
+    }
+
+    /**
+     * Send a message to the payment page
+     * @param {Object} message - Message
+     */
+    post(message) {
+        this.parent.postMessage({...message, source: MESSAGE_SOURCE, field: this.field}, this.parentOrigin);
+    }
+
+    /**
+     * Get the input's value as sent to the server
+     * @returns {string} Card number without spaces, or the value as typed
+     */
+    getValue() {
+        return this.field === 'cardNumber' ? this.input.value.replace(/\s/g, '') : this.input.value.trim();
+    }
+
+    /**
+     * Validate the input's value with input-validation.js
+     * @returns {boolean} Whether the value is valid
+     */
+    isValid() {
+        const value = this.getValue();
+
+        switch (this.field) {
+            case 'cardNumber':
+                return this.window.validateCardNumber(value);
+            case 'expiryDate':
+                return this.window.validateExpiryDate(value);
+            case 'cvv':
+                return this.window.validateCvv(value, this.window.getCardBrand(this.input.dataset.brand || null));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Tell the payment page whether the input is valid, and the brand of a card number
+     */
+    report() {
+        const message = {type: 'change', empty: this.input.value === '', valid: this.isValid()};
+
+        if (this.field === 'cardNumber') {
+            const brand = this.window.detectCardBrand(this.getValue());
+            message.brand = brand ? {id: brand.id, name: brand.name} : null;
+        }
+
+        this.post(message);
+    }
+
+    /**
+     * Handle a message from the payment page
+     * @param {MessageEvent} event - Event received by the frame
+     */
+    handleMessage(event) {
+        const data = event.data;
+        if (event.origin !== this.parentOrigin || event.source !== this.parent) return;
+        if (!data || typeof data !== 'object' || data.source !== MESSAGE_SOURCE) return;
+
+        switch (data.type) {
+            case 'tokenize':
+                this.tokenize(data.requestId, data.cardToken);
+                break;
+            case 'brand':
+                // The CVV length depends on the card brand
+                this.input.dataset.brand = data.brand || '';
+                this.input.dispatchEvent(new this.window.Event('input'));
+                break;
+            case 'configure':
+                this.input.setAttribute('aria-label', String(data.label || ''));
+                this.input.ownerDocument.documentElement.lang = String(data.lang || 'en');
+                this.input.ownerDocument.documentElement.dir = data.dir === 'rtl' ? 'rtl' : 'ltr';
+                break;
+            case 'clear':
+                this.input.value = '';
+                this.input.dispatchEvent(new this.window.Event('input'));
+                break;
+            case 'focus':
+                this.input.focus();
+                break;
+        }
+    }
+
+    /**
+     * Send the value to the tokenizeCard action and pass the token on to the payment page
+     * @param {number} requestId - Request the answer belongs to
+     * @param {string} [cardToken] - Token of the card number, which the expiry date is added to
+     */
+    async tokenize(requestId, cardToken) {
+        try {
+            if (!TOKENIZED_FIELDS.includes(this.field)) {
+                throw new Error(`The ${this.field} field is not tokenised`);
+            }
+            if (!this.isValid()) {
+                throw new Error('Invalid card details');
+            }
+
+            const value = this.getValue();
+            if (this.field === 'cardNumber') {
+                const data = await this.api.request('tokenizeCard', {acctNumber: value});
+                this.post({type: 'tokenized', requestId, cardToken: data.cardToken, maskedPan: maskPan(value)});
+            } else {
+                const data = await this.api.request('tokenizeCard', {cardToken, cardExpiryDate: value});
+                this.post({type: 'tokenized', requestId, cardToken: data.cardToken});
+            }
+        } catch (error) {
+            this.post({type: 'error', requestId, message: error.message});
+        }
+    }
+}
+
+// Start the field when this module runs in a hosted card field page
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.querySelector('[data-hosted-field]');
+    if (input && window.hostedFieldConfig) {
+        new HostedField(input, window.hostedFieldConfig);
+    }
+});
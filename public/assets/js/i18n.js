@@ -0,0 +1,304 @@
+/**
+ * I18n Module
+ * Locale detection, message lookup and Intl formatting for the payment UI
+ *
+ * The locale is the one passed as an option, else the one the cardholder last
+ * picked on this device, else the first of the browser's languages that has a
+ * catalogue. Missing messages fall back to English.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {MESSAGES} from './messages.js';
+
+/**
+ * @typedef {Object} I18nOptions
+ * @property {string|null} [locale] - BCP 47 locale overriding detection, e.g. fr or ar-KW
+ * @property {Object<string, Object<string, string>>} [messages] - Extra or replacement messages by locale
+ */
+
+/**
+ * Locale used when nothing better matches, and for messages a catalogue lacks
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Languages written right to left
+ * @type {string[]}
+ */
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+/**
+ * Local storage key of the locale picked by the cardholder
+ * @type {string}
+ */
+const STORAGE_KEY = 'threeDSLocale';
+
+/**
+ * Replace {name} placeholders in a message
+ * @param {string} template - Message with placeholders
+ * @param {Object<string, *>} [params] - Values by placeholder name
+ * @returns {string} Formatted message, unknown placeholders are left as they are
+ */
+export function formatMessage(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+    ));
+}
+
+/**
+ * Look up an English message, for modules used without an I18n instance
+ * @param {string} key - Message key
+ * @param {Object<string, *>} [params] - Placeholder values
+ * @returns {string} Formatted message, or the key when there is none
+ */
+export function translateDefault(key, params = {}) {
+    const template = MESSAGES[DEFAULT_LOCALE][key];
+    return template === undefined ? key : formatMessage(template, params);
+}
+
+/**
+ * Match a requested locale against the available catalogues
+ * @param {string|null} requested - BCP 47 locale, e.g. fr-CA
+ * @param {string[]} available - Locales with a catalogue
+ * @returns {string|null} Exact match, else a match on the language alone, else null
+ */
+export function resolveLocale(requested, available) {
+    if (!requested) return null;
+
+    const wanted = String(requested).replace('_', '-').toLowerCase();
+    const exact = available.find((locale) => locale.toLowerCase() === wanted);
+    if (exact) return exact;
+
+    const language = wanted.split('-')[0];
+    return available.find((locale) => locale.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * Pick the first of the browser's languages that has a catalogue
+ * @param {string[]} available - Locales with a catalogue
+ * @param {string[]} [languages] - Preferred languages, defaults to the browser's
+ * @returns {string} Matching locale, or the default locale
+ */
+export function detectLocale(available, languages = navigator.languages || [navigator.language]) {
+    for (const language of languages) {
+        const locale = resolveLocale(language, available);
+        if (locale) return locale;
+    }
+
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Read the locale the cardholder picked on this device
+ * @returns {string|null} Stored locale, null when none or storage is unavailable
+ */
+function readStoredLocale() {
+    try {
+        return window.localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+export class I18n extends EventTarget {
+    /**
+     * Constructor
+     * @param {I18nOptions} [options] - Locale override and extra messages
+     */
+    constructor(options = {}) {
+        super();
+
+        /** @type {Object<string, Object<string, string>>} Catalogues by locale */
+        this.catalogues = {};
+        for (const locale of new Set([...Object.keys(MESSAGES), ...Object.keys(options.messages || {})])) {
+            this.catalogues[locale] = {...(MESSAGES[locale] || {}), ...((options.messages || {})[locale] || {})};
+        }
+
+        const available = this.getLocales();
+
+        /** @type {string} Current locale */
+        this.locale = resolveLocale(options.locale, available)
+            || resolveLocale(readStoredLocale(), available)
+            || detectLocale(available);
+    }
+
+    /**
+     * Get the locales with a catalogue
+     * @returns {string[]} Locales
+     */
+    getLocales() {
+        return Object.keys(this.catalogues);
+    }
+
+    /**
+     * Switch to another locale and notify change listeners, the event detail carries the new locale
+     * @param {string} locale - BCP 47 locale
+     * @param {boolean} [remember] - Keep the choice for later visits on this device
+     * @returns {string} The locale switched to, unchanged when nothing matches
+     */
+    setLocale(locale, remember = false) {
+        const resolved = resolveLocale(locale, this.getLocales());
+        if (!resolved) return this.locale;
+
+        if (remember) {
+            try {
+                window.localStorage.setItem(STORAGE_KEY, resolved);
+            } catch (error) {
+                // Private browsing, the choice lasts for this page only
+            }
+        }
+
+        if (resolved !== this.locale) {
+            this.locale = resolved;
+            this.dispatchEvent(new CustomEvent('change', {detail: {locale: resolved}}));
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Get the name of a locale's language, as written in that language
+     * @param {string} locale - Locale with a catalogue
+     * @returns {string} Its language.name message, or the locale itself
+     */
+    getLanguageName(locale) {
+        return (this.catalogues[locale] || {})['language.name'] || locale;
+    }
+
+    /**
+     * Get the writing direction of the current locale
+     * @returns {'ltr'|'rtl'} Direction
+     */
+    getDirection() {
+        return RTL_LANGUAGES.includes(this.locale.split('-')[0]) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Check whether a message exists in the current or the default locale
+     * @param {string} key - Message key
+     * @returns {boolean} Whether t() would find it
+     */
+    has(key) {
+        return (this.catalogues[this.locale] || {})[key] !== undefined
+            || (this.catalogues[DEFAULT_LOCALE] || {})[key] !== undefined;
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key
+     * @param {Object<string, *>} [params] - Placeholder values
+     * @returns {string} Message in the current locale, in English when missing, or the key itself
+     */
+    t(key, params = {}) {
+        let template = (this.catalogues[this.locale] || {})[key];
+        if (template === undefined) {
+            template = (this.catalogues[DEFAULT_LOCALE] || {})[key];
+        }
+
+        return template === undefined ? key : formatMessage(template, params);
+    }
+
+    /**
+     * Format a number for the current locale
+     * @param {number} value - Number
+     * @param {Intl.NumberFormatOptions} [options] - Intl options
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    /**
+     * Format an amount in major units with its currency
+     * @param {string|number} amount - Amount in major units, e.g. "10.00"
+     * @param {string} currency - ISO 4217 alphabetic code
+     * @returns {string} Formatted amount, e.g. "$10.00" or "10,00 €"
+     */
+    formatCurrency(amount, currency) {
+        try {
+            return new Intl.NumberFormat(this.locale, {style: 'currency', currency}).format(Number(amount));
+        } catch (error) {
+            // Codes Intl does not know
+            return `${amount} ${currency}`;
+        }
+    }
+
+    /**
+     * Format a date and time for the current locale
+     * @param {Date|string|number} date - Date
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime(date) {
+        return new Intl.DateTimeFormat(this.locale, {dateStyle: 'medium', timeStyle: 'short'}).format(new Date(date));
+    }
+
+    /**
+     * Format a calendar date for the current locale
+     * @param {string} date - Date as YYYYMMDD or YYYY-MM-DD
+     * @returns {string} Formatted date
+     */
+    formatDate(date) {
+        const [, year, month, day] = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(date).map(Number);
+        return new Intl.DateTimeFormat(this.locale, {dateStyle: 'medium', timeZone: 'UTC'}).format(new Date(Date.UTC(year, month - 1, day)));
+    }
+
+    /**
+     * Get the name of a region in the current locale
+     * @param {string} region - ISO 3166-1 alpha-2 code
+     * @returns {string|null} Region name, null when Intl cannot name it
+     */
+    formatRegion(region) {
+        try {
+            return new Intl.DisplayNames([this.locale], {type: 'region'}).of(region) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Translate the static text of a page.
+     * Elements name their message in data-i18n (text content) or data-i18n-placeholder,
+     * and options naming a country in data-i18n-region get its localised name.
+     * @param {Document|Element} root - Root to translate
+     */
+    translatePage(root) {
+        for (const element of root.querySelectorAll('[data-i18n]')) {
+            element.textContent = this.t(element.dataset.i18n);
+        }
+
+        for (const element of root.querySelectorAll('[data-i18n-placeholder]')) {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        }
+
+        for (const element of root.querySelectorAll('[data-i18n-region]')) {
+            const name = this.formatRegion(element.dataset.i18nRegion);
+            if (name) element.textContent = name;
+        }
+    }
+
+    /**
+     * Set the language and direction of a document or element.
+     * On a document, a stylesheet link with data-rtl-href is switched to its right-to-left version.
+     * @param {Document|Element} target - Document or element
+     */
+    applyDirection(target) {
+        const element = target.documentElement || target;
+        const direction = this.getDirection();
+
+        element.setAttribute('lang', this.locale);
+        element.setAttribute('dir', direction);
+
+        if (!target.documentElement) return;
+
+        for (const link of target.querySelectorAll('link[data-rtl-href]')) {
+            if (!link.dataset.ltrHref) {
+                link.dataset.ltrHref = link.getAttribute('href');
+            }
+            link.setAttribute('href', direction === 'rtl' ? link.dataset.rtlHref : link.dataset.ltrHref);
+        }
+    }
+}
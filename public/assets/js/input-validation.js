@@ -1,6 +1,6 @@
 /**
  * Input Validation Module
- * Handles credit card number and expiry date masking and validation
+ * Handles credit card number and expiry date masking and validation, and card brand detection
  * 
  * @author DevKraken <soman@devkraken.com>
  * @copyright 2025 DevKraken
@@ -8,12 +8,130 @@
  */
 
 /**
- * Validate credit card number using Luhn algorithm
+ * @typedef {Object} CardBrand
+ * @property {string} id - Brand identifier sent to the server
+ * @property {string} name - Display name
+ * @property {Array<[string, string]>} ranges - Inclusive BIN prefix ranges, both ends of equal length
+ * @property {number[]} lengths - Valid PAN lengths
+ * @property {number[]} gaps - Digit positions a space is inserted before
+ * @property {number} cvvLength - Security code length
+ */
+
+/**
+ * Supported card brands
+ * @type {CardBrand[]}
+ */
+const CARD_BRANDS = [
+    {
+        id: 'visa', name: 'Visa',
+        ranges: [['4', '4']],
+        lengths: [13, 16, 19], gaps: [4, 8, 12, 16], cvvLength: 3
+    },
+    {
+        id: 'mastercard', name: 'Mastercard',
+        ranges: [['51', '55'], ['2221', '2720']],
+        lengths: [16], gaps: [4, 8, 12], cvvLength: 3
+    },
+    {
+        id: 'amex', name: 'American Express',
+        ranges: [['34', '34'], ['37', '37']],
+        lengths: [15], gaps: [4, 10], cvvLength: 4
+    },
+    {
+        id: 'discover', name: 'Discover',
+        ranges: [['6011', '6011'], ['644', '649'], ['65', '65'], ['622126', '622925']],
+        lengths: [16, 17, 18, 19], gaps: [4, 8, 12, 16], cvvLength: 3
+    },
+    {
+        id: 'jcb', name: 'JCB',
+        ranges: [['3528', '3589']],
+        lengths: [16, 17, 18, 19], gaps: [4, 8, 12, 16], cvvLength: 3
+    },
+    {
+        id: 'diners', name: 'Diners Club',
+        ranges: [['300', '305'], ['3095', '3095'], ['36', '36'], ['38', '39']],
+        lengths: [14, 15, 16, 17, 18, 19], gaps: [4, 10], cvvLength: 3
+    },
+    {
+        id: 'unionpay', name: 'UnionPay',
+        ranges: [['62', '62'], ['81', '81']],
+        lengths: [16, 17, 18, 19], gaps: [4, 8, 12, 16], cvvLength: 3
+    }
+];
+
+/**
+ * Maximum PAN length when no brand is detected
+ * @type {number}
+ */
+const MAX_CARD_LENGTH = 19;
+
+/**
+ * Detect the card brand from the leading digits
+ * @param {string} cardNumber - Card number, spaces are ignored
+ * @returns {CardBrand|null} The brand with the most specific matching range, or null if unknown
+ */
+function detectCardBrand(cardNumber) {
+    const digits = (cardNumber || '').replace(/\D/g, '');
+    let match = null;
+    let matchLength = 0;
+
+    for (const brand of CARD_BRANDS) {
+        for (const [min, max] of brand.ranges) {
+            // Ranges only match once enough digits are typed, and longer prefixes win (e.g. Discover's 622126-622925 within UnionPay's 62)
+            if (digits.length < min.length || min.length <= matchLength) continue;
+
+            const prefix = digits.substring(0, min.length);
+            if (prefix >= min && prefix <= max) {
+                match = brand;
+                matchLength = min.length;
+            }
+        }
+    }
+
+    return match;
+}
+
+/**
+ * Look a card brand up by its identifier
+ * @param {string|null} id - Brand identifier, e.g. visa
+ * @returns {CardBrand|null} The brand, or null if unknown
+ */
+function getCardBrand(id) {
+    return CARD_BRANDS.find((brand) => brand.id === id) || null;
+}
+
+/**
+ * Format a card number with the brand's grouping
+ * @param {string} digits - Card number without spaces
+ * @param {CardBrand|null} brand - Detected brand
+ * @returns {string} Formatted card number
+ */
+function formatCardNumber(digits, brand) {
+    const gaps = brand ? brand.gaps : [4, 8, 12, 16];
+    let formattedValue = '';
+
+    for (let i = 0; i < digits.length; i++) {
+        if (gaps.includes(i)) {
+            formattedValue += ' ';
+        }
+        formattedValue += digits[i];
+    }
+
+    return formattedValue;
+}
+
+/**
+ * Validate credit card number length for its brand and using Luhn algorithm
  * @param {string} cardNumber - Card number without spaces
  * @returns {boolean} Is card number valid
  */
 function validateCardNumber(cardNumber) {
-    if (!cardNumber || cardNumber.length < 13) return false;
+    if (!cardNumber || !/^\d+$/.test(cardNumber)) return false;
+
+    const brand = detectCardBrand(cardNumber);
+    if (brand ? !brand.lengths.includes(cardNumber.length) : cardNumber.length < 13 || cardNumber.length > MAX_CARD_LENGTH) {
+        return false;
+    }
     
     // Luhn algorithm
     let sum = 0;
@@ -70,6 +188,18 @@ function validateExpiryDate(expiryDate) {
     return true;
 }
 
+/**
+ * Validate a security code for the card brand
+ * @param {string} cvv - Security code
+ * @param {CardBrand|null} [brand] - Detected brand, any 3-4 digit code is accepted when unknown
+ * @returns {boolean} Is security code valid
+ */
+function validateCvv(cvv, brand = null) {
+    if (!/^\d+$/.test(cvv || '')) return false;
+
+    return brand ? cvv.length === brand.cvvLength : cvv.length === 3 || cvv.length === 4;
+}
+
 /**
  * Update input styling based on validation
  * @param {HTMLInputElement} input - The input element
@@ -91,51 +221,76 @@ function updateValidationStyle(input, isValid) {
 // Make validation functions globally available
 window.validateCardNumber = validateCardNumber;
 window.validateExpiryDate = validateExpiryDate;
+window.validateCvv = validateCvv;
+window.detectCardBrand = detectCardBrand;
+window.getCardBrand = getCardBrand;
 
 document.addEventListener('DOMContentLoaded', () => {
     // Get form elements
     const cardNumberInput = document.getElementById('cardNumber');
     const expiryDateInput = document.getElementById('expiryDate');
     const cvvInput = document.getElementById('cvv');
+    const cardBrandIndicator = document.getElementById('cardBrand');
 
     // Apply input masks and validation
     if (cardNumberInput) setupCardNumberInput(cardNumberInput);
     if (expiryDateInput) setupExpiryDateInput(expiryDateInput);
-    if (cvvInput) setupCVVInput(cvvInput);
+    // A CVV input on its own, as in a hosted card field, is told the brand through its data-brand attribute
+    if (cvvInput) setupCVVInput(cvvInput, () => cardNumberInput ? detectCardBrand(cardNumberInput.value) : getCardBrand(cvvInput.dataset.brand));
+
+    if (cardNumberInput) {
+        // Keep the brand indicator and CVV rules in step with the card number
+        cardNumberInput.addEventListener('cardbrandchange', (e) => {
+            const brand = e.detail.brand;
+
+            if (cardBrandIndicator) {
+                cardBrandIndicator.textContent = brand ? brand.name : '';
+                cardBrandIndicator.dataset.brand = brand ? brand.id : '';
+                cardBrandIndicator.classList.toggle('hidden', !brand);
+            }
+
+            if (cvvInput && cvvInput.value) {
+                cvvInput.dispatchEvent(new Event('input'));
+            }
+        });
+
+        // Format the prefilled value
+        if (cardNumberInput.value) {
+            cardNumberInput.dispatchEvent(new Event('input'));
+        }
+    }
 });
 
 /**
- * Set up credit card number input with masking and validation
+ * Set up credit card number input with brand-aware masking and validation.
+ * Dispatches a `cardbrandchange` event on the input when the detected brand changes.
  * @param {HTMLInputElement} input - The credit card input element
  */
 function setupCardNumberInput(input) {
-    // Maximum length for card number (16 digits + 3 spaces)
-    const maxLength = 19;
-    
+    let currentBrand = null;
+
     input.addEventListener('input', (e) => {
         // Get input value and remove all non-digits
         let value = e.target.value.replace(/\D/g, '');
-        
-        // Add spaces after every 4 digits
-        let formattedValue = '';
-        for (let i = 0; i < value.length; i++) {
-            if (i > 0 && i % 4 === 0) {
-                formattedValue += ' ';
-            }
-            formattedValue += value[i];
+        const brand = detectCardBrand(value);
+
+        // Enforce the brand's maximum length
+        const maxLength = brand ? Math.max(...brand.lengths) : MAX_CARD_LENGTH;
+        if (value.length > maxLength) {
+            value = value.substring(0, maxLength);
         }
         
-        // Enforce max length
-        if (formattedValue.length > maxLength) {
-            formattedValue = formattedValue.substring(0, maxLength);
+        // Update the input value, grouped for the brand
+        e.target.value = formatCardNumber(value, brand);
+        input.dataset.brand = brand ? brand.id : '';
+
+        if (brand !== currentBrand) {
+            currentBrand = brand;
+            input.dispatchEvent(new CustomEvent('cardbrandchange', {detail: {brand}}));
         }
         
-        // Update the input value
-        e.target.value = formattedValue;
-        
-        // Validate card number using Luhn algorithm
-        const isValid = validateCardNumber(value);
-        updateValidationStyle(input, isValid && value.length >= 13);
+        // Validate card number length and Luhn checksum
+        updateValidationStyle(input, validateCardNumber(value));
     });
 }
 
@@ -181,22 +336,24 @@ function setupExpiryDateInput(input) {
 /**
  * Set up CVV input with validation
  * @param {HTMLInputElement} input - The CVV input element
+ * @param {Function} getBrand - Returns the brand detected for the card number
  */
-function setupCVVInput(input) {
+function setupCVVInput(input, getBrand) {
     input.addEventListener('input', (e) => {
         // Get input value and remove non-digits
         let value = e.target.value.replace(/\D/g, '');
+        const brand = getBrand();
         
-        // Enforce max length (usually 3 or 4 digits)
-        if (value.length > 4) {
-            value = value.substring(0, 4);
+        // Enforce max length (4 digits for Amex, 3 for other known brands)
+        const maxLength = brand ? brand.cvvLength : 4;
+        if (value.length > maxLength) {
+            value = value.substring(0, maxLength);
         }
         
         // Update the input value
         e.target.value = value;
         
-        // Validate CVV (3-4 digits)
-        const isValid = value.length >= 3;
-        updateValidationStyle(input, isValid);
+        // Validate CVV for the brand
+        updateValidationStyle(input, validateCvv(value, brand));
     });
 } 
\ No newline at end of file
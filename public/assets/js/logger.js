@@ -0,0 +1,285 @@
+/**
+ * Logger Module
+ * Leveled console logger that redacts card data, with optional batching of warnings and errors to the server
+ *
+ * Every argument is redacted before it reaches the console or the server: card
+ * numbers are masked to their first six and last four digits, and CVVs,
+ * authentication values and browser data are replaced outright.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {maskPan} from './transaction-history.js';
+
+/**
+ * @typedef {'debug'|'info'|'warn'|'error'|'silent'} LogLevel
+ *
+ * @typedef {Object} LogEntry
+ * @property {string} level - debug, info, warn or error
+ * @property {string} message - Redacted message
+ * @property {Array} data - Redacted arguments logged after the message
+ * @property {string|null} transactionId - threeDSServerTransID of the transaction in progress
+ * @property {string} timestamp - ISO 8601 time the entry was logged
+ *
+ * @typedef {Object} RemoteLogOptions
+ * @property {Function} send - Receives a batch of LogEntry objects, returns a promise
+ * @property {LogLevel} [level] - Minimum level shipped to the server
+ * @property {number} [batchSize] - Entries that trigger an immediate flush
+ * @property {number} [flushInterval] - Milliseconds a partial batch waits before it is sent
+ * @property {number} [maxQueue] - Entries kept while the server is unreachable, the oldest are dropped
+ *
+ * @typedef {Object} LoggerOptions
+ * @property {LogLevel} [level] - Minimum level written to the console
+ * @property {Console} [console] - Console the entries are written to
+ * @property {RemoteLogOptions|null} [remote] - Ship entries to the server
+ */
+
+/**
+ * Severity of each level
+ * @type {Object<string, number>}
+ */
+export const LogLevels = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+/**
+ * Keys holding a card number, shown masked
+ * @type {string[]}
+ */
+const PAN_KEYS = ['acctnumber', 'cardnumber', 'pan'];
+
+/**
+ * Keys whose values are never logged
+ * @type {string[]}
+ */
+const SECRET_KEYS = ['cvv', 'cvv2', 'cvc', 'securitycode', 'authenticationvalue', 'browserinfo'];
+
+/**
+ * Card-number-like runs of 13 to 19 digits, optionally grouped with spaces or dashes
+ * @type {RegExp}
+ */
+const PAN_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+/**
+ * Nesting depth below which values are summarised
+ * @type {number}
+ */
+const MAX_DEPTH = 6;
+
+/**
+ * Longest message shipped to the server
+ * @type {number}
+ */
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Mask card numbers appearing in a string
+ * @param {string} text - Text
+ * @returns {string} Text with every card-number-like run masked
+ */
+export function redactString(text) {
+    return text.replace(PAN_PATTERN, (match) => maskPan(match));
+}
+
+/**
+ * Copy a value with card data redacted
+ * @param {*} value - Value to redact
+ * @param {number} [depth] - Current nesting depth
+ * @param {WeakSet} [seen] - Objects already visited
+ * @returns {*} Redacted copy
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+
+    if (value instanceof Error) {
+        return {name: value.name, message: redactString(value.message), stack: value.stack ? redactString(value.stack) : undefined};
+    }
+
+    // DOM nodes, events and other host objects are logged by name only
+    const prototype = Object.getPrototypeOf(value);
+    if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+        return `[${(value.constructor && value.constructor.name) || 'Object'}]`;
+    }
+
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1, seen));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        const name = key.toLowerCase();
+        if (SECRET_KEYS.includes(name)) {
+            copy[key] = item ? '[REDACTED]' : item;
+        } else if (PAN_KEYS.includes(name) && (typeof item === 'string' || typeof item === 'number')) {
+            copy[key] = maskPan(item);
+        } else {
+            copy[key] = redact(item, depth + 1, seen);
+        }
+    }
+
+    return copy;
+}
+
+export class Logger {
+    /**
+     * Constructor
+     * @param {LoggerOptions} [options] - Logger options
+     */
+    constructor(options = {}) {
+        this.level = LogLevels[options.level] ?? LogLevels.info;
+        this.console = options.console || console;
+
+        /** @type {{transactionId: string|null}} Tagged onto every entry */
+        this.context = {transactionId: null};
+
+        this.remote = options.remote
+            ? {
+                level: LogLevels.warn,
+                batchSize: 10,
+                flushInterval: 5000,
+                maxQueue: 100,
+                ...options.remote,
+                ...(options.remote.level ? {level: LogLevels[options.remote.level] ?? LogLevels.warn} : {})
+            }
+            : null;
+
+        /** @type {LogEntry[]} Entries waiting to be shipped */
+        this.queue = [];
+
+        /** @type {number|null} Pending flush of a partial batch */
+        this.flushTimer = null;
+
+        /** @type {boolean} Whether a batch is being sent */
+        this.sending = false;
+
+        // Ship whatever is left when the page goes away
+        if (this.remote) {
+            window.addEventListener('pagehide', () => this.flush());
+        }
+    }
+
+    /**
+     * Set the transaction entries are tagged with
+     * @param {string|null} transactionId - threeDSServerTransID, null between transactions
+     */
+    setTransaction(transactionId) {
+        this.context.transactionId = transactionId || null;
+    }
+
+    /**
+     * Log a debug message
+     * @param {string} message - Message
+     * @param {...*} data - Further values
+     */
+    debug(message, ...data) {
+        this.log('debug', message, data);
+    }
+
+    /**
+     * Log an info message
+     * @param {string} message - Message
+     * @param {...*} data - Further values
+     */
+    info(message, ...data) {
+        this.log('info', message, data);
+    }
+
+    /**
+     * Log a warning
+     * @param {string} message - Message
+     * @param {...*} data - Further values
+     */
+    warn(message, ...data) {
+        this.log('warn', message, data);
+    }
+
+    /**
+     * Log an error
+     * @param {string} message - Message
+     * @param {...*} data - Further values
+     */
+    error(message, ...data) {
+        this.log('error', message, data);
+    }
+
+    /**
+     * Log a message at a level
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - Message
+     * @param {Array} data - Further values
+     */
+    log(level, message, data) {
+        const severity = LogLevels[level];
+        const toConsole = severity >= this.level;
+        const toRemote = this.remote && severity >= this.remote.level;
+        if (!toConsole && !toRemote) return;
+
+        const entry = {
+            level,
+            message: redactString(String(message)),
+            data: data.map((value) => redact(value)),
+            transactionId: this.context.transactionId,
+            timestamp: new Date().toISOString()
+        };
+
+        if (toConsole) {
+            this.console[level](entry.message, ...entry.data);
+        }
+        if (toRemote) {
+            this.enqueue(entry);
+        }
+    }
+
+    /**
+     * Queue an entry for the server
+     * @param {LogEntry} entry - Entry
+     */
+    enqueue(entry) {
+        this.queue.push({...entry, message: entry.message.slice(0, MAX_MESSAGE_LENGTH)});
+        if (this.queue.length > this.remote.maxQueue) {
+            this.queue.splice(0, this.queue.length - this.remote.maxQueue);
+        }
+
+        if (this.queue.length >= this.remote.batchSize) {
+            this.flush();
+        } else if (this.flushTimer === null) {
+            this.flushTimer = setTimeout(() => this.flush(), this.remote.flushInterval);
+        }
+    }
+
+    /**
+     * Send the queued entries to the server, one batch at a time
+     * @returns {Promise<void>} Resolves once the queue is empty or a batch failed
+     */
+    async flush() {
+        if (this.flushTimer !== null) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.remote || this.sending) return;
+
+        this.sending = true;
+        try {
+            while (this.queue.length > 0) {
+                const batch = this.queue.splice(0, this.remote.batchSize);
+                await this.remote.send(batch);
+            }
+        } catch (error) {
+            // Reported to the console only, logging it would queue it again
+            this.console.warn('Could not send client logs:', error.message);
+        } finally {
+            this.sending = false;
+        }
+    }
+}
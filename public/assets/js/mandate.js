@@ -0,0 +1,156 @@
+/**
+ * Mandate Module
+ * Validates the terms of recurring and instalment payments and builds their EMV 3DS fields
+ *
+ * A one-off purchase is authenticated with threeDSRequestorAuthenticationInd 01, a
+ * recurring payment with 02, an instalment payment with 03 and a card saved without a
+ * purchase with 04. Both mandates carry the minimum number of days between
+ * authorisations (recurringFrequency) and the date after which no further authorisations
+ * are made (recurringExpiry, YYYYMMDD); instalments also carry the maximum number of
+ * authorisations (purchaseInstalData).
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {translateDefault} from './i18n.js';
+
+/**
+ * @typedef {'oneOff'|'recurring'|'instalment'} PaymentType
+ *
+ * @typedef {Object} MandateTerms
+ * @property {'recurring'|'instalment'} type - Payment type
+ * @property {string|number} frequency - Minimum number of days between authorisations, 1-9999
+ * @property {string} expiry - Date after which no further authorisations are made, YYYY-MM-DD or YYYYMMDD
+ * @property {string|number} [instalments] - Maximum number of authorisations of an instalment payment, 2-999
+ *
+ * @typedef {Object} MandateData
+ * @property {string} threeDSRequestorAuthenticationInd - 01 payment, 02 recurring, 03 instalment
+ * @property {string} [recurringFrequency] - Minimum number of days between authorisations
+ * @property {string} [recurringExpiry] - Date of the last authorisation, YYYYMMDD
+ * @property {string} [purchaseInstalData] - Maximum number of authorisations
+ */
+
+/**
+ * threeDSRequestorAuthenticationInd of each payment type
+ * @type {Object<PaymentType, string>}
+ */
+export const PAYMENT_TYPES = {
+    oneOff: '01',
+    recurring: '02',
+    instalment: '03'
+};
+
+/**
+ * threeDSRequestorAuthenticationInd of a card verified as it is saved, with no purchase (add card)
+ * @type {string}
+ */
+export const ADD_CARD_INDICATOR = '04';
+
+/**
+ * Largest recurringFrequency, four digits
+ * @type {number}
+ */
+const MAX_FREQUENCY = 9999;
+
+/**
+ * Largest purchaseInstalData, three digits
+ * @type {number}
+ */
+const MAX_INSTALMENTS = 999;
+
+/**
+ * Read an end date as typed in a date input (YYYY-MM-DD) or in EMV format (YYYYMMDD)
+ * @param {string} value - End date
+ * @returns {string|null} The date as YYYYMMDD, or null when it is not a calendar date
+ */
+export function parseRecurringExpiry(value) {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return match.slice(1).join('');
+}
+
+/**
+ * Read mandate terms from the payment type and its fields
+ * @param {Object<string, string>} values - Values of the paymentType, recurringFrequency, recurringExpiry and purchaseInstalData fields
+ * @returns {MandateTerms|null} Terms, or null for a one-off purchase
+ */
+export function readMandateTerms(values) {
+    const type = values.paymentType || 'oneOff';
+    if (type === 'oneOff') return null;
+
+    const terms = {type, frequency: values.recurringFrequency || '', expiry: values.recurringExpiry || ''};
+    if (type === 'instalment') {
+        terms.instalments = values.purchaseInstalData || '';
+    }
+
+    return terms;
+}
+
+/**
+ * Validate mandate terms
+ * @param {MandateTerms|null} terms - Terms, null for a one-off purchase
+ * @param {Function} [t] - Translates a message key with parameters, English by default
+ * @param {Date} [today] - Current date, the end date must come after it (in UTC)
+ * @returns {Object<string, string>} Error messages by form element name, empty when valid
+ */
+export function validateMandateTerms(terms, t = translateDefault, today = new Date()) {
+    const errors = {};
+    if (!terms) return errors;
+
+    if (!['recurring', 'instalment'].includes(terms.type)) {
+        errors.paymentType = t('validation.paymentType');
+        return errors;
+    }
+
+    const frequency = String(terms.frequency ?? '').trim();
+    if (!/^\d{1,4}$/.test(frequency) || Number(frequency) < 1) {
+        errors.recurringFrequency = t('validation.recurringFrequency', {max: MAX_FREQUENCY});
+    }
+
+    // The mandate has to allow at least one authorisation after today's; the server checks in UTC too
+    const expiry = parseRecurringExpiry(terms.expiry);
+    const todayValue = today.toISOString().slice(0, 10).replace(/-/g, '');
+    if (!expiry || expiry <= todayValue) {
+        errors.recurringExpiry = t('validation.recurringExpiry');
+    }
+
+    if (terms.type === 'instalment') {
+        const instalments = String(terms.instalments ?? '').trim();
+        if (!/^\d{1,3}$/.test(instalments) || Number(instalments) < 2) {
+            errors.purchaseInstalData = t('validation.purchaseInstalData', {max: MAX_INSTALMENTS});
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Build the fields sent with auth for valid mandate terms
+ * @param {MandateTerms|null} terms - Terms, null for a one-off purchase
+ * @returns {MandateData} threeDSRequestorAuthenticationInd with the recurring and instalment fields
+ */
+export function buildMandateData(terms) {
+    if (!terms) {
+        return {threeDSRequestorAuthenticationInd: PAYMENT_TYPES.oneOff};
+    }
+
+    const data = {
+        threeDSRequestorAuthenticationInd: PAYMENT_TYPES[terms.type],
+        recurringFrequency: String(Number(terms.frequency)),
+        recurringExpiry: parseRecurringExpiry(terms.expiry)
+    };
+    if (terms.type === 'instalment') {
+        data.purchaseInstalData = String(Number(terms.instalments));
+    }
+
+    return data;
+}
@@ -0,0 +1,156 @@
+/**
+ * Frame Message Channel Module
+ * Validates postMessage events sent by the 3DS notification page
+ *
+ * Messages are only accepted when they come from the application origin, from one
+ * of the iframes opened for the current transaction, and carry that transaction's
+ * threeDSServerTransID and channel nonce.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+/**
+ * Events the notification page is allowed to send
+ * @type {string[]}
+ */
+const KNOWN_EVENTS = [
+    '3DSMethodFinished',
+    '3DSMethodSkipped',
+    'InitAuthTimedOut',
+    'AuthResultReady',
+    'Challenge:Completed',
+    'Error'
+];
+
+/**
+ * @typedef {Object} ChannelBinding
+ * @property {string} threeDSServerTransID - Server transaction ID the messages must carry
+ * @property {string|null} threeDSRequestorTransID - Requestor transaction ID, checked when present
+ * @property {string} nonce - Per-transaction nonce issued by the init action
+ *
+ * @typedef {Object} FrameMessage
+ * @property {string} event - Event name
+ * @property {string} [param] - Base64 browser info sent with 3DS Method events
+ * @property {string} [message] - What went wrong, sent with Error events
+ * @property {string} threeDSServerTransID - Server transaction ID
+ * @property {string} [requestorTransId] - Requestor transaction ID
+ * @property {string} nonce - Channel nonce
+ */
+
+export class FrameMessageChannel {
+    /**
+     * Constructor
+     * @param {string} origin - Origin the notification page is served from
+     * @param {import('./logger.js').Logger|Console} [logger] - Where rejected messages are reported
+     */
+    constructor(origin, logger = console) {
+        this.origin = origin;
+        this.logger = logger;
+
+        /** @type {ChannelBinding|null} Transaction the channel is bound to */
+        this.binding = null;
+
+        /** @type {Set<Window>} Windows of the iframes opened for the transaction */
+        this.sources = new Set();
+    }
+
+    /**
+     * Bind the channel to a transaction
+     * @param {ChannelBinding} binding - Transaction IDs and nonce
+     */
+    open(binding) {
+        if (!binding.threeDSServerTransID || !binding.nonce) {
+            throw new Error('Message channel requires a transaction ID and nonce');
+        }
+
+        this.binding = {...binding};
+        this.sources.clear();
+    }
+
+    /**
+     * Unbind the channel, rejecting any later message as stale
+     */
+    close() {
+        this.binding = null;
+        this.sources.clear();
+    }
+
+    /**
+     * Trust messages coming from an iframe opened for the current transaction
+     * @param {HTMLIFrameElement} iframe - Monitoring, callback or challenge iframe
+     */
+    addSource(iframe) {
+        if (iframe.contentWindow) {
+            this.sources.add(iframe.contentWindow);
+        }
+    }
+
+    /**
+     * Validate a message event
+     * @param {MessageEvent} event - Event received by the window
+     * @returns {FrameMessage|null} The message, or null when it was rejected
+     */
+    receive(event) {
+        const reason = this.rejectionReason(event);
+
+        if (reason) {
+            this.logger.warn(`Rejected frame message (${reason}):`, {
+                origin: event.origin,
+                event: event.data && typeof event.data === 'object' ? event.data.event : typeof event.data
+            });
+            return null;
+        }
+
+        return event.data;
+    }
+
+    /**
+     * Work out why a message event must be rejected
+     * @param {MessageEvent} event - Event received by the window
+     * @returns {string|null} Rejection reason, or null when the message is valid
+     */
+    rejectionReason(event) {
+        if (event.origin !== this.origin) {
+            return 'unexpected origin';
+        }
+
+        if (!this.sources.has(event.source)) {
+            return 'unknown source';
+        }
+
+        const data = event.data;
+        if (!data || typeof data !== 'object' || typeof data.event !== 'string') {
+            return 'malformed message';
+        }
+
+        if (!KNOWN_EVENTS.includes(data.event)) {
+            return 'unknown event';
+        }
+
+        if ((data.param !== undefined && typeof data.param !== 'string') ||
+            (data.message !== undefined && typeof data.message !== 'string')) {
+            return 'malformed message';
+        }
+
+        if (!this.binding) {
+            return 'no transaction in progress';
+        }
+
+        if (data.threeDSServerTransID !== this.binding.threeDSServerTransID) {
+            return 'stale or foreign transaction';
+        }
+
+        if (data.requestorTransId && this.binding.threeDSRequestorTransID &&
+            data.requestorTransId !== this.binding.threeDSRequestorTransID) {
+            return 'stale or foreign transaction';
+        }
+
+        if (data.nonce !== this.binding.nonce) {
+            return 'invalid nonce';
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,730 @@
+/**
+ * Messages Module
+ * Message catalogues of the payment UI, by locale
+ *
+ * Keys are grouped by prefix: page and form for the payment page, stage for the
+ * status announcements, status, verification and transStatus for outcomes, reason,
+ * eci and mandate for the decoded result, handOff for the authorization hand-off,
+ * and error, validation and cardholder for failures.
+ * Placeholders are written {name}.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+/**
+ * @type {Object<string, Object<string, string>>}
+ */
+export const MESSAGES = {
+    en: {
+        'language.name': 'English',
+
+        'page.heading': '3DS Payment Example',
+        'page.language': 'Language',
+        'page.processing': 'Processing payment...',
+        'page.resultTitle': 'Transaction Result',
+        'page.challengeTitle': '3DS Challenge',
+        'page.challengeIntro': 'Please complete the authentication challenge below:',
+        'page.decoupledTitle': 'Approve on Your Device',
+        'page.decoupledIntro': 'Your bank has sent an authentication request to your phone or banking app. Approve it there to complete the payment.',
+        'page.timeRemaining': 'Time remaining:',
+        'page.elementsMissing': 'Required page elements not found. Please reload the page.',
+
+        'form.title': 'Payment Details',
+        'form.cardNumber': 'Card Number',
+        'form.testCard': 'Use test card:',
+        'form.expiryDate': 'Expiry Date (MM/YY)',
+        'form.cvv': 'CVV',
+        'form.amount': 'Amount',
+        'form.currency': 'Currency',
+        'form.paymentType': 'Payment type',
+        'form.paymentType.oneOff': 'One-off payment',
+        'form.paymentType.recurring': 'Recurring payment',
+        'form.paymentType.instalment': 'Instalments',
+        'form.recurringFrequency': 'Every (days)',
+        'form.recurringExpiry': 'Last payment on',
+        'form.purchaseInstalData': 'Number of instalments',
+        'form.cardholderDetails': 'Cardholder details (optional)',
+        'form.cardholderName': 'Name on card',
+        'form.email': 'Email',
+        'form.phoneCountryCode': 'Country code',
+        'form.mobilePhone': 'Mobile phone',
+        'form.billingAddress': 'Billing address',
+        'form.shippingAddress': 'Shipping address',
+        'form.addressLine1': 'Address line 1',
+        'form.addressLine2': 'Address line 2',
+        'form.city': 'City',
+        'form.postCode': 'Postal code',
+        'form.stateCode': 'State code',
+        'form.stateCodePlaceholder': 'e.g. CA',
+        'form.country': 'Country',
+        'form.selectCountry': 'Select...',
+        'form.sameAddress': 'Shipping address is the same as billing',
+        'form.pay': 'Pay Now',
+        'form.verify': 'Verify Card',
+        'form.verifyCardOnly': 'Verify and save the card only, no payment',
+
+        'stage.initializing': 'Processing payment, please wait.',
+        'stage.methodRunning': 'Checking your card with your bank.',
+        'stage.authenticating': 'Authenticating your payment.',
+        'stage.challenge': 'Your bank needs to verify this payment. Complete the verification to continue.',
+        'stage.decoupled': 'Approve the payment in your banking app or on your phone.',
+        'stage.resultPending': 'Getting the authentication result.',
+
+        'validation.cardNumber': 'Please enter a valid card number',
+        'validation.expiryDate': 'Please enter a valid expiry date (MM/YY) that has not expired',
+        'validation.currency': 'Please select a supported currency',
+        'validation.amount': 'Please enter a valid amount (up to {decimals} decimal places for {currency})',
+        'validation.paymentType': 'Please select a supported payment type',
+        'validation.recurringFrequency': 'Please enter the number of days between payments (1 to {max})',
+        'validation.recurringExpiry': 'Please enter a last payment date after today',
+        'validation.purchaseInstalData': 'Please enter the number of instalments (2 to {max})',
+        'validation.cardholder': 'Please check the cardholder details: {errors}',
+
+        'cardholder.invalid': '{label} is not valid',
+        'cardholder.tooShort': '{label} must be at least {min} characters',
+        'cardholder.tooLong': '{label} must be at most {max} characters',
+        'cardholder.required': '{label} is required',
+        'cardholder.label.cardholderName': 'Cardholder name',
+        'cardholder.label.email': 'Email',
+        'cardholder.label.phoneCc': 'Phone country code',
+        'cardholder.label.phoneSubscriber': 'Phone number',
+        'cardholder.label.addrLine': 'Address line',
+        'cardholder.label.addrCity': 'City',
+        'cardholder.label.addrPostCode': 'Postal code',
+        'cardholder.label.addrState': 'State',
+        'cardholder.label.addrCountry': 'Country',
+
+        'status.success': 'Payment Authenticated Successfully',
+        'status.failed': 'Authentication Failed - Not Authenticated',
+        'status.error': 'Authentication Error - Technical Issue',
+        'status.partial': 'Authentication Attempted but Not Verified',
+        'status.challenge': 'Challenge Required',
+        'status.decoupled': 'Decoupled Authentication Required',
+        'status.rejected': 'Authentication Rejected by Issuer',
+        'status.completed': 'Authentication Completed',
+
+        'verification.success': 'Card Verified Successfully',
+        'verification.failed': 'Card Verification Failed - Not Authenticated',
+        'verification.error': 'Card Verification Error - Technical Issue',
+        'verification.partial': 'Card Verification Attempted but Not Verified',
+        'verification.rejected': 'Card Verification Rejected by Issuer',
+        'verification.completed': 'Card Verification Completed',
+
+        'transStatus.Y': 'Authenticated',
+        'transStatus.Y.detail': 'Authentication verification successful',
+        'transStatus.N': 'Not Authenticated',
+        'transStatus.N.detail': 'Not authenticated/account not verified',
+        'transStatus.U': 'Unauthenticated',
+        'transStatus.U.detail': 'Authentication could not be performed due to technical issue',
+        'transStatus.A': 'Attempted',
+        'transStatus.A.detail': 'Attempt processing performed but not authenticated',
+        'transStatus.C': 'Challenge Required',
+        'transStatus.C.detail': 'Additional authentication required',
+        'transStatus.D': 'Decoupled Authentication',
+        'transStatus.D.detail': 'Decoupled Authentication confirmed',
+        'transStatus.R': 'Rejected',
+        'transStatus.R.detail': 'Authentication rejected by issuer',
+        'transStatus.unknown': 'Unknown',
+
+        'result.transStatus': 'Transaction Status:',
+        'result.challenge': 'Challenge:',
+        'result.amount': 'Amount:',
+        'result.showDetails': 'Show Technical Details',
+        'result.hideDetails': 'Hide Technical Details',
+        'result.newPayment': 'New payment',
+        'result.newVerification': 'Verify another card',
+        'result.card': 'Card:',
+        'result.tryAgain': 'Try again',
+        'result.retryPayment': 'Retry payment',
+        'result.reason': 'Reason:',
+        'result.eci': 'ECI:',
+        'result.authenticationValue': 'Authentication value:',
+        'result.present': 'Present',
+        'result.absent': 'Absent',
+        'result.dsTransId': 'DS transaction ID:',
+        'result.acsTransId': 'ACS transaction ID:',
+        'result.liabilityShift': 'Liability shift:',
+        'result.yes': 'Yes',
+        'result.no': 'No',
+        'result.mandate': 'Mandate:',
+
+        'reason.01': 'Card authentication failed',
+        'reason.02': 'Unknown device',
+        'reason.03': 'Unsupported device',
+        'reason.04': 'Exceeds authentication frequency limit',
+        'reason.05': 'Expired card',
+        'reason.06': 'Invalid card number',
+        'reason.07': 'Invalid transaction',
+        'reason.08': 'No card record',
+        'reason.09': 'Security failure',
+        'reason.10': 'Stolen card',
+        'reason.11': 'Suspected fraud',
+        'reason.12': 'Transaction not permitted to cardholder',
+        'reason.13': 'Cardholder not enrolled in service',
+        'reason.14': 'Transaction timed out at the ACS',
+        'reason.15': 'Low confidence',
+        'reason.16': 'Medium confidence',
+        'reason.17': 'High confidence',
+        'reason.18': 'Very high confidence',
+        'reason.19': 'Exceeds ACS maximum challenges',
+        'reason.20': 'Non-payment transaction not supported',
+        'reason.21': '3RI transaction not supported',
+        'reason.22': 'ACS technical issue',
+        'reason.23': 'Decoupled authentication required by the ACS but not requested by the 3DS Requestor',
+        'reason.24': '3DS Requestor decoupled max expiry time exceeded',
+        'reason.25': 'Decoupled authentication was given insufficient time to authenticate the cardholder',
+        'reason.26': 'Authentication attempted but not performed by the cardholder',
+        'reason.27': 'Preferred authentication method not supported',
+        'reason.28': 'Validation of content security policy failed',
+        'reason.reserved': 'Reserved for Directory Server use ({code})',
+        'reason.unknown': 'Unknown reason ({code})',
+
+        'eci.authenticated': 'Fully authenticated',
+        'eci.attempted': 'Authentication attempted',
+        'eci.notAuthenticated': 'Not authenticated',
+        'eci.unknown': 'Not recognised for this card brand',
+
+        'mandate.recurring': 'Recurring every {frequency} days until {expiry}',
+        'mandate.instalment': '{instalments} instalments every {frequency} days until {expiry}',
+        'mandate.authenticated': 'Authenticated',
+        'mandate.notAuthenticated': 'Not authenticated',
+
+        'challenge.title': 'Verify your payment',
+        'challenge.cancel': 'Cancel',
+        'challenge.completed': 'Challenge completed by the cardholder',
+        'challenge.cancelled': 'Challenge cancelled by the cardholder',
+        'challenge.decoupledTimedOut': 'Decoupled authentication timed out before the cardholder responded',
+        'challenge.timedOut': 'Challenge timed out before the cardholder completed it',
+        'challenge.loadFailed': 'Challenge page could not be loaded',
+
+        'error.inProgress': 'A payment is already in progress',
+        'error.sessionExpired': 'Your session has expired. Please re-enter your card details and retry the payment.',
+        'error.init': 'Error initializing 3DS: {detail}',
+        'error.auth': 'Error during authentication: {detail}',
+        'error.challengeResult': 'Error updating challenge status or getting result: {detail}',
+        'error.authResult': 'Error getting authentication result: {detail}',
+        'error.frameEvent': 'Error processing 3DS response: {detail}',
+        'error.noBrowserInfo': 'Authentication failed: No browser info received from 3DS server',
+        'error.decoupledTimeout': 'Decoupled authentication timed out before the cardholder responded',
+        'error.aborted': 'Payment cancelled',
+        'error.cancelledByCardholder': 'Payment cancelled by the cardholder',
+
+        'handOff.redirecting': 'Payment authenticated, returning to the merchant.',
+        'handOff.failed': 'The payment was authenticated but could not be passed on to the merchant. Please contact the merchant before trying again.',
+
+        'history.title': 'Transaction History',
+        'history.exportCsv': 'Export CSV',
+        'history.exportJson': 'Export JSON',
+        'history.clear': 'Clear',
+        'history.confirmClear': 'Delete the stored transaction history?',
+        'history.status': 'Status',
+        'history.flow': 'Flow',
+        'history.all': 'All',
+        'history.from': 'From',
+        'history.to': 'To',
+        'history.search': 'Search',
+        'history.searchPlaceholder': 'Search by transaction ID or card digits',
+        'history.date': 'Date',
+        'history.card': 'Card',
+        'history.brand': 'Brand',
+        'history.amount': 'Amount',
+        'history.cardVerification': 'Card verification',
+        'history.currency': 'Currency',
+        'history.transStatus': 'Transaction status',
+        'history.eci': 'ECI',
+        'history.outcome': 'Outcome',
+        'history.serverTransId': '3DS Server transaction ID',
+        'history.requestorTransId': 'Requestor transaction ID',
+        'history.actions': 'Actions',
+        'history.empty': 'No transactions recorded on this device yet.',
+        'history.receipt': 'Receipt',
+        'history.receiptTitle': '3DS Authentication Receipt',
+        'history.print': 'Print',
+        'history.close': 'Close',
+        'history.statusY': 'Y - Authenticated',
+        'history.statusA': 'A - Attempted',
+        'history.statusN': 'N - Not authenticated',
+        'history.statusU': 'U - Unavailable',
+        'history.statusR': 'R - Rejected',
+
+        'flow.frictionless': 'Frictionless',
+        'flow.challenge': 'Challenge',
+        'flow.decoupled': 'Decoupled'
+    },
+
+    fr: {
+        'language.name': 'Français',
+
+        'page.heading': 'Exemple de paiement 3DS',
+        'page.language': 'Langue',
+        'page.processing': 'Paiement en cours...',
+        'page.resultTitle': 'Résultat de la transaction',
+        'page.challengeTitle': 'Vérification 3DS',
+        'page.challengeIntro': 'Veuillez effectuer la vérification demandée ci-dessous :',
+        'page.decoupledTitle': 'Validez sur votre appareil',
+        'page.decoupledIntro': 'Votre banque a envoyé une demande d\'authentification sur votre téléphone ou votre application bancaire. Validez-la pour finaliser le paiement.',
+        'page.timeRemaining': 'Temps restant :',
+        'page.elementsMissing': 'Des éléments de la page sont introuvables. Veuillez recharger la page.',
+
+        'form.title': 'Détails du paiement',
+        'form.cardNumber': 'Numéro de carte',
+        'form.testCard': 'Carte de test :',
+        'form.expiryDate': 'Date d\'expiration (MM/AA)',
+        'form.cvv': 'Cryptogramme',
+        'form.amount': 'Montant',
+        'form.currency': 'Devise',
+        'form.paymentType': 'Type de paiement',
+        'form.paymentType.oneOff': 'Paiement unique',
+        'form.paymentType.recurring': 'Paiement récurrent',
+        'form.paymentType.instalment': 'Paiement échelonné',
+        'form.recurringFrequency': 'Tous les (jours)',
+        'form.recurringExpiry': 'Dernier paiement le',
+        'form.purchaseInstalData': 'Nombre d\'échéances',
+        'form.cardholderDetails': 'Informations du titulaire (facultatif)',
+        'form.cardholderName': 'Nom sur la carte',
+        'form.email': 'E-mail',
+        'form.phoneCountryCode': 'Indicatif',
+        'form.mobilePhone': 'Téléphone mobile',
+        'form.billingAddress': 'Adresse de facturation',
+        'form.shippingAddress': 'Adresse de livraison',
+        'form.addressLine1': 'Adresse ligne 1',
+        'form.addressLine2': 'Adresse ligne 2',
+        'form.city': 'Ville',
+        'form.postCode': 'Code postal',
+        'form.stateCode': 'Code de région',
+        'form.stateCodePlaceholder': 'ex. CA',
+        'form.country': 'Pays',
+        'form.selectCountry': 'Choisir...',
+        'form.sameAddress': 'L\'adresse de livraison est identique à l\'adresse de facturation',
+        'form.pay': 'Payer',
+        'form.verify': 'Vérifier la carte',
+        'form.verifyCardOnly': 'Vérifier et enregistrer la carte uniquement, sans paiement',
+
+        'stage.initializing': 'Paiement en cours, veuillez patienter.',
+        'stage.methodRunning': 'Vérification de votre carte auprès de votre banque.',
+        'stage.authenticating': 'Authentification de votre paiement.',
+        'stage.challenge': 'Votre banque doit vérifier ce paiement. Effectuez la vérification pour continuer.',
+        'stage.decoupled': 'Validez le paiement dans votre application bancaire ou sur votre téléphone.',
+        'stage.resultPending': 'Récupération du résultat de l\'authentification.',
+
+        'validation.cardNumber': 'Veuillez saisir un numéro de carte valide',
+        'validation.expiryDate': 'Veuillez saisir une date d\'expiration valide (MM/AA) non dépassée',
+        'validation.currency': 'Veuillez choisir une devise prise en charge',
+        'validation.amount': 'Veuillez saisir un montant valide (au plus {decimals} décimales pour {currency})',
+        'validation.paymentType': 'Veuillez choisir un type de paiement pris en charge',
+        'validation.recurringFrequency': 'Veuillez saisir le nombre de jours entre deux paiements (de 1 à {max})',
+        'validation.recurringExpiry': 'Veuillez saisir une date de dernier paiement postérieure à aujourd\'hui',
+        'validation.purchaseInstalData': 'Veuillez saisir le nombre d\'échéances (de 2 à {max})',
+        'validation.cardholder': 'Veuillez vérifier les informations du titulaire : {errors}',
+
+        'cardholder.invalid': '{label} n\'est pas valide',
+        'cardholder.tooShort': '{label} doit comporter au moins {min} caractères',
+        'cardholder.tooLong': '{label} doit comporter au plus {max} caractères',
+        'cardholder.required': '{label} est obligatoire',
+        'cardholder.label.cardholderName': 'Nom du titulaire',
+        'cardholder.label.email': 'E-mail',
+        'cardholder.label.phoneCc': 'Indicatif téléphonique',
+        'cardholder.label.phoneSubscriber': 'Numéro de téléphone',
+        'cardholder.label.addrLine': 'Ligne d\'adresse',
+        'cardholder.label.addrCity': 'Ville',
+        'cardholder.label.addrPostCode': 'Code postal',
+        'cardholder.label.addrState': 'Région',
+        'cardholder.label.addrCountry': 'Pays',
+
+        'status.success': 'Paiement authentifié',
+        'status.failed': 'Échec de l\'authentification - Non authentifié',
+        'status.error': 'Erreur d\'authentification - Problème technique',
+        'status.partial': 'Authentification tentée mais non vérifiée',
+        'status.challenge': 'Vérification requise',
+        'status.decoupled': 'Authentification découplée requise',
+        'status.rejected': 'Authentification refusée par l\'émetteur',
+        'status.completed': 'Authentification terminée',
+
+        'verification.success': 'Carte vérifiée avec succès',
+        'verification.failed': 'Échec de la vérification de la carte - non authentifiée',
+        'verification.error': 'Erreur de vérification de la carte - problème technique',
+        'verification.partial': 'Vérification de la carte tentée mais non confirmée',
+        'verification.rejected': 'Vérification de la carte rejetée par l\'émetteur',
+        'verification.completed': 'Vérification de la carte terminée',
+
+        'transStatus.Y': 'Authentifié',
+        'transStatus.Y.detail': 'Vérification de l\'authentification réussie',
+        'transStatus.N': 'Non authentifié',
+        'transStatus.N.detail': 'Non authentifié ou compte non vérifié',
+        'transStatus.U': 'Non authentifiable',
+        'transStatus.U.detail': 'L\'authentification n\'a pas pu être effectuée suite à un problème technique',
+        'transStatus.A': 'Tentative',
+        'transStatus.A.detail': 'Tentative d\'authentification effectuée sans authentification',
+        'transStatus.C': 'Vérification requise',
+        'transStatus.C.detail': 'Une authentification supplémentaire est requise',
+        'transStatus.D': 'Authentification découplée',
+        'transStatus.D.detail': 'Authentification découplée confirmée',
+        'transStatus.R': 'Refusé',
+        'transStatus.R.detail': 'Authentification refusée par l\'émetteur',
+        'transStatus.unknown': 'Inconnu',
+
+        'result.transStatus': 'Statut de la transaction :',
+        'result.challenge': 'Vérification :',
+        'result.amount': 'Montant :',
+        'result.showDetails': 'Afficher les détails techniques',
+        'result.hideDetails': 'Masquer les détails techniques',
+        'result.newPayment': 'Nouveau paiement',
+        'result.newVerification': 'Vérifier une autre carte',
+        'result.card': 'Carte :',
+        'result.tryAgain': 'Réessayer',
+        'result.retryPayment': 'Relancer le paiement',
+        'result.reason': 'Motif :',
+        'result.eci': 'ECI :',
+        'result.authenticationValue': 'Valeur d\'authentification :',
+        'result.present': 'Présente',
+        'result.absent': 'Absente',
+        'result.dsTransId': 'ID de transaction DS :',
+        'result.acsTransId': 'ID de transaction ACS :',
+        'result.liabilityShift': 'Transfert de responsabilité :',
+        'result.yes': 'Oui',
+        'result.no': 'Non',
+        'result.mandate': 'Mandat :',
+
+        'reason.01': 'Échec de l\'authentification de la carte',
+        'reason.02': 'Appareil inconnu',
+        'reason.03': 'Appareil non pris en charge',
+        'reason.04': 'Limite de fréquence d\'authentification dépassée',
+        'reason.05': 'Carte expirée',
+        'reason.06': 'Numéro de carte invalide',
+        'reason.07': 'Transaction invalide',
+        'reason.08': 'Aucun enregistrement pour cette carte',
+        'reason.09': 'Échec de sécurité',
+        'reason.10': 'Carte volée',
+        'reason.11': 'Suspicion de fraude',
+        'reason.12': 'Transaction non autorisée pour le titulaire',
+        'reason.13': 'Titulaire non inscrit au service',
+        'reason.14': 'Délai de la transaction dépassé sur l\'ACS',
+        'reason.15': 'Confiance faible',
+        'reason.16': 'Confiance moyenne',
+        'reason.17': 'Confiance élevée',
+        'reason.18': 'Confiance très élevée',
+        'reason.19': 'Nombre maximal de challenges de l\'ACS dépassé',
+        'reason.20': 'Transaction hors paiement non prise en charge',
+        'reason.21': 'Transaction 3RI non prise en charge',
+        'reason.22': 'Problème technique de l\'ACS',
+        'reason.23': 'Authentification découplée exigée par l\'ACS mais non demandée par le 3DS Requestor',
+        'reason.24': 'Délai maximal d\'authentification découplée du 3DS Requestor dépassé',
+        'reason.25': 'Délai insuffisant pour l\'authentification découplée du titulaire',
+        'reason.26': 'Authentification tentée mais non effectuée par le titulaire',
+        'reason.27': 'Méthode d\'authentification préférée non prise en charge',
+        'reason.28': 'Échec de la validation de la politique de sécurité du contenu',
+        'reason.reserved': 'Réservé à l\'usage du Directory Server ({code})',
+        'reason.unknown': 'Motif inconnu ({code})',
+
+        'eci.authenticated': 'Entièrement authentifié',
+        'eci.attempted': 'Authentification tentée',
+        'eci.notAuthenticated': 'Non authentifié',
+        'eci.unknown': 'Non reconnu pour cette marque de carte',
+
+        'mandate.recurring': 'Récurrent tous les {frequency} jours jusqu\'au {expiry}',
+        'mandate.instalment': '{instalments} échéances tous les {frequency} jours jusqu\'au {expiry}',
+        'mandate.authenticated': 'Authentifié',
+        'mandate.notAuthenticated': 'Non authentifié',
+
+        'challenge.title': 'Vérifiez votre paiement',
+        'challenge.cancel': 'Annuler',
+        'challenge.completed': 'Vérification effectuée par le titulaire',
+        'challenge.cancelled': 'Vérification annulée par le titulaire',
+        'challenge.decoupledTimedOut': 'L\'authentification découplée a expiré avant la réponse du titulaire',
+        'challenge.timedOut': 'Le délai de vérification a expiré avant que le titulaire ne la termine',
+        'challenge.loadFailed': 'La page de vérification n\'a pas pu être chargée',
+
+        'error.inProgress': 'Un paiement est déjà en cours',
+        'error.sessionExpired': 'Votre session a expiré. Veuillez ressaisir les informations de votre carte et relancer le paiement.',
+        'error.init': 'Erreur lors de l\'initialisation 3DS : {detail}',
+        'error.auth': 'Erreur lors de l\'authentification : {detail}',
+        'error.challengeResult': 'Erreur lors de la mise à jour de la vérification ou de la récupération du résultat : {detail}',
+        'error.authResult': 'Erreur lors de la récupération du résultat de l\'authentification : {detail}',
+        'error.frameEvent': 'Erreur lors du traitement de la réponse 3DS : {detail}',
+        'error.noBrowserInfo': 'Échec de l\'authentification : aucune donnée navigateur reçue du serveur 3DS',
+        'error.decoupledTimeout': 'L\'authentification découplée a expiré avant la réponse du titulaire',
+        'error.aborted': 'Paiement annulé',
+        'error.cancelledByCardholder': 'Paiement annulé par le titulaire',
+
+        'handOff.redirecting': 'Paiement authentifié, retour vers le marchand.',
+        'handOff.failed': 'Le paiement a été authentifié mais n\'a pas pu être transmis au marchand. Contactez le marchand avant de réessayer.',
+
+        'history.title': 'Historique des transactions',
+        'history.exportCsv': 'Exporter en CSV',
+        'history.exportJson': 'Exporter en JSON',
+        'history.clear': 'Effacer',
+        'history.confirmClear': 'Supprimer l\'historique des transactions enregistré ?',
+        'history.status': 'Statut',
+        'history.flow': 'Parcours',
+        'history.all': 'Tous',
+        'history.from': 'Du',
+        'history.to': 'Au',
+        'history.search': 'Rechercher',
+        'history.searchPlaceholder': 'Rechercher par identifiant de transaction ou chiffres de la carte',
+        'history.date': 'Date',
+        'history.card': 'Carte',
+        'history.brand': 'Réseau',
+        'history.amount': 'Montant',
+        'history.cardVerification': 'Vérification de carte',
+        'history.currency': 'Devise',
+        'history.transStatus': 'Statut de la transaction',
+        'history.eci': 'ECI',
+        'history.outcome': 'Résultat',
+        'history.serverTransId': 'Identifiant de transaction du serveur 3DS',
+        'history.requestorTransId': 'Identifiant de transaction du demandeur',
+        'history.actions': 'Actions',
+        'history.empty': 'Aucune transaction enregistrée sur cet appareil pour le moment.',
+        'history.receipt': 'Reçu',
+        'history.receiptTitle': 'Reçu d\'authentification 3DS',
+        'history.print': 'Imprimer',
+        'history.close': 'Fermer',
+        'history.statusY': 'Y - Authentifié',
+        'history.statusA': 'A - Tentative',
+        'history.statusN': 'N - Non authentifié',
+        'history.statusU': 'U - Indisponible',
+        'history.statusR': 'R - Refusé',
+
+        'flow.frictionless': 'Sans friction',
+        'flow.challenge': 'Avec vérification',
+        'flow.decoupled': 'Découplé'
+    },
+
+    ar: {
+        'language.name': 'العربية',
+
+        'page.heading': 'مثال على الدفع عبر 3DS',
+        'page.language': 'اللغة',
+        'page.processing': 'جارٍ معالجة الدفع...',
+        'page.resultTitle': 'نتيجة المعاملة',
+        'page.challengeTitle': 'التحقق عبر 3DS',
+        'page.challengeIntro': 'يرجى إكمال خطوة التحقق أدناه:',
+        'page.decoupledTitle': 'وافق على جهازك',
+        'page.decoupledIntro': 'أرسل مصرفك طلب مصادقة إلى هاتفك أو تطبيقك المصرفي. وافق عليه هناك لإتمام الدفع.',
+        'page.timeRemaining': 'الوقت المتبقي:',
+        'page.elementsMissing': 'تعذر العثور على عناصر الصفحة المطلوبة. يرجى إعادة تحميل الصفحة.',
+
+        'form.title': 'تفاصيل الدفع',
+        'form.cardNumber': 'رقم البطاقة',
+        'form.testCard': 'استخدم بطاقة الاختبار:',
+        'form.expiryDate': 'تاريخ الانتهاء (MM/YY)',
+        'form.cvv': 'رمز التحقق (CVV)',
+        'form.amount': 'المبلغ',
+        'form.currency': 'العملة',
+        'form.paymentType': 'نوع الدفع',
+        'form.paymentType.oneOff': 'دفعة واحدة',
+        'form.paymentType.recurring': 'دفع متكرر',
+        'form.paymentType.instalment': 'دفع بالتقسيط',
+        'form.recurringFrequency': 'كل (أيام)',
+        'form.recurringExpiry': 'تاريخ آخر دفعة',
+        'form.purchaseInstalData': 'عدد الأقساط',
+        'form.cardholderDetails': 'بيانات حامل البطاقة (اختياري)',
+        'form.cardholderName': 'الاسم على البطاقة',
+        'form.email': 'البريد الإلكتروني',
+        'form.phoneCountryCode': 'رمز الدولة',
+        'form.mobilePhone': 'رقم الجوال',
+        'form.billingAddress': 'عنوان الفوترة',
+        'form.shippingAddress': 'عنوان الشحن',
+        'form.addressLine1': 'سطر العنوان 1',
+        'form.addressLine2': 'سطر العنوان 2',
+        'form.city': 'المدينة',
+        'form.postCode': 'الرمز البريدي',
+        'form.stateCode': 'رمز المنطقة',
+        'form.stateCodePlaceholder': 'مثال: CA',
+        'form.country': 'الدولة',
+        'form.selectCountry': 'اختر...',
+        'form.sameAddress': 'عنوان الشحن مطابق لعنوان الفوترة',
+        'form.pay': 'ادفع الآن',
+        'form.verify': 'تحقق من البطاقة',
+        'form.verifyCardOnly': 'التحقق من البطاقة وحفظها فقط، دون دفع',
+
+        'stage.initializing': 'جارٍ معالجة الدفع، يرجى الانتظار.',
+        'stage.methodRunning': 'جارٍ التحقق من بطاقتك لدى مصرفك.',
+        'stage.authenticating': 'جارٍ مصادقة عملية الدفع.',
+        'stage.challenge': 'يحتاج مصرفك إلى التحقق من هذه العملية. أكمل خطوة التحقق للمتابعة.',
+        'stage.decoupled': 'وافق على الدفع من تطبيقك المصرفي أو من هاتفك.',
+        'stage.resultPending': 'جارٍ الحصول على نتيجة المصادقة.',
+
+        'validation.cardNumber': 'يرجى إدخال رقم بطاقة صالح',
+        'validation.expiryDate': 'يرجى إدخال تاريخ انتهاء صالح (MM/YY) لم ينقضِ بعد',
+        'validation.currency': 'يرجى اختيار عملة مدعومة',
+        'validation.amount': 'يرجى إدخال مبلغ صالح (بحد أقصى {decimals} منازل عشرية لعملة {currency})',
+        'validation.paymentType': 'يرجى اختيار نوع دفع مدعوم',
+        'validation.recurringFrequency': 'يرجى إدخال عدد الأيام بين الدفعات (من 1 إلى {max})',
+        'validation.recurringExpiry': 'يرجى إدخال تاريخ آخر دفعة بعد اليوم',
+        'validation.purchaseInstalData': 'يرجى إدخال عدد الأقساط (من 2 إلى {max})',
+        'validation.cardholder': 'يرجى مراجعة بيانات حامل البطاقة: {errors}',
+
+        'cardholder.invalid': '{label} غير صالح',
+        'cardholder.tooShort': 'يجب ألا يقل {label} عن {min} أحرف',
+        'cardholder.tooLong': 'يجب ألا يزيد {label} عن {max} حرفًا',
+        'cardholder.required': '{label} مطلوب',
+        'cardholder.label.cardholderName': 'اسم حامل البطاقة',
+        'cardholder.label.email': 'البريد الإلكتروني',
+        'cardholder.label.phoneCc': 'رمز الدولة للهاتف',
+        'cardholder.label.phoneSubscriber': 'رقم الهاتف',
+        'cardholder.label.addrLine': 'سطر العنوان',
+        'cardholder.label.addrCity': 'المدينة',
+        'cardholder.label.addrPostCode': 'الرمز البريدي',
+        'cardholder.label.addrState': 'المنطقة',
+        'cardholder.label.addrCountry': 'الدولة',
+
+        'status.success': 'تمت مصادقة الدفع بنجاح',
+        'status.failed': 'فشلت المصادقة - لم تتم المصادقة',
+        'status.error': 'خطأ في المصادقة - مشكلة تقنية',
+        'status.partial': 'جرت محاولة المصادقة دون التحقق',
+        'status.challenge': 'مطلوب التحقق',
+        'status.decoupled': 'مطلوب المصادقة المنفصلة',
+        'status.rejected': 'رفض المُصدِر المصادقة',
+        'status.completed': 'اكتملت المصادقة',
+
+        'verification.success': 'تم التحقق من البطاقة بنجاح',
+        'verification.failed': 'فشل التحقق من البطاقة - لم تتم المصادقة',
+        'verification.error': 'خطأ في التحقق من البطاقة - مشكلة فنية',
+        'verification.partial': 'تمت محاولة التحقق من البطاقة دون تأكيد',
+        'verification.rejected': 'رفض المُصدر التحقق من البطاقة',
+        'verification.completed': 'اكتمل التحقق من البطاقة',
+
+        'transStatus.Y': 'تمت المصادقة',
+        'transStatus.Y.detail': 'نجح التحقق من المصادقة',
+        'transStatus.N': 'لم تتم المصادقة',
+        'transStatus.N.detail': 'لم تتم المصادقة أو لم يتم التحقق من الحساب',
+        'transStatus.U': 'تعذرت المصادقة',
+        'transStatus.U.detail': 'تعذر إجراء المصادقة بسبب مشكلة تقنية',
+        'transStatus.A': 'محاولة',
+        'transStatus.A.detail': 'جرت معالجة المحاولة دون مصادقة',
+        'transStatus.C': 'مطلوب التحقق',
+        'transStatus.C.detail': 'مطلوب مصادقة إضافية',
+        'transStatus.D': 'مصادقة منفصلة',
+        'transStatus.D.detail': 'تم تأكيد المصادقة المنفصلة',
+        'transStatus.R': 'مرفوضة',
+        'transStatus.R.detail': 'رفض المُصدِر المصادقة',
+        'transStatus.unknown': 'غير معروف',
+
+        'result.transStatus': 'حالة المعاملة:',
+        'result.challenge': 'التحقق:',
+        'result.amount': 'المبلغ:',
+        'result.showDetails': 'عرض التفاصيل التقنية',
+        'result.hideDetails': 'إخفاء التفاصيل التقنية',
+        'result.newPayment': 'دفعة جديدة',
+        'result.newVerification': 'تحقق من بطاقة أخرى',
+        'result.card': 'البطاقة:',
+        'result.tryAgain': 'حاول مرة أخرى',
+        'result.retryPayment': 'أعد محاولة الدفع',
+        'result.reason': 'السبب:',
+        'result.eci': 'مؤشر ECI:',
+        'result.authenticationValue': 'قيمة المصادقة:',
+        'result.present': 'موجودة',
+        'result.absent': 'غير موجودة',
+        'result.dsTransId': 'معرّف معاملة DS:',
+        'result.acsTransId': 'معرّف معاملة ACS:',
+        'result.liabilityShift': 'نقل المسؤولية:',
+        'result.yes': 'نعم',
+        'result.no': 'لا',
+        'result.mandate': 'التفويض:',
+
+        'reason.01': 'فشلت مصادقة البطاقة',
+        'reason.02': 'جهاز غير معروف',
+        'reason.03': 'جهاز غير مدعوم',
+        'reason.04': 'تجاوز حد تكرار المصادقة',
+        'reason.05': 'بطاقة منتهية الصلاحية',
+        'reason.06': 'رقم بطاقة غير صالح',
+        'reason.07': 'معاملة غير صالحة',
+        'reason.08': 'لا يوجد سجل للبطاقة',
+        'reason.09': 'فشل أمني',
+        'reason.10': 'بطاقة مسروقة',
+        'reason.11': 'اشتباه في احتيال',
+        'reason.12': 'المعاملة غير مسموح بها لحامل البطاقة',
+        'reason.13': 'حامل البطاقة غير مسجل في الخدمة',
+        'reason.14': 'انتهت مهلة المعاملة لدى ACS',
+        'reason.15': 'ثقة منخفضة',
+        'reason.16': 'ثقة متوسطة',
+        'reason.17': 'ثقة عالية',
+        'reason.18': 'ثقة عالية جداً',
+        'reason.19': 'تجاوز الحد الأقصى لتحديات ACS',
+        'reason.20': 'المعاملات غير المالية غير مدعومة',
+        'reason.21': 'معاملات 3RI غير مدعومة',
+        'reason.22': 'مشكلة تقنية لدى ACS',
+        'reason.23': 'طلب ACS المصادقة المنفصلة لكن طالب 3DS لم يطلبها',
+        'reason.24': 'تجاوز الحد الأقصى لوقت المصادقة المنفصلة لدى طالب 3DS',
+        'reason.25': 'لم يُمنح وقت كافٍ للمصادقة المنفصلة لحامل البطاقة',
+        'reason.26': 'جرت محاولة المصادقة لكن حامل البطاقة لم يُجرها',
+        'reason.27': 'طريقة المصادقة المفضلة غير مدعومة',
+        'reason.28': 'فشل التحقق من سياسة أمان المحتوى',
+        'reason.reserved': 'محجوز لاستخدام Directory Server ({code})',
+        'reason.unknown': 'سبب غير معروف ({code})',
+
+        'eci.authenticated': 'مصادق بالكامل',
+        'eci.attempted': 'جرت محاولة المصادقة',
+        'eci.notAuthenticated': 'غير مصادق',
+        'eci.unknown': 'غير معروف لهذه العلامة التجارية للبطاقة',
+
+        'mandate.recurring': 'متكرر كل {frequency} يومًا حتى {expiry}',
+        'mandate.instalment': '{instalments} أقساط كل {frequency} يومًا حتى {expiry}',
+        'mandate.authenticated': 'تمت المصادقة',
+        'mandate.notAuthenticated': 'لم تتم المصادقة',
+
+        'challenge.title': 'تحقق من عملية الدفع',
+        'challenge.cancel': 'إلغاء',
+        'challenge.completed': 'أكمل حامل البطاقة خطوة التحقق',
+        'challenge.cancelled': 'ألغى حامل البطاقة خطوة التحقق',
+        'challenge.decoupledTimedOut': 'انتهت مهلة المصادقة المنفصلة قبل رد حامل البطاقة',
+        'challenge.timedOut': 'انتهت مهلة التحقق قبل أن يكمله حامل البطاقة',
+        'challenge.loadFailed': 'تعذر تحميل صفحة التحقق',
+
+        'error.inProgress': 'هناك عملية دفع قيد التنفيذ بالفعل',
+        'error.sessionExpired': 'انتهت صلاحية جلستك. يرجى إعادة إدخال بيانات بطاقتك وإعادة محاولة الدفع.',
+        'error.init': 'خطأ أثناء تهيئة 3DS: {detail}',
+        'error.auth': 'خطأ أثناء المصادقة: {detail}',
+        'error.challengeResult': 'خطأ أثناء تحديث حالة التحقق أو الحصول على النتيجة: {detail}',
+        'error.authResult': 'خطأ أثناء الحصول على نتيجة المصادقة: {detail}',
+        'error.frameEvent': 'خطأ أثناء معالجة استجابة 3DS: {detail}',
+        'error.noBrowserInfo': 'فشلت المصادقة: لم تصل بيانات المتصفح من خادم 3DS',
+        'error.decoupledTimeout': 'انتهت مهلة المصادقة المنفصلة قبل رد حامل البطاقة',
+        'error.aborted': 'تم إلغاء الدفع',
+        'error.cancelledByCardholder': 'ألغى حامل البطاقة الدفع',
+
+        'handOff.redirecting': 'تمت مصادقة الدفع، جارٍ العودة إلى التاجر.',
+        'handOff.failed': 'تمت مصادقة الدفع لكن تعذّر إرساله إلى التاجر. يرجى التواصل مع التاجر قبل المحاولة مرة أخرى.',
+
+        'history.title': 'سجل المعاملات',
+        'history.exportCsv': 'تصدير CSV',
+        'history.exportJson': 'تصدير JSON',
+        'history.clear': 'مسح',
+        'history.confirmClear': 'هل تريد حذف سجل المعاملات المحفوظ؟',
+        'history.status': 'الحالة',
+        'history.flow': 'المسار',
+        'history.all': 'الكل',
+        'history.from': 'من',
+        'history.to': 'إلى',
+        'history.search': 'بحث',
+        'history.searchPlaceholder': 'ابحث برقم المعاملة أو أرقام البطاقة',
+        'history.date': 'التاريخ',
+        'history.card': 'البطاقة',
+        'history.brand': 'الشبكة',
+        'history.amount': 'المبلغ',
+        'history.cardVerification': 'تحقق من البطاقة',
+        'history.currency': 'العملة',
+        'history.transStatus': 'حالة المعاملة',
+        'history.eci': 'ECI',
+        'history.outcome': 'النتيجة',
+        'history.serverTransId': 'رقم معاملة خادم 3DS',
+        'history.requestorTransId': 'رقم معاملة الجهة الطالبة',
+        'history.actions': 'الإجراءات',
+        'history.empty': 'لا توجد معاملات مسجلة على هذا الجهاز بعد.',
+        'history.receipt': 'الإيصال',
+        'history.receiptTitle': 'إيصال مصادقة 3DS',
+        'history.print': 'طباعة',
+        'history.close': 'إغلاق',
+        'history.statusY': 'Y - تمت المصادقة',
+        'history.statusA': 'A - محاولة',
+        'history.statusN': 'N - لم تتم المصادقة',
+        'history.statusU': 'U - غير متاح',
+        'history.statusR': 'R - مرفوضة',
+
+        'flow.frictionless': 'دون تحقق',
+        'flow.challenge': 'مع التحقق',
+        'flow.decoupled': 'منفصل'
+    }
+};
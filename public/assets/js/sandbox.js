@@ -0,0 +1,623 @@
+/**
+ * Sandbox Module
+ * Scripted stand-in for the /api actions and 3DS Server pages, for demos and UI work
+ *
+ * The simulator answers the API client's requests in place of the server and
+ * serves the monitoring, challenge and result pages as same-origin blob pages
+ * that post the usual notification messages, with the transaction's channel
+ * nonce. Everything after the network boundary (retries, message validation,
+ * the state machine and the renderer) runs exactly as it does in production.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {collectBrowserInfo, encodeBrowserInfo} from './browser-info.js';
+
+/**
+ * @typedef {Object} SandboxScenario
+ * @property {string} label - Name shown in the scenario picker
+ * @property {string} [transStatus] - Status returned by auth: Y, N, A, U, R, C or D
+ * @property {string} [transStatusReason] - EMV reason code sent with N, U and R
+ * @property {string} [method] - finished (3DSMethodFinished) or timedOut (InitAuthTimedOut)
+ * @property {{action: string, status: number, error: string}} [httpError] - Action that fails, with its HTTP status and error
+ *
+ * @typedef {Object} SandboxOptions
+ * @property {string} [scenario] - Initial scenario, a key of SANDBOX_SCENARIOS
+ * @property {number} [latency] - Milliseconds each simulated request takes
+ * @property {number} [methodDelay] - Milliseconds before the 3DS Method page reports
+ * @property {number} [decoupledDelay] - Milliseconds before the cardholder approves a decoupled authentication
+ * @property {string} [acceptHeader] - Accept header reported with the simulated 3DS Method
+ */
+
+/**
+ * Scenarios offered by the picker
+ * @type {Object<string, SandboxScenario>}
+ */
+export const SANDBOX_SCENARIOS = {
+    'frictionless-y': {label: 'Frictionless: authenticated (Y)', transStatus: 'Y', method: 'finished'},
+    'frictionless-n': {label: 'Frictionless: not authenticated (N)', transStatus: 'N', transStatusReason: '01', method: 'finished'},
+    'frictionless-a': {label: 'Frictionless: attempted (A)', transStatus: 'A', method: 'finished'},
+    'frictionless-u': {label: 'Frictionless: unavailable (U)', transStatus: 'U', transStatusReason: '22', method: 'finished'},
+    'frictionless-r': {label: 'Frictionless: rejected (R)', transStatus: 'R', transStatusReason: '11', method: 'finished'},
+    'challenge': {label: 'Challenge with one-time code', transStatus: 'C', method: 'finished'},
+    'decoupled': {label: 'Decoupled: approve on device', transStatus: 'D', method: 'finished'},
+    'init-timeout': {label: '3DS Method timeout (InitAuthTimedOut)', transStatus: 'Y', method: 'timedOut'},
+    'http-500': {
+        label: 'HTTP 500 on init',
+        httpError: {action: 'init', status: 500, error: 'Init request failed: Server error: 500 Internal Server Error'}
+    },
+    'http-503': {
+        label: 'HTTP 503 on auth',
+        method: 'finished',
+        httpError: {action: 'auth', status: 503, error: 'Auth request failed: Server error: 503 Service Unavailable'}
+    }
+};
+
+/**
+ * Scenario used when sandbox mode is turned on without one
+ * @type {string}
+ */
+export const DEFAULT_SANDBOX_SCENARIO = 'frictionless-y';
+
+/**
+ * One-time code that completes the sandbox challenge
+ * @type {string}
+ */
+export const SANDBOX_OTP = '1234';
+
+/**
+ * Secret the sandbox signs handed-off authentication data with, in place of POSTBACK_SECRET
+ * @type {string}
+ */
+export const SANDBOX_POSTBACK_SECRET = 'sandbox';
+
+/**
+ * Wrong codes the sandbox challenge page accepts before failing
+ * @type {number}
+ */
+const OTP_ATTEMPTS = 3;
+
+/**
+ * ECI per final status, by card brand (Mastercard uses its own values)
+ * @type {Object<string, Object<string, string>>}
+ */
+const ECI_VALUES = {
+    mastercard: {Y: '02', A: '01', N: '00', U: '00', R: '00'},
+    default: {Y: '05', A: '06', N: '07', U: '07', R: '07'}
+};
+
+/**
+ * Outcome status code of each status, as mapped by ThreeDSService::AUTH_STATUSES
+ * @type {Object<string, string>}
+ */
+const AUTH_STATUSES = {
+    Y: 'success',
+    N: 'failed',
+    U: 'error',
+    A: 'partial',
+    C: 'challenge',
+    D: 'decoupled',
+    R: 'rejected'
+};
+
+/**
+ * Outcome of a challenge that did not complete normally: status and reason, by challenge status
+ * @type {Object<string, [string, string]>}
+ */
+const CHALLENGE_CANCEL_RESULTS = {
+    '01': ['N', '01'],
+    '04': ['U', '14'],
+    '05': ['U', '22']
+};
+
+/**
+ * Work out whether and with which scenario sandbox mode is on
+ * @param {boolean|string|SandboxOptions|null} option - The sandbox option: false to never use it, true or a scenario to use it,
+ *   null to follow the page's ?sandbox query flag
+ * @param {string} [search] - Query string of the page
+ * @returns {string|null} Scenario key, or null when sandbox mode is off
+ */
+export function resolveSandboxScenario(option, search = window.location.search) {
+    if (option === false) return null;
+
+    let value = option && typeof option === 'object' ? (option.scenario || true) : option;
+    if (value === null || value === undefined) {
+        const flag = new URLSearchParams(search).get('sandbox');
+        value = flag === null || flag === '0' || flag === 'false' ? null : (flag || true);
+    }
+
+    if (!value) return null;
+
+    return Object.prototype.hasOwnProperty.call(SANDBOX_SCENARIOS, value) ? value : DEFAULT_SANDBOX_SCENARIO;
+}
+
+/**
+ * Generate a UUID
+ * @returns {string} UUID v4
+ */
+function generateUUID() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Generate random bytes as base64, like an authentication value (CAVV)
+ * @param {number} length - Number of bytes
+ * @returns {string} Base64 string
+ */
+function randomBase64(length) {
+    const bytes = new Uint8Array(length);
+    window.crypto.getRandomValues(bytes);
+
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Serialise a value for a script element
+ * @param {*} value - Value
+ * @returns {string} JSON safe to place inside <script>
+ */
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Wait for the simulated network latency
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|undefined} signal - Aborts the wait like an aborted fetch
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function latency(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener('abort', abort, {once: true});
+        }
+    });
+}
+
+export class SandboxSimulator {
+    /**
+     * Constructor
+     * @param {string} scenario - Initial scenario, a key of SANDBOX_SCENARIOS
+     * @param {SandboxOptions} [options] - Timing options
+     */
+    constructor(scenario = DEFAULT_SANDBOX_SCENARIO, options = {}) {
+        this.scenario = scenario;
+        this.latency = options.latency ?? 400;
+        this.methodDelay = options.methodDelay ?? 800;
+        this.decoupledDelay = options.decoupledDelay ?? 8000;
+        this.acceptHeader = options.acceptHeader || null;
+        this.origin = window.location.origin;
+
+        /** @type {Map<string, Object>} Simulated transactions by threeDSServerTransID */
+        this.transactions = new Map();
+
+        /** @type {string[]} Blob URLs of the pages served for the current transaction */
+        this.pages = [];
+
+        this.fetch = this.fetch.bind(this);
+
+        // The challenge page reports the cardholder's answer along with its completion event
+        window.addEventListener('message', (event) => this.receiveChallengeOutcome(event));
+    }
+
+    /**
+     * Select the scenario used by the next payment
+     * @param {string} scenario - Key of SANDBOX_SCENARIOS
+     */
+    setScenario(scenario) {
+        if (!SANDBOX_SCENARIOS[scenario]) {
+            throw new Error(`Unknown sandbox scenario: ${scenario}`);
+        }
+
+        this.scenario = scenario;
+    }
+
+    /**
+     * fetch() replacement handed to the API client
+     * @param {string} url - Endpoint (ignored)
+     * @param {RequestInit} init - Request options
+     * @returns {Promise<Response>} Simulated response
+     */
+    async fetch(url, init = {}) {
+        const data = JSON.parse(init.body);
+        await latency(this.latency, init.signal);
+
+        const {status = 200, body} = this.handle(data.action, data);
+
+        return new Response(JSON.stringify(await body), {status, headers: {'Content-Type': 'application/json'}});
+    }
+
+    /**
+     * Answer an action
+     * @param {string} action - Action name
+     * @param {Object} data - Request data
+     * @returns {{status?: number, body: Object|Promise<Object>}} Status and response body
+     */
+    handle(action, data) {
+        const transaction = action === 'init' ? null : this.transactions.get(data.threeDSServerTransID);
+        const scenario = SANDBOX_SCENARIOS[transaction ? transaction.scenario : this.scenario];
+
+        if (scenario.httpError && scenario.httpError.action === action) {
+            return {status: scenario.httpError.status, body: {error: scenario.httpError.error}};
+        }
+        // Client logs are accepted and dropped, they may arrive with no transaction at all
+        if (action === 'clientLog') {
+            return {body: {status: 'success', accepted: (data.entries || []).length}};
+        }
+        if (action !== 'init' && !transaction) {
+            return {status: 400, body: {error: 'Missing required transaction IDs. Please complete initialization first.'}};
+        }
+
+        switch (action) {
+            case 'init':
+                return {body: this.init(data)};
+            case 'auth':
+                return {body: this.auth(transaction, scenario)};
+            case 'getAuthResult':
+                return {body: this.result(transaction)};
+            case 'updateChallengeStatus':
+                return {body: this.updateChallengeStatus(transaction, data.status)};
+            case 'signAuthData':
+                if (!['Y', 'A'].includes(transaction.transStatus)) {
+                    return {status: 409, body: {error: 'Only authenticated or attempted transactions are handed off'}};
+                }
+                return {body: this.signAuthData(transaction)};
+            default:
+                return {status: 400, body: {error: `Unknown action: ${action}`}};
+        }
+    }
+
+    /**
+     * Start a simulated transaction and serve its 3DS Method pages
+     * @param {Object} data - Init request
+     * @returns {Object} Init response
+     */
+    init(data) {
+        this.releasePages();
+
+        const transaction = {
+            id: generateUUID(),
+            requestorTransID: data.threeDSRequestorTransID || generateUUID(),
+            nonce: randomBase64(16).replace(/[^A-Za-z0-9]/g, ''),
+            scenario: this.scenario,
+            cardBrand: data.cardBrand || null,
+            transStatus: null,
+            transStatusReason: null,
+            challengeCancel: null,
+            authenticationValue: null,
+            readyAt: null
+        };
+        this.transactions.set(transaction.id, transaction);
+
+        const scenario = SANDBOX_SCENARIOS[transaction.scenario];
+        const methodEvent = scenario.method === 'finished'
+            ? {event: '3DSMethodFinished', param: encodeBrowserInfo(collectBrowserInfo({acceptHeader: this.acceptHeader}))}
+            : null;
+        const timeoutEvent = scenario.method === 'timedOut' ? {event: 'InitAuthTimedOut'} : null;
+
+        return {
+            threeDSServerTransID: transaction.id,
+            threeDSServerCallbackUrl: this.createPage('3DS Method', this.notifyScript(transaction, methodEvent, this.methodDelay)),
+            monUrl: this.createPage('3DS Monitoring', this.notifyScript(transaction, timeoutEvent, this.methodDelay)),
+            authUrl: `${this.origin}/sandbox/api/v2/auth/brw`,
+            threeDSRequestorTransID: transaction.requestorTransID,
+            channelNonce: transaction.nonce,
+            cardReference: generateUUID().replace(/-/g, '')
+        };
+    }
+
+    /**
+     * Authenticate a simulated transaction
+     * @param {Object} transaction - Transaction
+     * @param {SandboxScenario} scenario - Its scenario
+     * @returns {Object} Auth response
+     */
+    auth(transaction, scenario) {
+        const response = {
+            threeDSServerTransID: transaction.id,
+            acsTransID: generateUUID(),
+            dsTransID: generateUUID(),
+            messageVersion: '2.2.0',
+            transStatus: scenario.transStatus
+        };
+
+        if (scenario.transStatus === 'C') {
+            transaction.transStatus = 'C';
+            response.acsChallengeMandated = 'N';
+            response.challengeUrl = this.createPage('Verify your purchase', this.challengeScript(transaction), this.challengeBody());
+            response.resultMonUrl = this.createPage('3DS Result Monitoring', '');
+        } else if (scenario.transStatus === 'D') {
+            transaction.transStatus = 'D';
+            transaction.readyAt = Date.now() + this.decoupledDelay;
+            response.acsDecConInd = 'Y';
+            response.resultMonUrl = this.createPage('3DS Result Monitoring',
+                this.notifyScript(transaction, {event: 'AuthResultReady'}, this.decoupledDelay));
+        } else {
+            this.finish(transaction, scenario.transStatus, scenario.transStatusReason || null);
+            Object.assign(response, this.authenticationData(transaction));
+        }
+
+        return response;
+    }
+
+    /**
+     * Current result, shaped like the getAuthResult action's response
+     * @param {Object} transaction - Transaction
+     * @returns {Object} Result
+     */
+    result(transaction) {
+        // The decoupled cardholder approves once the delay has passed
+        if (transaction.transStatus === 'D' && Date.now() >= transaction.readyAt) {
+            this.finish(transaction, 'Y');
+        }
+
+        const details = {threeDSServerTransID: transaction.id, transStatus: transaction.transStatus};
+        if (!['C', 'D'].includes(transaction.transStatus)) {
+            Object.assign(details, this.authenticationData(transaction));
+        }
+        if (transaction.challengeCancel) {
+            details.challengeCancel = transaction.challengeCancel;
+        }
+
+        return {status: AUTH_STATUSES[transaction.transStatus], transStatus: transaction.transStatus, details};
+    }
+
+    /**
+     * Sign the authentication data like PostbackHelper::sign, with the sandbox secret
+     * @param {Object} transaction - Authenticated or attempted transaction
+     * @returns {Promise<Object>} Payload, signature and algorithm name
+     */
+    async signAuthData(transaction) {
+        const data = {...this.result(transaction).details, issuedAt: Math.floor(Date.now() / 1000)};
+        const payload = btoa(JSON.stringify(data)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+        const encoder = new TextEncoder();
+        const key = await window.crypto.subtle.importKey('raw', encoder.encode(SANDBOX_POSTBACK_SECRET), {name: 'HMAC', hash: 'SHA-256'}, false, ['sign']);
+        const signature = new Uint8Array(await window.crypto.subtle.sign('HMAC', key, encoder.encode(payload)));
+
+        return {
+            payload,
+            signature: Array.from(signature, (byte) => byte.toString(16).padStart(2, '0')).join(''),
+            algorithm: 'HMAC-SHA256'
+        };
+    }
+
+    /**
+     * Record a challenge that did not complete normally
+     * @param {Object} transaction - Transaction
+     * @param {string} status - Challenge status
+     * @returns {Object} Response
+     */
+    updateChallengeStatus(transaction, status) {
+        if (transaction.transStatus !== 'C') {
+            return {status: 'success', message: 'Transaction already completed'};
+        }
+
+        const [transStatus, reason] = CHALLENGE_CANCEL_RESULTS[status] || ['U', '22'];
+        transaction.challengeCancel = status;
+        this.finish(transaction, transStatus, reason);
+
+        return {threeDSServerTransID: transaction.id, status};
+    }
+
+    /**
+     * Take the cardholder's answer from the challenge page
+     * @param {MessageEvent} event - Message from a page
+     */
+    receiveChallengeOutcome(event) {
+        const data = event.data;
+        if (event.origin !== this.origin || !data || data.event !== 'Challenge:Completed') return;
+
+        const transaction = this.transactions.get(data.threeDSServerTransID);
+        if (!transaction || transaction.transStatus !== 'C' || data.nonce !== transaction.nonce) return;
+
+        if (data.sandboxOutcome === 'Y') {
+            this.finish(transaction, 'Y');
+        } else {
+            this.finish(transaction, 'N', '01');
+        }
+    }
+
+    /**
+     * Set the final status of a transaction
+     * @param {Object} transaction - Transaction
+     * @param {string} transStatus - Final status
+     * @param {string|null} [reason] - transStatusReason
+     */
+    finish(transaction, transStatus, reason = null) {
+        transaction.transStatus = transStatus;
+        transaction.transStatusReason = reason;
+        transaction.authenticationValue = transStatus === 'Y' || transStatus === 'A' ? randomBase64(20) : null;
+    }
+
+    /**
+     * Authentication data returned with a final status
+     * @param {Object} transaction - Transaction
+     * @returns {Object} ECI, and the authentication value or reason code
+     */
+    authenticationData(transaction) {
+        const eci = ECI_VALUES[transaction.cardBrand] || ECI_VALUES.default;
+        const data = {eci: eci[transaction.transStatus]};
+
+        if (transaction.authenticationValue) {
+            data.authenticationValue = transaction.authenticationValue;
+        }
+        if (transaction.transStatusReason) {
+            data.transStatusReason = transaction.transStatusReason;
+        }
+
+        return data;
+    }
+
+    /**
+     * Script that posts a notification message to the payment page, like the notification page does
+     * @param {Object} transaction - Transaction
+     * @param {Object|null} message - Event (and param) to post, null for a page that stays silent
+     * @param {number} delay - Milliseconds before posting
+     * @returns {string} Script element
+     */
+    notifyScript(transaction, message, delay) {
+        if (!message) return '';
+
+        const data = {
+            ...message,
+            threeDSServerTransID: transaction.id,
+            requestorTransId: transaction.requestorTransID,
+            nonce: transaction.nonce
+        };
+
+        return `<script>setTimeout(function () { parent.postMessage(${scriptJson(data)}, ${scriptJson(this.origin)}); }, ${delay});</script>`;
+    }
+
+    /**
+     * Markup of the one-time code challenge page
+     * @returns {string} Body markup
+     */
+    challengeBody() {
+        return `<main>
+    <h1>Sandbox Bank</h1>
+    <p>Enter the one-time code sent to your phone to approve this purchase.</p>
+    <form id="otpForm" novalidate>
+        <label for="otp">One-time code</label>
+        <input id="otp" name="otp" inputmode="numeric" autocomplete="one-time-code" maxlength="8" required>
+        <p id="otpError" role="alert"></p>
+        <button type="submit">Verify</button>
+    </form>
+    <p class="hint">Sandbox code: ${SANDBOX_OTP}</p>
+</main>`;
+    }
+
+    /**
+     * Script of the challenge page: checks the code and reports the outcome once done
+     * @param {Object} transaction - Transaction
+     * @returns {string} Script element
+     */
+    challengeScript(transaction) {
+        const data = {
+            event: 'Challenge:Completed',
+            threeDSServerTransID: transaction.id,
+            requestorTransId: transaction.requestorTransID,
+            nonce: transaction.nonce
+        };
+
+        return `<script>
+document.addEventListener('DOMContentLoaded', function () {
+    var attempts = ${OTP_ATTEMPTS};
+    var form = document.getElementById('otpForm');
+    form.addEventListener('submit', function (event) {
+        event.preventDefault();
+        var correct = document.getElementById('otp').value.trim() === ${scriptJson(SANDBOX_OTP)};
+        attempts--;
+        if (!correct && attempts > 0) {
+            document.getElementById('otpError').textContent = 'Incorrect code, ' + attempts + ' attempt(s) left.';
+            return;
+        }
+        var data = ${scriptJson(data)};
+        data.sandboxOutcome = correct ? 'Y' : 'N';
+        form.querySelector('button').disabled = true;
+        parent.postMessage(data, ${scriptJson(this.origin)});
+    });
+});
+</script>`;
+    }
+
+    /**
+     * Serve a page as a same-origin blob
+     * @param {string} title - Page title
+     * @param {string} script - Script element
+     * @param {string} [body] - Body markup
+     * @returns {string} Blob URL
+     */
+    createPage(title, script, body = '') {
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 0; padding: 16px; color: #212529; }
+h1 { font-size: 1.25rem; }
+input { font-size: 1.25rem; letter-spacing: 0.2em; padding: 6px; width: 8em; display: block; margin: 6px 0; }
+button { font-size: 1rem; padding: 6px 16px; }
+#otpError { color: #dc3545; min-height: 1.2em; }
+.hint { color: #6c757d; font-size: 0.875rem; }
+</style>
+${script}
+</head>
+<body>${body}</body>
+</html>`;
+
+        const url = URL.createObjectURL(new Blob([html], {type: 'text/html'}));
+        this.pages.push(url);
+
+        return url;
+    }
+
+    /**
+     * Release the pages of the previous transaction
+     */
+    releasePages() {
+        for (const url of this.pages) {
+            URL.revokeObjectURL(url);
+        }
+        this.pages = [];
+    }
+
+    /**
+     * Show the sandbox banner with the scenario picker before an element
+     * @param {Element} anchor - Element the banner is inserted before
+     * @returns {HTMLElement} The banner
+     */
+    renderScenarioPicker(anchor) {
+        const banner = document.createElement('div');
+        banner.className = 'alert alert-warning sandbox-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Sandbox mode');
+
+        const title = document.createElement('strong');
+        title.textContent = 'Sandbox mode';
+        const text = document.createElement('span');
+        text.textContent = ' No request reaches the 3DS Server. ';
+
+        const label = document.createElement('label');
+        label.htmlFor = 'sandboxScenario';
+        label.className = 'form-label small mb-1 d-block';
+        label.textContent = 'Scenario';
+
+        const select = document.createElement('select');
+        select.id = 'sandboxScenario';
+        select.className = 'form-select form-select-sm';
+        for (const [key, scenario] of Object.entries(SANDBOX_SCENARIOS)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = scenario.label;
+            option.selected = key === this.scenario;
+            select.appendChild(option);
+        }
+        select.addEventListener('change', () => this.setScenario(select.value));
+
+        banner.append(title, text, label, select);
+        anchor.before(banner);
+
+        return banner;
+    }
+}
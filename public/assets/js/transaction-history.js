@@ -0,0 +1,281 @@
+/**
+ * Transaction History Module
+ * Keeps completed 3DS outcomes in IndexedDB, with filters and CSV/JSON export
+ *
+ * Card numbers are masked before an entry is built and stored entries are
+ * checked again, so a full PAN never reaches the database.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+/**
+ * @typedef {'frictionless'|'challenge'|'decoupled'} FlowType
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Entry key, the threeDSServerTransID
+ * @property {string} threeDSServerTransID - Server transaction ID
+ * @property {string|null} threeDSRequestorTransID - Requestor transaction ID
+ * @property {string} maskedPan - First six and last four digits, the rest masked
+ * @property {string|null} cardBrand - Detected card brand
+ * @property {string|null} amount - Amount in major units as entered, null for a card verification
+ * @property {string|null} currency - ISO 4217 alphabetic code, null for a card verification
+ * @property {FlowType} flow - How the transaction was authenticated
+ * @property {string} transStatus - EMV transaction status
+ * @property {string|null} eci - Electronic Commerce Indicator
+ * @property {string} status - Outcome status (success, failed, ...)
+ * @property {string} message - Outcome message
+ * @property {string} startedAt - ISO 8601 time the payment started
+ * @property {string} completedAt - ISO 8601 time the outcome arrived
+ *
+ * @typedef {Object} HistoryFilter
+ * @property {string} [transStatus] - Only entries with this transaction status
+ * @property {FlowType} [flow] - Only entries with this flow type
+ * @property {string} [currency] - Only entries in this currency
+ * @property {string} [from] - Only entries completed at or after this ISO date
+ * @property {string} [to] - Only entries completed before the end of this ISO date
+ * @property {string} [search] - Text matched against the transaction IDs and masked PAN
+ */
+
+/**
+ * Columns of the CSV export, in order
+ * @type {string[]}
+ */
+const CSV_COLUMNS = [
+    'startedAt', 'completedAt', 'threeDSServerTransID', 'threeDSRequestorTransID', 'maskedPan', 'cardBrand',
+    'amount', 'currency', 'flow', 'transStatus', 'eci', 'status', 'message'
+];
+
+/**
+ * Mask a card number, keeping the first six and last four digits
+ * @param {string} cardNumber - Card number, spaces are ignored
+ * @returns {string} Masked card number (e.g. 410000******0100)
+ */
+export function maskPan(cardNumber) {
+    const digits = String(cardNumber || '').replace(/\D/g, '');
+    if (digits.length < 10) {
+        return '*'.repeat(digits.length);
+    }
+
+    return digits.substring(0, 6) + '*'.repeat(digits.length - 10) + digits.substring(digits.length - 4);
+}
+
+/**
+ * Fields holding transaction IDs, which may contain long digit runs
+ * @type {string[]}
+ */
+const ID_FIELDS = ['id', 'threeDSServerTransID', 'threeDSRequestorTransID'];
+
+/**
+ * Check whether an entry holds an unmasked card number
+ * @param {Object} entry - Entry to check
+ * @returns {boolean} True when a field other than the IDs has a run of 13 or more digits
+ */
+function containsPan(entry) {
+    return Object.entries(entry).some(([field, value]) =>
+        !ID_FIELDS.includes(field) && typeof value === 'string' && /\d{13,}/.test(value.replace(/[\s-]/g, '')));
+}
+
+/**
+ * Build a history entry from a completed payment
+ * @param {Object} data - Payment and outcome
+ * @param {string} [data.cardNumber] - Card number, masked here and not kept
+ * @param {string} [data.maskedPan] - Card number already masked, used instead of cardNumber
+ * @param {string|null} [data.cardBrand] - Detected card brand
+ * @param {string|null} data.amount - Amount in major units, null for a card verification
+ * @param {string|null} data.currency - ISO 4217 alphabetic code, null for a card verification
+ * @param {FlowType} data.flow - Flow type
+ * @param {string} data.threeDSServerTransID - Server transaction ID
+ * @param {string|null} [data.threeDSRequestorTransID] - Requestor transaction ID
+ * @param {import('./3ds.js').AuthResult} data.result - Authentication result
+ * @param {string} data.startedAt - ISO 8601 start time
+ * @returns {HistoryEntry} Entry ready to store
+ */
+export function createHistoryEntry({cardNumber, maskedPan = null, cardBrand = null, amount, currency, flow, threeDSServerTransID, threeDSRequestorTransID = null, result, startedAt}) {
+    const details = result.details || {};
+
+    return {
+        id: threeDSServerTransID,
+        threeDSServerTransID,
+        threeDSRequestorTransID,
+        maskedPan: maskedPan || maskPan(cardNumber),
+        cardBrand,
+        amount: amount === null ? null : String(amount),
+        currency: currency || null,
+        flow,
+        transStatus: result.transStatus,
+        eci: details.eci || null,
+        status: result.status,
+        message: result.message,
+        startedAt,
+        completedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Check whether an entry matches a filter
+ * @param {HistoryEntry} entry - Entry
+ * @param {HistoryFilter} filter - Filter, empty criteria match everything
+ * @returns {boolean} True when the entry matches
+ */
+export function matchesFilter(entry, filter = {}) {
+    if (filter.transStatus && entry.transStatus !== filter.transStatus) return false;
+    if (filter.flow && entry.flow !== filter.flow) return false;
+    if (filter.currency && entry.currency !== filter.currency) return false;
+    if (filter.from && entry.completedAt < new Date(filter.from).toISOString()) return false;
+
+    if (filter.to) {
+        const end = new Date(filter.to);
+        end.setUTCDate(end.getUTCDate() + 1);
+        if (entry.completedAt >= end.toISOString()) return false;
+    }
+
+    if (filter.search) {
+        const search = filter.search.toLowerCase();
+        const haystack = [entry.threeDSServerTransID, entry.threeDSRequestorTransID, entry.maskedPan].join(' ').toLowerCase();
+        if (!haystack.includes(search)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Export entries as CSV
+ * @param {HistoryEntry[]} entries - Entries to export
+ * @returns {string} CSV with a header row
+ */
+export function toCSV(entries) {
+    const cell = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        // Keep spreadsheets from evaluating cells as formulas
+        if (/^[=+\-@]/.test(text)) {
+            text = "'" + text;
+        }
+
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+
+    const rows = entries.map((entry) => CSV_COLUMNS.map((column) => cell(entry[column])).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Export entries as JSON
+ * @param {HistoryEntry[]} entries - Entries to export
+ * @returns {string} Pretty-printed JSON array
+ */
+export function toJSON(entries) {
+    return JSON.stringify(entries, null, 2);
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Resolves with the request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class TransactionHistory extends EventTarget {
+    /**
+     * Constructor
+     * @param {{dbName?: string, storeName?: string}} [options] - Database and object store names
+     */
+    constructor(options = {}) {
+        super();
+        this.dbName = options.dbName || 'threeDSHistory';
+        this.storeName = options.storeName || 'transactions';
+
+        /** @type {Promise<IDBDatabase>|null} Open database */
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} The database
+     */
+    open() {
+        if (!this.db) {
+            if (typeof indexedDB === 'undefined') {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, {keyPath: 'id'});
+                store.createIndex('completedAt', 'completedAt');
+            };
+
+            this.db = promisify(request);
+        }
+
+        return this.db;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {IDBTransactionMode} mode - readonly or readwrite
+     * @param {Function} callback - Receives the store, returns a request
+     * @returns {Promise<*>} Resolves with the request result
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+        const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+
+        return promisify(callback(store));
+    }
+
+    /**
+     * Store an entry, replacing any entry for the same transaction
+     * @param {HistoryEntry} entry - Entry built with createHistoryEntry()
+     * @returns {Promise<HistoryEntry>} The stored entry
+     * @throws {Error} When the entry contains an unmasked card number
+     */
+    async add(entry) {
+        if (containsPan(entry)) {
+            throw new Error('Refusing to store an unmasked card number');
+        }
+
+        await this.withStore('readwrite', (store) => store.put(entry));
+        this.dispatchEvent(new Event('change'));
+
+        return entry;
+    }
+
+    /**
+     * Get one entry
+     * @param {string} id - Entry key (threeDSServerTransID)
+     * @returns {Promise<HistoryEntry|null>} The entry, or null if not found
+     */
+    async get(id) {
+        const entry = await this.withStore('readonly', (store) => store.get(id));
+        return entry || null;
+    }
+
+    /**
+     * List entries, newest first
+     * @param {HistoryFilter} [filter] - Filter
+     * @returns {Promise<HistoryEntry[]>} Matching entries
+     */
+    async list(filter = {}) {
+        const entries = await this.withStore('readonly', (store) => store.index('completedAt').getAll());
+
+        return entries.filter((entry) => matchesFilter(entry, filter)).reverse();
+    }
+
+    /**
+     * Delete all entries
+     * @returns {Promise<void>} Resolves once cleared
+     */
+    async clear() {
+        await this.withStore('readwrite', (store) => store.clear());
+        this.dispatchEvent(new Event('change'));
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Transaction State Module
+ * Finite state machine for the 3DS transaction lifecycle
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+/**
+ * Transaction lifecycle states
+ * @readonly
+ * @enum {string}
+ */
+export const States = Object.freeze({
+    IDLE: 'idle',
+    INITIALIZING: 'initializing',
+    METHOD_RUNNING: 'methodRunning',
+    AUTHENTICATING: 'authenticating',
+    CHALLENGE: 'challenge',
+    DECOUPLED: 'decoupled',
+    RESULT_PENDING: 'resultPending',
+    FINAL: 'final',
+    ERROR: 'error'
+});
+
+/**
+ * Allowed transitions, keyed by the state they leave
+ * @type {Object<string, string[]>}
+ */
+const TRANSITIONS = {
+    [States.IDLE]: [States.INITIALIZING, States.ERROR],
+    [States.INITIALIZING]: [States.METHOD_RUNNING, States.ERROR],
+    [States.METHOD_RUNNING]: [States.AUTHENTICATING, States.ERROR],
+    [States.AUTHENTICATING]: [States.CHALLENGE, States.DECOUPLED, States.FINAL, States.ERROR],
+    [States.CHALLENGE]: [States.RESULT_PENDING, States.ERROR],
+    [States.DECOUPLED]: [States.RESULT_PENDING, States.FINAL, States.ERROR],
+    [States.RESULT_PENDING]: [States.FINAL, States.ERROR],
+    [States.FINAL]: [States.IDLE],
+    [States.ERROR]: [States.IDLE]
+};
+
+/**
+ * States in which each incoming flow event is accepted
+ * @type {Object<string, string[]>}
+ */
+const EVENT_STATES = {
+    '3DSMethodFinished': [States.METHOD_RUNNING],
+    '3DSMethodSkipped': [States.METHOD_RUNNING],
+    'InitAuthTimedOut': [States.METHOD_RUNNING],
+    'MethodTimeout': [States.METHOD_RUNNING],
+    'Challenge:Completed': [States.CHALLENGE, States.DECOUPLED],
+    'AuthResultReady': [States.CHALLENGE, States.DECOUPLED],
+    // The notification page failed while the flow was waiting on it
+    'Error': [States.METHOD_RUNNING, States.CHALLENGE, States.DECOUPLED]
+};
+
+/**
+ * Error thrown when a transition is not allowed from the current state
+ */
+export class StateTransitionError extends Error {
+    /**
+     * Constructor
+     * @param {string} from - Current state
+     * @param {string} to - Requested state
+     */
+    constructor(from, to) {
+        super(`Invalid state transition: ${from} -> ${to}`);
+        this.name = 'StateTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+export class TransactionStateMachine {
+    /**
+     * Constructor
+     * @param {Function} [onChange] - Called with {state, previousState, reason} after each transition
+     */
+    constructor(onChange = null) {
+        this.onChange = onChange;
+
+        /** @type {string} Current state */
+        this.current = States.IDLE;
+
+        /** @type {Array<{from: string, to: string, reason: string|null, at: number}>} Transition log */
+        this.history = [];
+    }
+
+    /**
+     * Get the current state
+     * @returns {string} Current state
+     */
+    get state() {
+        return this.current;
+    }
+
+    /**
+     * Check whether a transition to the given state is allowed
+     * @param {string} to - Target state
+     * @returns {boolean} Whether the transition is allowed
+     */
+    can(to) {
+        return TRANSITIONS[this.current].includes(to);
+    }
+
+    /**
+     * Check whether an incoming flow event is expected in the current state
+     * @param {string} eventType - Event name (e.g. 3DSMethodFinished)
+     * @returns {boolean} Whether the event should be processed
+     */
+    accepts(eventType) {
+        const states = EVENT_STATES[eventType];
+        return Boolean(states && states.includes(this.current));
+    }
+
+    /**
+     * Check whether the transaction has finished, successfully or not
+     * @returns {boolean} Whether the state is final or error
+     */
+    isSettled() {
+        return this.current === States.FINAL || this.current === States.ERROR;
+    }
+
+    /**
+     * Move to a new state
+     * @param {string} to - Target state
+     * @param {string|null} [reason] - What caused the transition, for debugging
+     * @throws {StateTransitionError} If the transition is not allowed
+     */
+    transition(to, reason = null) {
+        if (!this.can(to)) {
+            throw new StateTransitionError(this.current, to);
+        }
+
+        const previousState = this.current;
+        this.current = to;
+        this.history.push({from: previousState, to, reason, at: Date.now()});
+
+        if (this.onChange) {
+            this.onChange({state: to, previousState, reason});
+        }
+    }
+}
@@ -8,7 +8,11 @@ use App\Helpers\HttpHelper;
 use App\Helpers\LogHelper;
 use App\Helpers\SecurityHelper;
 use App\Helpers\CacheHelper;
+use App\Helpers\CardReferenceHelper;
+use App\Helpers\CardTokenHelper;
 use App\Helpers\ConfigHelper;
+use App\Helpers\NotificationChannelHelper;
+use App\Helpers\PostbackHelper;
 use App\Services\ThreeDSService;
 use Exception;
 use JsonException;
@@ -22,6 +26,49 @@ use JsonException;
  */
 class ApiController
 {
+    /**
+     * @var string Marker stored while a request with an idempotency key is being processed
+     */
+    private const IDEMPOTENCY_IN_PROGRESS = '__in_progress__';
+
+    /**
+     * @var int Seconds a response is replayed for a repeated idempotency key
+     */
+    private const IDEMPOTENCY_TTL = 900;
+
+    /**
+     * @var int Seconds the in-progress marker is kept, as long as api-client.js keeps waiting for the first attempt (inProgressTimeout)
+     */
+    private const IDEMPOTENCY_IN_PROGRESS_TTL = 120;
+
+    /**
+     * @var string[] Actions refused without a valid CSRF token; init is sent with the token from the page but does not require it
+     */
+    private const CSRF_PROTECTED_ACTIONS = ['auth', 'updateChallengeStatus', 'getAuthResult', 'signAuthData'];
+
+    /**
+     * @var string[] Transaction statuses whose authentication data is handed off to merchant authorization
+     */
+    private const HAND_OFF_STATUSES = ['Y', 'A'];
+
+    /**
+     * @var int Most client log entries written per request
+     */
+    private const CLIENT_LOG_MAX_ENTRIES = 20;
+
+    /**
+     * @var int Longest client log message or data written, in characters
+     */
+    private const CLIENT_LOG_MAX_LENGTH = 2000;
+
+    /**
+     * @var array<string, string> Log level for each client level accepted
+     */
+    private const CLIENT_LOG_LEVELS = [
+        'warn' => LogHelper::WARNING,
+        'error' => LogHelper::ERROR
+    ];
+
     private ThreeDSService $threeDSService;
     private array $config;
 
@@ -61,6 +108,25 @@ class ApiController
         }
     }
 
+    /**
+     * Set up cache encryption, used for card references
+     *
+     * @param array $config The configuration array
+     * @return void
+     */
+    private static function setupCacheEncryption(array $config): void
+    {
+        $key = $config['cache']['encryption_key'] ?? null;
+
+        // Without a configured key, fall back to one that only lives in the session
+        if (empty($key)) {
+            $_SESSION['cacheEncryptionKey'] ??= bin2hex(random_bytes(32));
+            $key = $_SESSION['cacheEncryptionKey'];
+        }
+
+        CacheHelper::setEncryptionKey($key);
+    }
+
     /**
      * Factory method to create controller instance from configuration
      *
@@ -74,6 +140,7 @@ class ApiController
 
         // Initialize logging
         self::setupLogging($config);
+        self::setupCacheEncryption($config);
 
         // Initialize threeDSService
         $threeDSService = new ThreeDSService($config['3ds']);
@@ -89,6 +156,8 @@ class ApiController
      */
     public function handleRequest(): void
     {
+        $idempotencyCacheKey = null;
+
         try {
             LogHelper::info("API request received", ['method' => $_SERVER['REQUEST_METHOD']]);
             
@@ -128,9 +197,38 @@ class ApiController
                 HttpHelper::sendJsonError('Missing action parameter', 400);
             }
 
-            // Generate CSRF token for responses that require it
-            if (in_array($action, ['init', 'auth'])) {
-                $requestData['csrfToken'] = SecurityHelper::generateCsrfToken();
+            // Every response carries the token for the next request, including a rejection
+            $csrfToken = (string)($_SERVER['HTTP_X_CSRF_TOKEN'] ?? '');
+            if (in_array($action, self::CSRF_PROTECTED_ACTIONS, true) && !SecurityHelper::verifyCsrfToken($csrfToken, false)) {
+                LogHelper::warning("Missing or invalid CSRF token", ['action' => $action]);
+                header('X-CSRF-Token: ' . SecurityHelper::generateCsrfToken());
+                HttpHelper::sendJsonResponse([
+                    'error' => 'Your session has expired. Please retry the payment.',
+                    'code' => 'csrf_invalid'
+                ], 403);
+            }
+            header('X-CSRF-Token: ' . SecurityHelper::rotateCsrfToken($csrfToken));
+
+            // Replay the stored response when a request is retried with the same idempotency key
+            $idempotencyCacheKey = $this->getIdempotencyCacheKey($action);
+            if ($idempotencyCacheKey !== null) {
+                $storedResponse = CacheHelper::get($idempotencyCacheKey);
+
+                // The client waits for the first attempt's response instead of counting this as a failure
+                if ($storedResponse === self::IDEMPOTENCY_IN_PROGRESS) {
+                    LogHelper::warning("Duplicate request while original is in progress", ['action' => $action]);
+                    HttpHelper::sendJsonResponse([
+                        'error' => 'A request with this idempotency key is already being processed',
+                        'code' => 'idempotency_in_progress'
+                    ], 409);
+                }
+
+                if ($storedResponse !== null) {
+                    LogHelper::info("Replaying response for repeated idempotency key", ['action' => $action]);
+                    HttpHelper::sendJsonResponse($storedResponse);
+                }
+
+                CacheHelper::set($idempotencyCacheKey, self::IDEMPOTENCY_IN_PROGRESS, self::IDEMPOTENCY_IN_PROGRESS_TTL);
             }
 
             // Check cache for relevant actions
@@ -149,13 +247,22 @@ class ApiController
             // Process requested action
             $response = $this->processAction($action, $requestData);
             
-            // Cache the response if applicable
-            if ($cacheKey !== null) {
+            // Cache the response if applicable, but keep polling pending (challenge/decoupled) results live
+            if ($cacheKey !== null && !in_array($response['transStatus'] ?? null, ['C', 'D'], true)) {
                 CacheHelper::set($cacheKey, $response, 300); // Cache for 5 minutes
             }
+
+            if ($idempotencyCacheKey !== null) {
+                CacheHelper::set($idempotencyCacheKey, $response, self::IDEMPOTENCY_TTL);
+            }
             
             HttpHelper::sendJsonResponse($response);
         } catch (ThreeDSException $e) {
+            // Failed requests may be retried with the same key
+            if ($idempotencyCacheKey !== null) {
+                CacheHelper::delete($idempotencyCacheKey);
+            }
+
             LogHelper::error("API Error: " . $e->getMessage(), [
                 'code' => $e->getCode(),
                 'transactionId' => $e->getTransactionId(),
@@ -163,6 +270,10 @@ class ApiController
             ]);
             HttpHelper::sendJsonError($e->getMessage(), $e->getHttpStatusCode());
         } catch (Exception $e) {
+            if ($idempotencyCacheKey !== null) {
+                CacheHelper::delete($idempotencyCacheKey);
+            }
+
             LogHelper::error("Unexpected Error: " . $e->getMessage(), [
                 'file' => $e->getFile(),
                 'line' => $e->getLine()
@@ -171,6 +282,28 @@ class ApiController
         }
     }
 
+    /**
+     * Get the cache key for the request's idempotency key, scoped to the session and action
+     *
+     * @param string $action Requested action
+     * @return string|null Cache key or null if no valid Idempotency-Key header was sent
+     */
+    private function getIdempotencyCacheKey(string $action): ?string
+    {
+        $idempotencyKey = $_SERVER['HTTP_IDEMPOTENCY_KEY'] ?? '';
+
+        if ($idempotencyKey === '') {
+            return null;
+        }
+
+        if (!preg_match('/^[A-Za-z0-9\-_.:]{8,128}$/', $idempotencyKey)) {
+            LogHelper::warning("Ignoring malformed Idempotency-Key header", ['action' => $action]);
+            return null;
+        }
+
+        return 'idempotency_' . session_id() . '_' . $action . '_' . $idempotencyKey;
+    }
+
     /**
      * Process requested action
      *
@@ -186,6 +319,9 @@ class ApiController
             'auth' => $this->handleAuthAction($requestData),
             'getAuthResult' => $this->handleGetAuthResultAction($requestData),
             'updateChallengeStatus' => $this->handleUpdateChallengeStatusAction($requestData),
+            'signAuthData' => $this->handleSignAuthDataAction($requestData),
+            'tokenizeCard' => $this->handleTokenizeCardAction($requestData),
+            'clientLog' => $this->handleClientLogAction($requestData),
             default => throw new ThreeDSException("Unknown action: $action")
         };
     }
@@ -200,10 +336,57 @@ class ApiController
     private function handleInitAction(array $requestData): array
     {
         $authData = $requestData['authData'] ?? [];
+        $cardExpiryDate = null;
 
-        return $this->threeDSService->initialize(
-            $authData['acctNumber']
+        // The hosted card fields send a token in place of the card number
+        if (isset($requestData['cardToken'])) {
+            $card = CardTokenHelper::redeem((string)$requestData['cardToken']);
+            if ($card === null || $card['cardExpiryDate'] === null) {
+                throw new ThreeDSException(
+                    "Card details are missing or expired. Please enter them again.",
+                    400,
+                    null,
+                    null,
+                    [],
+                    400
+                );
+            }
+
+            $authData['acctNumber'] = $card['acctNumber'];
+            $cardExpiryDate = $card['cardExpiryDate'];
+        }
+
+        $response = $this->threeDSService->initialize(
+            (string)($authData['acctNumber'] ?? ''),
+            $requestData['threeDSRequestorTransID'] ?? null,
+            $requestData['cardBrand'] ?? null
         );
+
+        // Issue the nonce the notification page must echo back to the payment page
+        if (!empty($response['threeDSServerTransID']) && !empty($response['threeDSRequestorTransID'])) {
+            $response['channelNonce'] = NotificationChannelHelper::register(
+                $response['threeDSRequestorTransID'],
+                $response['threeDSServerTransID']
+            );
+
+            // Keep the card number on the server; auth sends this reference instead
+            $response['cardReference'] = CardReferenceHelper::issue(
+                $response['threeDSServerTransID'],
+                preg_replace('/\D/', '', (string)$authData['acctNumber']),
+                $cardExpiryDate
+            );
+
+            if ($response['cardReference'] === null) {
+                throw new ThreeDSException(
+                    "Failed to store card reference",
+                    500,
+                    null,
+                    $response['threeDSServerTransID']
+                );
+            }
+        }
+
+        return $response;
     }
 
     /**
@@ -218,17 +401,54 @@ class ApiController
         $additionalData = [
             'merchantId' => $requestData['merchantId'] ?? null,
             'purchaseAmount' => $requestData['purchaseAmount'] ?? null,
+            'purchaseCurrency' => $requestData['purchaseCurrency'] ?? null,
+            'purchaseExponent' => $requestData['purchaseExponent'] ?? null,
             'purchaseDate' => $requestData['purchaseDate'] ?? null,
-            'cardExpiryDate' => $requestData['cardExpiryDate'] ?? null
+            'cardExpiryDate' => $requestData['cardExpiryDate'] ?? null,
+            'threeDSRequestorDecMaxTime' => $requestData['threeDSRequestorDecMaxTime'] ?? null,
+            'challengeWindowSize' => $requestData['challengeWindowSize'] ?? null,
+            'cardholderInfo' => $requestData['cardholderInfo'] ?? null,
+            'messageCategory' => $requestData['messageCategory'] ?? null,
+            'threeDSRequestorAuthenticationInd' => $requestData['threeDSRequestorAuthenticationInd'] ?? null,
+            'recurringFrequency' => $requestData['recurringFrequency'] ?? null,
+            'recurringExpiry' => $requestData['recurringExpiry'] ?? null,
+            'purchaseInstalData' => $requestData['purchaseInstalData'] ?? null,
+            'browserInfoSource' => $requestData['browserInfoSource'] ?? null,
+            'browserIP' => HttpHelper::getClientIp()
         ];
 
-        return $this->threeDSService->authenticate(
-            $requestData['threeDSServerTransID'] ?? '',
+        $threeDSServerTransID = $requestData['threeDSServerTransID'] ?? '';
+        $cardReference = (string)($requestData['cardReference'] ?? '');
+
+        $card = CardReferenceHelper::resolveCard($cardReference, $threeDSServerTransID);
+        if ($card === null) {
+            throw new ThreeDSException(
+                "Card reference is missing or expired. Please start the payment again.",
+                400,
+                null,
+                $threeDSServerTransID ?: null,
+                [],
+                400
+            );
+        }
+
+        // A card entered in the hosted card fields left its expiry date with the server
+        if (empty($additionalData['cardExpiryDate'])) {
+            $additionalData['cardExpiryDate'] = $card['cardExpiryDate'];
+        }
+
+        $response = $this->threeDSService->authenticate(
+            $threeDSServerTransID,
             $requestData['threeDSRequestorTransID'] ?? '',
             $requestData['browserInfo'] ?? '',
-            $requestData['acctNumber'] ?? '',
+            $card['acctNumber'],
             $additionalData
         );
+
+        // Authentication has been sent, the card number is no longer needed; retries get the stored response
+        CardReferenceHelper::revoke($cardReference);
+
+        return $response;
     }
 
     /**
@@ -245,6 +465,86 @@ class ApiController
         );
     }
 
+    /**
+     * Handle signAuthData action: sign the authentication data for the merchant's authorization step
+     *
+     * The data is fetched from the 3DS Server rather than taken from the request,
+     * so the browser can pass it on but not alter it.
+     *
+     * @param array $requestData Request data
+     * @return array Payload, signature and algorithm
+     * @throws ThreeDSException
+     */
+    private function handleSignAuthDataAction(array $requestData): array
+    {
+        $threeDSServerTransID = $requestData['threeDSServerTransID'] ?? '';
+
+        $secret = (string)($this->config['3ds']['postback']['secret'] ?? '');
+        if ($secret === '') {
+            throw new ThreeDSException("Authorization hand-off is not configured", 500, null, $threeDSServerTransID ?: null);
+        }
+
+        $result = $this->threeDSService->getAuthResult($threeDSServerTransID);
+        if (!in_array($result['transStatus'], self::HAND_OFF_STATUSES, true)) {
+            throw new ThreeDSException(
+                "Only authenticated or attempted transactions are handed off",
+                409,
+                null,
+                $threeDSServerTransID,
+                ['transStatus' => $result['transStatus']],
+                409
+            );
+        }
+
+        return PostbackHelper::sign($result['details'], $secret);
+    }
+
+    /**
+     * Handle tokenizeCard action: keep a card entered in the hosted card fields on the server
+     *
+     * The card number frame sends the number and gets a new token, the expiry date
+     * frame then sends the expiry date (MM/YY) with that token. The payment page
+     * starts init with the token and never sees either.
+     *
+     * @param array $requestData Request data
+     * @return array The card token
+     * @throws ThreeDSException
+     */
+    private function handleTokenizeCardAction(array $requestData): array
+    {
+        if (isset($requestData['cardExpiryDate'])) {
+            if (!preg_match('/^(0[1-9]|1[0-2])\/(\d{2})$/', (string)$requestData['cardExpiryDate'], $match)) {
+                throw new ThreeDSException("Invalid card expiry date", 400, null, null, [], 400);
+            }
+
+            $cardToken = (string)($requestData['cardToken'] ?? '');
+            if (!CardTokenHelper::addExpiryDate($cardToken, $match[2] . $match[1])) {
+                throw new ThreeDSException(
+                    "Card details are missing or expired. Please enter them again.",
+                    400,
+                    null,
+                    null,
+                    [],
+                    400
+                );
+            }
+
+            return ['cardToken' => $cardToken];
+        }
+
+        $cardNumber = preg_replace('/\D/', '', (string)($requestData['acctNumber'] ?? ''));
+        if (strlen($cardNumber) < 13 || strlen($cardNumber) > 19) {
+            throw new ThreeDSException("Invalid card number", 400, null, null, [], 400);
+        }
+
+        $cardToken = CardTokenHelper::tokenize($cardNumber);
+        if ($cardToken === null) {
+            throw new ThreeDSException("Failed to store card details");
+        }
+
+        return ['cardToken' => $cardToken];
+    }
+
     /**
      * Handle updateChallengeStatus action
      *
@@ -256,7 +556,61 @@ class ApiController
     {
         return $this->threeDSService->updateChallengeStatus(
             $requestData['threeDSServerTransID'] ?? '',
-            $requestData['status'] ?? '01'
+            (string)($requestData['status'] ?? '')
         );
     }
-} 
\ No newline at end of file
+
+    /**
+     * Handle clientLog action: write warnings and errors reported by the payment page
+     *
+     * @param array $requestData Request data
+     * @return array Response data
+     * @throws ThreeDSException
+     */
+    private function handleClientLogAction(array $requestData): array
+    {
+        $entries = $requestData['entries'] ?? null;
+        if (!is_array($entries) || array_values($entries) !== $entries) {
+            throw new ThreeDSException('Invalid client log entries', 400, null, null, [], 400);
+        }
+
+        $accepted = 0;
+        foreach (array_slice($entries, 0, self::CLIENT_LOG_MAX_ENTRIES) as $entry) {
+            $level = is_array($entry) ? (self::CLIENT_LOG_LEVELS[$entry['level'] ?? ''] ?? null) : null;
+            if ($level === null || !is_string($entry['message'] ?? null)) {
+                continue;
+            }
+
+            $transactionId = $entry['transactionId'] ?? null;
+            $data = isset($entry['data']) ? json_encode($entry['data']) : false;
+
+            LogHelper::log($level, 'Client: ' . $this->redactClientLogText($entry['message']), [
+                'transactionId' => is_string($transactionId) && preg_match('/^[A-Za-z0-9\-]{1,64}$/', $transactionId)
+                    ? $transactionId
+                    : null,
+                'timestamp' => is_string($entry['timestamp'] ?? null) ? substr($entry['timestamp'], 0, 32) : null,
+                'data' => $data !== false ? $this->redactClientLogText($data) : null
+            ]);
+            $accepted++;
+        }
+
+        return ['status' => 'success', 'accepted' => $accepted];
+    }
+
+    /**
+     * Shorten client log text and mask anything that looks like a card number, in case the page sent one unredacted
+     *
+     * @param string $text Text sent by the client
+     * @return string Text safe to write to the log
+     */
+    private function redactClientLogText(string $text): string
+    {
+        $text = mb_substr($text, 0, self::CLIENT_LOG_MAX_LENGTH);
+
+        return (string)preg_replace_callback('/\b\d(?:[ -]?\d){12,18}\b/', static function (array $match): string {
+            $digits = preg_replace('/\D/', '', $match[0]);
+
+            return substr($digits, 0, 6) . str_repeat('*', strlen($digits) - 10) . substr($digits, -4);
+        }, $text);
+    }
+}
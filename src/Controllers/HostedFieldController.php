@@ -0,0 +1,109 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Controllers;
+
+use App\Helpers\ConfigHelper;
+use App\Helpers\LogHelper;
+use App\Helpers\NotificationChannelHelper;
+use App\Helpers\TemplateHelper;
+
+/**
+ * Controller serving the hosted card fields
+ *
+ * Each card input is a page of its own, loaded by the payment page in an iframe.
+ * The page tokenises what the cardholder types and tells the payment page only
+ * whether the input is valid, the card brand and the token.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+class HostedFieldController
+{
+    /**
+     * @var string[] Fields that can be hosted
+     */
+    private const FIELDS = ['cardNumber', 'expiryDate', 'cvv'];
+
+    private array $config;
+
+    /**
+     * Constructor
+     *
+     * @param array $config Configuration array
+     */
+    public function __construct(array $config)
+    {
+        $this->config = $config;
+    }
+
+    /**
+     * Factory method to create controller instance from configuration
+     *
+     * @return self
+     */
+    public static function createFromConfig(): self
+    {
+        return new self(ConfigHelper::loadConfig());
+    }
+
+    /**
+     * Render the page of the requested field
+     *
+     * @return void
+     */
+    public function handleRequest(): void
+    {
+        $field = (string)($_GET['field'] ?? '');
+        if (!in_array($field, self::FIELDS, true) || empty($this->config['3ds']['hosted_fields']['enabled'])) {
+            http_response_code(404);
+            TemplateHelper::renderPartial('errors/not_found.php', ['requestedPath' => 'card-field']);
+            return;
+        }
+
+        // Only the payment page may frame the field and receive its messages
+        $parentOrigin = NotificationChannelHelper::getOrigin((string)($this->config['url'] ?? ''));
+        if ($parentOrigin === null) {
+            LogHelper::error("Cannot serve hosted field: APP_URL is not a valid URL");
+            http_response_code(500);
+            TemplateHelper::renderPartial('errors/server_error.php', [
+                'errorMessage' => 'Card field unavailable',
+                'debug' => false
+            ]);
+            return;
+        }
+
+        header("Content-Security-Policy: frame-ancestors $parentOrigin");
+        header('Cache-Control: no-store');
+
+        TemplateHelper::renderPartial('card-field.php', [
+            'field' => $field,
+            'parentOrigin' => $parentOrigin,
+            'prefill' => $this->getPrefill($field)
+        ]);
+    }
+
+    /**
+     * Get the test value a field is filled with in debug mode
+     *
+     * Outside debug mode the fields are always empty, card data is only ever typed by the cardholder.
+     *
+     * @param string $field Field name
+     * @return string The value, empty outside debug mode
+     */
+    private function getPrefill(string $field): string
+    {
+        if (empty($this->config['debug'])) {
+            return '';
+        }
+
+        return match ($field) {
+            'cardNumber' => (string)($this->config['3ds']['test_card']['number'] ?? ''),
+            // Two years ahead, so the test card never fails the expiry check
+            'expiryDate' => date('m/y', strtotime('+2 years')),
+            'cvv' => '123',
+            default => ''
+        };
+    }
+}
@@ -6,6 +6,7 @@ namespace App\Controllers;
 use App\Exceptions\ThreeDSException;
 use App\Helpers\HttpHelper;
 use App\Helpers\LogHelper;
+use App\Helpers\NotificationChannelHelper;
 use App\Helpers\TemplateHelper;
 use App\Helpers\ConfigHelper;
 use Exception;
@@ -125,13 +126,23 @@ class NotificationController
                 }
             }
 
+            // Find the transaction this notification belongs to
+            $channel = NotificationChannelHelper::find($requestorTransId, $threeDSServerTransID);
+            if ($channel === null) {
+                LogHelper::warning("Notification for unknown or expired transaction, not forwarding", [
+                    'event' => $event,
+                    'threeDSServerTransID' => $threeDSServerTransID,
+                    'requestorTransId' => $requestorTransId
+                ]);
+            }
+
             // Return HTML response with JavaScript to communicate with parent window
-            $this->renderNotificationPage($event, $param, $threeDSServerTransID, $requestorTransId);
+            $this->renderNotificationPage($event, $param, $channel);
         } catch (ThreeDSException $e) {
             LogHelper::error("Notification error: " . $e->getMessage(), $e->getContext());
 
             // Return a structured error page
-            $this->renderErrorPage($e->getMessage(), $e->getHttpStatusCode());
+            $this->renderErrorPage($e->getMessage(), $this->findChannel($_REQUEST), $e->getHttpStatusCode());
         } catch (Exception $e) {
             LogHelper::error("Unexpected notification error: " . $e->getMessage(), [
                 'file' => $e->getFile(),
@@ -139,7 +150,26 @@ class NotificationController
             ]);
 
             // Return a generic error page
-            $this->renderErrorPage('An unexpected error occurred processing the notification');
+            $this->renderErrorPage('An unexpected error occurred processing the notification', $this->findChannel($_REQUEST));
+        }
+    }
+
+    /**
+     * Find the channel of the transaction a failed notification belongs to
+     *
+     * @param array $requestData The request data array
+     * @return array|null Notification channel, or null if the transaction is unknown or the lookup fails
+     */
+    private function findChannel(array $requestData): ?array
+    {
+        try {
+            return NotificationChannelHelper::find(
+                $this->sanitizeParameter($this->getParameter($requestData, 'requestorTransId')),
+                $this->sanitizeParameter($this->getParameter($requestData, 'threeDSServerTransID'))
+            );
+        } catch (Exception $e) {
+            LogHelper::error("Cannot find the channel of a failed notification: " . $e->getMessage());
+            return null;
         }
     }
 
@@ -224,52 +254,70 @@ class NotificationController
         return substr($value, 0, $maxLength) . '...';
     }
 
+    /**
+     * Get the origin of the payment page, the only window notifications are posted to
+     *
+     * @return string|null The application origin or null if APP_URL is not a valid URL
+     */
+    private function getTargetOrigin(): ?string
+    {
+        return NotificationChannelHelper::getOrigin((string)($this->config['url'] ?? ''));
+    }
+
     /**
      * Render the notification template
      *
      * @param string|null $event Event type
      * @param string|null $param Event parameter (browser info)
-     * @param string|null $threeDSServerTransID Server transaction ID
-     * @param string|null $requestorTransId Requestor transaction ID
+     * @param array|null $channel Notification channel of the transaction, null if unknown
      * @return void
      */
-    private function renderNotificationPage(
-        ?string $event,
-        ?string $param,
-        ?string $threeDSServerTransID,
-        ?string $requestorTransId
-    ): void
+    private function renderNotificationPage(?string $event, ?string $param, ?array $channel): void
     {
+        $targetOrigin = $this->getTargetOrigin();
+        if ($targetOrigin === null) {
+            LogHelper::error("Cannot forward notification: APP_URL is not a valid URL");
+        }
+
         // Render the template using the template helper
         TemplateHelper::renderPartial('notification.php', [
             'event' => $event,
             'param' => $param,
-            'threeDSServerTransID' => $threeDSServerTransID,
-            'requestorTransId' => $requestorTransId
+            'channel' => $targetOrigin !== null ? $channel : null,
+            'targetOrigin' => $targetOrigin
         ]);
     }
 
     /**
      * Render error page
      *
+     * The error is bound to the transaction like any other notification, so the
+     * payment page fails at once instead of waiting for its timeouts.
+     *
      * @param string $errorMessage Error message to display
+     * @param array|null $channel Notification channel of the transaction, null if unknown
      * @param int $statusCode HTTP status code
      * @return void
      */
-    #[NoReturn] private function renderErrorPage(string $errorMessage, int $statusCode = 500): void
+    #[NoReturn] private function renderErrorPage(string $errorMessage, ?array $channel, int $statusCode = 500): void
     {
         http_response_code($statusCode);
+        $targetOrigin = $this->getTargetOrigin();
+        $jsonFlags = JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT;
         echo '<!DOCTYPE html>
               <html lang="en">
               <head>
                 <title>Notification Error</title>
                 <script type="text/javascript">
-                    // Send error message to parent window
-                    if (window.parent) {
+                    // Send error message to parent window, bound to the transaction
+                    if (window.parent && window.parent !== window && ' . json_encode($channel !== null && $targetOrigin !== null) . ') {
                         window.parent.postMessage({
                             event: "Error",
-                            message: ' . json_encode($errorMessage) . '
-                        }, "*");
+                            message: ' . json_encode($errorMessage, $jsonFlags) . ',
+                            threeDSServerTransID: ' . json_encode($channel['threeDSServerTransID'] ?? null, $jsonFlags) . ',
+                            requestorTransId: ' . json_encode($channel['threeDSRequestorTransID'] ?? null, $jsonFlags) . ',
+                            nonce: ' . json_encode($channel['nonce'] ?? null, $jsonFlags) . '
+                        }, ' . json_encode($targetOrigin, $jsonFlags) . ');
                     }
                 </script>
               </head>
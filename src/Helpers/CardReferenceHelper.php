@@ -0,0 +1,118 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Helpers;
+
+/**
+ * Card Reference Helper for keeping the card number on the server between init and auth
+ *
+ * The init action stores the card number under a random reference bound to the
+ * threeDSServerTransID, and the auth action sends the reference instead of the
+ * card number. A card entered in the hosted card fields also keeps its expiry date
+ * here, which auth sends in place of the one the page no longer has. References are
+ * encrypted in the cache, expire after a few minutes and are revoked once
+ * authentication has been sent.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+class CardReferenceHelper
+{
+    /**
+     * @var int Reference lifetime in seconds
+     */
+    private const REFERENCE_TTL = 600;
+
+    /**
+     * Store a card number and issue its reference
+     *
+     * @param string $threeDSServerTransID Server transaction ID the reference is bound to
+     * @param string $cardNumber Card number
+     * @param string|null $cardExpiryDate Expiry date in YYMM format, when the page does not send it with auth
+     * @return string|null The reference, or null if it could not be stored
+     */
+    public static function issue(string $threeDSServerTransID, string $cardNumber, ?string $cardExpiryDate = null): ?string
+    {
+        $reference = bin2hex(random_bytes(16));
+
+        $stored = CacheHelper::set(self::getCacheKey($reference), [
+            'threeDSServerTransID' => $threeDSServerTransID,
+            'acctNumber' => $cardNumber,
+            'cardExpiryDate' => $cardExpiryDate
+        ], self::REFERENCE_TTL, true);
+
+        return $stored ? $reference : null;
+    }
+
+    /**
+     * Get the card number stored under a reference
+     *
+     * @param string $reference Reference sent by the client
+     * @param string $threeDSServerTransID Server transaction ID of the request
+     * @return string|null The card number, or null if the reference is unknown, expired or bound to another transaction
+     */
+    public static function resolve(string $reference, string $threeDSServerTransID): ?string
+    {
+        return self::resolveCard($reference, $threeDSServerTransID)['acctNumber'] ?? null;
+    }
+
+    /**
+     * Get the card number and expiry date stored under a reference
+     *
+     * @param string $reference Reference sent by the client
+     * @param string $threeDSServerTransID Server transaction ID of the request
+     * @return array{acctNumber: string, cardExpiryDate: string|null}|null The card, or null if the reference is unknown, expired or bound to another transaction
+     */
+    public static function resolveCard(string $reference, string $threeDSServerTransID): ?array
+    {
+        if (!self::isValidReference($reference)) {
+            return null;
+        }
+
+        $card = CacheHelper::get(self::getCacheKey($reference), true);
+        if (!is_array($card) || !hash_equals($card['threeDSServerTransID'], $threeDSServerTransID)) {
+            return null;
+        }
+
+        return [
+            'acctNumber' => $card['acctNumber'],
+            'cardExpiryDate' => $card['cardExpiryDate'] ?? null
+        ];
+    }
+
+    /**
+     * Revoke a reference
+     *
+     * @param string $reference Reference to revoke
+     * @return void
+     */
+    public static function revoke(string $reference): void
+    {
+        if (self::isValidReference($reference)) {
+            CacheHelper::delete(self::getCacheKey($reference));
+        }
+    }
+
+    /**
+     * Check the format of a reference
+     *
+     * @param string $reference Reference sent by the client
+     * @return bool Whether it is 32 lowercase hex characters
+     */
+    private static function isValidReference(string $reference): bool
+    {
+        return preg_match('/^[a-f0-9]{32}$/', $reference) === 1;
+    }
+
+    /**
+     * Get the cache key for a reference
+     *
+     * @param string $reference Card reference
+     * @return string The cache key
+     */
+    private static function getCacheKey(string $reference): string
+    {
+        return 'card_reference_' . $reference;
+    }
+}
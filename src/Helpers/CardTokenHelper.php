@@ -0,0 +1,106 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Helpers;
+
+/**
+ * Card Token Helper for the card details entered in the hosted card fields
+ *
+ * The card number frame tokenises the number before the payment starts, the expiry
+ * date frame adds the expiry date to the same token, and the payment page only ever
+ * holds the token. The init action redeems it once, after which the card is kept
+ * under a card reference as for a card number sent directly. Tokens are encrypted
+ * in the cache and expire when the payment is not started in time.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+class CardTokenHelper
+{
+    /**
+     * @var int Token lifetime in seconds
+     */
+    private const TOKEN_TTL = 900;
+
+    /**
+     * Store a card number and issue its token
+     *
+     * @param string $cardNumber Card number
+     * @return string|null The token, or null if it could not be stored
+     */
+    public static function tokenize(string $cardNumber): ?string
+    {
+        $token = bin2hex(random_bytes(16));
+
+        $stored = CacheHelper::set(self::getCacheKey($token), [
+            'acctNumber' => $cardNumber,
+            'cardExpiryDate' => null
+        ], self::TOKEN_TTL, true);
+
+        return $stored ? $token : null;
+    }
+
+    /**
+     * Add the expiry date to a tokenised card
+     *
+     * @param string $token Token issued for the card number
+     * @param string $cardExpiryDate Expiry date in YYMM format
+     * @return bool Whether the token is known and was updated
+     */
+    public static function addExpiryDate(string $token, string $cardExpiryDate): bool
+    {
+        $card = self::get($token);
+        if ($card === null) {
+            return false;
+        }
+
+        $card['cardExpiryDate'] = $cardExpiryDate;
+
+        return CacheHelper::set(self::getCacheKey($token), $card, self::TOKEN_TTL, true);
+    }
+
+    /**
+     * Get the card stored under a token and revoke the token, so it can only start one payment
+     *
+     * @param string $token Token sent by the payment page
+     * @return array{acctNumber: string, cardExpiryDate: string|null}|null The card, or null if the token is unknown or expired
+     */
+    public static function redeem(string $token): ?array
+    {
+        $card = self::get($token);
+        if ($card !== null) {
+            CacheHelper::delete(self::getCacheKey($token));
+        }
+
+        return $card;
+    }
+
+    /**
+     * Get the card stored under a token
+     *
+     * @param string $token Token sent by the client
+     * @return array|null The card, or null if the token is malformed, unknown or expired
+     */
+    private static function get(string $token): ?array
+    {
+        if (preg_match('/^[a-f0-9]{32}$/', $token) !== 1) {
+            return null;
+        }
+
+        $card = CacheHelper::get(self::getCacheKey($token), true);
+
+        return is_array($card) ? $card : null;
+    }
+
+    /**
+     * Get the cache key for a token
+     *
+     * @param string $token Card token
+     * @return string The cache key
+     */
+    private static function getCacheKey(string $token): string
+    {
+        return 'card_token_' . $token;
+    }
+}
@@ -81,12 +81,13 @@ class HttpHelper
     public static function setCorsHeaders(
         string $allowOrigin = '*',
         string $allowMethods = 'GET, POST, OPTIONS',
-        string $allowHeaders = 'Content-Type, Authorization'
+        string $allowHeaders = 'Content-Type, Authorization, Idempotency-Key, X-CSRF-Token'
     ): void
     {
         header("Access-Control-Allow-Origin: $allowOrigin");
         header("Access-Control-Allow-Methods: $allowMethods");
         header("Access-Control-Allow-Headers: $allowHeaders");
+        header("Access-Control-Expose-Headers: X-CSRF-Token");
         header("Access-Control-Max-Age: 3600");
     }
 
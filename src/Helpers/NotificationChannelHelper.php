@@ -0,0 +1,105 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Helpers;
+
+/**
+ * Notification Channel Helper for binding 3DS notification pages to a transaction
+ *
+ * The init action registers a per-transaction nonce, and the notification page
+ * includes it (with the transaction IDs) in every message posted to the payment page.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+class NotificationChannelHelper
+{
+    /**
+     * @var int Channel lifetime in seconds
+     */
+    private const CHANNEL_TTL = 1800;
+
+    /**
+     * Register a notification channel for a transaction
+     *
+     * @param string $threeDSRequestorTransID Requestor transaction ID sent to the 3DS server
+     * @param string $threeDSServerTransID Server transaction ID returned by the 3DS server
+     * @return string The channel nonce
+     */
+    public static function register(string $threeDSRequestorTransID, string $threeDSServerTransID): string
+    {
+        $channel = [
+            'nonce' => bin2hex(random_bytes(16)),
+            'threeDSServerTransID' => $threeDSServerTransID,
+            'threeDSRequestorTransID' => $threeDSRequestorTransID
+        ];
+
+        // Notifications may identify the transaction by either ID
+        CacheHelper::set(self::getCacheKey($threeDSRequestorTransID), $channel, self::CHANNEL_TTL);
+        CacheHelper::set(self::getCacheKey($threeDSServerTransID), $channel, self::CHANNEL_TTL);
+
+        return $channel['nonce'];
+    }
+
+    /**
+     * Find the channel registered for a notification
+     *
+     * @param string|null $threeDSRequestorTransID Requestor transaction ID from the notification
+     * @param string|null $threeDSServerTransID Server transaction ID from the notification
+     * @return array|null Channel data (nonce, threeDSServerTransID, threeDSRequestorTransID) or null if unknown
+     */
+    public static function find(?string $threeDSRequestorTransID, ?string $threeDSServerTransID): ?array
+    {
+        foreach ([$threeDSRequestorTransID, $threeDSServerTransID] as $transactionId) {
+            if (empty($transactionId)) {
+                continue;
+            }
+
+            $channel = CacheHelper::get(self::getCacheKey($transactionId));
+            if (!is_array($channel)) {
+                continue;
+            }
+
+            // Both IDs given by the notification must belong to the same transaction
+            if ($threeDSServerTransID && $channel['threeDSServerTransID'] !== $threeDSServerTransID) {
+                return null;
+            }
+
+            if ($threeDSRequestorTransID && $channel['threeDSRequestorTransID'] !== $threeDSRequestorTransID) {
+                return null;
+            }
+
+            return $channel;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the origin (scheme, host and port) of a URL
+     *
+     * @param string $url The URL
+     * @return string|null The origin or null if the URL has no scheme and host
+     */
+    public static function getOrigin(string $url): ?string
+    {
+        $parts = parse_url($url);
+        if (empty($parts['scheme']) || empty($parts['host'])) {
+            return null;
+        }
+
+        return $parts['scheme'] . '://' . $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '');
+    }
+
+    /**
+     * Get the cache key for a transaction's channel
+     *
+     * @param string $transactionId Requestor or server transaction ID
+     * @return string The cache key
+     */
+    private static function getCacheKey(string $transactionId): string
+    {
+        return 'notify_channel_' . $transactionId;
+    }
+}
@@ -0,0 +1,117 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Helpers;
+
+/**
+ * Postback Helper for signing the authentication data handed to merchant authorization
+ *
+ * The signAuthData action signs the result fetched from the 3DS Server, the browser
+ * passes the payload and its signature on to the merchant's return URL or callback,
+ * and the merchant backend verifies them with the same secret before authorizing.
+ * The payload is base64url-encoded JSON, the signature a hex HMAC-SHA256 of it.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+class PostbackHelper
+{
+    /**
+     * @var string[] Fields of the 3DS Server result carried in the payload
+     */
+    public const FIELDS = [
+        'threeDSServerTransID',
+        'threeDSRequestorTransID',
+        'dsTransID',
+        'acsTransID',
+        'messageVersion',
+        'transStatus',
+        'transStatusReason',
+        'eci',
+        'authenticationValue'
+    ];
+
+    /**
+     * @var string HMAC algorithm
+     */
+    public const ALGORITHM = 'sha256';
+
+    /**
+     * @var int Seconds a signed payload is accepted for by default
+     */
+    public const DEFAULT_MAX_AGE = 300;
+
+    /**
+     * Sign the authentication data of a result
+     *
+     * @param array $result Result returned by the 3DS Server
+     * @param string $secret Secret shared with the merchant backend
+     * @return array{payload: string, signature: string, algorithm: string} Payload, signature and algorithm name
+     */
+    public static function sign(array $result, string $secret): array
+    {
+        $data = array_intersect_key($result, array_flip(self::FIELDS));
+        $data['issuedAt'] = time();
+
+        $payload = self::base64UrlEncode(json_encode($data, JSON_UNESCAPED_SLASHES | JSON_THROW_ON_ERROR));
+
+        return [
+            'payload' => $payload,
+            'signature' => hash_hmac(self::ALGORITHM, $payload, $secret),
+            'algorithm' => 'HMAC-SHA256'
+        ];
+    }
+
+    /**
+     * Verify a signed payload and decode it
+     *
+     * @param string $payload Payload as received
+     * @param string $signature Signature as received
+     * @param string $secret Secret shared with the signing server
+     * @param int $maxAge Seconds the payload is accepted for after signing
+     * @return array|null The authentication data, or null if the signature is wrong, the payload expired or is malformed
+     */
+    public static function verify(string $payload, string $signature, string $secret, int $maxAge = self::DEFAULT_MAX_AGE): ?array
+    {
+        if ($secret === '' || !hash_equals(hash_hmac(self::ALGORITHM, $payload, $secret), strtolower($signature))) {
+            return null;
+        }
+
+        $json = self::base64UrlDecode($payload);
+        $data = $json === null ? null : json_decode($json, true);
+        if (!is_array($data) || !is_int($data['issuedAt'] ?? null)) {
+            return null;
+        }
+
+        $age = time() - $data['issuedAt'];
+        if ($age < 0 || $age > $maxAge) {
+            return null;
+        }
+
+        return $data;
+    }
+
+    /**
+     * Encode data as base64url without padding
+     *
+     * @param string $data Data to encode
+     * @return string The encoded data
+     */
+    private static function base64UrlEncode(string $data): string
+    {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+
+    /**
+     * Decode base64url data
+     *
+     * @param string $data Encoded data
+     * @return string|null The decoded data, or null if it is not valid base64url
+     */
+    private static function base64UrlDecode(string $data): ?string
+    {
+        $decoded = base64_decode(strtr($data, '-_', '+/'), true);
+        return $decoded === false ? null : $decoded;
+    }
+}
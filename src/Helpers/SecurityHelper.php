@@ -12,6 +12,16 @@ namespace App\Helpers;
  */
 class SecurityHelper
 {
+    /**
+     * @var int Seconds a CSRF token stays valid
+     */
+    private const CSRF_TOKEN_TTL = 7200;
+
+    /**
+     * @var int Seconds a rotated CSRF token stays valid, for requests sent before the client saw its replacement
+     */
+    private const CSRF_ROTATION_GRACE = 60;
+
     /**
      * Generate a new CSRF token and store it in the session
      *
@@ -50,7 +60,7 @@ class SecurityHelper
         
         // Check token expiration (2 hours)
         $timestamp = $_SESSION['csrf_tokens'][$token];
-        if (time() - $timestamp > 7200) {
+        if (time() - $timestamp > self::CSRF_TOKEN_TTL) {
             unset($_SESSION['csrf_tokens'][$token]);
             return false;
         }
@@ -62,6 +72,27 @@ class SecurityHelper
         
         return true;
     }
+
+    /**
+     * Replace a CSRF token with a new one
+     *
+     * The old token keeps working for a short grace period, so retries and
+     * overlapping requests sent with it are not rejected.
+     *
+     * @param string $token The token the request was sent with
+     * @return string The new token
+     */
+    public static function rotateCsrfToken(string $token): string
+    {
+        if (isset($_SESSION['csrf_tokens'][$token])) {
+            $_SESSION['csrf_tokens'][$token] = min(
+                $_SESSION['csrf_tokens'][$token],
+                time() - self::CSRF_TOKEN_TTL + self::CSRF_ROTATION_GRACE
+            );
+        }
+
+        return self::generateCsrfToken();
+    }
     
     /**
      * Clean up expired CSRF tokens
@@ -76,7 +107,7 @@ class SecurityHelper
         
         // Remove tokens older than 2 hours
         foreach ($_SESSION['csrf_tokens'] as $token => $timestamp) {
-            if ($now - $timestamp > 7200) {
+            if ($now - $timestamp > self::CSRF_TOKEN_TTL) {
                 unset($_SESSION['csrf_tokens'][$token]);
             }
         }
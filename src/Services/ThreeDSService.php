@@ -5,6 +5,8 @@ namespace App\Services;
 
 use App\Exceptions\ThreeDSException;
 use App\Helpers\LogHelper;
+use DateTimeImmutable;
+use DateTimeZone;
 use Exception;
 use GuzzleHttp\Client;
 use GuzzleHttp\Exception\GuzzleException;
@@ -18,6 +20,75 @@ use GuzzleHttp\Exception\GuzzleException;
  */
 class ThreeDSService
 {
+    /**
+     * @var array<string, string> EMV challenge cancellation indicators accepted by updateChallengeStatus
+     */
+    public const CHALLENGE_STATUSES = [
+        '01' => 'Cardholder selected Cancel',
+        '03' => 'Transaction timed out - decoupled authentication',
+        '04' => 'Transaction timed out at ACS - other timeouts',
+        '05' => 'Transaction timed out at ACS - first CReq not received by ACS',
+        '06' => 'Transaction error',
+        '07' => 'Unknown',
+        '08' => 'Transaction timed out at SDK'
+    ];
+
+    /**
+     * @var array<string, string> Outcome status code of each transStatus, the client words it in the cardholder's language
+     */
+    public const AUTH_STATUSES = [
+        'Y' => 'success',
+        'N' => 'failed',
+        'U' => 'error',
+        'A' => 'partial',
+        'C' => 'challenge',
+        'D' => 'decoupled',
+        'R' => 'rejected'
+    ];
+
+    /**
+     * @var string[] Card brands the payment page can detect
+     */
+    public const CARD_BRANDS = ['visa', 'mastercard', 'amex', 'discover', 'jcb', 'diners', 'unionpay'];
+
+    /**
+     * @var array<string, string> Pattern of each cardholderInfo text field
+     */
+    private const CARDHOLDER_FIELD_PATTERNS = [
+        'cardholderName' => '/^.{2,45}$/u',
+        'email' => '/^(?=.{1,254}$)[^\s@]+@[^\s@]+\.[^\s@]+$/u',
+        'billAddrLine1' => '/^.{1,50}$/u',
+        'billAddrLine2' => '/^.{1,50}$/u',
+        'billAddrLine3' => '/^.{1,50}$/u',
+        'billAddrCity' => '/^.{1,50}$/u',
+        'billAddrPostCode' => '/^.{1,16}$/u',
+        'billAddrState' => '/^[A-Z0-9]{1,3}$/',
+        'billAddrCountry' => '/^\d{3}$/',
+        'shipAddrLine1' => '/^.{1,50}$/u',
+        'shipAddrLine2' => '/^.{1,50}$/u',
+        'shipAddrLine3' => '/^.{1,50}$/u',
+        'shipAddrCity' => '/^.{1,50}$/u',
+        'shipAddrPostCode' => '/^.{1,16}$/u',
+        'shipAddrState' => '/^[A-Z0-9]{1,3}$/',
+        'shipAddrCountry' => '/^\d{3}$/',
+        'addrMatch' => '/^[YN]$/'
+    ];
+
+    /**
+     * @var string[] cardholderInfo phone fields, each with a country code (cc) and subscriber number
+     */
+    private const CARDHOLDER_PHONE_FIELDS = ['mobilePhone', 'homePhone', 'workPhone'];
+
+    /**
+     * @var string[] threeDSRequestorAuthenticationInd values the payment page sends: payment, recurring, instalment
+     */
+    private const AUTHENTICATION_INDICATORS = ['01', '02', '03'];
+
+    /**
+     * @var string threeDSRequestorAuthenticationInd of a non-payment authentication: a card saved without a purchase (add card)
+     */
+    private const ADD_CARD_INDICATOR = '04';
+
     private Client $client;
     private array $config;
 
@@ -37,26 +108,31 @@ class ThreeDSService
      * Initialize 3DS authentication process
      *
      * @param string $cardNumber Card number
+     * @param string|null $requestorTransID Requestor transaction ID chosen by the client
+     * @param string|null $cardBrand Card brand detected by the payment page
      * @return array Response from 3DS server
      * @throws ThreeDSException
      */
-    public function initialize(string $cardNumber): array
+    public function initialize(string $cardNumber, ?string $requestorTransID = null, ?string $cardBrand = null): array
     {
         if (empty($cardNumber)) {
             throw new ThreeDSException("Account number is required");
         }
 
         // Generate or validate threeDSRequestorTransID
-        $threeDSRequestorTransID = $requestorTransID ?? $this->generateUUID();
+        $threeDSRequestorTransID = $requestorTransID !== null && $this->isValidUuid($requestorTransID)
+            ? $requestorTransID
+            : $this->generateUUID();
 
-        // Store important data in session
-        $_SESSION['acctNumber'] = self::getOnlyNumbers($cardNumber);
+        // Store important data in session; the card number stays out of it
+        $acctNumber = self::getOnlyNumbers($cardNumber);
         $_SESSION['merchantId'] = self::getOnlyNumbers($this->config['merchant']['id']);
         $_SESSION['threeDSRequestorTransID'] = $threeDSRequestorTransID;
+        $_SESSION['cardBrand'] = in_array($cardBrand, self::CARD_BRANDS, true) ? $cardBrand : null;
 
         $payload = [
             'merchantId' => $_SESSION['merchantId'],
-            'acctNumber' => $_SESSION['acctNumber'],
+            'acctNumber' => $acctNumber,
             'eventCallbackUrl' => $this->config['notification_url'],
             'threeDSRequestorTransID' => $threeDSRequestorTransID,
         ];
@@ -91,6 +167,9 @@ class ThreeDSService
                 if (isset($responseBody['authUrl'])) {
                     $_SESSION['authUrl'] = $responseBody['authUrl'];
                 }
+
+                // Let the client bind notifications to the transaction
+                $responseBody['threeDSRequestorTransID'] ??= $threeDSRequestorTransID;
             }
 
             return $responseBody;
@@ -181,7 +260,9 @@ class ThreeDSService
             );
         }
 
-        LogHelper::debug("Using browserInfo: " . $browserInfo);
+        // The payment page collects browser data itself when the 3DS Method did not provide it
+        $browserInfoSource = ($additionalData['browserInfoSource'] ?? null) === 'fallback' ? 'fallback' : 'threeDSServer';
+        LogHelper::debug("Using browserInfo from $browserInfoSource: " . $browserInfo);
 
         // Get authUrl from session
         $authUrl = $_SESSION['authUrl'] ?? null;
@@ -242,7 +323,7 @@ class ThreeDSService
         $browserInfoCollected = [
             'browserAcceptHeader' => $this->sanitizeString($browserInfoObj['browserAcceptHeader'] ?? ''),
             'browserColorDepth' => $this->validateBrowserColorDepth($browserInfoObj['browserColorDepth'] ?? ''),
-            'browserIP' => $this->sanitizeIP($browserInfoObj['browserIP'] ?? ''),
+            'browserIP' => $this->sanitizeIP($browserInfoObj['browserIP'] ?? '') ?: $this->sanitizeIP($additionalData['browserIP'] ?? ''),
             'browserJavaEnabled' => isset($browserInfoObj['browserJavaEnabled']) && $browserInfoObj['browserJavaEnabled'],
             'browserJavascriptEnabled' => true, // This must be true
             'browserLanguage' => $this->sanitizeString($browserInfoObj['browserLanguage'] ?? ''),
@@ -252,22 +333,97 @@ class ThreeDSService
             'browserUserAgent' => $this->sanitizeString($browserInfoObj['browserUserAgent'] ?? '')
         ];
 
+        // Payment authentication, or non-payment authentication of a card saved without a purchase
+        $messageCategory = $additionalData['messageCategory'] ?? 'pa';
+        if (!in_array($messageCategory, ['pa', 'npa'], true)) {
+            throw new ThreeDSException(
+                "Invalid messageCategory: " . $messageCategory,
+                0,
+                null,
+                $threeDSServerTransID,
+                [],
+                400
+            );
+        }
+
         // Prepare authentication payload
         $payload = [
             'acctNumber' => self::getOnlyNumbers($cardNumber),
-            'authenticationInd' => '01', // Payment transaction
+            'authenticationInd' => '01', // Payment transaction, unless the page asks for a mandate or a card verification
             'browserInfo' => $browserInfo,
             'browserInfoCollected' => $browserInfoCollected,
             'cardExpiryDate' => $additionalData['cardExpiryDate'] ?? $this->config['test_card']['expiry'],
             'merchantId' => self::getOnlyNumbers($merchantId),
             'merchantName' => $additionalData['merchantName'] ?? $this->config['merchant']['name'],
-            'messageCategory' => 'pa',
+            'messageCategory' => $messageCategory,
             'purchaseAmount' => $additionalData['purchaseAmount'] ?? '1000',
             'purchaseCurrency' => $this->config['transaction']['currency'],
-            'purchaseDate' => date('YmdHis'),
+            'purchaseExponent' => (int)$this->config['transaction']['exponent'],
+            'purchaseDate' => $this->getPurchaseDate($additionalData['purchaseDate'] ?? null),
             'threeDSServerTransID' => $threeDSServerTransID
         ];
 
+        // Maximum time in minutes the ACS may take for decoupled authentication
+        if (!empty($additionalData['threeDSRequestorDecMaxTime'])) {
+            $decMaxTime = (int)self::getOnlyNumbers((string)$additionalData['threeDSRequestorDecMaxTime']);
+            if ($decMaxTime >= 1 && $decMaxTime <= 10080) {
+                $payload['threeDSRequestorDecMaxTime'] = str_pad((string)$decMaxTime, 5, '0', STR_PAD_LEFT);
+            }
+        }
+
+        // A card verification has no purchase to describe
+        if ($messageCategory === 'npa') {
+            $indicator = $additionalData['threeDSRequestorAuthenticationInd'] ?? self::ADD_CARD_INDICATOR;
+            if ($indicator !== self::ADD_CARD_INDICATOR) {
+                throw new ThreeDSException(
+                    "Invalid threeDSRequestorAuthenticationInd for a non-payment authentication: " . $indicator,
+                    0,
+                    null,
+                    $threeDSServerTransID,
+                    [],
+                    400
+                );
+            }
+
+            unset($payload['purchaseAmount'], $payload['purchaseCurrency'], $payload['purchaseExponent'], $payload['purchaseDate']);
+            $payload['authenticationInd'] = self::ADD_CARD_INDICATOR;
+        }
+
+        // Currency chosen on the payment page (ISO 4217 numeric code and minor-unit exponent)
+        if ($messageCategory === 'pa' && isset($additionalData['purchaseCurrency'])) {
+            $purchaseCurrency = (string)$additionalData['purchaseCurrency'];
+            $purchaseExponent = (string)($additionalData['purchaseExponent'] ?? '');
+
+            if (!preg_match('/^\d{3}$/', $purchaseCurrency) || !preg_match('/^[0-4]$/', $purchaseExponent)) {
+                throw new ThreeDSException(
+                    "Invalid purchase currency or exponent.",
+                    0,
+                    null,
+                    $threeDSServerTransID,
+                    [],
+                    400
+                );
+            }
+
+            $payload['purchaseCurrency'] = $purchaseCurrency;
+            $payload['purchaseExponent'] = (int)$purchaseExponent;
+        }
+
+        // Optional cardholder and address data for risk-based authentication
+        if (!empty($additionalData['cardholderInfo']) && is_array($additionalData['cardholderInfo'])) {
+            $payload['cardholderInfo'] = $this->buildCardholderInfo($additionalData['cardholderInfo'], $threeDSServerTransID);
+        }
+
+        // Recurring or instalment mandate, sent to ActiveServer as authenticationInd with its terms
+        if ($messageCategory === 'pa' && !empty($additionalData['threeDSRequestorAuthenticationInd'])) {
+            $payload = array_merge($payload, $this->buildMandateData($additionalData, $threeDSServerTransID));
+        }
+
+        // Size of the challenge window the page will show (01-04 fixed sizes, 05 full screen)
+        if (in_array($additionalData['challengeWindowSize'] ?? null, ['01', '02', '03', '04', '05'], true)) {
+            $payload['challengeWindowSize'] = $additionalData['challengeWindowSize'];
+        }
+
         LogHelper::debug("Auth payload: " . json_encode($payload));
 
         // Extract the path from the authUrl
@@ -339,24 +495,9 @@ class ThreeDSService
             // Get transaction status
             $transStatus = $responseBody['transStatus'] ?? 'Unknown';
             
-            // Map transaction status to appropriate response
-            $statusMap = [
-                'Y' => ['status' => 'success', 'message' => 'Payment Authenticated Successfully'],
-                'N' => ['status' => 'failed', 'message' => 'Authentication Failed - Not Authenticated'],
-                'U' => ['status' => 'error', 'message' => 'Authentication Error - Technical Issue'],
-                'A' => ['status' => 'partial', 'message' => 'Authentication Attempted but Not Verified'],
-                'C' => ['status' => 'challenge', 'message' => 'Challenge Required'],
-                'D' => ['status' => 'decoupled', 'message' => 'Decoupled Authentication Required'],
-                'R' => ['status' => 'rejected', 'message' => 'Authentication Rejected by Issuer']
-            ];
-            
-            // Get mapped status or default to completed if unknown
-            $statusInfo = $statusMap[$transStatus] ?? ['status' => 'completed', 'message' => 'Authentication Completed'];
-
-            // Standardize the response format
+            // Standardize the response format, unknown statuses are reported as completed
             return [
-                'status' => $statusInfo['status'],
-                'message' => $statusInfo['message'],
+                'status' => self::AUTH_STATUSES[$transStatus] ?? 'completed',
                 'transStatus' => $transStatus,
                 'details' => $responseBody
             ];
@@ -368,19 +509,35 @@ class ThreeDSService
     }
 
     /**
-     * Update challenge status after challenge completion
+     * Report a challenge that did not complete normally (cancelled, timed out or failed to load)
      *
      * @param string $threeDSServerTransID Server transaction ID
-     * @param string $status Challenge status (default '01')
+     * @param string $status Challenge cancellation indicator, one of CHALLENGE_STATUSES
      * @return array Response from server
      * @throws ThreeDSException
      */
-    public function updateChallengeStatus(string $threeDSServerTransID, string $status = '01'): array
+    public function updateChallengeStatus(string $threeDSServerTransID, string $status): array
     {
         if (empty($threeDSServerTransID)) {
             throw new ThreeDSException("Missing required threeDSServerTransID.");
         }
 
+        if (!isset(self::CHALLENGE_STATUSES[$status])) {
+            throw new ThreeDSException(
+                "Invalid challenge status: $status",
+                0,
+                null,
+                $threeDSServerTransID,
+                [],
+                400
+            );
+        }
+
+        LogHelper::info("Updating challenge status: " . self::CHALLENGE_STATUSES[$status], [
+            'transactionId' => $threeDSServerTransID,
+            'status' => $status
+        ]);
+
         // Make the request
         try {
             $response = $this->client->post($this->config['api']['challenge_status_endpoint'], [
@@ -614,6 +771,160 @@ class ThreeDSService
             substr($cardNumber, -$lastVisible);
     }
 
+    /**
+     * Get the purchase date to send, in UTC
+     *
+     * @param string|null $purchaseDate Purchase date from the payment page (YmdHis, UTC)
+     * @return string Purchase date in YmdHis format, the current UTC time if none or invalid was given
+     */
+    private function getPurchaseDate(?string $purchaseDate): string
+    {
+        if ($purchaseDate !== null && preg_match('/^\d{14}$/', $purchaseDate)) {
+            $date = DateTimeImmutable::createFromFormat('!YmdHis', $purchaseDate, new DateTimeZone('UTC'));
+
+            // Accept the browser's clock only when it is close to ours
+            if ($date !== false && $date->format('YmdHis') === $purchaseDate && abs($date->getTimestamp() - time()) <= 86400) {
+                return $purchaseDate;
+            }
+
+            LogHelper::warning("Ignoring invalid purchaseDate: " . $purchaseDate);
+        }
+
+        return gmdate('YmdHis');
+    }
+
+    /**
+     * Validate cardholder and address data against the EMV field formats
+     *
+     * @param array $cardholderInfo Cardholder info from the payment page
+     * @param string $threeDSServerTransID Server transaction ID, for error reporting
+     * @return array Cardholder info with known, non-empty fields only
+     * @throws ThreeDSException If a field does not match its format
+     */
+    private function buildCardholderInfo(array $cardholderInfo, string $threeDSServerTransID): array
+    {
+        $validated = [];
+        $invalidFields = [];
+
+        foreach (self::CARDHOLDER_FIELD_PATTERNS as $field => $pattern) {
+            if (!isset($cardholderInfo[$field]) || !is_string($cardholderInfo[$field])) {
+                continue;
+            }
+
+            // Request data is HTML-escaped on arrival, the 3DS server needs the original text
+            $value = $this->sanitizeString(html_entity_decode($cardholderInfo[$field], ENT_QUOTES, 'UTF-8'));
+            if ($value === '') {
+                continue;
+            }
+
+            if (!preg_match($pattern, $value)) {
+                $invalidFields[] = $field;
+                continue;
+            }
+
+            $validated[$field] = $value;
+        }
+
+        foreach (self::CARDHOLDER_PHONE_FIELDS as $field) {
+            if (!isset($cardholderInfo[$field]) || !is_array($cardholderInfo[$field])) {
+                continue;
+            }
+
+            $cc = (string)($cardholderInfo[$field]['cc'] ?? '');
+            $subscriber = (string)($cardholderInfo[$field]['subscriber'] ?? '');
+
+            if (!preg_match('/^\d{1,3}$/', $cc) || !preg_match('/^\d{1,15}$/', $subscriber)) {
+                $invalidFields[] = $field;
+                continue;
+            }
+
+            $validated[$field] = ['cc' => $cc, 'subscriber' => $subscriber];
+        }
+
+        if (!empty($invalidFields)) {
+            throw new ThreeDSException(
+                "Invalid cardholder info: " . implode(', ', $invalidFields),
+                0,
+                null,
+                $threeDSServerTransID,
+                ['fields' => $invalidFields],
+                400
+            );
+        }
+
+        return $validated;
+    }
+
+    /**
+     * Validate the authentication indicator and the recurring and instalment terms
+     *
+     * @param array $additionalData Data from the payment page
+     * @param string $threeDSServerTransID Server transaction ID, for error reporting
+     * @return array authenticationInd, with recurringFrequency, recurringExpiry and purchaseInstalData for a mandate
+     * @throws ThreeDSException If the indicator is unknown or a term is missing or invalid
+     */
+    private function buildMandateData(array $additionalData, string $threeDSServerTransID): array
+    {
+        $indicator = (string)$additionalData['threeDSRequestorAuthenticationInd'];
+        if (!in_array($indicator, self::AUTHENTICATION_INDICATORS, true)) {
+            throw new ThreeDSException(
+                "Invalid threeDSRequestorAuthenticationInd: " . $indicator,
+                0,
+                null,
+                $threeDSServerTransID,
+                [],
+                400
+            );
+        }
+
+        $data = ['authenticationInd' => $indicator];
+        if ($indicator === '01') {
+            return $data;
+        }
+
+        $invalidFields = [];
+
+        // Minimum number of days between authorisations
+        $frequency = (string)($additionalData['recurringFrequency'] ?? '');
+        if (preg_match('/^\d{1,4}$/', $frequency) && (int)$frequency >= 1) {
+            $data['recurringFrequency'] = (string)(int)$frequency;
+        } else {
+            $invalidFields[] = 'recurringFrequency';
+        }
+
+        // Date after which no further authorisations are made, later than today
+        $expiry = (string)($additionalData['recurringExpiry'] ?? '');
+        $date = preg_match('/^\d{8}$/', $expiry) ? DateTimeImmutable::createFromFormat('!Ymd', $expiry, new DateTimeZone('UTC')) : false;
+        if ($date !== false && $date->format('Ymd') === $expiry && $expiry > gmdate('Ymd')) {
+            $data['recurringExpiry'] = $expiry;
+        } else {
+            $invalidFields[] = 'recurringExpiry';
+        }
+
+        // Maximum number of authorisations of an instalment payment
+        if ($indicator === '03') {
+            $instalments = (string)($additionalData['purchaseInstalData'] ?? '');
+            if (preg_match('/^\d{1,3}$/', $instalments) && (int)$instalments >= 2) {
+                $data['purchaseInstalData'] = (string)(int)$instalments;
+            } else {
+                $invalidFields[] = 'purchaseInstalData';
+            }
+        }
+
+        if (!empty($invalidFields)) {
+            throw new ThreeDSException(
+                "Invalid recurring terms: " . implode(', ', $invalidFields),
+                0,
+                null,
+                $threeDSServerTransID,
+                ['fields' => $invalidFields],
+                400
+            );
+        }
+
+        return $data;
+    }
+
     /**
      * Sanitize a string
      *
@@ -0,0 +1,37 @@
+<?php
+/**
+ * Hosted card field template
+ * One card input, loaded by the payment page in an iframe
+ * This template intentionally doesn't use a layout
+ * @var string $field Field name: cardNumber, expiryDate or cvv
+ * @var string $parentOrigin Origin of the payment page, the only window messages are exchanged with
+ * @var string $prefill Test value the field is filled with in debug mode, empty otherwise
+ */
+$empty_layout = true; // Signal that this doesn't use a layout
+
+// Input attributes of each field
+$inputs = [
+    'cardNumber' => ['autocomplete' => 'cc-number', 'placeholder' => ''],
+    'expiryDate' => ['autocomplete' => 'cc-exp', 'placeholder' => 'MM/YY'],
+    'cvv' => ['autocomplete' => 'cc-csc', 'placeholder' => '']
+];
+$input = $inputs[$field];
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Card field</title>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css">
+    <link rel="stylesheet" href="assets/css/styles.css">
+    <script>window.hostedFieldConfig = <?php echo json_encode(['field' => $field, 'parentOrigin' => $parentOrigin], JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT); ?>;</script>
+    <script src="assets/js/input-validation.js"></script>
+    <script src="assets/js/hosted-fields.js" defer type="module"></script>
+</head>
+<body class="hosted-field-page">
+    <input type="text" class="form-control" id="<?php echo htmlspecialchars($field); ?>" data-hosted-field
+           inputmode="numeric" autocomplete="<?php echo $input['autocomplete']; ?>"
+           placeholder="<?php echo $input['placeholder']; ?>" value="<?php echo htmlspecialchars($prefill); ?>">
+</body>
+</html>
@@ -4,8 +4,8 @@
  * This template intentionally doesn't use a layout
  * @var string|null $event Event type
  * @var string|null $param Parameter value (browser info)
- * @var string|null $threeDSServerTransID Server transaction ID
- * @var string|null $requestorTransId Requestor transaction ID
+ * @var array|null $channel Notification channel (nonce, threeDSServerTransID, threeDSRequestorTransID), null if unknown
+ * @var string|null $targetOrigin Origin of the payment page
  */
 $empty_layout = true; // Signal that this doesn't use a layout
 ?>
@@ -15,32 +15,29 @@ $empty_layout = true; // Signal that this doesn't use a layout
     <title>3DS Notification</title>
     <script type="text/javascript">
         // Log event
-        console.log('3DS Event received: <?php echo $event ?? 'Unknown'; ?>');
-        
-        // Prepare data to send to parent window
+        console.log('3DS Event received: ' + <?php echo json_encode($event ?? 'Unknown'); ?>);
+
+        <?php if (!empty($channel) && !empty($targetOrigin)): ?>
+        // Prepare data to send to parent window, bound to the transaction
         const eventData = {
-            event: '<?php echo $event ?? 'Unknown'; ?>'
+            event: <?php echo json_encode($event ?? 'Unknown'); ?>,
+            threeDSServerTransID: <?php echo json_encode($channel['threeDSServerTransID']); ?>,
+            requestorTransId: <?php echo json_encode($channel['threeDSRequestorTransID']); ?>,
+            nonce: <?php echo json_encode($channel['nonce']); ?>
         };
 
         <?php if (isset($param) && $param): ?>
         // Add browser info if available
-        eventData.param = '<?php echo $param; ?>';
-        <?php endif; ?>
-        
-        <?php if (isset($threeDSServerTransID) && $threeDSServerTransID): ?>
-        // Add transaction ID if available
-        eventData.threeDSServerTransID = '<?php echo $threeDSServerTransID; ?>';
-        <?php endif; ?>
-        
-        <?php if (isset($requestorTransId) && $requestorTransId): ?>
-        // Add requestor transaction ID if available
-        eventData.requestorTransId = '<?php echo $requestorTransId; ?>';
+        eventData.param = <?php echo json_encode($param); ?>;
         <?php endif; ?>
-        
-        // Send message to parent window
-        if (window.parent) {
-            window.parent.postMessage(eventData, '*');
+
+        // Send message to the payment page only
+        if (window.parent && window.parent !== window) {
+            window.parent.postMessage(eventData, <?php echo json_encode($targetOrigin); ?>);
         }
+        <?php else: ?>
+        console.warn('3DS Event not forwarded: unknown transaction');
+        <?php endif; ?>
     </script>
 </head>
 <body>
@@ -49,4 +46,4 @@ $empty_layout = true; // Signal that this doesn't use a layout
     <p>Browser Info: Received</p>
     <?php endif; ?>
 </body>
-</html> 
\ No newline at end of file
+</html>
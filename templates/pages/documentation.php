@@ -48,9 +48,10 @@ $currentPage = 'documentation';
             <li><strong>3DS Logic:</strong> <code>assets/js/3ds.js</code> handles the 3DS payment flow, API calls, and challenge handling.</li>
             <li><strong>Input Validation & Masking:</strong> <code>assets/js/input-validation.js</code> provides real-time validation and masking for credit card number, expiry date, and CVV fields. Features:
                 <ul>
-                    <li>Credit card number masking (spaces every 4 digits), Luhn check, and max length enforcement.</li>
+                    <li>Card brand detection from the BIN range (Visa, Mastercard including the 2-series, American Express, Discover, JCB, Diners Club, UnionPay), shown next to the card number and sent with <code>init</code>.</li>
+                    <li>Credit card number masking grouped for the brand (4-6-5 for American Express, fours otherwise), Luhn check, and the brand's valid lengths (up to 19 digits).</li>
                     <li>Expiry date masking (MM/YY), prevents past dates, and validates month/year.</li>
-                    <li>CVV restricted to 3-4 digits, numeric only.</li>
+                    <li>CVV length set by the brand (4 digits for American Express, 3 otherwise), numeric only.</li>
                     <li>Visual feedback (green/red borders) for valid/invalid input.</li>
                 </ul>
             </li>
@@ -8,74 +8,353 @@ $currentPage = 'home';
 // Extra head content
 $extraHeadContent = '';
 
+// Token the SDK sends with its first /api call, each response rotates it
+$csrfToken = \App\Helpers\SecurityHelper::generateCsrfToken();
+
+// Card inputs served from the card field page in iframes, so this page never sees the card number
+$hostedFieldsUrl = !empty($config['3ds']['hosted_fields']['enabled']) ? $config['3ds']['hosted_fields']['url'] : null;
+
 // Define the page-specific scripts
 $scripts = '
-<script src="assets/js/input-validation.js"></script>
-<script src="assets/js/3ds.js" defer type="module"></script>
+<script>window.threeDSConfig = Object.assign({acceptHeader: ' . json_encode($_SERVER['HTTP_ACCEPT'] ?? null, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT) . ', csrfToken: ' . json_encode($csrfToken) . ', returnUrl: ' . json_encode(($config['3ds']['postback']['return_url'] ?? '') ?: null, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT) . ', hostedFields: ' . json_encode($hostedFieldsUrl ? ['url' => $hostedFieldsUrl] : null, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT) . '}, window.threeDSConfig || {});</script>
+' . ($hostedFieldsUrl ? '' : '<script src="assets/js/input-validation.js"></script>
+') . '<script src="assets/js/3ds.js" defer type="module"></script>
 ';
 ?>
 
 <div class="card-container">
-    <h1 class="text-center mb-4">3DS Payment Example</h1>
+    <h1 class="text-center mb-4" data-i18n="page.heading">3DS Payment Example</h1>
+
+    <!-- Language picker, filled with the available locales -->
+    <div class="d-flex justify-content-end align-items-center mb-3">
+        <label for="localeSelect" class="form-label small mb-0 me-2" data-i18n="page.language">Language</label>
+        <select class="form-select form-select-sm w-auto" id="localeSelect"></select>
+    </div>
 
     <!-- Payment Form -->
     <div id="paymentCard" class="card">
         <div class="card-header">
-            <h5 class="card-title mb-0">Payment Details</h5>
+            <h5 class="card-title mb-0" data-i18n="form.title">Payment Details</h5>
         </div>
         <div class="card-body">
             <form id="paymentForm">
+                <!-- Card verification: a non-payment authentication when the card is saved without a purchase -->
+                <div class="form-check form-switch mb-3">
+                    <input class="form-check-input" type="checkbox" role="switch" id="verifyCardOnly" aria-controls="purchaseDetails">
+                    <label class="form-check-label" for="verifyCardOnly" data-i18n="form.verifyCardOnly">Verify and save the card only, no payment</label>
+                </div>
+                <?php if ($hostedFieldsUrl): ?>
+                <!-- Each container gets the iframe of its field, the frames are named after the labels -->
+                <div class="mb-3">
+                    <span class="form-label d-inline-block" data-i18n="form.cardNumber">Card Number</span>
+                    <span id="cardBrand" class="badge bg-secondary ms-2 hidden" aria-live="polite"></span>
+                    <div id="cardNumber" aria-describedby="cardNumberHelp"></div>
+                    <div class="form-text" id="cardNumberHelp"><span data-i18n="form.testCard">Use test card:</span> <?php echo $config['3ds']['test_card']['number']; ?></div>
+                </div>
+                <div class="row mb-3">
+                    <div class="col">
+                        <span class="form-label d-inline-block" data-i18n="form.expiryDate">Expiry Date (MM/YY)</span>
+                        <div id="expiryDate"></div>
+                    </div>
+                    <div class="col">
+                        <span class="form-label d-inline-block" data-i18n="form.cvv">CVV</span>
+                        <div id="cvv"></div>
+                    </div>
+                </div>
+                <?php else: ?>
                 <div class="mb-3">
-                    <label for="cardNumber" class="form-label">Card Number</label>
+                    <label for="cardNumber" class="form-label" data-i18n="form.cardNumber">Card Number</label>
+                    <span id="cardBrand" class="badge bg-secondary ms-2 hidden" aria-live="polite"></span>
                     <input type="text" class="form-control" id="cardNumber"
-                           value="<?php echo $config['3ds']['test_card']['number']; ?>" required>
-                    <div class="form-text">Use test card: <?php echo $config['3ds']['test_card']['number']; ?></div>
+                           value="<?php echo $config['3ds']['test_card']['number']; ?>" aria-describedby="cardNumberHelp" required>
+                    <div class="form-text" id="cardNumberHelp"><span data-i18n="form.testCard">Use test card:</span> <?php echo $config['3ds']['test_card']['number']; ?></div>
                 </div>
                 <div class="row mb-3">
                     <div class="col">
-                        <label for="expiryDate" class="form-label">Expiry Date (MM/YY)</label>
+                        <label for="expiryDate" class="form-label" data-i18n="form.expiryDate">Expiry Date (MM/YY)</label>
                         <input type="text" class="form-control" id="expiryDate" value="12/25" required>
                     </div>
                     <div class="col">
-                        <label for="cvv" class="form-label">CVV</label>
+                        <label for="cvv" class="form-label" data-i18n="form.cvv">CVV</label>
                         <input type="text" class="form-control" id="cvv" value="123" required>
                     </div>
                 </div>
-                <div class="mb-3">
-                    <label for="amount" class="form-label">Amount</label>
-                    <div class="input-group">
-                        <span class="input-group-text">$</span>
-                        <input type="number" class="form-control" id="amount" value="10.00" required>
+                <?php endif; ?>
+                <div id="purchaseDetails">
+                    <div class="row mb-3">
+                        <div class="col-8">
+                            <label for="amount" class="form-label" data-i18n="form.amount">Amount</label>
+                            <div class="input-group">
+                                <span class="input-group-text" id="currencySymbol">$</span>
+                                <input type="number" class="form-control" id="amount" value="10.00" min="0" step="0.01" required>
+                            </div>
+                        </div>
+                        <div class="col-4">
+                            <label for="currency" class="form-label" data-i18n="form.currency">Currency</label>
+                            <select class="form-select" id="currency">
+                                <option value="USD" selected>USD</option>
+                                <option value="EUR">EUR</option>
+                                <option value="GBP">GBP</option>
+                                <option value="JPY">JPY</option>
+                                <option value="KWD">KWD</option>
+                                <option value="BHD">BHD</option>
+                                <option value="AUD">AUD</option>
+                                <option value="CAD">CAD</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="mb-3">
+                        <label for="paymentType" class="form-label" data-i18n="form.paymentType">Payment type</label>
+                        <select class="form-select" id="paymentType" aria-controls="recurringTerms">
+                            <option value="oneOff" selected data-i18n="form.paymentType.oneOff">One-off payment</option>
+                            <option value="recurring" data-i18n="form.paymentType.recurring">Recurring payment</option>
+                            <option value="instalment" data-i18n="form.paymentType.instalment">Instalments</option>
+                        </select>
+                    </div>
+                    <!-- Mandate terms, sent with auth for recurring and instalment payments -->
+                    <div class="row mb-3 hidden" id="recurringTerms">
+                        <div class="col">
+                            <label for="recurringFrequency" class="form-label" data-i18n="form.recurringFrequency">Every (days)</label>
+                            <input type="number" class="form-control" id="recurringFrequency" value="30" min="1" max="9999" step="1" inputmode="numeric" disabled>
+                        </div>
+                        <div class="col">
+                            <label for="recurringExpiry" class="form-label" data-i18n="form.recurringExpiry">Last payment on</label>
+                            <input type="date" class="form-control" id="recurringExpiry" disabled>
+                        </div>
+                        <div class="col hidden" id="instalmentTerms">
+                            <label for="purchaseInstalData" class="form-label" data-i18n="form.purchaseInstalData">Number of instalments</label>
+                            <input type="number" class="form-control" id="purchaseInstalData" value="12" min="2" max="999" step="1" inputmode="numeric" disabled>
+                        </div>
                     </div>
                 </div>
+                <!-- Optional cardholder data, improves the chance of a frictionless flow -->
+                <details class="mb-3" id="cardholderDetails">
+                    <summary class="mb-2" data-i18n="form.cardholderDetails">Cardholder details (optional)</summary>
+                    <div class="mb-2">
+                        <label for="cardholderName" class="form-label" data-i18n="form.cardholderName">Name on card</label>
+                        <input type="text" class="form-control" id="cardholderName" data-cardholder="cardholderName" maxlength="45" autocomplete="cc-name">
+                    </div>
+                    <div class="mb-2">
+                        <label for="email" class="form-label" data-i18n="form.email">Email</label>
+                        <input type="email" class="form-control" id="email" data-cardholder="email" maxlength="254" autocomplete="email">
+                    </div>
+                    <div class="row mb-3">
+                        <div class="col-4">
+                            <label for="mobilePhoneCc" class="form-label" data-i18n="form.phoneCountryCode">Country code</label>
+                            <input type="text" class="form-control" id="mobilePhoneCc" data-cardholder="mobilePhone.cc" maxlength="4" placeholder="1" inputmode="numeric" autocomplete="tel-country-code">
+                        </div>
+                        <div class="col-8">
+                            <label for="mobilePhoneSubscriber" class="form-label" data-i18n="form.mobilePhone">Mobile phone</label>
+                            <input type="tel" class="form-control" id="mobilePhoneSubscriber" data-cardholder="mobilePhone.subscriber" maxlength="20" autocomplete="tel-national">
+                        </div>
+                    </div>
+                    <fieldset class="mb-3">
+                        <legend class="fs-6" data-i18n="form.billingAddress">Billing address</legend>
+                        <div class="mb-2">
+                            <label for="billAddrLine1" class="form-label" data-i18n="form.addressLine1">Address line 1</label>
+                            <input type="text" class="form-control" id="billAddrLine1" data-cardholder="billAddrLine1" maxlength="50" autocomplete="billing address-line1">
+                        </div>
+                        <div class="mb-2">
+                            <label for="billAddrLine2" class="form-label" data-i18n="form.addressLine2">Address line 2</label>
+                            <input type="text" class="form-control" id="billAddrLine2" data-cardholder="billAddrLine2" maxlength="50" autocomplete="billing address-line2">
+                        </div>
+                        <div class="row mb-2">
+                            <div class="col">
+                                <label for="billAddrCity" class="form-label" data-i18n="form.city">City</label>
+                                <input type="text" class="form-control" id="billAddrCity" data-cardholder="billAddrCity" maxlength="50" autocomplete="billing address-level2">
+                            </div>
+                            <div class="col">
+                                <label for="billAddrPostCode" class="form-label" data-i18n="form.postCode">Postal code</label>
+                                <input type="text" class="form-control" id="billAddrPostCode" data-cardholder="billAddrPostCode" maxlength="16" autocomplete="billing postal-code">
+                            </div>
+                        </div>
+                        <div class="row">
+                            <div class="col">
+                                <label for="billAddrState" class="form-label" data-i18n="form.stateCode">State code</label>
+                                <input type="text" class="form-control" id="billAddrState" data-cardholder="billAddrState" maxlength="3" placeholder="e.g. CA" data-i18n-placeholder="form.stateCodePlaceholder">
+                            </div>
+                            <div class="col">
+                                <label for="billAddrCountry" class="form-label" data-i18n="form.country">Country</label>
+                                <select class="form-select" id="billAddrCountry" data-cardholder="billAddrCountry">
+                                <option value="" data-i18n="form.selectCountry">Select...</option>
+                                <option value="840" data-i18n-region="US">United States</option>
+                                <option value="826" data-i18n-region="GB">United Kingdom</option>
+                                <option value="124" data-i18n-region="CA">Canada</option>
+                                <option value="036" data-i18n-region="AU">Australia</option>
+                                <option value="276" data-i18n-region="DE">Germany</option>
+                                <option value="250" data-i18n-region="FR">France</option>
+                                <option value="392" data-i18n-region="JP">Japan</option>
+                                <option value="414" data-i18n-region="KW">Kuwait</option>
+                                <option value="048" data-i18n-region="BH">Bahrain</option>
+                                <option value="784" data-i18n-region="AE">United Arab Emirates</option>
+                                <option value="356" data-i18n-region="IN">India</option>
+                                <option value="702" data-i18n-region="SG">Singapore</option>
+                                </select>
+                            </div>
+                        </div>
+                    </fieldset>
+                    <div class="form-check mb-2">
+                        <input class="form-check-input" type="checkbox" id="sameAddress" data-cardholder-same-address aria-controls="shippingAddress" checked>
+                        <label class="form-check-label" for="sameAddress" data-i18n="form.sameAddress">Shipping address is the same as billing</label>
+                    </div>
+                    <fieldset class="mb-3 hidden" id="shippingAddress" disabled>
+                        <legend class="fs-6" data-i18n="form.shippingAddress">Shipping address</legend>
+                        <div class="mb-2">
+                            <label for="shipAddrLine1" class="form-label" data-i18n="form.addressLine1">Address line 1</label>
+                            <input type="text" class="form-control" id="shipAddrLine1" data-cardholder="shipAddrLine1" maxlength="50" autocomplete="shipping address-line1">
+                        </div>
+                        <div class="mb-2">
+                            <label for="shipAddrLine2" class="form-label" data-i18n="form.addressLine2">Address line 2</label>
+                            <input type="text" class="form-control" id="shipAddrLine2" data-cardholder="shipAddrLine2" maxlength="50" autocomplete="shipping address-line2">
+                        </div>
+                        <div class="row mb-2">
+                            <div class="col">
+                                <label for="shipAddrCity" class="form-label" data-i18n="form.city">City</label>
+                                <input type="text" class="form-control" id="shipAddrCity" data-cardholder="shipAddrCity" maxlength="50" autocomplete="shipping address-level2">
+                            </div>
+                            <div class="col">
+                                <label for="shipAddrPostCode" class="form-label" data-i18n="form.postCode">Postal code</label>
+                                <input type="text" class="form-control" id="shipAddrPostCode" data-cardholder="shipAddrPostCode" maxlength="16" autocomplete="shipping postal-code">
+                            </div>
+                        </div>
+                        <div class="row">
+                            <div class="col">
+                                <label for="shipAddrState" class="form-label" data-i18n="form.stateCode">State code</label>
+                                <input type="text" class="form-control" id="shipAddrState" data-cardholder="shipAddrState" maxlength="3" placeholder="e.g. CA" data-i18n-placeholder="form.stateCodePlaceholder">
+                            </div>
+                            <div class="col">
+                                <label for="shipAddrCountry" class="form-label" data-i18n="form.country">Country</label>
+                                <select class="form-select" id="shipAddrCountry" data-cardholder="shipAddrCountry">
+                                <option value="" data-i18n="form.selectCountry">Select...</option>
+                                <option value="840" data-i18n-region="US">United States</option>
+                                <option value="826" data-i18n-region="GB">United Kingdom</option>
+                                <option value="124" data-i18n-region="CA">Canada</option>
+                                <option value="036" data-i18n-region="AU">Australia</option>
+                                <option value="276" data-i18n-region="DE">Germany</option>
+                                <option value="250" data-i18n-region="FR">France</option>
+                                <option value="392" data-i18n-region="JP">Japan</option>
+                                <option value="414" data-i18n-region="KW">Kuwait</option>
+                                <option value="048" data-i18n-region="BH">Bahrain</option>
+                                <option value="784" data-i18n-region="AE">United Arab Emirates</option>
+                                <option value="356" data-i18n-region="IN">India</option>
+                                <option value="702" data-i18n-region="SG">Singapore</option>
+                                </select>
+                            </div>
+                        </div>
+                    </fieldset>
+                </details>
                 <div class="d-grid">
-                    <button type="submit" class="btn btn-primary" id="payButton">Pay Now</button>
+                    <button type="submit" class="btn btn-primary" id="payButton" data-i18n="form.pay">Pay Now</button>
                 </div>
             </form>
         </div>
     </div>
 
+    <!-- Stage announcements for screen readers -->
+    <div class="visually-hidden" id="paymentStatus" role="status" aria-live="polite" aria-atomic="true"></div>
+
     <!-- Processing Spinner -->
     <div class="spinner-container hidden" id="processingSpinner">
-        <div class="spinner-border text-primary" role="status">
-            <span class="visually-hidden">Processing...</span>
-        </div>
-        <span class="ms-2">Processing payment...</span>
+        <div class="spinner-border text-primary" aria-hidden="true"></div>
+        <span class="ms-2" data-i18n="page.processing">Processing payment...</span>
     </div>
 
     <!-- Results Container -->
     <div class="result-container hidden" id="resultContainer">
-        <h5>Transaction Result</h5>
+        <h5 data-i18n="page.resultTitle">Transaction Result</h5>
         <div class="result-content" id="resultContent"></div>
     </div>
 
     <!-- Challenge Container -->
     <div class="hidden" id="challengeContainer">
-        <h5>3DS Challenge</h5>
-        <p>Please complete the authentication challenge below:</p>
+        <h5 data-i18n="page.challengeTitle">3DS Challenge</h5>
+        <p data-i18n="page.challengeIntro">Please complete the authentication challenge below:</p>
         <div id="challengeFrameContainer"></div>
     </div>
 
+    <!-- Decoupled Authentication Container -->
+    <div class="hidden" id="decoupledContainer">
+        <h5 data-i18n="page.decoupledTitle">Approve on Your Device</h5>
+        <p data-i18n="page.decoupledIntro">Your bank has sent an authentication request to your phone or banking app. Approve it there to complete the payment.</p>
+        <p class="mb-0"><span data-i18n="page.timeRemaining">Time remaining:</span> <strong id="decoupledCountdown">--:--</strong></p>
+    </div>
+
+    <!-- Transaction History -->
+    <div class="card mt-4 history-panel" id="historyPanel">
+        <div class="card-header d-flex justify-content-between align-items-center">
+            <h5 class="card-title mb-0" data-i18n="history.title">Transaction History</h5>
+            <div class="btn-group btn-group-sm">
+                <button type="button" class="btn btn-outline-secondary" data-history-export="csv" data-i18n="history.exportCsv">Export CSV</button>
+                <button type="button" class="btn btn-outline-secondary" data-history-export="json" data-i18n="history.exportJson">Export JSON</button>
+                <button type="button" class="btn btn-outline-danger" data-history-clear data-i18n="history.clear">Clear</button>
+            </div>
+        </div>
+        <div class="card-body">
+            <form class="row g-2 mb-3" id="historyFilters">
+                <div class="col-md-3">
+                    <label for="historyStatus" class="form-label small" data-i18n="history.status">Status</label>
+                    <select class="form-select form-select-sm" id="historyStatus" name="transStatus">
+                        <option value="" data-i18n="history.all">All</option>
+                        <option value="Y" data-i18n="history.statusY">Y - Authenticated</option>
+                        <option value="A" data-i18n="history.statusA">A - Attempted</option>
+                        <option value="N" data-i18n="history.statusN">N - Not authenticated</option>
+                        <option value="U" data-i18n="history.statusU">U - Unavailable</option>
+                        <option value="R" data-i18n="history.statusR">R - Rejected</option>
+                    </select>
+                </div>
+                <div class="col-md-3">
+                    <label for="historyFlow" class="form-label small" data-i18n="history.flow">Flow</label>
+                    <select class="form-select form-select-sm" id="historyFlow" name="flow">
+                        <option value="" data-i18n="history.all">All</option>
+                        <option value="frictionless" data-i18n="flow.frictionless">Frictionless</option>
+                        <option value="challenge" data-i18n="flow.challenge">Challenge</option>
+                        <option value="decoupled" data-i18n="flow.decoupled">Decoupled</option>
+                    </select>
+                </div>
+                <div class="col-md-3">
+                    <label for="historyFrom" class="form-label small" data-i18n="history.from">From</label>
+                    <input type="date" class="form-control form-control-sm" id="historyFrom" name="from">
+                </div>
+                <div class="col-md-3">
+                    <label for="historyTo" class="form-label small" data-i18n="history.to">To</label>
+                    <input type="date" class="form-control form-control-sm" id="historyTo" name="to">
+                </div>
+                <div class="col-12">
+                    <label for="historySearch" class="visually-hidden" data-i18n="history.search">Search</label>
+                    <input type="search" class="form-control form-control-sm" id="historySearch" name="search" placeholder="Search by transaction ID or card digits" data-i18n-placeholder="history.searchPlaceholder">
+                </div>
+            </form>
+            <div class="table-responsive">
+                <table class="table table-sm align-middle mb-0">
+                    <thead>
+                    <tr>
+                        <th scope="col" data-i18n="history.date">Date</th>
+                        <th scope="col" data-i18n="history.card">Card</th>
+                        <th scope="col" data-i18n="history.amount">Amount</th>
+                        <th scope="col" data-i18n="history.flow">Flow</th>
+                        <th scope="col" data-i18n="history.status">Status</th>
+                        <th scope="col"><span class="visually-hidden" data-i18n="history.actions">Actions</span></th>
+                    </tr>
+                    </thead>
+                    <tbody id="historyRows"></tbody>
+                </table>
+            </div>
+            <p class="text-muted small mt-2 mb-0" id="historyEmpty" data-i18n="history.empty">No transactions recorded on this device yet.</p>
+        </div>
+    </div>
+
+    <!-- Transaction Receipt -->
+    <div class="card mt-4 receipt hidden" id="historyReceipt" tabindex="-1" aria-labelledby="receiptTitle">
+        <div class="card-body">
+            <h5 class="card-title" id="receiptTitle" data-i18n="history.receiptTitle">3DS Authentication Receipt</h5>
+            <dl class="row mb-3" data-receipt-fields></dl>
+            <div class="receipt-actions">
+                <button type="button" class="btn btn-primary btn-sm" data-receipt-print data-i18n="history.print">Print</button>
+                <button type="button" class="btn btn-outline-secondary btn-sm" data-receipt-close data-i18n="history.close">Close</button>
+            </div>
+        </div>
+    </div>
+
     <!-- Hidden IFrames Container -->
     <div class="iframe-container" id="iframeContainer"></div>
 </div> 
\ No newline at end of file
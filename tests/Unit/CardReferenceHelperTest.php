@@ -0,0 +1,107 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Helpers\CacheHelper;
+use App\Helpers\CardReferenceHelper;
+use PHPUnit\Framework\TestCase;
+
+class CardReferenceHelperTest extends TestCase
+{
+    private const TRANSACTION_ID = '8a880dc0-d2d2-4067-bcb1-b08d1690b26e';
+    private const CARD_NUMBER = '4100000000000100';
+
+    /**
+     * @var string Temporary cache directory for testing
+     */
+    private string $tempCacheDir;
+
+    /**
+     * Setup the test environment
+     */
+    protected function setUp(): void
+    {
+        $this->tempCacheDir = sys_get_temp_dir() . '/gpayments_test_cache_' . uniqid();
+        mkdir($this->tempCacheDir, 0755, true);
+
+        CacheHelper::setCacheDir($this->tempCacheDir);
+        CacheHelper::setEncryptionKey(bin2hex(random_bytes(32)));
+    }
+
+    /**
+     * Teardown the test environment
+     */
+    protected function tearDown(): void
+    {
+        CacheHelper::clear();
+        rmdir($this->tempCacheDir);
+    }
+
+    /**
+     * Test that a reference resolves to the card number for its transaction
+     */
+    public function testIssueAndResolve(): void
+    {
+        $reference = CardReferenceHelper::issue(self::TRANSACTION_ID, self::CARD_NUMBER);
+
+        $this->assertMatchesRegularExpression('/^[a-f0-9]{32}$/', $reference);
+        $this->assertEquals(self::CARD_NUMBER, CardReferenceHelper::resolve($reference, self::TRANSACTION_ID));
+    }
+
+    /**
+     * Test that the expiry date of a card entered in the hosted fields is kept with its number
+     */
+    public function testResolveCardWithExpiryDate(): void
+    {
+        $reference = CardReferenceHelper::issue(self::TRANSACTION_ID, self::CARD_NUMBER, '3012');
+
+        $this->assertEquals(
+            ['acctNumber' => self::CARD_NUMBER, 'cardExpiryDate' => '3012'],
+            CardReferenceHelper::resolveCard($reference, self::TRANSACTION_ID)
+        );
+    }
+
+    /**
+     * Test that the card number is not written to the cache in clear
+     */
+    public function testCardNumberIsEncrypted(): void
+    {
+        CardReferenceHelper::issue(self::TRANSACTION_ID, self::CARD_NUMBER);
+
+        foreach (glob($this->tempCacheDir . '/*.cache') as $file) {
+            $this->assertStringNotContainsString(self::CARD_NUMBER, file_get_contents($file));
+        }
+    }
+
+    /**
+     * Test that a reference is refused for another transaction
+     */
+    public function testResolveForOtherTransaction(): void
+    {
+        $reference = CardReferenceHelper::issue(self::TRANSACTION_ID, self::CARD_NUMBER);
+
+        $this->assertNull(CardReferenceHelper::resolve($reference, 'c2b2a1a6-3f1e-4f0c-9a8e-2f4b6d8e0a1c'));
+    }
+
+    /**
+     * Test that unknown and malformed references resolve to null
+     */
+    public function testResolveUnknownReference(): void
+    {
+        $this->assertNull(CardReferenceHelper::resolve(str_repeat('a', 32), self::TRANSACTION_ID));
+        $this->assertNull(CardReferenceHelper::resolve('../card_reference', self::TRANSACTION_ID));
+    }
+
+    /**
+     * Test that a revoked reference no longer resolves
+     */
+    public function testRevoke(): void
+    {
+        $reference = CardReferenceHelper::issue(self::TRANSACTION_ID, self::CARD_NUMBER);
+
+        CardReferenceHelper::revoke($reference);
+
+        $this->assertNull(CardReferenceHelper::resolve($reference, self::TRANSACTION_ID));
+    }
+}
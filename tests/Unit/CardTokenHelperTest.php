@@ -0,0 +1,87 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Helpers\CacheHelper;
+use App\Helpers\CardTokenHelper;
+use PHPUnit\Framework\TestCase;
+
+class CardTokenHelperTest extends TestCase
+{
+    private const CARD_NUMBER = '4100000000000100';
+
+    /**
+     * @var string Temporary cache directory for testing
+     */
+    private string $tempCacheDir;
+
+    /**
+     * Setup the test environment
+     */
+    protected function setUp(): void
+    {
+        $this->tempCacheDir = sys_get_temp_dir() . '/gpayments_test_cache_' . uniqid();
+        mkdir($this->tempCacheDir, 0755, true);
+
+        CacheHelper::setCacheDir($this->tempCacheDir);
+        CacheHelper::setEncryptionKey(bin2hex(random_bytes(32)));
+    }
+
+    /**
+     * Teardown the test environment
+     */
+    protected function tearDown(): void
+    {
+        CacheHelper::clear();
+        rmdir($this->tempCacheDir);
+    }
+
+    /**
+     * Test that a token redeems the card number and expiry date the fields sent
+     */
+    public function testTokenizeAndRedeem(): void
+    {
+        $token = CardTokenHelper::tokenize(self::CARD_NUMBER);
+
+        $this->assertMatchesRegularExpression('/^[a-f0-9]{32}$/', $token);
+        $this->assertTrue(CardTokenHelper::addExpiryDate($token, '3012'));
+        $this->assertEquals(
+            ['acctNumber' => self::CARD_NUMBER, 'cardExpiryDate' => '3012'],
+            CardTokenHelper::redeem($token)
+        );
+    }
+
+    /**
+     * Test that the card number is not written to the cache in clear
+     */
+    public function testCardNumberIsEncrypted(): void
+    {
+        CardTokenHelper::tokenize(self::CARD_NUMBER);
+
+        foreach (glob($this->tempCacheDir . '/*.cache') as $file) {
+            $this->assertStringNotContainsString(self::CARD_NUMBER, file_get_contents($file));
+        }
+    }
+
+    /**
+     * Test that a token starts one payment only
+     */
+    public function testRedeemOnce(): void
+    {
+        $token = CardTokenHelper::tokenize(self::CARD_NUMBER);
+
+        $this->assertNotNull(CardTokenHelper::redeem($token));
+        $this->assertNull(CardTokenHelper::redeem($token));
+    }
+
+    /**
+     * Test that unknown and malformed tokens are refused
+     */
+    public function testUnknownToken(): void
+    {
+        $this->assertFalse(CardTokenHelper::addExpiryDate(str_repeat('a', 32), '3012'));
+        $this->assertNull(CardTokenHelper::redeem(str_repeat('a', 32)));
+        $this->assertNull(CardTokenHelper::redeem('../card_token'));
+    }
+}
@@ -0,0 +1,82 @@
+<?php
+declare(strict_types=1);
+
+namespace Tests\Unit;
+
+use App\Helpers\PostbackHelper;
+use PHPUnit\Framework\TestCase;
+
+class PostbackHelperTest extends TestCase
+{
+    private const SECRET = 'postback-test-secret';
+
+    /**
+     * @var array Result returned by the 3DS Server
+     */
+    private array $result = [
+        'threeDSServerTransID' => '8a880dc0-d2d2-4067-bcb1-b08d1690b26e',
+        'dsTransID' => 'f25084f0-5b16-4c0a-ae5d-b24808571eb6',
+        'acsTransID' => '13c701a3-5a88-4c45-89e9-ef65e50a8bf9',
+        'transStatus' => 'Y',
+        'eci' => '05',
+        'authenticationValue' => 'MTIzNDU2Nzg5MDEyMzQ1Njc4OTA=',
+        'acctNumber' => '4100000000000100'
+    ];
+
+    /**
+     * Test that a signed payload verifies and carries the authentication data
+     */
+    public function testSignAndVerify(): void
+    {
+        $signed = PostbackHelper::sign($this->result, self::SECRET);
+
+        $this->assertEquals('HMAC-SHA256', $signed['algorithm']);
+        $this->assertMatchesRegularExpression('/^[a-f0-9]{64}$/', $signed['signature']);
+
+        $data = PostbackHelper::verify($signed['payload'], $signed['signature'], self::SECRET);
+
+        $this->assertIsArray($data);
+        $this->assertEquals('05', $data['eci']);
+        $this->assertEquals($this->result['authenticationValue'], $data['authenticationValue']);
+        $this->assertEquals($this->result['dsTransID'], $data['dsTransID']);
+        $this->assertIsInt($data['issuedAt']);
+    }
+
+    /**
+     * Test that fields outside the hand-off set are left out
+     */
+    public function testCardNumberIsNotSigned(): void
+    {
+        $signed = PostbackHelper::sign($this->result, self::SECRET);
+        $data = PostbackHelper::verify($signed['payload'], $signed['signature'], self::SECRET);
+
+        $this->assertArrayNotHasKey('acctNumber', $data);
+    }
+
+    /**
+     * Test that an altered payload or signature is refused
+     */
+    public function testTamperedPayload(): void
+    {
+        $signed = PostbackHelper::sign($this->result, self::SECRET);
+
+        $tampered = rtrim(strtr(base64_encode(json_encode(['transStatus' => 'Y', 'eci' => '05', 'issuedAt' => time()])), '+/', '-_'), '=');
+
+        $this->assertNull(PostbackHelper::verify($tampered, $signed['signature'], self::SECRET));
+        $this->assertNull(PostbackHelper::verify($signed['payload'], str_repeat('0', 64), self::SECRET));
+        $this->assertNull(PostbackHelper::verify($signed['payload'], $signed['signature'], 'another-secret'));
+        $this->assertNull(PostbackHelper::verify($signed['payload'], $signed['signature'], ''));
+    }
+
+    /**
+     * Test that a payload older than the maximum age is refused
+     */
+    public function testExpiredPayload(): void
+    {
+        $payload = rtrim(strtr(base64_encode(json_encode(['transStatus' => 'Y', 'issuedAt' => time() - 600])), '+/', '-_'), '=');
+        $signature = hash_hmac('sha256', $payload, self::SECRET);
+
+        $this->assertNull(PostbackHelper::verify($payload, $signature, self::SECRET));
+        $this->assertIsArray(PostbackHelper::verify($payload, $signature, self::SECRET, 900));
+    }
+}
@@ -84,6 +84,25 @@ class SecurityHelperTest extends TestCase
         $this->assertArrayNotHasKey($token, $_SESSION['csrf_tokens']);
     }
     
+    /**
+     * Test that rotating a CSRF token issues a new one and keeps the old one for the grace period only
+     */
+    public function testRotateCsrfToken(): void
+    {
+        $token = SecurityHelper::generateCsrfToken();
+        
+        $newToken = SecurityHelper::rotateCsrfToken($token);
+        
+        $this->assertNotEquals($token, $newToken);
+        $this->assertTrue(SecurityHelper::verifyCsrfToken($newToken, false));
+        $this->assertTrue(SecurityHelper::verifyCsrfToken($token, false));
+        
+        // Move past the grace period
+        $_SESSION['csrf_tokens'][$token] -= 61;
+        
+        $this->assertFalse(SecurityHelper::verifyCsrfToken($token, false));
+    }
+    
     /**
      * Test that sanitizeString properly escapes HTML
      */
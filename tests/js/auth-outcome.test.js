@@ -0,0 +1,104 @@
+/**
+ * Tests of the transStatusReason, ECI and liability shift decoding
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {decodeAuthOutcome, decodeEci, decodeTransStatusReason, hasLiabilityShift} from '../../public/assets/js/auth-outcome.js';
+import {I18n} from '../../public/assets/js/i18n.js';
+
+describe('decodeTransStatusReason', () => {
+    test('describes EMV reason codes', () => {
+        assert.deepEqual(decodeTransStatusReason('11'), {code: '11', description: 'Suspected fraud'});
+        assert.deepEqual(decodeTransStatusReason('1'), {code: '01', description: 'Card authentication failed'});
+        assert.equal(decodeTransStatusReason('26').description, 'Authentication attempted but not performed by the cardholder');
+    });
+
+    test('flags codes reserved for the Directory Server and unknown codes', () => {
+        assert.equal(decodeTransStatusReason('85').description, 'Reserved for Directory Server use (85)');
+        assert.equal(decodeTransStatusReason('60').description, 'Unknown reason (60)');
+        assert.equal(decodeTransStatusReason(null), null);
+    });
+
+    test('describes codes in the given locale', () => {
+        const i18n = new I18n({locale: 'fr'});
+        assert.equal(decodeTransStatusReason('10', (key, params) => i18n.t(key, params)).description, 'Carte volée');
+    });
+});
+
+describe('decodeEci', () => {
+    test('reads the values of the card brand', () => {
+        assert.equal(decodeEci('05', 'visa').meaning, 'authenticated');
+        assert.equal(decodeEci('06', 'amex').meaning, 'attempted');
+        assert.equal(decodeEci('02', 'mastercard').meaning, 'authenticated');
+        assert.equal(decodeEci('01', 'mastercard').meaning, 'attempted');
+        assert.equal(decodeEci('00', 'mastercard').meaning, 'notAuthenticated');
+    });
+
+    test('does not read one brand\'s values for another', () => {
+        const eci = decodeEci('05', 'mastercard');
+
+        assert.equal(eci.meaning, null);
+        assert.equal(eci.description, 'Not recognised for this card brand');
+        assert.equal(decodeEci('02', 'visa').meaning, null);
+    });
+
+    test('guesses from the value when the brand is unknown', () => {
+        assert.equal(decodeEci('02').meaning, 'authenticated');
+        assert.equal(decodeEci('7').value, '07');
+        assert.equal(decodeEci('7').meaning, 'notAuthenticated');
+        assert.equal(decodeEci(null), null);
+    });
+});
+
+describe('hasLiabilityShift', () => {
+    test('shifts liability for authenticated and attempted results', () => {
+        assert.equal(hasLiabilityShift('Y', decodeEci('05', 'visa')), true);
+        assert.equal(hasLiabilityShift('A', decodeEci('01', 'mastercard')), true);
+    });
+
+    test('keeps liability with the merchant otherwise', () => {
+        assert.equal(hasLiabilityShift('N', decodeEci('07', 'visa')), false);
+        assert.equal(hasLiabilityShift('Y', decodeEci('07', 'visa')), false);
+        assert.equal(hasLiabilityShift('Y', decodeEci('05', 'mastercard')), false);
+        assert.equal(hasLiabilityShift('Y', null), false);
+    });
+});
+
+describe('decodeAuthOutcome', () => {
+    test('decodes a full response', () => {
+        const outcome = decodeAuthOutcome({
+            transStatus: 'R',
+            transStatusReason: '11',
+            eci: '07',
+            dsTransID: 'ds-id',
+            acsTransID: 'acs-id'
+        }, 'visa');
+
+        assert.deepEqual(outcome, {
+            transStatus: 'R',
+            transStatusReason: {code: '11', description: 'Suspected fraud'},
+            eci: {value: '07', meaning: 'notAuthenticated', description: 'Not authenticated'},
+            authenticationValuePresent: false,
+            dsTransID: 'ds-id',
+            acsTransID: 'acs-id',
+            liabilityShift: false
+        });
+    });
+
+    test('decodes an empty response', () => {
+        assert.deepEqual(decodeAuthOutcome(null), {
+            transStatus: null,
+            transStatusReason: null,
+            eci: null,
+            authenticationValuePresent: false,
+            dsTransID: null,
+            acsTransID: null,
+            liabilityShift: false
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests of locale detection, message lookup and formatting
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {I18n, detectLocale, formatMessage, resolveLocale} from '../../public/assets/js/i18n.js';
+import {MESSAGES} from '../../public/assets/js/messages.js';
+import {createDom} from './support/environment.js';
+
+describe('locale detection', () => {
+    test('matches a locale exactly or on its language', () => {
+        assert.equal(resolveLocale('fr', ['en', 'fr']), 'fr');
+        assert.equal(resolveLocale('fr-CA', ['en', 'fr']), 'fr');
+        assert.equal(resolveLocale('AR_kw', ['en', 'ar']), 'ar');
+        assert.equal(resolveLocale('de', ['en', 'fr']), null);
+        assert.equal(resolveLocale(null, ['en']), null);
+    });
+
+    test('picks the first browser language with a catalogue', () => {
+        assert.equal(detectLocale(['en', 'fr', 'ar'], ['de-DE', 'fr-FR', 'en']), 'fr');
+        assert.equal(detectLocale(['en', 'fr', 'ar'], ['de-DE']), 'en');
+    });
+
+    test('takes the locale option and catalogues of extra locales', () => {
+        assert.equal(new I18n({locale: 'ar-KW'}).locale, 'ar');
+        assert.equal(new I18n({locale: 'fr', messages: {de: {'language.name': 'Deutsch'}}}).getLocales().includes('de'), true);
+    });
+});
+
+describe('messages', () => {
+    test('every catalogue has the English keys', () => {
+        const keys = Object.keys(MESSAGES.en).sort();
+        for (const [locale, messages] of Object.entries(MESSAGES)) {
+            assert.deepEqual(Object.keys(messages).sort(), keys, locale);
+        }
+    });
+
+    test('fills placeholders and leaves unknown ones', () => {
+        assert.equal(formatMessage('Up to {decimals} for {currency}', {decimals: 3}), 'Up to 3 for {currency}');
+    });
+
+    test('falls back to English, then to the key', () => {
+        const i18n = new I18n({locale: 'fr', messages: {fr: {'custom.only': 'Seulement'}, en: {'custom.english': 'English only'}}});
+
+        assert.equal(i18n.t('custom.only'), 'Seulement');
+        assert.equal(i18n.t('custom.english'), 'English only');
+        assert.equal(i18n.t('custom.missing'), 'custom.missing');
+        assert.equal(i18n.t('error.init', {detail: 'timeout'}), MESSAGES.fr['error.init'].replace('{detail}', 'timeout'));
+    });
+
+    test('notifies listeners when the locale changes', () => {
+        const i18n = new I18n({locale: 'en'});
+        const changes = [];
+        i18n.addEventListener('change', (event) => changes.push(event.detail.locale));
+
+        assert.equal(i18n.setLocale('fr-BE'), 'fr');
+        assert.equal(i18n.setLocale('xx'), 'fr');
+        i18n.setLocale('fr');
+
+        assert.deepEqual(changes, ['fr']);
+    });
+});
+
+describe('formatting', () => {
+    test('formats amounts with the currency of the payment', () => {
+        assert.equal(new I18n({locale: 'en'}).formatCurrency('10.00', 'USD'), '$10.00');
+        assert.match(new I18n({locale: 'en'}).formatCurrency('1.250', 'KWD'), /^KWD\s1\.250$/);
+        assert.match(new I18n({locale: 'fr'}).formatCurrency('1234.5', 'EUR'), /^1\s234,50\s€$/);
+        assert.equal(new I18n({locale: 'en'}).formatCurrency('5', 'not a code'), '5 not a code');
+    });
+
+    test('names regions in the current locale', () => {
+        assert.equal(new I18n({locale: 'fr'}).formatRegion('DE'), 'Allemagne');
+    });
+});
+
+describe('page translation', () => {
+    test('translates text, placeholders and country names', () => {
+        const {window} = createDom(`
+            <h1 data-i18n="page.heading"></h1>
+            <input data-i18n-placeholder="history.searchPlaceholder">
+            <select><option data-i18n-region="GB">United Kingdom</option></select>`);
+        const i18n = new I18n({locale: 'fr'});
+
+        i18n.translatePage(window.document);
+
+        assert.equal(window.document.querySelector('h1').textContent, MESSAGES.fr['page.heading']);
+        assert.equal(window.document.querySelector('input').placeholder, MESSAGES.fr['history.searchPlaceholder']);
+        assert.equal(window.document.querySelector('option').textContent, 'Royaume-Uni');
+    });
+
+    test('switches the document and its stylesheet to right-to-left', () => {
+        const {window} = createDom();
+        const link = window.document.createElement('link');
+        link.setAttribute('href', 'bootstrap.min.css');
+        link.dataset.rtlHref = 'bootstrap.rtl.min.css';
+        window.document.head.appendChild(link);
+
+        const i18n = new I18n({locale: 'ar'});
+        i18n.applyDirection(window.document);
+
+        assert.equal(i18n.getDirection(), 'rtl');
+        assert.equal(window.document.documentElement.getAttribute('dir'), 'rtl');
+        assert.equal(window.document.documentElement.getAttribute('lang'), 'ar');
+        assert.equal(link.getAttribute('href'), 'bootstrap.rtl.min.css');
+
+        i18n.setLocale('en');
+        i18n.applyDirection(window.document);
+
+        assert.equal(window.document.documentElement.getAttribute('dir'), 'ltr');
+        assert.equal(link.getAttribute('href'), 'bootstrap.min.css');
+    });
+});
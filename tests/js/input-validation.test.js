@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the card number and expiry date validators in input-validation.js
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {after, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createDom} from './support/environment.js';
+
+/** @type {Window} Window the classic script was loaded into */
+let window = null;
+
+/**
+ * Format a date as the MM/YY expiry the payment form takes
+ * @param {Date} date - Date
+ * @returns {string} Expiry date
+ */
+function toExpiry(date) {
+    return String(date.getMonth() + 1).padStart(2, '0') + '/' + String(date.getFullYear() % 100).padStart(2, '0');
+}
+
+/**
+ * Shift the current date by a number of months
+ * @param {number} months - Months to add, negative for the past
+ * @returns {Date} Date in the first day of that month
+ */
+function monthsFromNow(months) {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth() + months, 1);
+}
+
+before(() => {
+    window = createDom().window;
+});
+
+after(() => {
+    window.close();
+});
+
+describe('validateCardNumber', () => {
+    test('accepts valid numbers of each brand', () => {
+        const cards = {
+            visa: '4100000000000100',
+            mastercard: '5555555555554444',
+            mastercard2Series: '2223000048400011',
+            amex: '378282246310005',
+            discover: '6011111111111117',
+            jcb: '3530111333300000',
+            diners: '36227206271667',
+            unionpay: '6200000000000005'
+        };
+
+        for (const [brand, number] of Object.entries(cards)) {
+            assert.equal(window.validateCardNumber(number), true, brand);
+        }
+    });
+
+    test('rejects numbers failing the Luhn check', () => {
+        assert.equal(window.validateCardNumber('4100000000000101'), false);
+        assert.equal(window.validateCardNumber('5555555555554445'), false);
+        assert.equal(window.validateCardNumber('378282246310006'), false);
+    });
+
+    test('rejects lengths the brand does not issue', () => {
+        // Luhn-valid, but Amex numbers have 15 digits and Visa numbers 13, 16 or 19
+        assert.equal(window.validateCardNumber('3782822463100005'), false);
+        assert.equal(window.validateCardNumber('41000000000001'), false);
+    });
+
+    test('rejects unknown brands outside 13-19 digits', () => {
+        assert.equal(window.validateCardNumber('900000000008'), false);
+        assert.equal(window.validateCardNumber('90000000000000000009'), false);
+    });
+
+    test('rejects empty and non-digit input', () => {
+        assert.equal(window.validateCardNumber(''), false);
+        assert.equal(window.validateCardNumber(null), false);
+        assert.equal(window.validateCardNumber('4100 0000 0000 0100'), false);
+        assert.equal(window.validateCardNumber('4100-0000-0000-0100'), false);
+    });
+});
+
+describe('validateExpiryDate', () => {
+    test('accepts the current month', () => {
+        assert.equal(window.validateExpiryDate(toExpiry(monthsFromNow(0))), true);
+    });
+
+    test('accepts future months', () => {
+        assert.equal(window.validateExpiryDate(toExpiry(monthsFromNow(1))), true);
+        assert.equal(window.validateExpiryDate(toExpiry(monthsFromNow(60))), true);
+    });
+
+    test('rejects past months', () => {
+        assert.equal(window.validateExpiryDate(toExpiry(monthsFromNow(-1))), false);
+        assert.equal(window.validateExpiryDate(toExpiry(monthsFromNow(-13))), false);
+    });
+
+    test('rejects months outside 01-12', () => {
+        assert.equal(window.validateExpiryDate('00/40'), false);
+        assert.equal(window.validateExpiryDate('13/40'), false);
+    });
+
+    test('rejects other formats', () => {
+        for (const value of ['', '1/40', '01/2040', '0140', '01-40', 'ab/cd']) {
+            assert.equal(window.validateExpiryDate(value), false, value);
+        }
+    });
+});
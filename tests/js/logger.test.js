@@ -0,0 +1,174 @@
+/**
+ * Tests of the redacting client logger and its shipping to the clientLog action
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {after, afterEach, before, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Logger, redact, redactString} from '../../public/assets/js/logger.js';
+import {createDom, createEnvironment} from './support/environment.js';
+
+const PAN = '4100000000000100';
+
+/**
+ * Console stand-in recording what is written
+ * @returns {{lines: Array<{level: string, args: Array}>}} Console
+ */
+function createConsole() {
+    const lines = [];
+    const target = {lines};
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        target[level] = (...args) => lines.push({level, args});
+    }
+    return target;
+}
+
+describe('redact', () => {
+    test('masks card numbers in strings', () => {
+        assert.equal(redactString(`card ${PAN} declined`), 'card 410000******0100 declined');
+        assert.equal(redactString('card 4100 0000 0000 0100'), 'card 410000******0100');
+        assert.equal(redactString('amount 1000'), 'amount 1000');
+    });
+
+    test('masks card number fields and removes secrets', () => {
+        const redacted = redact({
+            acctNumber: PAN,
+            authData: {acctNumber: PAN},
+            cvv: '123',
+            authenticationValue: 'AAABBEg0VhI0VniQEjRWAAAAAAA=',
+            browserInfo: 'eyJicm93c2VyIjoiZGF0YSJ9',
+            threeDSServerTransID: '8a880dc0-d2d2-4067-bcb1-b08d1690b26e'
+        });
+
+        assert.deepEqual(redacted, {
+            acctNumber: '410000******0100',
+            authData: {acctNumber: '410000******0100'},
+            cvv: '[REDACTED]',
+            authenticationValue: '[REDACTED]',
+            browserInfo: '[REDACTED]',
+            threeDSServerTransID: '8a880dc0-d2d2-4067-bcb1-b08d1690b26e'
+        });
+    });
+
+    test('redacts error messages and survives circular references', () => {
+        const data = {error: new Error(`Invalid card ${PAN}`)};
+        data.self = data;
+
+        const redacted = redact(data);
+
+        assert.equal(redacted.error.message, 'Invalid card 410000******0100');
+        assert.equal(redacted.self, '[Circular]');
+    });
+});
+
+describe('Logger', () => {
+    let window = null;
+
+    before(() => {
+        window = createDom().window;
+        globalThis.window = window;
+    });
+
+    after(() => {
+        delete globalThis.window;
+        window.close();
+    });
+
+    test('writes at or above the configured level only', () => {
+        const target = createConsole();
+        const logger = new Logger({level: 'warn', console: target});
+
+        logger.debug('debug');
+        logger.info('info');
+        logger.warn('warn');
+        logger.error('error');
+
+        assert.deepEqual(target.lines.map((line) => line.level), ['warn', 'error']);
+    });
+
+    test('ships warnings and errors in batches tagged with the transaction', async () => {
+        const batches = [];
+        const logger = new Logger({
+            level: 'silent',
+            console: createConsole(),
+            remote: {send: async (entries) => batches.push(entries), batchSize: 2, flushInterval: 60000}
+        });
+        logger.setTransaction('8a880dc0-d2d2-4067-bcb1-b08d1690b26e');
+
+        logger.info('not shipped');
+        logger.warn('first', {acctNumber: PAN});
+        logger.error(`second ${PAN}`);
+        await logger.flush();
+
+        assert.equal(batches.length, 1);
+        assert.deepEqual(batches[0].map((entry) => entry.message), ['first', 'second 410000******0100']);
+        assert.deepEqual(batches[0][0].data, [{acctNumber: '410000******0100'}]);
+        assert.equal(batches[0][0].transactionId, '8a880dc0-d2d2-4067-bcb1-b08d1690b26e');
+    });
+
+    test('sends a partial batch after the flush interval', async () => {
+        const batches = [];
+        const logger = new Logger({
+            level: 'silent',
+            console: createConsole(),
+            remote: {send: async (entries) => batches.push(entries), flushInterval: 10}
+        });
+
+        logger.warn('alone');
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        assert.deepEqual(batches.map((batch) => batch.length), [1]);
+    });
+
+    test('reports a failed send to the console without queuing it again', async () => {
+        const target = createConsole();
+        const logger = new Logger({
+            level: 'silent',
+            console: target,
+            remote: {send: async () => { throw new Error('offline'); }, batchSize: 1}
+        });
+
+        logger.error('lost');
+        await logger.flush();
+
+        assert.deepEqual(target.lines, [{level: 'warn', args: ['Could not send client logs:', 'offline']}]);
+        assert.deepEqual(logger.queue, []);
+    });
+});
+
+describe('payment page logging', () => {
+    /** @type {import('./support/environment.js').Environment|null} */
+    let env = null;
+
+    afterEach(() => {
+        env.dispose();
+        env = null;
+    });
+
+    test('never writes the card number, even at debug level', async () => {
+        env = await createEnvironment({scenario: {transStatus: 'Y'}, options: {logLevel: 'debug'}});
+
+        await env.payment.pay({card: {number: PAN, expiry: '12/30'}, amount: '10.00'});
+
+        const output = JSON.stringify(env.logs);
+        assert.ok(output.includes('410000******0100'));
+        assert.ok(!output.includes(PAN));
+    });
+
+    test('sends warnings to clientLog with the transaction ID', async () => {
+        env = await createEnvironment({
+            scenario: {transStatus: 'Y', method: 'none'},
+            options: {methodTimeout: 20, remoteLogging: {batchSize: 1}}
+        });
+
+        await env.payment.pay({card: {number: PAN, expiry: '12/30'}, amount: '10.00'});
+        await env.payment.logger.flush();
+
+        const warning = env.backend.clientLogs.find((entry) => /No browser info received/.test(entry.message));
+        assert.ok(warning);
+        assert.equal(warning.transactionId, env.payment.transactionData.threeDSServerTransID);
+    });
+});
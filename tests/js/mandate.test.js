@@ -0,0 +1,87 @@
+/**
+ * Tests of the recurring and instalment terms
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {buildMandateData, parseRecurringExpiry, readMandateTerms, validateMandateTerms} from '../../public/assets/js/mandate.js';
+
+const TODAY = new Date('2026-03-15T12:00:00Z');
+
+describe('parseRecurringExpiry', () => {
+    test('reads date input and EMV dates', () => {
+        assert.equal(parseRecurringExpiry('2027-01-31'), '20270131');
+        assert.equal(parseRecurringExpiry('20270131'), '20270131');
+    });
+
+    test('refuses dates that are not on the calendar', () => {
+        assert.equal(parseRecurringExpiry('2027-02-30'), null);
+        assert.equal(parseRecurringExpiry('31/01/2027'), null);
+        assert.equal(parseRecurringExpiry(''), null);
+    });
+});
+
+describe('readMandateTerms', () => {
+    test('reads nothing for a one-off purchase', () => {
+        assert.equal(readMandateTerms({paymentType: 'oneOff', recurringFrequency: '30'}), null);
+        assert.equal(readMandateTerms({}), null);
+    });
+
+    test('reads the number of instalments for instalments only', () => {
+        const values = {recurringFrequency: '30', recurringExpiry: '2027-01-31', purchaseInstalData: '12'};
+
+        assert.deepEqual(readMandateTerms({...values, paymentType: 'recurring'}), {type: 'recurring', frequency: '30', expiry: '2027-01-31'});
+        assert.equal(readMandateTerms({...values, paymentType: 'instalment'}).instalments, '12');
+    });
+});
+
+describe('validateMandateTerms', () => {
+    test('accepts valid terms', () => {
+        assert.deepEqual(validateMandateTerms(null, undefined, TODAY), {});
+        assert.deepEqual(validateMandateTerms({type: 'recurring', frequency: '30', expiry: '2026-03-16'}, undefined, TODAY), {});
+        assert.deepEqual(validateMandateTerms({type: 'instalment', frequency: 7, expiry: '20270101', instalments: 2}, undefined, TODAY), {});
+    });
+
+    test('flags each invalid term by its form field', () => {
+        const errors = validateMandateTerms({type: 'instalment', frequency: '0', expiry: '2026-03-15', instalments: '1'}, undefined, TODAY);
+
+        assert.deepEqual(Object.keys(errors), ['recurringFrequency', 'recurringExpiry', 'purchaseInstalData']);
+        assert.equal(errors.recurringFrequency, 'Please enter the number of days between payments (1 to 9999)');
+        assert.equal(errors.recurringExpiry, 'Please enter a last payment date after today');
+        assert.equal(errors.purchaseInstalData, 'Please enter the number of instalments (2 to 999)');
+    });
+
+    test('refuses terms longer than their EMV fields', () => {
+        const errors = validateMandateTerms({type: 'instalment', frequency: '10000', expiry: '2027-01-01', instalments: '1000'}, undefined, TODAY);
+
+        assert.deepEqual(Object.keys(errors), ['recurringFrequency', 'purchaseInstalData']);
+    });
+
+    test('refuses an unknown payment type', () => {
+        assert.deepEqual(Object.keys(validateMandateTerms({type: 'addCard'}, undefined, TODAY)), ['paymentType']);
+    });
+});
+
+describe('buildMandateData', () => {
+    test('sends the payment indicator for a one-off purchase', () => {
+        assert.deepEqual(buildMandateData(null), {threeDSRequestorAuthenticationInd: '01'});
+    });
+
+    test('sends the indicator and terms of a mandate', () => {
+        assert.deepEqual(buildMandateData({type: 'recurring', frequency: '030', expiry: '2027-01-31'}), {
+            threeDSRequestorAuthenticationInd: '02',
+            recurringFrequency: '30',
+            recurringExpiry: '20270131'
+        });
+        assert.deepEqual(buildMandateData({type: 'instalment', frequency: 30, expiry: '20270131', instalments: '6'}), {
+            threeDSRequestorAuthenticationInd: '03',
+            recurringFrequency: '30',
+            recurringExpiry: '20270131',
+            purchaseInstalData: '6'
+        });
+    });
+});
@@ -0,0 +1,516 @@
+/**
+ * Mock ActiveServer
+ * Local stand-in for the GPayments ActiveServer endpoints called by ThreeDSService
+ *
+ * Serves the init, auth, result and challenge status APIs, plus fake monUrl,
+ * threeDSServerCallbackUrl, challenge and resultMonUrl pages. The pages redirect
+ * to the eventCallbackUrl sent with init, so the application's own notification
+ * page posts the events to the payment page, as it does against a real server.
+ *
+ * Run it standalone and point ACTIVE_SERVER_URL at it:
+ *   node tests/js/mock/active-server.js --port 9400 --trans-status C
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {createServer} from 'node:http';
+import {randomUUID} from 'node:crypto';
+import {pathToFileURL} from 'node:url';
+
+/**
+ * @typedef {'finished'|'skipped'|'timedOut'|'none'} MethodOutcome
+ *
+ * @typedef {Object} Scenario
+ * @property {string} [transStatus] - Status returned by auth: Y, N, A, U, R, C (challenge) or D (decoupled)
+ * @property {MethodOutcome} [method] - How the 3DS Method ends: 3DSMethodFinished, 3DSMethodSkipped,
+ *   InitAuthTimedOut from the monitoring page, or no event at all
+ * @property {string} [challengeResult] - Final status once the challenge is completed
+ * @property {string} [decoupledResult] - Final status once the decoupled authentication is completed
+ * @property {string} [transStatusReason] - Reason code returned with a final N, U or R
+ * @property {boolean} [duplicateEvents] - Send every notification from two pages, as happens when both the
+ *   monitoring and callback pages, or both the challenge and result pages, report the same outcome
+ * @property {boolean} [notificationError] - The 3DS Method page calls the notification URL without an event,
+ *   which the application rejects with its error page
+ */
+
+/**
+ * Scenario used when none is given
+ * @type {Scenario}
+ */
+const DEFAULT_SCENARIO = {
+    transStatus: 'Y',
+    method: 'finished',
+    challengeResult: 'Y',
+    decoupledResult: 'Y',
+    duplicateEvents: false
+};
+
+/**
+ * Transaction statuses that end the transaction
+ * @type {string[]}
+ */
+const FINAL_STATUSES = ['Y', 'N', 'A', 'U', 'R'];
+
+/**
+ * Result of a challenge that did not complete normally, by challenge status
+ * @type {Object<string, string>}
+ */
+const CANCELLED_RESULTS = {'01': 'N', '03': 'U', '04': 'U', '05': 'U', '06': 'U', '07': 'U', '08': 'U'};
+
+/**
+ * Browser data the fake 3DS Method reports, base64 JSON like the real param
+ * @type {string}
+ */
+const METHOD_BROWSER_INFO = Buffer.from(JSON.stringify({
+    browserAcceptHeader: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    browserColorDepth: '24',
+    browserIP: '127.0.0.1',
+    browserJavaEnabled: false,
+    browserJavascriptEnabled: true,
+    browserLanguage: 'en-US',
+    browserScreenHeight: '1080',
+    browserScreenWidth: '1920',
+    browserTZ: '0',
+    browserUserAgent: 'Mozilla/5.0 (Mock ActiveServer)'
+})).toString('base64');
+
+/**
+ * @typedef {Object} MockResponse
+ * @property {number} status - HTTP status
+ * @property {Object<string, string>} headers - Response headers
+ * @property {string} body - Response body
+ */
+
+/**
+ * Build a JSON response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Body
+ * @returns {MockResponse} Response
+ */
+function json(status, data) {
+    return {status, headers: {'Content-Type': 'application/json'}, body: JSON.stringify(data)};
+}
+
+/**
+ * Build an ActiveServer error response
+ * @param {number} status - HTTP status
+ * @param {string} errorCode - EMV error code
+ * @param {string} errorDescription - Description
+ * @returns {MockResponse} Response
+ */
+function error(status, errorCode, errorDescription) {
+    return json(status, {errorCode, errorComponent: 'S', errorDescription});
+}
+
+/**
+ * Build an HTML page that reloads itself, like the monitoring pages do while waiting
+ * @param {string} title - Page title
+ * @returns {MockResponse} Response
+ */
+function pendingPage(title) {
+    return {
+        status: 200,
+        headers: {'Content-Type': 'text/html', Refresh: '1'},
+        body: `<!DOCTYPE html><html><head><meta http-equiv="refresh" content="1"><title>${title}</title></head><body></body></html>`
+    };
+}
+
+/**
+ * Build a redirect response
+ * @param {string} location - Target URL
+ * @returns {MockResponse} Response
+ */
+function redirect(location) {
+    return {status: 302, headers: {Location: location}, body: ''};
+}
+
+export class MockActiveServer {
+    /**
+     * Constructor
+     * @param {Object} [options] - Options
+     * @param {string} [options.baseUrl] - URL the server is reached at, used in the page URLs it returns
+     * @param {Scenario} [options.scenario] - Scenario for every card
+     * @param {Object<string, Scenario>} [options.cards] - Scenarios for specific card numbers
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || 'http://localhost:9400').replace(/\/$/, '');
+        this.scenario = {...DEFAULT_SCENARIO, ...(options.scenario || {})};
+        this.cards = options.cards || {};
+
+        /** @type {Map<string, Object>} Transactions by threeDSServerTransID */
+        this.transactions = new Map();
+
+        /** @type {Array<{method: string, path: string, body: Object|null}>} API requests received, in order */
+        this.requests = [];
+    }
+
+    /**
+     * Handle a request
+     * @param {{method: string, url: string, body?: Object|null}} request - Method, absolute or relative URL and JSON body
+     * @returns {MockResponse} Response
+     */
+    handle({method, url, body = null}) {
+        const {pathname, searchParams} = new URL(url, this.baseUrl);
+        const transaction = this.transactions.get(searchParams.get('threeDSServerTransID') || (body && body.threeDSServerTransID));
+
+        if (pathname.startsWith('/api/')) {
+            this.requests.push({method, path: pathname, body});
+        }
+
+        const route = `${method} ${pathname}`;
+        switch (route) {
+            case 'POST /api/v2/auth/brw/init':
+                return this.init(body || {});
+            case 'POST /api/v2/auth/brw':
+                return transaction ? this.auth(transaction, body) : error(404, '301', 'Transaction not found');
+            case 'GET /api/v2/auth/brw/result':
+                return transaction ? json(200, this.result(transaction)) : error(404, '301', 'Transaction not found');
+            case 'POST /api/v2/auth/challenge/status':
+                return transaction ? this.challengeStatus(transaction, body.status) : error(404, '301', 'Transaction not found');
+        }
+
+        if (method === 'GET' && transaction) {
+            switch (pathname) {
+                case '/mock/callback':
+                    return this.callbackPage(transaction);
+                case '/mock/mon':
+                    return this.monitoringPage(transaction);
+                case '/mock/challenge':
+                    return this.challengePage(transaction, searchParams.get('result'));
+                case '/mock/resultmon':
+                    return this.resultMonitoringPage(transaction);
+            }
+        }
+
+        return error(404, '201', `No route for ${route}`);
+    }
+
+    /**
+     * Start a transaction
+     * @param {Object} body - Init request
+     * @returns {MockResponse} Response
+     */
+    init(body) {
+        const missing = ['merchantId', 'acctNumber', 'eventCallbackUrl'].filter((field) => !body[field]);
+        if (missing.length > 0) {
+            return error(400, '201', `Required element missing: ${missing.join(', ')}`);
+        }
+
+        const id = randomUUID();
+        const pageUrl = (page) => `${this.baseUrl}/mock/${page}?threeDSServerTransID=${id}`;
+
+        this.transactions.set(id, {
+            id,
+            requestorTransID: body.threeDSRequestorTransID || null,
+            acctNumber: body.acctNumber,
+            eventCallbackUrl: body.eventCallbackUrl,
+            scenario: {...this.scenario, ...(this.cards[body.acctNumber] || {})},
+            transStatus: null,
+            eci: null,
+            acsTransID: null,
+            dsTransID: null,
+            challengeCancel: null,
+            authPayload: null
+        });
+
+        return json(200, {
+            threeDSServerTransID: id,
+            threeDSServerCallbackUrl: pageUrl('callback'),
+            monUrl: pageUrl('mon'),
+            authUrl: `${this.baseUrl}/api/v2/auth/brw`
+        });
+    }
+
+    /**
+     * Authenticate a transaction
+     * @param {Object} transaction - Transaction
+     * @param {Object} body - Auth request
+     * @returns {MockResponse} Response
+     */
+    auth(transaction, body) {
+        if (transaction.authPayload) {
+            return error(400, '1013', 'Transaction was already completed');
+        }
+
+        // Purchase data is required for payment authentication only
+        const required = body.messageCategory === 'npa'
+            ? ['acctNumber', 'browserInfo']
+            : ['acctNumber', 'browserInfo', 'purchaseAmount', 'purchaseCurrency', 'purchaseDate'];
+        const missing = required.filter((field) => !body[field]);
+        if (missing.length > 0) {
+            return error(400, '201', `Required element missing: ${missing.join(', ')}`);
+        }
+
+        transaction.authPayload = body;
+        transaction.transStatus = transaction.scenario.transStatus;
+        transaction.eci = this.eciFor(transaction.transStatus);
+        transaction.acsTransID = randomUUID();
+        transaction.dsTransID = randomUUID();
+
+        const response = {
+            threeDSServerTransID: transaction.id,
+            acsTransID: transaction.acsTransID,
+            dsTransID: transaction.dsTransID,
+            messageVersion: '2.2.0',
+            transStatus: transaction.transStatus
+        };
+
+        if (transaction.transStatus === 'C') {
+            response.challengeUrl = `${this.baseUrl}/mock/challenge?threeDSServerTransID=${transaction.id}`;
+            response.resultMonUrl = `${this.baseUrl}/mock/resultmon?threeDSServerTransID=${transaction.id}`;
+        } else if (transaction.transStatus === 'D') {
+            response.acsDecConInd = 'Y';
+            response.threeDSRequestorDecMaxTime = body.threeDSRequestorDecMaxTime;
+            response.resultMonUrl = `${this.baseUrl}/mock/resultmon?threeDSServerTransID=${transaction.id}`;
+        } else {
+            Object.assign(response, this.authenticationData(transaction));
+        }
+
+        return json(200, response);
+    }
+
+    /**
+     * Current result of a transaction, as returned by /brw/result
+     * @param {Object} transaction - Transaction
+     * @returns {Object} Result
+     */
+    result(transaction) {
+        const result = {
+            threeDSServerTransID: transaction.id,
+            acsTransID: transaction.acsTransID,
+            dsTransID: transaction.dsTransID,
+            transStatus: transaction.transStatus
+        };
+
+        if (FINAL_STATUSES.includes(transaction.transStatus)) {
+            Object.assign(result, this.authenticationData(transaction));
+        }
+        if (transaction.challengeCancel) {
+            result.challengeCancel = transaction.challengeCancel;
+        }
+
+        return result;
+    }
+
+    /**
+     * Record a challenge that did not complete normally
+     * @param {Object} transaction - Transaction
+     * @param {string} status - Challenge status
+     * @returns {MockResponse} Response
+     */
+    challengeStatus(transaction, status) {
+        if (FINAL_STATUSES.includes(transaction.transStatus)) {
+            return error(400, '1013', 'Transaction was already completed');
+        }
+        if (!CANCELLED_RESULTS[status]) {
+            return error(400, '203', `Invalid challenge status: ${status}`);
+        }
+
+        transaction.challengeCancel = status;
+        this.finish(transaction, CANCELLED_RESULTS[status]);
+
+        return json(200, {threeDSServerTransID: transaction.id, status});
+    }
+
+    /**
+     * The threeDSServerCallbackUrl page, which runs the 3DS Method and reports how it ended
+     * @param {Object} transaction - Transaction
+     * @returns {MockResponse} Response
+     */
+    callbackPage(transaction) {
+        const method = transaction.scenario.method;
+
+        if (transaction.scenario.notificationError) {
+            const url = new URL(this.notificationUrl(transaction, ''));
+            url.searchParams.delete('event');
+            return redirect(url.toString());
+        }
+
+        if (method === 'finished' || method === 'skipped') {
+            const event = method === 'finished' ? '3DSMethodFinished' : '3DSMethodSkipped';
+            return redirect(this.notificationUrl(transaction, event, {param: METHOD_BROWSER_INFO}));
+        }
+
+        return pendingPage('3DS Method');
+    }
+
+    /**
+     * The monUrl page, which reports an initialisation timeout
+     * @param {Object} transaction - Transaction
+     * @returns {MockResponse} Response
+     */
+    monitoringPage(transaction) {
+        if (transaction.scenario.method === 'timedOut') {
+            return redirect(this.notificationUrl(transaction, 'InitAuthTimedOut'));
+        }
+        if (transaction.scenario.duplicateEvents && transaction.scenario.method === 'finished') {
+            return redirect(this.notificationUrl(transaction, '3DSMethodFinished', {param: METHOD_BROWSER_INFO}));
+        }
+
+        return pendingPage('3DS Monitoring');
+    }
+
+    /**
+     * The ACS challenge page. Submitting it with a result completes the challenge
+     * @param {Object} transaction - Transaction
+     * @param {string|null} result - Status chosen by the cardholder, null when the page is first shown
+     * @returns {MockResponse} Response
+     */
+    challengePage(transaction, result) {
+        if (result === null) {
+            const link = (status, label) => `<a href="/mock/challenge?threeDSServerTransID=${transaction.id}&amp;result=${status}">${label}</a>`;
+            return {
+                status: 200,
+                headers: {'Content-Type': 'text/html'},
+                body: `<!DOCTYPE html><html><head><title>ACS Challenge</title></head><body><p>Mock ACS challenge</p>${link('Y', 'Approve')} ${link('N', 'Decline')}</body></html>`
+            };
+        }
+
+        this.completeChallenge(transaction.id, result);
+
+        if (transaction.scenario.duplicateEvents) {
+            return redirect(this.notificationUrl(transaction, 'Challenge:Completed'));
+        }
+
+        return {status: 200, headers: {'Content-Type': 'text/html'}, body: '<!DOCTYPE html><html><body><p>Challenge completed</p></body></html>'};
+    }
+
+    /**
+     * The resultMonUrl page, which reports when the result is ready
+     * @param {Object} transaction - Transaction
+     * @returns {MockResponse} Response
+     */
+    resultMonitoringPage(transaction) {
+        if (FINAL_STATUSES.includes(transaction.transStatus)) {
+            return redirect(this.notificationUrl(transaction, 'AuthResultReady'));
+        }
+
+        return pendingPage('3DS Result Monitoring');
+    }
+
+    /**
+     * Complete the challenge as the cardholder would on the ACS page
+     * @param {string} threeDSServerTransID - Transaction ID
+     * @param {string} [transStatus] - Final status, the scenario's challengeResult by default
+     */
+    completeChallenge(threeDSServerTransID, transStatus) {
+        const transaction = this.transactions.get(threeDSServerTransID);
+        this.finish(transaction, FINAL_STATUSES.includes(transStatus) ? transStatus : transaction.scenario.challengeResult);
+    }
+
+    /**
+     * Complete the decoupled authentication as the cardholder would on their device
+     * @param {string} threeDSServerTransID - Transaction ID
+     * @param {string} [transStatus] - Final status, the scenario's decoupledResult by default
+     */
+    completeDecoupled(threeDSServerTransID, transStatus) {
+        const transaction = this.transactions.get(threeDSServerTransID);
+        this.finish(transaction, transStatus || transaction.scenario.decoupledResult);
+    }
+
+    /**
+     * Set the final status of a transaction
+     * @param {Object} transaction - Transaction
+     * @param {string} transStatus - Final status
+     */
+    finish(transaction, transStatus) {
+        transaction.transStatus = transStatus;
+        transaction.eci = this.eciFor(transStatus);
+    }
+
+    /**
+     * Authentication data returned with a final status
+     * @param {Object} transaction - Transaction
+     * @returns {Object} ECI, and the authentication value or the scenario's reason code
+     */
+    authenticationData(transaction) {
+        const data = {eci: transaction.eci};
+
+        if (transaction.transStatus === 'Y' || transaction.transStatus === 'A') {
+            data.authenticationValue = Buffer.from(transaction.id.replace(/-/g, '').substring(0, 20)).toString('base64');
+        } else if (transaction.scenario.transStatusReason) {
+            data.transStatusReason = transaction.scenario.transStatusReason;
+        }
+
+        return data;
+    }
+
+    /**
+     * ECI for a final status, using the Visa values
+     * @param {string} transStatus - Transaction status
+     * @returns {string|null} ECI
+     */
+    eciFor(transStatus) {
+        return {Y: '05', A: '06', N: '07', U: '07', R: '07'}[transStatus] || null;
+    }
+
+    /**
+     * Build the eventCallbackUrl request for an event
+     * @param {Object} transaction - Transaction
+     * @param {string} event - Event name
+     * @param {Object<string, string>} [extra] - Extra query parameters
+     * @returns {string} URL
+     */
+    notificationUrl(transaction, event, extra = {}) {
+        const url = new URL(transaction.eventCallbackUrl);
+        url.searchParams.set('event', event);
+        url.searchParams.set('threeDSServerTransID', transaction.id);
+        if (transaction.requestorTransID) {
+            url.searchParams.set('requestorTransId', transaction.requestorTransID);
+        }
+        for (const [name, value] of Object.entries(extra)) {
+            url.searchParams.set(name, value);
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Serve the mock over HTTP
+     * @param {number} port - Port to listen on
+     * @returns {import('node:http').Server} The server
+     */
+    listen(port) {
+        const server = createServer((req, res) => {
+            let raw = '';
+            req.on('data', (chunk) => {
+                raw += chunk;
+            });
+            req.on('end', () => {
+                let body = null;
+                try {
+                    body = raw ? JSON.parse(raw) : null;
+                } catch (parseError) {
+                    const response = error(400, '203', 'Invalid JSON');
+                    res.writeHead(response.status, response.headers).end(response.body);
+                    return;
+                }
+
+                const response = this.handle({method: req.method, url: req.url, body});
+                res.writeHead(response.status, response.headers).end(response.body);
+            });
+        });
+
+        return server.listen(port);
+    }
+}
+
+// Standalone: node tests/js/mock/active-server.js [--port 9400] [--trans-status Y] [--method finished]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = Object.fromEntries(process.argv.slice(2).join(' ').split('--').filter(Boolean)
+        .map((arg) => arg.trim().split(/\s+/)));
+    const port = Number(args.port || 9400);
+
+    const server = new MockActiveServer({
+        baseUrl: args['base-url'] || `http://localhost:${port}`,
+        scenario: {
+            ...(args['trans-status'] ? {transStatus: args['trans-status']} : {}),
+            ...(args.method ? {method: args.method} : {})
+        }
+    });
+
+    server.listen(port);
+    console.log(`Mock ActiveServer listening on ${server.baseUrl} (transStatus ${server.scenario.transStatus}, method ${server.scenario.method})`);
+}
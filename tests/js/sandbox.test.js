@@ -0,0 +1,155 @@
+/**
+ * Tests of the client-side sandbox mode, with the simulator answering in place of the server
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {afterEach, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {States} from '../../public/assets/js/transaction-state.js';
+import {resolveSandboxScenario} from '../../public/assets/js/sandbox.js';
+import {APP_ORIGIN, createEnvironment} from './support/environment.js';
+
+const VISA = {number: '4100000000000100', expiry: '12/30'};
+const MASTERCARD = {number: '5555555555554444', expiry: '12/30'};
+
+/** @type {import('./support/environment.js').Environment|null} */
+let env = null;
+
+/**
+ * Create a sandboxed environment for a test, disposed of after it
+ * @param {string} scenario - Sandbox scenario
+ * @param {Object} [options] - Further SDK options
+ * @returns {Promise<import('./support/environment.js').Environment>} The environment
+ */
+async function setUp(scenario, options = {}) {
+    // Blob pages do not run in jsdom, so the 3DS Method always ends with the timeout
+    env = await createEnvironment({
+        options: {methodTimeout: 20, ...options, sandbox: {scenario, latency: 0, ...(options.sandbox || {})}}
+    });
+    return env;
+}
+
+afterEach(() => {
+    if (env) {
+        env.dispose();
+        env = null;
+    }
+});
+
+describe('resolveSandboxScenario', () => {
+    test('follows the ?sandbox flag when the option is not set', () => {
+        assert.equal(resolveSandboxScenario(null, ''), null);
+        assert.equal(resolveSandboxScenario(null, '?sandbox'), 'frictionless-y');
+        assert.equal(resolveSandboxScenario(null, '?sandbox=challenge'), 'challenge');
+        assert.equal(resolveSandboxScenario(null, '?sandbox=0'), null);
+    });
+
+    test('lets the option override the flag', () => {
+        assert.equal(resolveSandboxScenario(false, '?sandbox=challenge'), null);
+        assert.equal(resolveSandboxScenario('decoupled', ''), 'decoupled');
+        assert.equal(resolveSandboxScenario({scenario: 'http-500'}, ''), 'http-500');
+        assert.equal(resolveSandboxScenario('no-such-scenario', ''), 'frictionless-y');
+    });
+});
+
+describe('sandbox mode', () => {
+    const outcomes = [
+        ['frictionless-y', VISA, 'Y', '05', undefined],
+        ['frictionless-a', VISA, 'A', '06', undefined],
+        ['frictionless-n', VISA, 'N', '07', '01'],
+        ['frictionless-u', VISA, 'U', '07', '22'],
+        ['frictionless-r', VISA, 'R', '07', '11'],
+        ['frictionless-y', MASTERCARD, 'Y', '02', undefined],
+        ['frictionless-n', MASTERCARD, 'N', '00', '01']
+    ];
+
+    for (const [scenario, card, transStatus, eci, reason] of outcomes) {
+        test(`${scenario} with card ${card.number.slice(0, 4)} returns ECI ${eci}`, async () => {
+            const {payment, backend} = await setUp(scenario);
+
+            const result = await payment.pay({card, amount: '10.00'});
+
+            assert.equal(result.transStatus, transStatus);
+            assert.equal(result.details.eci, eci);
+            assert.equal(result.details.transStatusReason, reason);
+            assert.equal(Boolean(result.details.authenticationValue), transStatus === 'Y' || transStatus === 'A');
+            assert.equal(payment.getState(), States.FINAL);
+            assert.deepEqual(backend.actions, []);
+        });
+    }
+
+    test('renders the scenario picker and uses the scenario chosen in it', async () => {
+        const {payment, window} = await setUp('frictionless-y');
+
+        const select = window.document.getElementById('sandboxScenario');
+        assert.ok(select.closest('.sandbox-banner'));
+        select.value = 'frictionless-r';
+        select.dispatchEvent(new window.Event('change'));
+
+        const result = await payment.pay({card: VISA, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'R');
+    });
+
+    test('fails the payment on a simulated HTTP error', async () => {
+        const {payment} = await setUp('http-500');
+
+        await assert.rejects(payment.pay({card: VISA, amount: '10.00'}), /Internal Server Error/);
+        assert.equal(payment.getState(), States.ERROR);
+    });
+
+    test('retries a simulated 503 before failing', async () => {
+        const {payment, logs} = await setUp('http-503', {api: {retryDelay: 1}});
+
+        await assert.rejects(payment.pay({card: VISA, amount: '10.00'}), /Service Unavailable/);
+        assert.equal(logs.filter((log) => log.level === 'warn' && /auth attempt/.test(log.args[0])).length, 2);
+    });
+
+    test('completes a challenge answered with the one-time code', async () => {
+        const {payment, window} = await setUp('challenge');
+        payment.on('challenge', ({threeDSServerTransID}) => setTimeout(() => {
+            const transaction = payment.sandbox.transactions.get(threeDSServerTransID);
+            window.dispatchEvent(new window.MessageEvent('message', {
+                data: {
+                    event: 'Challenge:Completed',
+                    threeDSServerTransID,
+                    requestorTransId: transaction.requestorTransID,
+                    nonce: transaction.nonce,
+                    sandboxOutcome: 'Y'
+                },
+                origin: APP_ORIGIN,
+                source: payment.challengePresenter.iframe.contentWindow
+            }));
+        }, 0));
+
+        const result = await payment.pay({card: VISA, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'Y');
+        assert.equal(result.challenge.reason, 'completed');
+    });
+
+    test('reports a cancelled challenge as not authenticated', async () => {
+        const {payment} = await setUp('challenge');
+        payment.on('challenge', () => setTimeout(() => payment.cancelChallenge(), 0));
+
+        const result = await payment.pay({card: VISA, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'N');
+        assert.equal(result.details.details.challengeCancel, '01');
+    });
+
+    test('completes a decoupled authentication by polling', async () => {
+        const {payment} = await setUp('decoupled', {
+            sandbox: {decoupledDelay: 30},
+            decoupledPollSchedule: [20]
+        });
+
+        const result = await payment.pay({card: VISA, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'Y');
+        assert.equal(result.details.details.eci, '05');
+    });
+});
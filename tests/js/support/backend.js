@@ -0,0 +1,499 @@
+/**
+ * Application Backend Stand-in
+ * Plays the part of ApiController, ThreeDSService and NotificationController in the JS tests
+ *
+ * Requests to /api are handled the way the PHP application handles them, forwarding
+ * to a MockActiveServer in process, and /notify requests produce the message the
+ * notification page would post to the payment page.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {createHmac, randomBytes} from 'node:crypto';
+
+/**
+ * Outcome status code of each final status, as mapped by ThreeDSService::AUTH_STATUSES
+ * @type {Object<string, string>}
+ */
+const AUTH_STATUSES = {
+    Y: 'success',
+    N: 'failed',
+    U: 'error',
+    A: 'partial',
+    C: 'challenge',
+    D: 'decoupled',
+    R: 'rejected'
+};
+
+/**
+ * Actions refused without a valid CSRF token, as in ApiController
+ * @type {string[]}
+ */
+const CSRF_PROTECTED_ACTIONS = ['auth', 'updateChallengeStatus', 'getAuthResult', 'signAuthData'];
+
+/**
+ * Fields of the result carried in a signed payload, as in PostbackHelper::FIELDS
+ * @type {string[]}
+ */
+const POSTBACK_FIELDS = [
+    'threeDSServerTransID', 'threeDSRequestorTransID', 'dsTransID', 'acsTransID', 'messageVersion',
+    'transStatus', 'transStatusReason', 'eci', 'authenticationValue'
+];
+
+/**
+ * Marker stored while a request with an idempotency key is being processed, as in ApiController
+ * @type {string}
+ */
+const IDEMPOTENCY_IN_PROGRESS = '__in_progress__';
+
+/**
+ * Error raised by an action, sent as {error} with its HTTP status
+ */
+class ActionError extends Error {
+    /**
+     * Constructor
+     * @param {string} message - Error message
+     * @param {number} [status] - HTTP status
+     */
+    constructor(message, status = 500) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export class ApplicationBackend {
+    /**
+     * Constructor
+     * @param {import('../mock/active-server.js').MockActiveServer} activeServer - Mock ActiveServer
+     * @param {Object} [options] - Options
+     * @param {string} [options.origin] - Origin of the application
+     * @param {string} [options.merchantId] - Merchant ID sent with init
+     * @param {string} [options.postbackSecret] - Secret signAuthData signs with, empty when the hand-off is not configured
+     */
+    constructor(activeServer, options = {}) {
+        this.activeServer = activeServer;
+        this.origin = options.origin || 'https://merchant.test';
+        this.merchantId = options.merchantId || '123456789012345';
+        this.postbackSecret = options.postbackSecret ?? 'test-postback-secret';
+
+        /** @type {Object} Session data, as kept in $_SESSION */
+        this.session = {};
+
+        /** @type {Map<string, Object>} Notification channels by transaction ID */
+        this.channels = new Map();
+
+        /** @type {Map<string, {threeDSServerTransID: string, acctNumber: string, cardExpiryDate: string|null}>} Cards by reference, as kept by CardReferenceHelper */
+        this.cardReferences = new Map();
+
+        /** @type {Map<string, {acctNumber: string, cardExpiryDate: string|null}>} Cards entered in the hosted fields by token, as kept by CardTokenHelper */
+        this.cardTokens = new Map();
+
+        /** @type {string[]} Actions received, in order */
+        this.actions = [];
+
+        /** @type {Object[]} Request bodies received, in order */
+        this.requests = [];
+
+        /** @type {Set<string>} CSRF tokens the session accepts */
+        this.csrfTokens = new Set();
+
+        /** @type {Array<string|null>} CSRF token sent with each request, in order */
+        this.csrfHeaders = [];
+
+        /** @type {Object[]} Entries written by clientLog */
+        this.clientLogs = [];
+
+        /** @type {Map<string, Object|string>} Responses, or IDEMPOTENCY_IN_PROGRESS, by action and Idempotency-Key */
+        this.idempotentResponses = new Map();
+
+        /** @type {Object<string, number>} Milliseconds each action takes to process, as a slow 3DS Server would make it */
+        this.latency = {};
+
+        this.fetch = this.fetch.bind(this);
+    }
+
+    /**
+     * fetch() replacement for the payment page
+     * @param {string} url - Request URL
+     * @param {RequestInit} init - Request options
+     * @returns {Promise<Response>} Response
+     */
+    fetch(url, init = {}) {
+        const response = this.handle(url, init);
+        const signal = init.signal;
+        if (!signal) return response;
+
+        // Like the browser, the client stops waiting on abort while the server carries on
+        return new Promise((resolve, reject) => {
+            const abort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+            if (signal.aborted) abort();
+            signal.addEventListener('abort', abort, {once: true});
+            response.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+        });
+    }
+
+    /**
+     * Handle a request like the application's front controller
+     * @param {string} url - Request URL
+     * @param {RequestInit} init - Request options
+     * @returns {Promise<Response>} Response
+     */
+    async handle(url, init) {
+        const path = new URL(url, this.origin).pathname;
+        if (path !== '/api' || init.method !== 'POST') {
+            return Response.json({error: 'Not found'}, {status: 404});
+        }
+
+        const data = JSON.parse(init.body);
+        const csrfToken = (init.headers || {})['X-CSRF-Token'] || null;
+        this.actions.push(data.action);
+        this.requests.push(data);
+        this.csrfHeaders.push(csrfToken);
+
+        // Every response carries the token for the next request, including a rejection
+        if (CSRF_PROTECTED_ACTIONS.includes(data.action) && !this.csrfTokens.has(csrfToken)) {
+            return Response.json(
+                {error: 'Your session has expired. Please retry the payment.', code: 'csrf_invalid'},
+                {status: 403, headers: {'X-CSRF-Token': this.issueCsrfToken()}}
+            );
+        }
+        const headers = {'X-CSRF-Token': this.issueCsrfToken()};
+
+        // Replay the stored response when a request is retried with the same idempotency key
+        const idempotencyKey = (init.headers || {})['Idempotency-Key'];
+        const idempotencyCacheKey = idempotencyKey ? `${data.action}_${idempotencyKey}` : null;
+        if (idempotencyCacheKey !== null) {
+            const storedResponse = this.idempotentResponses.get(idempotencyCacheKey);
+            if (storedResponse === IDEMPOTENCY_IN_PROGRESS) {
+                return Response.json(
+                    {error: 'A request with this idempotency key is already being processed', code: 'idempotency_in_progress'},
+                    {status: 409, headers}
+                );
+            }
+            if (storedResponse !== undefined) {
+                return Response.json(storedResponse, {headers});
+            }
+            this.idempotentResponses.set(idempotencyCacheKey, IDEMPOTENCY_IN_PROGRESS);
+        }
+
+        // The server finishes the action even when the client has stopped waiting
+        if (this.latency[data.action]) {
+            await new Promise((resolve) => setTimeout(resolve, this.latency[data.action]));
+        }
+
+        try {
+            const response = this.processAction(data.action, data);
+            if (idempotencyCacheKey !== null) {
+                this.idempotentResponses.set(idempotencyCacheKey, response);
+            }
+            return Response.json(response, {headers});
+        } catch (error) {
+            // Failed requests may be retried with the same key
+            if (idempotencyCacheKey !== null) {
+                this.idempotentResponses.delete(idempotencyCacheKey);
+            }
+            return Response.json({error: error.message}, {status: error.status || 500, headers});
+        }
+    }
+
+    /**
+     * Issue a CSRF token like SecurityHelper::generateCsrfToken
+     * @returns {string} Token
+     */
+    issueCsrfToken() {
+        const token = randomBytes(32).toString('hex');
+        this.csrfTokens.add(token);
+
+        return token;
+    }
+
+    /**
+     * Process an action like ApiController::processAction
+     * @param {string} action - Action
+     * @param {Object} data - Request data
+     * @returns {Object} Response data
+     */
+    processAction(action, data) {
+        switch (action) {
+            case 'init':
+                return this.init(data);
+            case 'auth':
+                return this.auth(data);
+            case 'getAuthResult':
+                return this.getAuthResult(data.threeDSServerTransID);
+            case 'updateChallengeStatus':
+                return this.updateChallengeStatus(data.threeDSServerTransID, data.status);
+            case 'signAuthData':
+                return this.signAuthData(data.threeDSServerTransID);
+            case 'tokenizeCard':
+                return this.tokenizeCard(data);
+            case 'clientLog':
+                return this.clientLog(data.entries);
+            default:
+                throw new ActionError(`Unknown action: ${action}`, 400);
+        }
+    }
+
+    /**
+     * Send a request to the mock ActiveServer
+     * @param {string} method - HTTP method
+     * @param {string} path - Path and query
+     * @param {Object|null} body - JSON body
+     * @param {string} label - Request name for error messages
+     * @returns {Object} Response data
+     */
+    callActiveServer(method, path, body, label) {
+        const response = this.activeServer.handle({method, url: path, body});
+        const payload = JSON.parse(response.body);
+
+        if (response.status !== 200) {
+            const error = new ActionError(`${label} request failed: ${payload.errorDescription}`);
+            error.errorCode = payload.errorCode;
+            throw error;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Handle init
+     * @param {Object} data - Request data
+     * @returns {Object} Response data
+     */
+    init(data) {
+        let acctNumber = String(data.authData && data.authData.acctNumber || '').replace(/\D/g, '');
+        let cardExpiryDate = null;
+
+        // The hosted card fields send a token in place of the card number
+        if (data.cardToken !== undefined) {
+            const card = this.cardTokens.get(data.cardToken);
+            this.cardTokens.delete(data.cardToken);
+            if (!card || card.cardExpiryDate === null) {
+                throw new ActionError('Card details are missing or expired. Please enter them again.', 400);
+            }
+
+            ({acctNumber, cardExpiryDate} = card);
+        }
+
+        this.session = {threeDSRequestorTransID: data.threeDSRequestorTransID};
+
+        const response = this.callActiveServer('POST', '/api/v2/auth/brw/init', {
+            merchantId: this.merchantId,
+            acctNumber,
+            eventCallbackUrl: `${this.origin}/notify`,
+            threeDSRequestorTransID: data.threeDSRequestorTransID
+        }, 'Init');
+
+        this.session.authUrl = response.authUrl;
+        response.threeDSRequestorTransID ??= data.threeDSRequestorTransID;
+
+        // Issue the nonce the notification page must echo back
+        const channel = {
+            nonce: randomBytes(16).toString('hex'),
+            threeDSServerTransID: response.threeDSServerTransID,
+            threeDSRequestorTransID: response.threeDSRequestorTransID
+        };
+        this.channels.set(channel.threeDSServerTransID, channel);
+        this.channels.set(channel.threeDSRequestorTransID, channel);
+        response.channelNonce = channel.nonce;
+
+        // Keep the card number here, auth sends the reference
+        const cardReference = randomBytes(16).toString('hex');
+        this.cardReferences.set(cardReference, {threeDSServerTransID: response.threeDSServerTransID, acctNumber, cardExpiryDate});
+        response.cardReference = cardReference;
+
+        return response;
+    }
+
+    /**
+     * Handle auth
+     * @param {Object} data - Request data
+     * @returns {Object} Response data
+     */
+    auth(data) {
+        if (!data.threeDSServerTransID || !data.threeDSRequestorTransID) {
+            throw new ActionError('Missing required transaction IDs. Please complete initialization first.', 400);
+        }
+        if (!data.browserInfo) {
+            throw new ActionError('Missing required browser information.', 400);
+        }
+        if (!this.session.authUrl) {
+            throw new ActionError('Missing authentication URL. Please complete initialization first.', 400);
+        }
+
+        const card = this.cardReferences.get(data.cardReference);
+        if (!card || card.threeDSServerTransID !== data.threeDSServerTransID) {
+            throw new ActionError('Card reference is missing or expired. Please start the payment again.', 400);
+        }
+
+        const payload = {
+            acctNumber: card.acctNumber,
+            authenticationInd: data.threeDSRequestorAuthenticationInd || '01',
+            browserInfo: data.browserInfo,
+            cardExpiryDate: data.cardExpiryDate || card.cardExpiryDate,
+            merchantId: this.merchantId,
+            messageCategory: data.messageCategory || 'pa',
+            purchaseAmount: data.purchaseAmount,
+            purchaseCurrency: data.purchaseCurrency,
+            purchaseExponent: Number(data.purchaseExponent),
+            purchaseDate: data.purchaseDate,
+            threeDSServerTransID: data.threeDSServerTransID
+        };
+
+        // A card verification has no purchase to describe
+        if (payload.messageCategory === 'npa') {
+            for (const field of ['purchaseAmount', 'purchaseCurrency', 'purchaseExponent', 'purchaseDate']) {
+                delete payload[field];
+            }
+        }
+
+        for (const field of ['threeDSRequestorDecMaxTime', 'challengeWindowSize', 'cardholderInfo', 'recurringFrequency', 'recurringExpiry', 'purchaseInstalData']) {
+            if (data[field]) payload[field] = data[field];
+        }
+
+        const {pathname} = new URL(this.session.authUrl);
+        const response = this.callActiveServer('POST', pathname, payload, 'Auth');
+        this.cardReferences.delete(data.cardReference);
+
+        return response;
+    }
+
+    /**
+     * Handle tokenizeCard like ApiController::handleTokenizeCardAction
+     * @param {Object} data - Request data: acctNumber, or cardToken and cardExpiryDate (MM/YY)
+     * @returns {{cardToken: string}} The card token
+     */
+    tokenizeCard(data) {
+        if (data.cardExpiryDate !== undefined) {
+            const match = /^(0[1-9]|1[0-2])\/(\d{2})$/.exec(String(data.cardExpiryDate));
+            if (!match) {
+                throw new ActionError('Invalid card expiry date', 400);
+            }
+
+            const card = this.cardTokens.get(data.cardToken);
+            if (!card) {
+                throw new ActionError('Card details are missing or expired. Please enter them again.', 400);
+            }
+            card.cardExpiryDate = match[2] + match[1];
+
+            return {cardToken: data.cardToken};
+        }
+
+        const acctNumber = String(data.acctNumber || '').replace(/\D/g, '');
+        if (acctNumber.length < 13 || acctNumber.length > 19) {
+            throw new ActionError('Invalid card number', 400);
+        }
+
+        const cardToken = randomBytes(16).toString('hex');
+        this.cardTokens.set(cardToken, {acctNumber, cardExpiryDate: null});
+
+        return {cardToken};
+    }
+
+    /**
+     * Handle getAuthResult
+     * @param {string} threeDSServerTransID - Transaction ID
+     * @returns {Object} Response data
+     */
+    getAuthResult(threeDSServerTransID) {
+        if (!threeDSServerTransID) {
+            throw new ActionError('Missing required threeDSServerTransID.');
+        }
+
+        const details = this.callActiveServer('GET', `/api/v2/auth/brw/result?threeDSServerTransID=${threeDSServerTransID}`, null, 'Get auth result');
+        const transStatus = details.transStatus || 'Unknown';
+
+        return {status: AUTH_STATUSES[transStatus] || 'completed', transStatus, details};
+    }
+
+    /**
+     * Handle signAuthData like ApiController::handleSignAuthDataAction and PostbackHelper::sign
+     * @param {string} threeDSServerTransID - Transaction ID
+     * @returns {{payload: string, signature: string, algorithm: string}} Signed authentication data
+     */
+    signAuthData(threeDSServerTransID) {
+        if (!this.postbackSecret) {
+            throw new ActionError('Authorization hand-off is not configured', 500);
+        }
+
+        const {transStatus, details} = this.getAuthResult(threeDSServerTransID);
+        if (!['Y', 'A'].includes(transStatus)) {
+            throw new ActionError('Only authenticated or attempted transactions are handed off', 409);
+        }
+
+        const data = Object.fromEntries(POSTBACK_FIELDS.filter((field) => field in details).map((field) => [field, details[field]]));
+        data.issuedAt = Math.floor(Date.now() / 1000);
+
+        const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+
+        return {
+            payload,
+            signature: createHmac('sha256', this.postbackSecret).update(payload).digest('hex'),
+            algorithm: 'HMAC-SHA256'
+        };
+    }
+
+    /**
+     * Handle updateChallengeStatus
+     * @param {string} threeDSServerTransID - Transaction ID
+     * @param {string} status - Challenge status
+     * @returns {Object} Response data
+     */
+    updateChallengeStatus(threeDSServerTransID, status) {
+        try {
+            return this.callActiveServer('POST', '/api/v2/auth/challenge/status', {threeDSServerTransID, status}, 'Update challenge status');
+        } catch (error) {
+            if (error.errorCode === '1013') {
+                return {status: 'success', message: 'Transaction already completed'};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Handle clientLog, keeping the warnings and errors it would write
+     * @param {Object[]} entries - Log entries
+     * @returns {Object} Response data
+     */
+    clientLog(entries) {
+        if (!Array.isArray(entries)) {
+            throw new ActionError('Invalid client log entries', 400);
+        }
+
+        const written = entries.slice(0, 20).filter((entry) => ['warn', 'error'].includes(entry.level) && typeof entry.message === 'string');
+        this.clientLogs.push(...written);
+
+        return {status: 'success', accepted: written.length};
+    }
+
+    /**
+     * Render the notification page for a /notify request
+     * @param {string} url - Notification URL
+     * @returns {Object|null} Message the page posts to the payment page, null when the transaction is unknown
+     */
+    notify(url) {
+        const params = new URL(url).searchParams;
+        const channel = this.channels.get(params.get('requestorTransId')) || this.channels.get(params.get('threeDSServerTransID'));
+        if (!channel) return null;
+
+        const message = {
+            event: params.get('event'),
+            threeDSServerTransID: channel.threeDSServerTransID,
+            requestorTransId: channel.threeDSRequestorTransID,
+            nonce: channel.nonce
+        };
+
+        // The error page posts an Error event bound to the transaction, as NotificationController::renderErrorPage
+        if (!message.event) {
+            return {...message, event: 'Error', message: 'Missing required event parameter'};
+        }
+
+        if (params.get('param')) {
+            message.param = params.get('param');
+        }
+
+        return message;
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * Test Environment
+ * Runs the payment page in jsdom against the mock ActiveServer, with no network
+ *
+ * Iframes the SDK opens are "loaded" by following the mock's redirects in process.
+ * When a frame ends on the notification page, the message that page posts is
+ * dispatched to the payment window with the application origin and the frame as
+ * its source, exactly as the browser would deliver it. Pages that refresh
+ * themselves are reloaded until they redirect. Hosted card field frames get a page of
+ * their own running HostedField, with postMessage carried between the two windows.
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {readFileSync} from 'node:fs';
+import {JSDOM} from 'jsdom';
+import {MockActiveServer} from '../mock/active-server.js';
+import {ApplicationBackend} from './backend.js';
+
+/**
+ * Origin the payment page is served from
+ * @type {string}
+ */
+export const APP_ORIGIN = 'https://merchant.test';
+
+/**
+ * Origin the hosted card fields are served from, apart from the payment page
+ * @type {string}
+ */
+export const FIELDS_ORIGIN = 'https://fields.merchant.test';
+
+/**
+ * URL of the mock ActiveServer
+ * @type {string}
+ */
+export const ACTIVE_SERVER_URL = 'https://activeserver.test';
+
+/**
+ * Milliseconds between reloads of a page that refreshes itself
+ * @type {number}
+ */
+const REFRESH_INTERVAL = 10;
+
+/**
+ * Turns of the event loop allowed for the hosted card fields to report ready
+ * @type {number}
+ */
+const FIELD_READY_TURNS = 50;
+
+/**
+ * Payment page markup, the containers of templates/pages/payment.php
+ * @type {string}
+ */
+const PAYMENT_PAGE = `
+<div id="paymentCard">
+    <form id="paymentForm">
+        <input id="verifyCardOnly" type="checkbox">{{cardInputs}}
+        <div id="purchaseDetails">
+            <span id="currencySymbol"></span><input id="amount">
+            <select id="currency"><option value="USD" selected>USD</option><option value="EUR">EUR</option></select>
+            <select id="paymentType"><option value="oneOff" selected>One-off</option><option value="recurring">Recurring</option><option value="instalment">Instalments</option></select>
+            <div class="hidden" id="recurringTerms">
+                <input id="recurringFrequency"><input id="recurringExpiry" type="date">
+                <div class="hidden" id="instalmentTerms"><input id="purchaseInstalData"></div>
+            </div>
+        </div>
+        <button type="submit" data-i18n="form.pay">Pay Now</button>
+    </form>
+</div>
+<div class="hidden" id="processingSpinner"></div>
+<div class="hidden" id="resultContainer"><div id="resultContent"></div></div>
+<div class="hidden" id="challengeContainer"><div id="challengeFrameContainer"></div></div>
+<div class="hidden" id="decoupledContainer"><strong id="decoupledCountdown"></strong></div>
+<div class="iframe-container" id="iframeContainer"></div>`;
+
+/**
+ * Card inputs of the payment page, replaced by their containers when the card is entered in hosted fields
+ * @type {string}
+ */
+const CARD_INPUTS = `
+        <input id="cardNumber"><span id="cardBrand"></span>
+        <input id="expiryDate"><input id="cvv">`;
+
+/**
+ * Containers of the hosted card fields
+ * @type {string}
+ */
+const HOSTED_FIELD_CONTAINERS = `
+        <div id="cardNumber"></div><span class="hidden" id="cardBrand"></span>
+        <div id="expiryDate"></div><div id="cvv"></div>`;
+
+/**
+ * Source of the classic input validation script
+ * @type {string}
+ */
+const INPUT_VALIDATION = readFileSync(new URL('../../../public/assets/js/input-validation.js', import.meta.url), 'utf8');
+
+/**
+ * Globals the SDK modules read, replaced while an environment is active
+ * @type {string[]}
+ */
+const GLOBALS = ['window', 'document', 'navigator', 'Event', 'FormData', 'fetch'];
+
+/**
+ * Console methods captured while an environment is active, so test output stays readable
+ * @type {string[]}
+ */
+const CONSOLE_METHODS = ['debug', 'log', 'info', 'warn', 'error'];
+
+/**
+ * Create a jsdom window with the classic scripts loaded
+ * @param {string} [html] - Body markup
+ * @param {string} [url] - URL of the page
+ * @returns {JSDOM} The DOM
+ */
+export function createDom(html = '', url = `${APP_ORIGIN}/`) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    dom.window.eval(INPUT_VALIDATION);
+
+    return dom;
+}
+
+/**
+ * @typedef {Object} Environment
+ * @property {import('../../../public/assets/js/3ds.js').ThreeDSPayment} payment - SDK instance on the payment page
+ * @property {MockActiveServer} activeServer - Mock ActiveServer
+ * @property {ApplicationBackend} backend - Application backend stand-in
+ * @property {Window} window - Payment page window
+ * @property {Array<{frame: string, event: string}>} notifications - Notification messages delivered, in order
+ * @property {Array<{level: string, args: Array}>} logs - Console output of the SDK
+ * @property {Function} submitChallenge - Submit the challenge page with a result (Y, N, ...)
+ * @property {Function} reloadFrame - Load a frame's page again, as a browser reload would
+ * @property {Object<string, HTMLInputElement>} fields - Inputs of the hosted card field frames, by field
+ * @property {Function} typeInField - Type a value into a hosted card field
+ * @property {Function} dispose - Tear the environment down
+ */
+
+/**
+ * Create a payment page environment
+ * @param {Object} [config] - Configuration
+ * @param {import('../mock/active-server.js').Scenario} [config.scenario] - ActiveServer scenario
+ * @param {Object<string, import('../mock/active-server.js').Scenario>} [config.cards] - Scenarios by card number
+ * @param {import('../../../public/assets/js/3ds.js').ThreeDSPaymentOptions} [config.options] - SDK options
+ * @param {boolean} [config.hostedFields] - Enter the card in hosted card fields served from FIELDS_ORIGIN
+ * @returns {Promise<Environment>} The environment
+ */
+export async function createEnvironment(config = {}) {
+    const dom = createDom(PAYMENT_PAGE.replace('{{cardInputs}}', config.hostedFields ? HOSTED_FIELD_CONTAINERS : CARD_INPUTS));
+    const {window} = dom;
+
+    const activeServer = new MockActiveServer({baseUrl: ACTIVE_SERVER_URL, scenario: config.scenario, cards: config.cards});
+    const backend = new ApplicationBackend(activeServer, {origin: APP_ORIGIN});
+
+    const previous = Object.fromEntries(GLOBALS.map((name) => [name, globalThis[name]]));
+    Object.assign(globalThis, {
+        window,
+        document: window.document,
+        navigator: window.navigator,
+        Event: window.Event,
+        FormData: window.FormData,
+        fetch: backend.fetch
+    });
+
+    const timers = new Set();
+    const notifications = [];
+    const logs = [];
+    const fields = {};
+    const fieldWindows = [];
+
+    const previousConsole = Object.fromEntries(CONSOLE_METHODS.map((level) => [level, console[level]]));
+    for (const level of CONSOLE_METHODS) {
+        console[level] = (...args) => logs.push({level, args});
+    }
+
+    /**
+     * Deliver a posted message to a window, after the current task as the browser does
+     * @param {Window} target - Window receiving the message
+     * @param {*} data - Message
+     * @param {string} origin - Origin of the sender
+     * @param {Object} source - Window of the sender
+     */
+    const deliver = (target, data, origin, source) => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            target.dispatchEvent(new target.MessageEvent('message', {data: structuredClone(data), origin, source}));
+        }, 0);
+        timers.add(timer);
+    };
+
+    /**
+     * Load a hosted card field page into a frame, as templates/card-field.php
+     * @param {HTMLIFrameElement} iframe - Frame
+     * @param {string} url - Page URL
+     */
+    const loadField = async (iframe, url) => {
+        const field = new URL(url).searchParams.get('field');
+        const fieldDom = createDom(`<input id="${field}" data-hosted-field>`, url);
+        fieldWindows.push(fieldDom.window);
+        fields[field] = fieldDom.window.document.getElementById(field);
+
+        // Messages only reach the other window when the sender targets its origin
+        const parent = {
+            postMessage(data, targetOrigin) {
+                if (targetOrigin === APP_ORIGIN) deliver(window, data, FIELDS_ORIGIN, iframe.contentWindow);
+            }
+        };
+        iframe.contentWindow.postMessage = (data, targetOrigin) => {
+            if (targetOrigin === FIELDS_ORIGIN) deliver(fieldDom.window, data, APP_ORIGIN, parent);
+        };
+
+        if (fieldDom.window.document.readyState === 'loading') {
+            await new Promise((resolve) => fieldDom.window.document.addEventListener('DOMContentLoaded', resolve));
+        }
+
+        const {HostedField} = await import('../../../public/assets/js/hosted-fields.js');
+        const {ApiClient} = await import('../../../public/assets/js/api-client.js');
+        new HostedField(fields[field], {
+            field,
+            parentOrigin: APP_ORIGIN,
+            parent,
+            api: new ApiClient({fetch: backend.fetch, retryDelay: 0})
+        });
+    };
+
+    /**
+     * Load a page into a frame, following redirects
+     * @param {HTMLIFrameElement} iframe - Frame
+     * @param {string} url - Page URL
+     */
+    const loadFrame = (iframe, url) => {
+        if (url.startsWith(`${FIELDS_ORIGIN}/card-field`)) {
+            loadField(iframe, url);
+            return;
+        }
+
+        for (let redirects = 0; redirects < 5 && iframe.isConnected; redirects++) {
+            if (url.startsWith(`${APP_ORIGIN}/notify`)) {
+                const message = backend.notify(url);
+                iframe.dispatchEvent(new window.Event('load'));
+
+                if (message) {
+                    notifications.push({frame: iframe.id || 'challenge', event: message.event});
+                    window.dispatchEvent(new window.MessageEvent('message', {
+                        data: message,
+                        origin: APP_ORIGIN,
+                        source: iframe.contentWindow
+                    }));
+                }
+                return;
+            }
+
+            if (!url.startsWith(ACTIVE_SERVER_URL)) return;
+
+            const response = activeServer.handle({method: 'GET', url});
+            if (response.status === 302) {
+                url = new URL(response.headers.Location, url).href;
+                continue;
+            }
+
+            iframe.dispatchEvent(new window.Event('load'));
+
+            if (response.headers.Refresh) {
+                const timer = setTimeout(() => {
+                    timers.delete(timer);
+                    loadFrame(iframe, url);
+                }, REFRESH_INTERVAL);
+                timers.add(timer);
+            }
+            return;
+        }
+    };
+
+    // Load every iframe the SDK adds to the page
+    const observer = new window.MutationObserver((mutations) => {
+        for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+                const frames = node.tagName === 'IFRAME' ? [node] : [...(node.querySelectorAll ? node.querySelectorAll('iframe') : [])];
+                for (const iframe of frames) {
+                    loadFrame(iframe, iframe.src);
+                }
+            }
+        }
+    });
+    observer.observe(window.document.body, {childList: true, subtree: true});
+
+    const {ThreeDSPayment} = await import('../../../public/assets/js/3ds.js');
+    const payment = new ThreeDSPayment({
+        history: false,
+        methodTimeout: 100,
+        csrfToken: backend.issueCsrfToken(),
+        ...(config.hostedFields ? {hostedFields: {url: `${FIELDS_ORIGIN}/card-field`}} : {}),
+        ...(config.options || {})
+    });
+
+    if (config.hostedFields) {
+        for (let turn = 0; turn < FIELD_READY_TURNS; turn++) {
+            if (Object.values(payment.hostedFields.states).every((state) => state.ready)) break;
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+    }
+
+    return {
+        payment,
+        activeServer,
+        backend,
+        window,
+        notifications,
+        logs,
+        fields,
+
+        /**
+         * Submit the challenge page with a result
+         * @param {string} result - Status chosen by the cardholder
+         */
+        submitChallenge(result) {
+            const iframe = payment.challengePresenter.iframe;
+            loadFrame(iframe, `${iframe.src}&result=${result}`);
+        },
+
+        /**
+         * Load a frame's page again
+         * @param {HTMLIFrameElement} iframe - Frame
+         */
+        reloadFrame(iframe) {
+            loadFrame(iframe, iframe.src);
+        },
+
+        /**
+         * Type a value into a hosted card field and wait for the payment page to hear of it
+         * @param {string} field - Field name
+         * @param {string} value - Value typed
+         * @returns {Promise<void>} Resolves once the change is delivered
+         */
+        async typeInField(field, value) {
+            const input = fields[field];
+            input.value = value;
+            input.dispatchEvent(new input.ownerDocument.defaultView.Event('input'));
+            await new Promise((resolve) => setTimeout(resolve, REFRESH_INTERVAL));
+        },
+
+        /**
+         * Tear the environment down
+         */
+        dispose() {
+            // Stop whatever a failed test left running
+            payment.clearMethodTimer();
+            payment.settle(() => {});
+
+            observer.disconnect();
+            for (const timer of timers) {
+                clearTimeout(timer);
+            }
+            Object.assign(globalThis, previous);
+            Object.assign(console, previousConsole);
+            for (const fieldWindow of fieldWindows) {
+                fieldWindow.close();
+            }
+            window.close();
+        }
+    };
+}
@@ -0,0 +1,960 @@
+/**
+ * End-to-end tests of the 3DS flow on the payment page, against the mock ActiveServer
+ *
+ * @author DevKraken <soman@devkraken.com>
+ * @copyright 2025 DevKraken
+ * @license Proprietary
+ */
+
+import {afterEach, describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {createHmac} from 'node:crypto';
+import {States} from '../../public/assets/js/transaction-state.js';
+import {MESSAGES} from '../../public/assets/js/messages.js';
+import {createEnvironment} from './support/environment.js';
+
+const CARD = {number: '4100000000000100', expiry: '12/30'};
+
+/** @type {import('./support/environment.js').Environment|null} */
+let env = null;
+
+/**
+ * Create the environment for a test, disposed of after it
+ * @param {Object} config - Environment configuration
+ * @returns {Promise<import('./support/environment.js').Environment>} The environment
+ */
+async function setUp(config) {
+    env = await createEnvironment(config);
+    return env;
+}
+
+/**
+ * Decode the browser data sent with auth
+ * @param {import('./mock/active-server.js').MockActiveServer} activeServer - Mock ActiveServer
+ * @returns {Object} Browser data
+ */
+function sentBrowserInfo(activeServer) {
+    const auth = activeServer.requests.find((request) => request.path === '/api/v2/auth/brw');
+    return JSON.parse(Buffer.from(auth.body.browserInfo, 'base64').toString());
+}
+
+afterEach(() => {
+    if (env) {
+        env.dispose();
+        env = null;
+    }
+});
+
+describe('frictionless flow', () => {
+    const outcomes = [
+        ['Y', 'success', '05'],
+        ['N', 'failed', '07'],
+        ['A', 'partial', '06'],
+        ['U', 'error', '07'],
+        ['R', 'rejected', '07']
+    ];
+
+    for (const [transStatus, status, eci] of outcomes) {
+        test(`transStatus ${transStatus} completes as ${status}`, async () => {
+            const {payment, backend, activeServer, notifications} = await setUp({scenario: {transStatus}});
+
+            const result = await payment.pay({card: CARD, amount: '10.00'});
+
+            assert.equal(result.transStatus, transStatus);
+            assert.equal(result.status, status);
+            assert.equal(result.details.eci, eci);
+            assert.equal(payment.getState(), States.FINAL);
+            assert.deepEqual(backend.actions, ['init', 'auth']);
+            assert.deepEqual(notifications, [{frame: 'callbackIframe', event: '3DSMethodFinished'}]);
+        });
+    }
+
+    test('decodes the reason, ECI and liability shift', async () => {
+        const {payment, window} = await setUp({scenario: {transStatus: 'R', transStatusReason: '11'}});
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.deepEqual(result.outcome.transStatusReason, {code: '11', description: 'Suspected fraud'});
+        assert.equal(result.outcome.eci.meaning, 'notAuthenticated');
+        assert.equal(result.outcome.dsTransID, result.details.dsTransID);
+        assert.equal(result.outcome.liabilityShift, false);
+
+        const resultText = window.document.getElementById('resultContent').textContent;
+        assert.ok(resultText.includes('11 - Suspected fraud'));
+        assert.ok(resultText.includes(`DS transaction ID: ${result.details.dsTransID}`));
+        assert.equal(window.document.querySelector('[data-liability-shift]').dataset.liabilityShift, 'false');
+    });
+
+    test('shifts liability for an authenticated challenge', async () => {
+        const {payment, window, submitChallenge} = await setUp({scenario: {transStatus: 'C'}});
+        payment.on('challenge', () => setTimeout(() => submitChallenge('Y'), 0));
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.outcome.eci.value, '05');
+        assert.equal(result.outcome.authenticationValuePresent, true);
+        assert.equal(result.outcome.liabilityShift, true);
+        assert.ok(result.outcome.acsTransID);
+        assert.equal(window.document.querySelector('[data-liability-shift]').textContent, 'Yes');
+    });
+
+    test('sends the browser data reported by the 3DS Method', async () => {
+        const {payment, activeServer} = await setUp({scenario: {transStatus: 'Y'}});
+
+        await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(sentBrowserInfo(activeServer).browserUserAgent, 'Mozilla/5.0 (Mock ActiveServer)');
+    });
+
+    test('sends the amount in minor units of the chosen currency', async () => {
+        const {payment, activeServer} = await setUp({scenario: {transStatus: 'Y'}});
+
+        await payment.pay({card: CARD, amount: '12.5', currency: 'EUR'});
+
+        const auth = activeServer.requests.find((request) => request.path === '/api/v2/auth/brw');
+        assert.equal(auth.body.purchaseAmount, '1250');
+        assert.equal(auth.body.purchaseCurrency, '978');
+        assert.equal(auth.body.purchaseExponent, 2);
+    });
+
+    test('proceeds when the 3DS Method is skipped', async () => {
+        const {payment, notifications} = await setUp({scenario: {transStatus: 'Y', method: 'skipped'}});
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'Y');
+        assert.deepEqual(notifications.map((notification) => notification.event), ['3DSMethodSkipped']);
+    });
+});
+
+describe('recurring and instalment payments', () => {
+    test('sends the payment indicator for a one-off purchase', async () => {
+        const {payment, activeServer} = await setUp({scenario: {transStatus: 'Y'}});
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        const auth = activeServer.requests.find((request) => request.path === '/api/v2/auth/brw');
+        assert.equal(auth.body.authenticationInd, '01');
+        assert.equal(auth.body.recurringExpiry, undefined);
+        assert.equal(result.mandate, undefined);
+    });
+
+    test('authenticates an instalment mandate and shows it in the result', async () => {
+        const {payment, activeServer, window} = await setUp({scenario: {transStatus: 'Y'}});
+
+        const result = await payment.pay({
+            card: CARD,
+            amount: '10.00',
+            mandate: {type: 'instalment', frequency: '30', expiry: '2099-12-31', instalments: '12'}
+        });
+
+        const auth = activeServer.requests.find((request) => request.path === '/api/v2/auth/brw');
+        assert.equal(auth.body.authenticationInd, '03');
+        assert.equal(auth.body.recurringFrequency, '30');
+        assert.equal(auth.body.recurringExpiry, '20991231');
+        assert.equal(auth.body.purchaseInstalData, '12');
+
+        assert.deepEqual(result.mandate, {
+            type: 'instalment',
+            recurringFrequency: '30',
+            recurringExpiry: '20991231',
+            purchaseInstalData: '12',
+            authenticated: true
+        });
+
+        const badge = window.document.querySelector('[data-mandate-authenticated]');
+        assert.equal(badge.dataset.mandateAuthenticated, 'true');
+        assert.ok(badge.parentElement.textContent.includes('12 instalments every 30 days until Dec 31, 2099'));
+    });
+
+    test('reports a recurring mandate that was not authenticated', async () => {
+        const {payment} = await setUp({scenario: {transStatus: 'N'}});
+
+        const result = await payment.pay({card: CARD, amount: '10.00', mandate: {type: 'recurring', frequency: 7, expiry: '20991231'}});
+
+        assert.equal(result.mandate.authenticated, false);
+        assert.equal(result.mandate.purchaseInstalData, undefined);
+    });
+
+    test('shows the recurring fields for the payment type and flags invalid terms', async () => {
+        const {payment, backend, window} = await setUp({scenario: {transStatus: 'Y'}});
+        const {document} = window;
+        const paymentType = document.getElementById('paymentType');
+        const recurringTerms = document.getElementById('recurringTerms');
+        const instalmentTerms = document.getElementById('instalmentTerms');
+
+        assert.ok(recurringTerms.classList.contains('hidden'));
+
+        paymentType.value = 'recurring';
+        paymentType.dispatchEvent(new window.Event('change'));
+        assert.ok(!recurringTerms.classList.contains('hidden'));
+        assert.ok(instalmentTerms.classList.contains('hidden'));
+        assert.equal(document.getElementById('purchaseInstalData').disabled, true);
+
+        paymentType.value = 'instalment';
+        paymentType.dispatchEvent(new window.Event('change'));
+        assert.ok(!instalmentTerms.classList.contains('hidden'));
+
+        document.getElementById('cardNumber').value = CARD.number;
+        document.getElementById('expiryDate').value = CARD.expiry;
+        document.getElementById('amount').value = '10.00';
+        document.getElementById('recurringFrequency').value = '30';
+        document.getElementById('recurringExpiry').value = '2000-01-01';
+        document.getElementById('purchaseInstalData').value = '1';
+        const failed = new Promise((resolve) => payment.on('error', resolve));
+
+        document.getElementById('paymentForm').dispatchEvent(new window.Event('submit', {cancelable: true}));
+        const error = await failed;
+
+        assert.deepEqual(Object.keys(error.fields), ['recurringExpiry', 'purchaseInstalData']);
+        assert.equal(document.getElementById('recurringExpiry').getAttribute('aria-invalid'), 'true');
+        assert.equal(document.activeElement, document.getElementById('recurringExpiry'));
+        assert.deepEqual(backend.actions, []);
+    });
+});
+
+describe('card verification', () => {
+    test('authenticates the card with no purchase and words the result for it', async () => {
+        const {payment, activeServer, window} = await setUp({scenario: {transStatus: 'Y'}, options: {mode: 'verification'}});
+
+        const result = await payment.pay({card: CARD});
+
+        const auth = activeServer.requests.find((request) => request.path === '/api/v2/auth/brw');
+        assert.equal(auth.body.messageCategory, 'npa');
+        assert.equal(auth.body.authenticationInd, '04');
+        for (const field of ['purchaseAmount', 'purchaseCurrency', 'purchaseExponent', 'purchaseDate']) {
+            assert.equal(auth.body[field], undefined, field);
+        }
+
+        assert.equal(result.transStatus, 'Y');
+        assert.equal(result.message, MESSAGES.en['verification.success']);
+
+        const resultText = window.document.getElementById('resultContent').textContent;
+        assert.ok(resultText.includes('Card: 410000******0100'));
+        assert.ok(!resultText.includes(MESSAGES.en['result.amount']));
+        assert.equal(window.document.querySelector('#resultContent .btn-primary').textContent, MESSAGES.en['result.newVerification']);
+    });
+
+    test('verifies through a challenge like a payment', async () => {
+        const {payment, backend, submitChallenge} = await setUp({scenario: {transStatus: 'C'}});
+        payment.on('challenge', () => setTimeout(() => submitChallenge('N'), 0));
+
+        const result = await payment.pay({card: CARD, mode: 'verification'});
+
+        assert.equal(result.status, 'failed');
+        assert.equal(result.message, MESSAGES.en['verification.failed']);
+        assert.deepEqual(backend.actions, ['init', 'auth', 'getAuthResult']);
+    });
+
+    test('hides the purchase fields and submits without an amount', async () => {
+        const {payment, activeServer, window} = await setUp({scenario: {transStatus: 'Y'}});
+        const {document} = window;
+        const toggle = document.getElementById('verifyCardOnly');
+        const submit = document.querySelector('#paymentForm [type="submit"]');
+
+        toggle.checked = true;
+        toggle.dispatchEvent(new window.Event('change'));
+
+        assert.ok(document.getElementById('purchaseDetails').classList.contains('hidden'));
+        assert.equal(document.getElementById('amount').disabled, true);
+        assert.equal(submit.textContent, MESSAGES.en['form.verify']);
+
+        document.getElementById('cardNumber').value = CARD.number;
+        document.getElementById('expiryDate').value = CARD.expiry;
+        document.getElementById('amount').value = '';
+        const completed = new Promise((resolve) => payment.on('result', resolve));
+
+        document.getElementById('paymentForm').dispatchEvent(new window.Event('submit', {cancelable: true}));
+        await completed;
+
+        assert.equal(activeServer.requests.find((request) => request.path === '/api/v2/auth/brw').body.messageCategory, 'npa');
+
+        payment.setMode('payment');
+        assert.equal(toggle.checked, false);
+        assert.ok(!document.getElementById('purchaseDetails').classList.contains('hidden'));
+        assert.equal(document.getElementById('amount').disabled, false);
+        assert.equal(document.getElementById('recurringFrequency').disabled, true);
+        assert.equal(submit.textContent, MESSAGES.en['form.pay']);
+    });
+});
+
+describe('card reference', () => {
+    test('sends auth a reference instead of the card number and clears the card inputs', async () => {
+        const {payment, backend, activeServer, window} = await setUp({scenario: {transStatus: 'Y'}});
+        const {document} = window;
+        document.getElementById('cardNumber').value = '4100 0000 0000 0100';
+        document.getElementById('cvv').value = '123';
+        const methodRunning = new Promise((resolve) => payment.on('stateChange', ({state}) => {
+            if (state === States.METHOD_RUNNING) resolve();
+        }));
+
+        const pending = payment.pay({card: CARD, amount: '10.00'});
+        await methodRunning;
+
+        assert.equal(document.getElementById('cardNumber').value, '');
+        assert.equal(document.getElementById('cvv').value, '');
+
+        await pending;
+        const auth = backend.requests.find((request) => request.action === 'auth');
+        assert.equal(auth.acctNumber, undefined);
+        assert.match(auth.cardReference, /^[a-f0-9]{32}$/);
+        assert.ok(!JSON.stringify(auth).includes(CARD.number));
+        assert.equal(activeServer.requests.find((request) => request.path === '/api/v2/auth/brw').body.acctNumber, CARD.number);
+        assert.equal(backend.cardReferences.size, 0);
+    });
+
+    test('fails when the reference has expired before auth', async () => {
+        const {payment, backend} = await setUp({scenario: {transStatus: 'Y'}});
+        payment.on('stateChange', ({state}) => {
+            if (state === States.METHOD_RUNNING) backend.cardReferences.clear();
+        });
+
+        await assert.rejects(payment.pay({card: CARD, amount: '10.00'}), /Card reference is missing or expired/);
+    });
+});
+
+describe('hosted card fields', () => {
+    test('starts the payment with a token, the card never reaching the payment page', async () => {
+        const {payment, backend, activeServer, window, typeInField} = await setUp({scenario: {transStatus: 'Y'}, hostedFields: true});
+        await typeInField('cardNumber', CARD.number);
+        await typeInField('expiryDate', CARD.expiry);
+        await typeInField('cvv', '123');
+
+        const result = await payment.pay({card: {}, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'Y');
+        assert.deepEqual(backend.actions, ['tokenizeCard', 'tokenizeCard', 'init', 'auth']);
+        const init = backend.requests.find((request) => request.action === 'init');
+        assert.match(init.cardToken, /^[a-f0-9]{32}$/);
+        assert.equal(init.authData, undefined);
+        for (const request of backend.requests.filter((request) => request.action !== 'tokenizeCard')) {
+            assert.ok(!JSON.stringify(request).includes(CARD.number), request.action);
+        }
+        assert.equal(backend.cardTokens.size, 0);
+
+        const auth = activeServer.requests.find((request) => request.path === '/api/v2/auth/brw');
+        assert.equal(auth.body.acctNumber, CARD.number);
+        assert.equal(auth.body.cardExpiryDate, '3012');
+        assert.ok(!window.document.documentElement.outerHTML.includes(CARD.number));
+    });
+
+    test('shows the masked number the card number field reported', async () => {
+        const {payment, window, typeInField} = await setUp({scenario: {transStatus: 'Y'}, hostedFields: true, options: {mode: 'verification'}});
+        await typeInField('cardNumber', CARD.number);
+        await typeInField('expiryDate', CARD.expiry);
+
+        await payment.pay({card: {}});
+
+        assert.ok(window.document.getElementById('resultContent').textContent.includes('Card: 410000******0100'));
+    });
+
+    test('forwards the brand to the badge and the CVV field', async () => {
+        const {window, fields, typeInField} = await setUp({scenario: {transStatus: 'Y'}, hostedFields: true});
+        const badge = window.document.getElementById('cardBrand');
+
+        await typeInField('cardNumber', '3400 000000 00009');
+
+        assert.ok(!badge.classList.contains('hidden'));
+        assert.equal(badge.textContent, 'American Express');
+        assert.equal(fields.cvv.dataset.brand, 'amex');
+    });
+
+    test('shows the invalid fields inline without tokenising', async () => {
+        const {payment, backend, window, typeInField} = await setUp({scenario: {transStatus: 'Y'}, hostedFields: true});
+        const {document} = window;
+        await typeInField('cardNumber', '4100000000000101');
+        await typeInField('expiryDate', '01/20');
+
+        const error = await payment.pay({card: {}, amount: '10.00'}).catch((e) => e);
+
+        assert.equal(error.message, 'Please enter a valid card number');
+        assert.deepEqual(Object.keys(error.fields), ['cardNumber', 'expiryDate']);
+        assert.equal(document.getElementById('cardNumber').getAttribute('aria-invalid'), 'true');
+        assert.equal(document.getElementById('expiryDate').getAttribute('aria-invalid'), 'true');
+        assert.deepEqual(backend.actions, []);
+    });
+
+    test('ignores messages from other origins', async () => {
+        const {payment, window, logs} = await setUp({scenario: {transStatus: 'Y'}, hostedFields: true});
+        const iframe = payment.hostedFields.frames.cardNumber;
+
+        window.dispatchEvent(new window.MessageEvent('message', {
+            data: {source: 'hosted-field', field: 'cardNumber', type: 'change', empty: false, valid: true},
+            origin: 'https://attacker.test',
+            source: iframe.contentWindow
+        }));
+
+        assert.equal(payment.hostedFields.states.cardNumber.valid, false);
+        assert.ok(logs.some(({level, args}) => level === 'warn' && args[0] === 'Rejected hosted field message:'));
+    });
+});
+
+describe('CSRF protection', () => {
+    test('sends the page token first and the rotated token with every later call', async () => {
+        const {payment, backend} = await setUp({scenario: {transStatus: 'C'}});
+        const pageToken = payment.options.csrfToken;
+        payment.on('challenge', () => setTimeout(() => env.submitChallenge('Y'), 0));
+
+        await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.deepEqual(backend.actions, ['init', 'auth', 'getAuthResult']);
+        assert.equal(backend.csrfHeaders[0], pageToken);
+        assert.equal(new Set(backend.csrfHeaders).size, 3);
+    });
+
+    test('shows the session expired path when the token is rejected', async () => {
+        const {payment, backend, window} = await setUp({scenario: {transStatus: 'Y'}});
+        const {document} = window;
+        let expired = false;
+        payment.on('stateChange', ({state}) => {
+            if (state === States.METHOD_RUNNING && !expired) {
+                expired = true;
+                backend.csrfTokens.clear();
+            }
+        });
+        const errors = [];
+        payment.on('error', (error) => errors.push(error));
+
+        await assert.rejects(payment.pay({card: CARD, amount: '10.00'}), /session has expired/);
+
+        assert.equal(errors[0].sessionExpired, true);
+        assert.equal(payment.getState(), States.ERROR);
+        const retry = document.querySelector('#resultContent button');
+        assert.equal(retry.textContent, 'Retry payment');
+
+        retry.click();
+        assert.ok(!document.getElementById('paymentCard').classList.contains('hidden'));
+        assert.ok(document.getElementById('resultContainer').classList.contains('hidden'));
+
+        // The rejection carried a fresh token, so the retried payment goes through
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+        assert.equal(result.transStatus, 'Y');
+    });
+});
+
+describe('slow auth', () => {
+    test('waits for an auth that outlives its timeout instead of failing on the in-progress replays', async () => {
+        const {payment, backend, activeServer} = await setUp({
+            scenario: {transStatus: 'Y'},
+            options: {api: {actions: {auth: {timeout: 50}}, retryDelay: 10, maxRetryDelay: 20}}
+        });
+        backend.latency.auth = 300;
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'Y');
+        assert.equal(activeServer.requests.filter((request) => request.path === '/api/v2/auth/brw').length, 1);
+        // More in-progress replays than the two retries auth is allowed
+        assert.ok(backend.actions.filter((action) => action === 'auth').length > 3);
+        assert.equal(payment.getState(), States.FINAL);
+    });
+});
+
+describe('3DS Method timeout', () => {
+    test('fails at once when the notification page reports an error', async () => {
+        const {payment, backend, notifications} = await setUp({
+            scenario: {transStatus: 'Y', notificationError: true},
+            options: {methodTimeout: 5000}
+        });
+        const startedAt = Date.now();
+
+        await assert.rejects(payment.pay({card: CARD, amount: '10.00'}), {
+            message: 'Error processing 3DS response: Missing required event parameter'
+        });
+
+        assert.ok(Date.now() - startedAt < 5000);
+        assert.deepEqual(notifications, [{frame: 'callbackIframe', event: 'Error'}]);
+        assert.deepEqual(backend.actions, ['init']);
+        assert.equal(payment.getState(), States.ERROR);
+    });
+
+    test('authenticates with browser data collected in the page when no event arrives', async () => {
+        const {payment, backend, activeServer, notifications} = await setUp({
+            scenario: {transStatus: 'Y', method: 'none'},
+            options: {methodTimeout: 50}
+        });
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'Y');
+        assert.deepEqual(notifications, []);
+        assert.deepEqual(backend.actions, ['init', 'auth']);
+        assert.notEqual(sentBrowserInfo(activeServer).browserUserAgent, 'Mozilla/5.0 (Mock ActiveServer)');
+        assert.equal(sentBrowserInfo(activeServer).browserJavascriptEnabled, true);
+    });
+
+    test('authenticates when the monitoring page reports InitAuthTimedOut', async () => {
+        const {payment, backend, notifications} = await setUp({
+            scenario: {transStatus: 'N', method: 'timedOut'},
+            options: {methodTimeout: 10000}
+        });
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'N');
+        assert.deepEqual(notifications, [{frame: 'monitoringIframe', event: 'InitAuthTimedOut'}]);
+        assert.deepEqual(backend.actions, ['init', 'auth']);
+    });
+});
+
+describe('challenge flow', () => {
+    test('gets the result once the cardholder completes the challenge', async () => {
+        const {payment, backend, notifications, submitChallenge} = await setUp({scenario: {transStatus: 'C'}});
+        payment.on('challenge', () => setTimeout(() => submitChallenge('Y'), 0));
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'Y');
+        assert.equal(result.status, 'success');
+        assert.equal(result.challenge.reason, 'completed');
+        assert.deepEqual(backend.actions, ['init', 'auth', 'getAuthResult']);
+        assert.deepEqual(notifications.at(-1), {frame: 'resultMonitoringIframe', event: 'AuthResultReady'});
+    });
+
+    test('completes on a page without the render containers', async () => {
+        const {payment, activeServer, notifications} = await setUp({
+            scenario: {transStatus: 'C'},
+            options: {methodTimeout: 5000, challengeTimeout: 1000, elements: {challengeContainer: '#missingChallengeContainer'}}
+        });
+        payment.on('challenge', ({threeDSServerTransID}) => setTimeout(() => activeServer.completeChallenge(threeDSServerTransID, 'Y'), 0));
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(payment.options.render, false);
+        assert.equal(result.transStatus, 'Y');
+        assert.equal(sentBrowserInfo(activeServer).browserUserAgent, 'Mozilla/5.0 (Mock ActiveServer)');
+        assert.deepEqual(notifications.at(-1), {frame: 'resultMonitoringIframe', event: 'AuthResultReady'});
+    });
+
+    test('reports a declined challenge', async () => {
+        const {payment, submitChallenge} = await setUp({scenario: {transStatus: 'C'}});
+        payment.on('challenge', () => setTimeout(() => submitChallenge('N'), 0));
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'N');
+        assert.equal(result.status, 'failed');
+    });
+
+    test('sends challenge status 01 when the cardholder cancels', async () => {
+        const {payment, backend, activeServer} = await setUp({scenario: {transStatus: 'C'}});
+        payment.on('challenge', () => setTimeout(() => payment.cancelChallenge(), 0));
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        const statusUpdate = activeServer.requests.find((request) => request.path === '/api/v2/auth/challenge/status');
+        assert.equal(statusUpdate.body.status, '01');
+        assert.deepEqual(backend.actions, ['init', 'auth', 'updateChallengeStatus', 'getAuthResult']);
+        assert.equal(result.challenge.reason, 'cancelled');
+        assert.equal(result.details.details.challengeCancel, '01');
+    });
+
+    test('sends challenge status 04 when the challenge times out', async () => {
+        const {payment, activeServer} = await setUp({
+            scenario: {transStatus: 'C'},
+            options: {challengeTimeout: 50}
+        });
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        const statusUpdate = activeServer.requests.find((request) => request.path === '/api/v2/auth/challenge/status');
+        assert.equal(statusUpdate.body.status, '04');
+        assert.equal(result.challenge.reason, 'timedOut');
+        assert.equal(result.transStatus, 'U');
+    });
+});
+
+describe('decoupled flow', () => {
+    test('completes when the result page reports the outcome', async () => {
+        const {payment, backend, activeServer, notifications} = await setUp({
+            scenario: {transStatus: 'D'},
+            options: {decoupledPollSchedule: [60000]}
+        });
+        payment.on('decoupled', ({threeDSServerTransID}) => {
+            setTimeout(() => activeServer.completeDecoupled(threeDSServerTransID, 'Y'), 30);
+        });
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'Y');
+        assert.deepEqual(backend.actions, ['init', 'auth', 'getAuthResult']);
+        assert.deepEqual(notifications.at(-1), {frame: 'resultMonitoringIframe', event: 'AuthResultReady'});
+    });
+
+    test('completes from polling while the cardholder has not responded yet', async () => {
+        const {payment, backend, activeServer} = await setUp({
+            scenario: {transStatus: 'D'},
+            options: {decoupledPollSchedule: [20]}
+        });
+        payment.on('decoupled', ({threeDSServerTransID}) => {
+            setTimeout(() => activeServer.completeDecoupled(threeDSServerTransID, 'N'), 50);
+        });
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(result.transStatus, 'N');
+        assert.ok(backend.actions.filter((action) => action === 'getAuthResult').length >= 1);
+        assert.equal(backend.actions.filter((action) => action === 'auth').length, 1);
+    });
+
+    test('sends challenge status 03 when the cardholder never responds', async () => {
+        const {payment, backend, activeServer} = await setUp({
+            scenario: {transStatus: 'D'},
+            options: {decoupledMaxTime: 0, decoupledPollSchedule: [20]}
+        });
+
+        await assert.rejects(payment.pay({card: CARD, amount: '10.00'}), {message: MESSAGES.en['error.decoupledTimeout']});
+
+        assert.deepEqual(backend.actions, ['init', 'auth', 'getAuthResult', 'updateChallengeStatus']);
+        assert.equal(backend.requests.at(-1).status, '03');
+        const transaction = activeServer.transactions.get(backend.requests.at(-1).threeDSServerTransID);
+        assert.equal(transaction.challengeCancel, '03');
+        assert.equal(payment.getState(), States.ERROR);
+    });
+});
+
+describe('accessibility', () => {
+    test('announces each stage and moves focus to the result heading', async () => {
+        const {payment, window} = await setUp({scenario: {transStatus: 'Y'}});
+        const {document} = window;
+        const status = document.getElementById('paymentStatus');
+        const announcements = [];
+        payment.on('stateChange', () => announcements.push(status.textContent));
+
+        await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(status.getAttribute('role'), 'status');
+        assert.equal(status.getAttribute('aria-live'), 'polite');
+        assert.deepEqual(announcements.slice(0, 3), [
+            'Processing payment, please wait.',
+            'Checking your card with your bank.',
+            'Authenticating your payment.'
+        ]);
+
+        const heading = document.getElementById('resultHeading');
+        assert.equal(document.activeElement, heading);
+        assert.equal(status.textContent, heading.textContent.slice(2));
+        assert.equal(heading.querySelector('[aria-hidden="true"]').textContent, '✓ ');
+
+        const toggle = document.querySelector('[aria-controls="details-content"]');
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+
+        // The button back to the form starts the next payment from a clean transaction
+        document.querySelector('#resultContent .btn-primary').click();
+        assert.equal(payment.getState(), States.IDLE);
+        assert.equal(document.getElementById('resultContent').textContent, '');
+        assert.ok(!document.getElementById('paymentCard').classList.contains('hidden'));
+
+        const changes = [];
+        payment.on('stateChange', (change) => changes.push(change));
+        await payment.pay({card: CARD, amount: '10.00'});
+        assert.equal(changes[0].previousState, States.IDLE);
+        assert.equal(changes[0].state, States.INITIALIZING);
+    });
+
+    test('moves focus into the titled challenge iframe', async () => {
+        const {payment, window, submitChallenge} = await setUp({scenario: {transStatus: 'C'}});
+        const {document} = window;
+        let focused = null;
+        payment.on('challenge', () => setTimeout(() => {
+            focused = document.activeElement;
+            submitChallenge('Y');
+        }, 0));
+
+        await payment.pay({card: CARD, amount: '10.00'});
+
+        assert.equal(focused.tagName, 'IFRAME');
+        assert.equal(focused.title, 'Verify your payment');
+        assert.equal(focused.getAttribute('aria-label'), 'Verify your payment');
+        assert.equal(document.activeElement, document.getElementById('resultHeading'));
+    });
+
+    test('shows invalid fields inline and focuses the first one', async () => {
+        const {payment, window} = await setUp({scenario: {transStatus: 'Y'}});
+        const {document} = window;
+        const cardNumber = document.getElementById('cardNumber');
+        const expiryDate = document.getElementById('expiryDate');
+
+        const error = await payment.pay({card: {number: '4100000000000101', expiry: '13/30'}, amount: '10.00'}).catch((e) => e);
+
+        assert.equal(error.message, 'Please enter a valid card number');
+        assert.deepEqual(Object.keys(error.fields), ['cardNumber', 'expiryDate']);
+        assert.ok(document.getElementById('resultContainer').classList.contains('hidden'));
+        assert.ok(!document.getElementById('paymentCard').classList.contains('hidden'));
+
+        for (const input of [cardNumber, expiryDate]) {
+            assert.equal(input.getAttribute('aria-invalid'), 'true');
+            const feedback = document.getElementById(input.getAttribute('aria-describedby'));
+            assert.equal(feedback.textContent, error.fields[input.id]);
+        }
+        assert.equal(document.activeElement, cardNumber);
+
+        // Editing the field clears its error
+        cardNumber.dispatchEvent(new window.Event('input'));
+        assert.equal(cardNumber.hasAttribute('aria-invalid'), false);
+        assert.equal(cardNumber.hasAttribute('aria-describedby'), false);
+        assert.ok(document.getElementById('cardNumberError').classList.contains('hidden'));
+    });
+
+    test('leaves the result view on Escape', async () => {
+        const {payment, window} = await setUp({scenario: {transStatus: 'Y'}});
+        const {document} = window;
+
+        await payment.pay({card: CARD, amount: '10.00'});
+
+        document.dispatchEvent(new window.KeyboardEvent('keydown', {key: 'Escape'}));
+        assert.ok(document.getElementById('resultContainer').classList.contains('hidden'));
+        assert.equal(document.getElementById('resultContent').textContent, '');
+        assert.equal(document.activeElement, document.getElementById('cardNumber'));
+    });
+
+    test('ignores Escape after a payment when the host renders the result', async () => {
+        const {payment, window} = await setUp({
+            scenario: {transStatus: 'Y'},
+            options: {render: false, elements: {resultContainer: null}}
+        });
+        const errors = [];
+        window.addEventListener('error', (event) => errors.push(event.error));
+
+        await payment.pay({card: CARD, amount: '10.00'});
+
+        window.document.dispatchEvent(new window.KeyboardEvent('keydown', {key: 'Escape'}));
+        assert.deepEqual(errors, []);
+        assert.equal(payment.getState(), States.FINAL);
+    });
+});
+
+describe('abort and reset', () => {
+    test('tears down the payment when Escape is pressed during the 3DS Method', async () => {
+        const {payment, backend, window} = await setUp({
+            scenario: {transStatus: 'Y', method: 'none'},
+            options: {methodTimeout: 50}
+        });
+        const {document} = window;
+        payment.on('stateChange', ({state}) => {
+            if (state === States.METHOD_RUNNING) {
+                document.dispatchEvent(new window.KeyboardEvent('keydown', {key: 'Escape'}));
+            }
+        });
+
+        const error = await payment.pay({card: CARD, amount: '10.00'}).catch((e) => e);
+
+        assert.equal(error.aborted, true);
+        assert.equal(error.message, 'Payment cancelled by the cardholder');
+        assert.equal(payment.getState(), States.IDLE);
+        assert.equal(payment.transactionData.threeDSServerTransID, null);
+        assert.equal(document.getElementById('iframeContainer').children.length, 0);
+
+        // The method timeout no longer starts authentication
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.deepEqual(backend.actions, ['init']);
+        assert.ok(!document.getElementById('paymentCard').classList.contains('hidden'));
+        assert.ok(document.getElementById('resultContainer').classList.contains('hidden'));
+    });
+
+    test('ignores the response of a request in flight when the payment is aborted', async () => {
+        const {payment, backend, window} = await setUp({scenario: {transStatus: 'Y'}});
+        const {document} = window;
+        const results = [];
+        payment.on('result', (result) => results.push(result));
+        payment.on('stateChange', ({state}) => {
+            if (state === States.AUTHENTICATING) {
+                setTimeout(() => payment.abort(), 0);
+            }
+        });
+
+        // Hold every response back long enough to abort in between
+        const send = globalThis.fetch;
+        globalThis.fetch = async (...args) => {
+            const response = await send(...args);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            return response;
+        };
+
+        await assert.rejects(payment.pay({card: CARD, amount: '10.00'}), /Payment cancelled/);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        assert.ok(backend.actions.includes('auth'));
+        assert.deepEqual(results, []);
+        assert.equal(payment.getState(), States.IDLE);
+        assert.ok(document.getElementById('resultContainer').classList.contains('hidden'));
+    });
+
+    test('reports an abandoned challenge as cancelled and starts the next payment afresh', async () => {
+        const {payment, activeServer, window} = await setUp({
+            cards: {[CARD.number]: {transStatus: 'C'}, '5555555555554444': {transStatus: 'Y'}}
+        });
+        const {document} = window;
+        let aborted = null;
+        payment.on('challenge', () => setTimeout(() => {
+            aborted = payment.abort('Left the challenge');
+        }, 0));
+
+        await assert.rejects(payment.pay({card: CARD, amount: '10.00'}), /Left the challenge/);
+        assert.equal(await aborted, true);
+
+        const statusUpdate = activeServer.requests.find((request) => request.path === '/api/v2/auth/challenge/status');
+        assert.equal(statusUpdate.body.status, '01');
+        assert.equal(document.querySelector('#challengeFrameContainer iframe'), null);
+        assert.equal(payment.transactionData.cardReference, null);
+
+        const result = await payment.pay({card: {number: '5555555555554444', expiry: '12/30'}, amount: '10.00'});
+        assert.equal(result.transStatus, 'Y');
+        assert.equal(result.challenge, undefined);
+    });
+
+    test('resolves false when nothing is in progress', async () => {
+        const {payment} = await setUp({scenario: {transStatus: 'Y'}});
+
+        assert.equal(await payment.abort(), false);
+    });
+});
+
+describe('internationalisation', () => {
+    test('words the result in the chosen locale from the status code', async () => {
+        const {payment, window, submitChallenge} = await setUp({scenario: {transStatus: 'C'}, options: {locale: 'fr'}});
+        payment.on('challenge', () => setTimeout(() => submitChallenge('Y'), 0));
+
+        const result = await payment.pay({card: CARD, amount: '10.00', currency: 'EUR'});
+
+        assert.equal(result.status, 'success');
+        assert.equal(result.message, MESSAGES.fr['status.success']);
+        assert.equal(result.challenge.message, MESSAGES.fr['challenge.completed']);
+
+        const resultText = window.document.getElementById('resultContent').textContent;
+        assert.ok(resultText.includes(payment.i18n.formatCurrency('10.00', 'EUR')));
+        assert.ok(resultText.includes(MESSAGES.fr['transStatus.Y']));
+    });
+
+    test('validates in the chosen locale and switches direction with the language', async () => {
+        const {payment, window} = await setUp({scenario: {transStatus: 'Y'}, options: {locale: 'ar'}});
+        const root = window.document.documentElement;
+
+        assert.equal(root.getAttribute('dir'), 'rtl');
+        assert.equal(root.getAttribute('lang'), 'ar');
+
+        await assert.rejects(payment.pay({card: {number: '1234', expiry: '12/30'}, amount: '10.00'}), {
+            message: MESSAGES.ar['validation.cardNumber']
+        });
+
+        payment.setLocale('en');
+
+        assert.equal(root.getAttribute('dir'), 'ltr');
+        assert.equal(window.localStorage.getItem('threeDSLocale'), 'en');
+    });
+});
+
+describe('authorization hand-off', () => {
+    test('passes the signed authentication data to the callback', async () => {
+        const handedOff = [];
+        const {payment, backend, submitChallenge} = await setUp({
+            scenario: {transStatus: 'C'},
+            options: {onAuthenticated: (authData, result) => handedOff.push({authData, result})}
+        });
+        payment.on('challenge', () => setTimeout(() => submitChallenge('Y'), 0));
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assert.equal(handedOff.length, 1);
+        assert.equal(handedOff[0].result, result);
+        assert.deepEqual(backend.actions, ['init', 'auth', 'getAuthResult', 'signAuthData']);
+
+        const {payload, signature, algorithm} = handedOff[0].authData;
+        assert.equal(algorithm, 'HMAC-SHA256');
+        assert.equal(signature, createHmac('sha256', 'test-postback-secret').update(payload).digest('hex'));
+
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        assert.equal(data.transStatus, 'Y');
+        assert.equal(data.eci, '05');
+        assert.ok(data.authenticationValue);
+        assert.equal(data.dsTransID, result.outcome.dsTransID);
+        assert.equal(data.acsTransID, result.outcome.acsTransID);
+    });
+
+    test('posts the signed authentication data to the return URL', async () => {
+        const {payment, window} = await setUp({scenario: {transStatus: 'A'}, options: {returnUrl: '/merchant/authorize'}});
+        const submitted = [];
+        window.HTMLFormElement.prototype.submit = function () {
+            submitted.push(this);
+        };
+        const handOff = new Promise((resolve) => payment.on('handOff', resolve));
+
+        await payment.pay({card: CARD, amount: '10.00'});
+        const event = await handOff;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.equal(event.error, null);
+        assert.equal(submitted.length, 1);
+
+        const form = submitted[0];
+        assert.equal(form.method, 'post');
+        assert.equal(form.getAttribute('action'), '/merchant/authorize');
+        assert.equal(form.elements.payload.value, event.authData.payload);
+        assert.equal(form.elements.signature.value, event.authData.signature);
+    });
+
+    test('does not hand off a failed authentication', async () => {
+        const handedOff = [];
+        const {payment, backend} = await setUp({scenario: {transStatus: 'N'}, options: {onAuthenticated: (authData) => handedOff.push(authData)}});
+
+        await payment.pay({card: CARD, amount: '10.00'});
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assert.deepEqual(handedOff, []);
+        assert.deepEqual(backend.actions, ['init', 'auth']);
+    });
+
+    test('tells the cardholder when the data cannot be signed', async () => {
+        const handedOff = [];
+        const {payment, backend, window} = await setUp({scenario: {transStatus: 'Y'}, options: {onAuthenticated: (authData) => handedOff.push(authData)}});
+        backend.postbackSecret = '';
+        const handOff = new Promise((resolve) => payment.on('handOff', resolve));
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+        const event = await handOff;
+
+        assert.equal(result.status, 'success');
+        assert.equal(event.authData, null);
+        assert.ok(event.error);
+        assert.deepEqual(handedOff, []);
+        assert.ok(window.document.getElementById('resultContent').textContent.includes(MESSAGES.en['handOff.failed']));
+    });
+});
+
+describe('duplicate events', () => {
+    test('authenticates and fetches the result once when every event arrives twice', async () => {
+        const {payment, backend, notifications, submitChallenge} = await setUp({
+            scenario: {transStatus: 'C', duplicateEvents: true}
+        });
+        payment.on('challenge', () => setTimeout(() => submitChallenge('Y'), 0));
+
+        const result = await payment.pay({card: CARD, amount: '10.00'});
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        const events = notifications.map((notification) => notification.event);
+        assert.equal(events.filter((event) => event === '3DSMethodFinished').length, 2);
+        assert.ok(events.includes('Challenge:Completed'));
+        assert.equal(result.transStatus, 'Y');
+        assert.deepEqual(backend.actions, ['init', 'auth', 'getAuthResult']);
+    });
+
+    test('ignores a notification page reloaded after the 3DS Method finished', async () => {
+        const {payment, backend, reloadFrame} = await setUp({scenario: {transStatus: 'C'}});
+        const challenged = new Promise((resolve) => payment.on('challenge', resolve));
+
+        const pending = payment.pay({card: CARD, amount: '10.00'});
+        await challenged;
+
+        reloadFrame(env.window.document.getElementById('callbackIframe'));
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assert.equal(payment.getState(), States.CHALLENGE);
+        assert.deepEqual(backend.actions, ['init', 'auth']);
+
+        env.submitChallenge('Y');
+        assert.equal((await pending).transStatus, 'Y');
+    });
+});